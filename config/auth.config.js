@@ -0,0 +1,38 @@
+// config/auth.config.js
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// ── JWT ─────────────────────────────────────────────────────
+export const JWT_SECRET = process.env.JWT_SECRET;
+
+// Access tokens are short-lived; the refresh token keeps the admin signed in.
+export const ACCESS_TOKEN_TTL = parseInt(process.env.ACCESS_TOKEN_TTL, 10) || 15 * 60;               // seconds (15 minutes)
+export const REFRESH_TOKEN_TTL = parseInt(process.env.REFRESH_TOKEN_TTL, 10) || 30 * 24 * 60 * 60;   // seconds (30 days)
+
+if (!JWT_SECRET) {
+    console.warn("⚠️  JWT_SECRET is not set — admin logins will fail until it is configured.");
+}
+
+// ── Session cookies ─────────────────────────────────────────
+export const ACCESS_COOKIE_NAME = "lmv_admin_token";
+export const REFRESH_COOKIE_NAME = "lmv_admin_refresh";
+
+const BASE_COOKIE_OPTIONS = {
+    httpOnly: true,                                   // not readable from JS
+    secure: process.env.NODE_ENV === "production",    // HTTPS only in prod
+    sameSite: process.env.COOKIE_SAME_SITE || "lax",  // "none" when the frontend is on another site
+};
+
+export const ACCESS_COOKIE_OPTIONS = {
+    ...BASE_COOKIE_OPTIONS,
+    path: "/",
+    maxAge: ACCESS_TOKEN_TTL * 1000,
+};
+
+// The refresh cookie is only ever sent to the admin auth endpoints.
+export const REFRESH_COOKIE_OPTIONS = {
+    ...BASE_COOKIE_OPTIONS,
+    path: "/api/admin",
+    maxAge: REFRESH_TOKEN_TTL * 1000,
+};
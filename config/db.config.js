@@ -31,7 +31,7 @@ setInterval(async () => {
     } catch (err) {
         console.warn('⚠️  DB keep-alive ping failed:', err.message);
     }
-}, 5 * 60 * 1000);
+}, 5 * 60 * 1000).unref(); // don't keep scripts and tests alive
 
 /**
  * Test database connection
@@ -0,0 +1,88 @@
+// config/image.config.js
+import { tmpdir } from "os";
+import { join } from "path";
+
+const DEFAULT_RENDITION_WIDTHS = [320, 640, 1024, 1920];
+
+/**
+ * Parses "320,640,1024" into sorted unique positive integers.
+ * Falls back to the default ladder when unset or invalid.
+ */
+const parseWidths = (value) => {
+    if (!value) return DEFAULT_RENDITION_WIDTHS;
+
+    const widths = [...new Set(
+        String(value)
+            .split(",")
+            .map((w) => parseInt(w.trim(), 10))
+            .filter((w) => Number.isInteger(w) && w > 0 && w <= 8192)
+    )].sort((a, b) => a - b);
+
+    if (widths.length === 0) {
+        console.warn(`⚠️  IMAGE_RENDITION_WIDTHS="${value}" is invalid, using ${DEFAULT_RENDITION_WIDTHS.join(",")}`);
+        return DEFAULT_RENDITION_WIDTHS;
+    }
+    return widths;
+};
+
+// Widths (px) generated for every uploaded image. Never enlarged — images
+// narrower than a rung simply don't get that rung.
+export const RENDITION_WIDTHS = parseWidths(process.env.IMAGE_RENDITION_WIDTHS);
+
+// Encodings generated for each width, best compression first (the order
+// <picture> <source> elements should use).
+export const RENDITION_FORMATS = [
+    { format: "avif", mimeType: "image/avif", options: { quality: 50, effort: 4 } },
+    { format: "webp", mimeType: "image/webp", options: { quality: 75 } },
+];
+
+// Soft-deleted images stay in the trash (restorable) for this many days before
+// the retention sweep hard-deletes them from S3 and the DB. 0 disables the sweep.
+const parsedRetention = parseInt(process.env.TRASH_RETENTION_DAYS, 10);
+export const TRASH_RETENTION_DAYS = Number.isInteger(parsedRetention) && parsedRetention >= 0 ? parsedRetention : 30;
+
+// How often the retention sweep runs
+export const TRASH_SWEEP_INTERVAL_MINUTES = parseInt(process.env.TRASH_SWEEP_INTERVAL_MINUTES, 10) || 60;
+
+// Uploads whose perceptual hash differs from an existing image's in at most
+// this many of 64 bits are rejected as near duplicates (unless forced).
+// 0 only catches pixel-identical images; above ~10 unrelated photos start to match.
+const parsedThreshold = parseInt(process.env.IMAGE_DUPLICATE_THRESHOLD, 10);
+export const DUPLICATE_THRESHOLD = Number.isInteger(parsedThreshold) && parsedThreshold >= 0 && parsedThreshold <= 64
+    ? parsedThreshold
+    : 6;
+
+// Batch uploads (POST /api/images/upload/batch): files per request, and how
+// many are encoded at once. Each in-flight file runs sharp (AVIF is CPU-heavy),
+// so keep this near the number of cores.
+export const BATCH_UPLOAD_MAX_FILES = 100;
+export const BATCH_UPLOAD_CONCURRENCY = parseInt(process.env.IMAGE_BATCH_CONCURRENCY, 10) || 2;
+
+// Files of a batch are spooled to disk until processed; this caps the bytes
+// one request may spool in total (50 MB per file still applies).
+export const BATCH_UPLOAD_MAX_BYTES = (parseInt(process.env.IMAGE_BATCH_MAX_MB, 10) || 1024) * 1024 * 1024;
+
+// On-the-fly renders (GET /api/images/render/:id). Only these widths / heights,
+// fits, formats and qualities are accepted, which bounds how many variants of
+// one image can ever be produced and cached. The endpoint is public, so keep
+// the lists short: every combination is a render someone can ask for.
+export const RENDER_SIZES = parseWidths(process.env.IMAGE_RENDER_SIZES || "150,300,600,1200,1920");
+export const RENDER_FITS = ["cover", "contain", "inside"];
+export const RENDER_FORMATS = {
+    jpeg: { mimeType: "image/jpeg", quality: true },
+    webp: { mimeType: "image/webp", quality: true },
+    avif: { mimeType: "image/avif", quality: true },
+    png: { mimeType: "image/png", quality: false },
+};
+export const RENDER_QUALITIES = [50, 75, 90];
+export const RENDER_DEFAULT_QUALITY = 75;
+
+// Renders from the original load it whole (up to 50 MB) and run sharp, so only
+// this many run at once; up to RENDER_QUEUE_LIMIT more wait, the rest get 503.
+export const RENDER_CONCURRENCY = parseInt(process.env.IMAGE_RENDER_CONCURRENCY, 10) || 2;
+export const RENDER_QUEUE_LIMIT = 10;
+
+// Local disk cache for renders, in front of the S3 copies under derivatives/.
+// Least recently used renders are deleted once it grows past the size limit.
+export const RENDER_CACHE_DIR = process.env.IMAGE_RENDER_CACHE_DIR || join(tmpdir(), "luminav-render");
+export const RENDER_CACHE_MAX_BYTES = (parseInt(process.env.IMAGE_RENDER_CACHE_MAX_MB, 10) || 1024) * 1024 * 1024;
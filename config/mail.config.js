@@ -0,0 +1,26 @@
+// config/mail.config.js
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// Which transport sends outgoing mail: "smtp" | "console" | "file"
+// console / file let the reset flow be exercised offline and in development.
+export const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || "console";
+
+export const MAIL_FROM = process.env.MAIL_FROM || "Luminav Films <no-reply@luminavfilms.com>";
+
+export const SMTP_CONFIG = {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === "true", // true for port 465
+    auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined,
+};
+
+// Where the file transport drops .eml files
+export const MAIL_DROP_DIR = process.env.MAIL_DROP_DIR || "./mail-drop";
+
+// Frontend page that reads ?token= and calls POST /api/admin/reset-password
+export const PASSWORD_RESET_URL =
+    process.env.PASSWORD_RESET_URL || "http://localhost:3000/admin/reset-password";
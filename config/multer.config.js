@@ -1,5 +1,11 @@
 // config/multer.config.js
 import multer from "multer";
+import { createHash, randomUUID } from "crypto";
+import { createWriteStream, promises as fsp } from "fs";
+import { Transform } from "stream";
+import { pipeline } from "stream/promises";
+import { tmpdir } from "os";
+import { join } from "path";
 
 const storage = multer.memoryStorage();
 
@@ -9,3 +15,52 @@ export const upload = multer({
         fileSize: 10 * 1024 * 1024, // 10MB
     },
 });
+
+/**
+ * Multer storage engine that streams each file straight to a temp file,
+ * computing its SHA-256 and size as the bytes arrive, so memory use stays
+ * flat however large the upload is.
+ *
+ * Sets `req.file.path`, `req.file.size` and `req.file.sha256`. A file over
+ * `maxSize` fails with MulterError LIMIT_FILE_SIZE as soon as the limit is
+ * crossed (its partial file removed); once all files of the request together
+ * pass `maxTotalSize`, it fails with an error of code LIMIT_TOTAL_SIZE.
+ * Multer removes the files if the request fails later on; after a successful
+ * upload, deleting each `path` is the handler's job.
+ *
+ * @param {{ maxSize?: number, maxTotalSize?: number, directory?: string }} [options]
+ */
+export const hashingDiskStorage = ({ maxSize = Infinity, maxTotalSize = Infinity, directory = tmpdir() } = {}) => ({
+    _handleFile(req, file, cb) {
+        const path = join(directory, `luminav_upload_${randomUUID()}`);
+        const hash = createHash("sha256");
+        let size = 0;
+
+        const meter = new Transform({
+            transform(chunk, _encoding, next) {
+                size += chunk.length;
+                req.uploadedBytes = (req.uploadedBytes ?? 0) + chunk.length;
+                if (size > maxSize) return next(new multer.MulterError("LIMIT_FILE_SIZE", file.fieldname));
+                if (req.uploadedBytes > maxTotalSize) {
+                    const err = new Error("Upload exceeds the total size limit");
+                    err.code = "LIMIT_TOTAL_SIZE";
+                    return next(err);
+                }
+                hash.update(chunk);
+                next(null, chunk);
+            },
+        });
+
+        fsp.mkdir(directory, { recursive: true })
+            .then(() => pipeline(file.stream, meter, createWriteStream(path)))
+            .then(() => cb(null, { path, size, sha256: hash.digest("hex") }))
+            .catch(async (err) => {
+                await fsp.rm(path, { force: true });
+                cb(err);
+            });
+    },
+
+    _removeFile(_req, file, cb) {
+        fsp.rm(file.path, { force: true }).then(() => cb(null), cb);
+    },
+});
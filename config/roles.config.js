@@ -0,0 +1,54 @@
+// config/roles.config.js
+
+// Valid admin roles
+export const ROLES = {
+    OWNER: "owner",     // everything, including managing other admins
+    EDITOR: "editor",   // can upload and delete media
+    VIEWER: "viewer",   // read-only dashboard
+};
+
+// Fine-grained permissions checked by requirePermission()
+export const PERMISSIONS = {
+    IMAGES_WRITE: "images:write",
+    IMAGES_DELETE: "images:delete",
+    IMAGES_BULK_DELETE: "images:bulk_delete",
+    VIDEOS_WRITE: "videos:write",
+    VIDEOS_DELETE: "videos:delete",
+    CURRENT_WRITE: "current:write",
+    ADMINS_MANAGE: "admins:manage",
+    AUDIT_READ: "audit:read",
+    CATEGORIES_MANAGE: "categories:manage",
+};
+
+// Bulk deletes are owner-only so an editor account (e.g. a freelancer) can
+// never wipe a whole category in one request.
+export const ROLE_PERMISSIONS = {
+    [ROLES.OWNER]: Object.values(PERMISSIONS),
+    [ROLES.EDITOR]: [
+        PERMISSIONS.IMAGES_WRITE,
+        PERMISSIONS.IMAGES_DELETE,
+        PERMISSIONS.VIDEOS_WRITE,
+        PERMISSIONS.VIDEOS_DELETE,
+        PERMISSIONS.CURRENT_WRITE,
+    ],
+    [ROLES.VIEWER]: [],
+};
+
+// Permissions an API key may be scoped to. Admin management and the audit
+// log stay session-only — a leaked script key must never mint more keys.
+export const API_KEY_SCOPES = [
+    PERMISSIONS.IMAGES_WRITE,
+    PERMISSIONS.IMAGES_DELETE,
+    PERMISSIONS.IMAGES_BULK_DELETE,
+    PERMISSIONS.VIDEOS_WRITE,
+    PERMISSIONS.VIDEOS_DELETE,
+    PERMISSIONS.CURRENT_WRITE,
+];
+
+/**
+ * @param {string} role
+ * @param {string} permission
+ * @returns {boolean}
+ */
+export const roleHasPermission = (role, permission) =>
+    (ROLE_PERMISSIONS[role] || []).includes(permission);
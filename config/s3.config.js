@@ -2,12 +2,34 @@ import { S3Client } from "@aws-sdk/client-s3";
 
 export const BUCKET_NAME = process.env.AWS_BUCKET_NAME;
 
+// Point at an S3-compatible server (e.g. MinIO: S3_ENDPOINT=http://localhost:9000,
+// S3_FORCE_PATH_STYLE=true). Unset for AWS.
+export const S3_ENDPOINT_OPTIONS = {
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+};
+
 export const s3Client = new S3Client({
     region: process.env.AWS_REGION,
     credentials: {
         accessKeyId: process.env.AWS_ACCESS_KEY_ID ,
         secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY ,
     },
+    ...S3_ENDPOINT_OPTIONS,
+    // Default checksums get baked into presigned PUT URLs as the checksum of
+    // an empty body, so browsers' uploads to them would be rejected
+    requestChecksumCalculation: "WHEN_REQUIRED",
 });
 
-export default s3Client;
\ No newline at end of file
+/**
+ * Base URL that public object URLs stored in the DB start with:
+ * S3_PUBLIC_URL when set (CDN, MinIO), else the path-style custom endpoint,
+ * else the AWS virtual-hosted URL for `bucket` in `region`.
+ */
+export const publicBucketUrl = (bucket = BUCKET_NAME, region = process.env.AWS_REGION) => {
+    if (process.env.S3_PUBLIC_URL) return process.env.S3_PUBLIC_URL.replace(/\/+$/, "");
+    if (S3_ENDPOINT_OPTIONS.endpoint) return `${S3_ENDPOINT_OPTIONS.endpoint.replace(/\/+$/, "")}/${bucket}`;
+    return `https://${bucket}.s3.${region}.amazonaws.com`;
+};
+
+export default s3Client;
@@ -0,0 +1,32 @@
+// config/upload.config.js
+// Direct-to-S3 (presigned) uploads — see services/stagedUpload.service.js
+
+const GB = 1024 * 1024 * 1024;
+const MB = 1024 * 1024;
+
+// Accepted image types (same list as POST /api/images/upload)
+export const IMAGE_MIME_TYPES = ["image/jpeg", "image/jpg", "image/png", "image/webp", "image/gif"];
+
+// Largest file each kind may stage. Images match the multipart route; videos
+// skip the server entirely, so they may go past its 2 GB buffer limit.
+export const STAGED_MAX_BYTES = {
+    image: 50 * MB,
+    video: (parseFloat(process.env.STAGED_VIDEO_MAX_GB) || 5) * GB,
+    teaser: (parseFloat(process.env.STAGED_VIDEO_MAX_GB) || 5) * GB,
+};
+
+// How long presigned URLs stay valid, and how long a staged upload can wait
+// for POST /api/uploads/complete
+export const STAGED_UPLOAD_EXPIRY_MINUTES = parseInt(process.env.STAGED_UPLOAD_EXPIRY_MINUTES, 10) || 60;
+
+// How often expired staged uploads are cleaned up (objects, open multipart uploads)
+export const STAGED_SWEEP_INTERVAL_MINUTES = parseInt(process.env.STAGED_SWEEP_INTERVAL_MINUTES, 10) || 30;
+
+// Files above this size are uploaded in parts (S3 single PUTs top out at 5 GB,
+// and a failed part is cheaper to retry than the whole file)
+export const MULTIPART_THRESHOLD = 100 * MB;
+
+// Part size for multipart uploads, grown for huge files to stay within S3's
+// 10,000-part limit. S3 requires at least 5 MB for every part but the last.
+export const MULTIPART_PART_SIZE = 64 * MB;
+export const MULTIPART_MAX_PARTS = 10000;
@@ -0,0 +1,69 @@
+// config/video.config.js
+import { tmpdir } from "os";
+import { join } from "path";
+
+// HLS rendition ladder, highest first. Each rung is a box of shortSide ×
+// shortSide·16/9 ("1080p" is 1920×1080 for landscape, 1080×1920 for vertical
+// video) that the source is scaled down into. Rungs the source is smaller
+// than are skipped — video is never upscaled.
+// Bitrates are kbps; `maxrate` caps peaks and is what players see as BANDWIDTH.
+export const HLS_LADDER = [
+    { name: "1080p", shortSide: 1080, videoBitrate: 5000, maxrate: 5350, audioBitrate: 128 },
+    { name: "720p", shortSide: 720, videoBitrate: 2800, maxrate: 3000, audioBitrate: 128 },
+    { name: "480p", shortSide: 480, videoBitrate: 1400, maxrate: 1500, audioBitrate: 96 },
+    { name: "360p", shortSide: 360, videoBitrate: 800, maxrate: 860, audioBitrate: 96 },
+];
+
+// Segment length in seconds. Keyframes are forced on this grid in every
+// rendition so players can switch bitrate at any segment boundary.
+export const HLS_SEGMENT_SECONDS = 4;
+
+// Playlist listing every rendition — what videos.video_url points at
+export const HLS_MASTER_PLAYLIST = "master.m3u8";
+
+// Segment / playlist files uploaded to S3 at once
+export const HLS_UPLOAD_CONCURRENCY = 8;
+
+// ─── Poster frames ───────────────────────────────────────────────────────────
+
+// Where candidate posters are taken, as fractions of the duration. The first
+// two non-black frames fill thumbnail_one / thumbnail_two when no URLs were
+// given.
+export const POSTER_POSITIONS = [0.1, 0.25, 0.4, 0.55, 0.7, 0.85];
+
+// A frame whose average brightness (0-255) is below this counts as black
+// (fades, title gaps) and is retried POSTER_RETRY_STEP_SECONDS later, up to
+// POSTER_MAX_TRIES times, before the position is skipped
+export const POSTER_BLACK_THRESHOLD = 24;
+export const POSTER_RETRY_STEP_SECONDS = 1.5;
+export const POSTER_MAX_TRIES = 4;
+
+// Posters are JPEGs this wide (never upscaled)
+export const POSTER_WIDTH = 1280;
+export const POSTER_QUALITY = 82;
+
+// ─── Seek-bar previews ───────────────────────────────────────────────────────
+
+// One frame every PREVIEW_INTERVAL_SECONDS, PREVIEW_TILE_WIDTH px wide,
+// packed PREVIEW_COLUMNS × PREVIEW_ROWS to a JPEG sprite sheet and mapped to
+// time ranges by PREVIEW_TRACK (WebVTT with #xywh= fragments)
+export const PREVIEW_INTERVAL_SECONDS = parseInt(process.env.PREVIEW_INTERVAL_SECONDS, 10) || 5;
+export const PREVIEW_TILE_WIDTH = 160;
+export const PREVIEW_COLUMNS = 10;
+export const PREVIEW_ROWS = 10;
+export const PREVIEW_TRACK = "thumbnails.vtt";
+
+// ─── Transcode queue (services/transcodeJob.service.js) ──────────────────────
+
+// Jobs encoded at once. FFmpeg uses every core per job, so 1 is right for
+// small servers.
+export const TRANSCODE_CONCURRENCY = parseInt(process.env.TRANSCODE_CONCURRENCY, 10) || 1;
+
+// Runs per job before it is marked failed, and the delay before the first
+// retry (doubled for each one after)
+export const TRANSCODE_MAX_ATTEMPTS = parseInt(process.env.TRANSCODE_MAX_ATTEMPTS, 10) || 3;
+export const TRANSCODE_RETRY_DELAY_SECONDS = parseInt(process.env.TRANSCODE_RETRY_DELAY_SECONDS, 10) || 30;
+
+// Where uploaded sources wait for their job. Must survive a restart for
+// queued jobs to resume, so point it at persistent disk in production.
+export const TRANSCODE_WORK_DIR = process.env.TRANSCODE_WORK_DIR || join(tmpdir(), "luminav-transcode");
@@ -1,5 +1,144 @@
 // controller/admin.controller.js
-import { findAdminByEmail, verifyPassword } from "../services/admin.service.js";
+import {
+    findAdminByEmail,
+    verifyPassword,
+    verifyAdminPassword,
+    createAdmin,
+    listAdmins,
+    findAdminById,
+    updateAdmin,
+    updateAdminPassword,
+    deleteAdmin,
+} from "../services/admin.service.js";
+import { signAccessToken, signMfaToken, verifyMfaToken } from "../services/auth.service.js";
+import {
+    createSession,
+    rotateSession,
+    listActiveSessions,
+    revokeSession,
+    revokeAllSessions,
+    sessionFromRefreshToken,
+} from "../services/session.service.js";
+import {
+    beginLoginAttempt,
+    releaseLoginAttempt,
+    recordLoginFailure,
+    recordLoginSuccess,
+    consumeResetRequest,
+    clearLockout,
+    LOCKOUT_SCOPES,
+} from "../services/lockout.service.js";
+import { requestPasswordReset, resetPassword } from "../services/passwordReset.service.js";
+import {
+    getTwoFactorStatus,
+    beginEnrollment,
+    confirmEnrollment,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
+    verifySecondFactor,
+} from "../services/twoFactor.service.js";
+import { recordAudit, auditActor, AUDIT_ENTITIES } from "../services/audit.service.js";
+import { revokeAllApiKeys } from "../services/apiKey.service.js";
+import {
+    ACCESS_COOKIE_NAME,
+    ACCESS_COOKIE_OPTIONS,
+    REFRESH_COOKIE_NAME,
+    REFRESH_COOKIE_OPTIONS,
+} from "../config/auth.config.js";
+import { ROLES } from "../config/roles.config.js";
+
+// ─── Cookie helpers ───────────────────────────────────────────────────────────
+
+/**
+ * Sets the short-lived access cookie and the long-lived refresh cookie.
+ */
+const setSessionCookies = (res, admin, { sessionId, refreshToken }) => {
+    res.cookie(ACCESS_COOKIE_NAME, signAccessToken(admin, sessionId), ACCESS_COOKIE_OPTIONS);
+    res.cookie(REFRESH_COOKIE_NAME, refreshToken, REFRESH_COOKIE_OPTIONS);
+};
+
+/**
+ * clearCookie must receive the same path/sameSite/secure the cookie was set with
+ * (Express 5 ignores maxAge here, so the shared options can be reused as-is).
+ */
+const clearSessionCookies = (res) => {
+    res.clearCookie(ACCESS_COOKIE_NAME, ACCESS_COOKIE_OPTIONS);
+    res.clearCookie(REFRESH_COOKIE_NAME, REFRESH_COOKIE_OPTIONS);
+};
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 10;
+
+/**
+ * Passwords are trimmed at login, so new passwords are trimmed the same way
+ * before hashing — otherwise a trailing space would make them unusable.
+ */
+const normalizePassword = (password) => (typeof password === "string" ? password.trim() : "");
+
+/**
+ * Returns an error message for a (normalized) password that fails the policy, or null.
+ */
+const validateNewPassword = (password) => {
+    if (password.length < MIN_PASSWORD_LENGTH) {
+        return `Password must be at least ${MIN_PASSWORD_LENGTH} characters.`;
+    }
+    if (Buffer.byteLength(password, "utf8") > 72) {
+        // bcrypt ignores anything past 72 bytes (non-ASCII characters take 2-4)
+        return "Password must be at most 72 bytes (72 ASCII characters, fewer with accents or emoji).";
+    }
+    return null;
+};
+
+const parseAdminId = (req) => {
+    const id = parseInt(req.params.id, 10);
+    return Number.isNaN(id) ? null : id;
+};
+
+const requestContext = (req) => ({
+    userAgent: req.get("user-agent"),
+    ip: req.ip,
+});
+
+/**
+ * Records an admin / auth event. The actor defaults to req.admin; pass
+ * `admin` for events before a session exists (null = anonymous).
+ */
+const audit = (req, action, { admin, entityType = AUDIT_ENTITIES.ADMIN, entityId = null, before, after } = {}) =>
+    recordAudit({ actor: auditActor(req, admin), action, entityType, entityId, before, after });
+
+const sendTooManyAttempts = (res, retryAfter) => {
+    res.set("Retry-After", String(retryAfter));
+    return res.status(429).json({
+        message: "Too many login attempts. Try again later.",
+        retryAfter,
+    });
+};
+
+/**
+ * Final step shared by password-only and password + 2FA logins:
+ * resets the lockout counter, opens a session and sets the cookies.
+ */
+const completeLogin = async (req, res, admin, method) => {
+    await recordLoginSuccess({ email: admin.email, ip: req.ip });
+
+    const session = await createSession({ adminId: admin.id, ...requestContext(req) });
+    setSessionCookies(res, admin, session);
+
+    await audit(req, "admin.login", {
+        admin,
+        entityId: admin.id,
+        after: { sessionId: session.sessionId, method },
+    });
+
+    return res.status(200).json({
+        message: "Logged in successfully.",
+        admin: {
+            id: admin.id,
+            email: admin.email,
+            role: admin.role,
+        },
+    });
+};
 
 // ─── POST /api/admin/login ────────────────────────────────────────────────────
 
@@ -12,10 +151,20 @@ import { findAdminByEmail, verifyPassword } from "../services/admin.service.js";
  *   timing is identical for "wrong email" and "wrong password" — prevents
  *   email enumeration via timing attacks.
  * - Input is trimmed and lowercased before hitting the DB.
+ * - Failed attempts are counted per email and per IP (lockout.service.js).
+ *   Repeated failures add an exponential delay and then a temporary lockout.
+ *   Each attempt is counted before the admin lookup, so a 429 looks the same
+ *   whether or not the email exists, and parallel guesses can't all slip
+ *   under the threshold.
+ * - On success a new admin_sessions row is opened and two httpOnly cookies are
+ *   set: a short-lived access JWT and a long-lived refresh token. Neither token
+ *   is placed in the response body, so page scripts cannot read them.
  *
- * 200 → { message, admin: { id, email } }
+ * 200 → { message, admin: { id, email, role } }  (+ Set-Cookie)
+ * 200 → { message, mfaRequired: true, mfaToken }  when 2FA is enabled — no session yet
  * 400 → missing fields
- * 401 → wrong email or password
+ * 401 → wrong email or password, or account disabled
+ * 429 → too many failed attempts (Retry-After header, seconds)
  * 500 → unexpected server error
  */
 export const adminLogin = async (req, res) => {
@@ -37,36 +186,824 @@ export const adminLogin = async (req, res) => {
         }
 
         // Basic email shape check — stops obviously malformed input reaching the DB
-        const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
         if (!EMAIL_RE.test(email)) {
             return res.status(400).json({ message: "Enter a valid email address." });
         }
 
-        // ── 3. Look up admin ──────────────────────────────────────────────────
+        // ── 3. Brute-force throttle ───────────────────────────────────────────
+        const throttle = await beginLoginAttempt({ email, ip: req.ip });
+        if (!throttle.allowed) return sendTooManyAttempts(res, throttle.retryAfter);
+
+        // ── 4. Look up admin ──────────────────────────────────────────────────
         const admin = await findAdminByEmail(email);
 
-        // ── 4. Verify password (always runs — timing-safe) ────────────────────
+        // ── 5. Verify password (always runs — timing-safe) ────────────────────
         //    Pass admin?.password (possibly undefined) to verifyPassword.
         //    The service uses a dummy hash when undefined so timing is identical.
         const isMatch = await verifyPassword(password, admin?.password);
 
-        // ── 5. Unified failure response ───────────────────────────────────────
-        //    Deliberately the same message for "no such email" and "wrong password".
-        if (!admin || !isMatch) {
+        // ── 6. Unified failure response ───────────────────────────────────────
+        //    Deliberately the same message for "no such email", "wrong password"
+        //    and "account disabled".
+        if (!admin || !isMatch || !admin.is_active) {
+            await recordLoginFailure({ email, ip: req.ip });
+            await audit(req, "admin.login_failed", {
+                admin: null,
+                entityId: admin?.id ?? null,
+                after: {
+                    email,
+                    reason: !admin ? "unknown_email" : !isMatch ? "wrong_password" : "disabled",
+                },
+            });
             return res.status(401).json({ message: "Invalid credentials." });
         }
 
-        // ── 6. Success ────────────────────────────────────────────────────────
+        // ── 7. Second factor ──────────────────────────────────────────────────
+        //    With 2FA on, the password alone issues no session — only a
+        //    short-lived challenge token for POST /api/admin/login/verify.
+        //    The lockout counter is NOT reset yet, so OTP guesses keep counting;
+        //    only this attempt is handed back, as the password was right.
+        if (admin.totp_enabled_at) {
+            await releaseLoginAttempt({ email, ip: req.ip });
+            return res.status(200).json({
+                message: "Enter the code from your authenticator app.",
+                mfaRequired: true,
+                mfaToken: signMfaToken(admin),
+            });
+        }
+
+        // ── 8. Issue session ──────────────────────────────────────────────────
+        return await completeLogin(req, res, admin, "password");
+
+    } catch (err) {
+        console.error("[adminLogin] Unexpected error:", err);
+        return res.status(500).json({ message: "An unexpected error occurred. Please try again." });
+    }
+};
+
+// ─── POST /api/admin/login/verify ─────────────────────────────────────────────
+
+/**
+ * Second step of a 2FA login: exchanges the mfaToken from POST /login plus a
+ * TOTP code (or a one-time recovery code) for a session.
+ *
+ * Failed codes count towards the same per-email / per-IP lockout as
+ * passwords, so the 6-digit space can't be brute-forced.
+ *
+ * Body (JSON): { mfaToken, code } or { mfaToken, recoveryCode }
+ *
+ * 200 → { message, admin: { id, email, role } }  (+ Set-Cookie)
+ * 400 → missing fields
+ * 401 → expired challenge or invalid code
+ * 429 → too many failed attempts (Retry-After header, seconds)
+ */
+export const verifyLoginSecondFactor = async (req, res) => {
+    try {
+        const { mfaToken, code, recoveryCode } = req.body ?? {};
+
+        if (!mfaToken || (!code && !recoveryCode)) {
+            return res.status(400).json({ message: "A code or recovery code is required." });
+        }
+
+        const challenge = verifyMfaToken(mfaToken);
+        if (!challenge) {
+            return res.status(401).json({ message: "Your login attempt expired. Please log in again." });
+        }
+
+        const admin = await findAdminById(challenge.sub);
+        if (!admin || !admin.isActive || !admin.twoFactorEnabled) {
+            return res.status(401).json({ message: "Your login attempt expired. Please log in again." });
+        }
+
+        const throttle = await beginLoginAttempt({ email: admin.email, ip: req.ip });
+        if (!throttle.allowed) return sendTooManyAttempts(res, throttle.retryAfter);
+
+        const result = await verifySecondFactor(admin.id, {
+            code: code ? String(code) : undefined,
+            recoveryCode: recoveryCode ? String(recoveryCode) : undefined,
+        });
+
+        if (!result.ok) {
+            await recordLoginFailure({ email: admin.email, ip: req.ip });
+            await audit(req, "admin.login_failed", {
+                admin: null,
+                entityId: admin.id,
+                after: { email: admin.email, reason: "wrong_second_factor" },
+            });
+            return res.status(401).json({ message: "Invalid authentication code." });
+        }
+
+        return await completeLogin(req, res, admin, result.method);
+    } catch (err) {
+        console.error("[verifyLoginSecondFactor] Unexpected error:", err);
+        return res.status(500).json({ message: "An unexpected error occurred. Please try again." });
+    }
+};
+
+// ─── GET /api/admin/me ────────────────────────────────────────────────────────
+
+/**
+ * Returns the admin attached by requireAdmin.
+ * Lets the dashboard check on load whether its session cookie is still valid.
+ *
+ * 200 → { admin: { id, email, role } }
+ * 401 → no / invalid session (handled by requireAdmin)
+ */
+export const getCurrentAdmin = (req, res) => {
+    return res.status(200).json({ admin: req.admin });
+};
+
+// ─── POST /api/admin/refresh ──────────────────────────────────────────────────
+
+/**
+ * Rotates the refresh cookie and issues a fresh access cookie.
+ *
+ * Every refresh invalidates the previous refresh token. Presenting an old one
+ * again is treated as theft: the whole session is revoked.
+ *
+ * 200 → { message, admin: { id, email, role } }  (+ Set-Cookie ×2)
+ * 401 → missing / expired / revoked / reused refresh token
+ * 409 → concurrent refresh from another tab — retry with the new cookie
+ */
+export const refreshSession = async (req, res) => {
+    try {
+        const { admin, sessionId, refreshToken } = await rotateSession(
+            req.cookies?.[REFRESH_COOKIE_NAME],
+            requestContext(req)
+        );
+
+        setSessionCookies(res, admin, { sessionId, refreshToken });
+
+        return res.status(200).json({
+            message: "Session refreshed.",
+            admin: { id: admin.id, email: admin.email, role: admin.role },
+        });
+    } catch (err) {
+        if (err.code === "REFRESH_RACE") {
+            return res.status(409).json({ message: err.message });
+        }
+        if (err.code === "INVALID_REFRESH" || err.code === "REFRESH_REUSED") {
+            clearSessionCookies(res);
+            return res.status(401).json({ message: err.message });
+        }
+
+        console.error("[refreshSession] Unexpected error:", err);
+        return res.status(500).json({ message: "An unexpected error occurred. Please try again." });
+    }
+};
+
+// ─── POST /api/admin/logout ───────────────────────────────────────────────────
+
+/**
+ * Revokes the current session and clears both cookies.
+ * Always succeeds — logging out without a session is not an error.
+ *
+ * The session is identified from the refresh cookie, so logout still works
+ * after the access token has expired.
+ *
+ * 200 → { message }
+ */
+export const adminLogout = async (req, res) => {
+    try {
+        const session = sessionFromRefreshToken(req.cookies?.[REFRESH_COOKIE_NAME]);
+
+        if (session) {
+            const revoked = await revokeSession({ ...session, reason: "logout" });
+            if (revoked) {
+                await audit(req, "admin.logout", {
+                    admin: { id: session.adminId },
+                    entityType: AUDIT_ENTITIES.SESSION,
+                    entityId: session.sessionId,
+                });
+            }
+        }
+    } catch (err) {
+        // Still clear cookies — the client asked to be logged out
+        console.error("[adminLogout] Failed to revoke session:", err);
+    }
+
+    clearSessionCookies(res);
+    return res.status(200).json({ message: "Logged out successfully." });
+};
+
+// ─── GET /api/admin/sessions ──────────────────────────────────────────────────
+
+/**
+ * Lists the current admin's active sessions (device, IP, last seen).
+ * The session making the request is flagged with `current: true`.
+ *
+ * 200 → { sessions: [{ id, device, userAgent, ip, createdAt, lastSeenAt, expiresAt, current }] }
+ */
+export const getSessions = async (req, res) => {
+    try {
+        const sessions = await listActiveSessions(req.admin.id, req.sessionId);
+        return res.status(200).json({ sessions });
+    } catch (err) {
+        console.error("[getSessions] Unexpected error:", err);
+        return res.status(500).json({ message: "Failed to fetch sessions." });
+    }
+};
+
+// ─── DELETE /api/admin/sessions/:id ───────────────────────────────────────────
+
+/**
+ * Revokes one of the current admin's sessions, e.g. a lost laptop.
+ * Revoking the current session also clears the caller's cookies.
+ *
+ * 200 → { message }
+ * 404 → no active session with that id for this admin
+ */
+export const deleteSession = async (req, res) => {
+    try {
+        const revoked = await revokeSession({
+            adminId: req.admin.id,
+            sessionId: req.params.id,
+        });
+
+        if (!revoked) {
+            return res.status(404).json({ message: "Session not found." });
+        }
+
+        if (req.params.id === req.sessionId) clearSessionCookies(res);
+
+        await audit(req, "session.revoke", {
+            entityType: AUDIT_ENTITIES.SESSION,
+            entityId: req.params.id,
+        });
+
+        return res.status(200).json({ message: "Session revoked." });
+    } catch (err) {
+        console.error("[deleteSession] Unexpected error:", err);
+        return res.status(500).json({ message: "Failed to revoke session." });
+    }
+};
+
+// ─── DELETE /api/admin/sessions ───────────────────────────────────────────────
+
+/**
+ * Revokes all of the current admin's sessions.
+ * Pass `?exceptCurrent=true` to stay signed in on this device.
+ *
+ * 200 → { message, revoked: number }
+ */
+export const deleteAllSessions = async (req, res) => {
+    try {
+        const keepCurrent = req.query.exceptCurrent === "true";
+
+        const revoked = await revokeAllSessions({
+            adminId: req.admin.id,
+            exceptSessionId: keepCurrent ? req.sessionId : null,
+        });
+
+        if (!keepCurrent) clearSessionCookies(res);
+
+        await audit(req, "session.revoke_all", {
+            entityId: req.admin.id,
+            after: { revoked, exceptCurrent: keepCurrent },
+        });
+
         return res.status(200).json({
-            message: "Logged in successfully.",
-            admin: {
-                id: admin.id,
-                email: admin.email,
-            },
+            message: keepCurrent ? "All other sessions revoked." : "All sessions revoked.",
+            revoked,
         });
+    } catch (err) {
+        console.error("[deleteAllSessions] Unexpected error:", err);
+        return res.status(500).json({ message: "Failed to revoke sessions." });
+    }
+};
 
+// ─── PUT /api/admin/password ──────────────────────────────────────────────────
+
+/**
+ * Changes the current admin's own password.
+ * Requires the current password; all OTHER sessions are revoked so a
+ * compromised device is signed out.
+ *
+ * Body (JSON): { currentPassword, newPassword }
+ *
+ * 200 → { message }
+ * 400 → missing fields / password policy
+ * 401 → current password wrong
+ */
+export const changeOwnPassword = async (req, res) => {
+    try {
+        const currentPassword = normalizePassword(req.body?.currentPassword);
+        const newPassword = normalizePassword(req.body?.newPassword);
+
+        if (!currentPassword || !newPassword) {
+            return res.status(400).json({ message: "Current and new password are required." });
+        }
+
+        const policyError = validateNewPassword(newPassword);
+        if (policyError) return res.status(400).json({ message: policyError });
+
+        const isMatch = await verifyAdminPassword(req.admin.id, currentPassword);
+        if (!isMatch) {
+            return res.status(401).json({ message: "Current password is incorrect." });
+        }
+
+        await updateAdminPassword(req.admin.id, newPassword);
+        await revokeAllSessions({
+            adminId: req.admin.id,
+            exceptSessionId: req.sessionId,
+            reason: "password_changed",
+        });
+        await audit(req, "admin.password_change", { entityId: req.admin.id });
+
+        return res.status(200).json({ message: "Password updated. Other sessions were signed out." });
     } catch (err) {
-        console.error("[adminLogin] Unexpected error:", err);
+        console.error("[changeOwnPassword] Unexpected error:", err);
+        return res.status(500).json({ message: "Failed to update password." });
+    }
+};
+
+// ─── GET /api/admin/users ─────────────────────────────────────────────────────
+
+/**
+ * Lists all admins (owner only).
+ *
+ * 200 → { users: [{ id, email, role, isActive, disabledAt, passwordChangedAt, lastLoginAt }] }
+ */
+export const getAdminUsers = async (_req, res) => {
+    try {
+        const users = await listAdmins();
+        return res.status(200).json({ users });
+    } catch (err) {
+        console.error("[getAdminUsers] Unexpected error:", err);
+        return res.status(500).json({ message: "Failed to fetch admins." });
+    }
+};
+
+// ─── POST /api/admin/users ────────────────────────────────────────────────────
+
+/**
+ * Creates a new admin (owner only).
+ *
+ * Body (JSON): { email, password, role? }   role defaults to "editor"
+ *
+ * 201 → { message, user: { id, email, role, isActive } }
+ * 400 → invalid email / role / password
+ * 409 → email already in use
+ */
+export const createAdminUser = async (req, res) => {
+    try {
+        const email = String(req.body?.email ?? "").trim().toLowerCase();
+        const password = normalizePassword(req.body?.password);
+        const role = req.body?.role ?? ROLES.EDITOR;
+
+        if (!EMAIL_RE.test(email)) {
+            return res.status(400).json({ message: "Enter a valid email address." });
+        }
+        if (!Object.values(ROLES).includes(role)) {
+            return res.status(400).json({
+                message: `Invalid role. Valid roles are: ${Object.values(ROLES).join(", ")}`,
+            });
+        }
+        const policyError = validateNewPassword(password);
+        if (policyError) return res.status(400).json({ message: policyError });
+
+        const user = await createAdmin(email, password, role);
+        await audit(req, "admin.create", { entityId: user.id, after: user });
+
+        return res.status(201).json({ message: "Admin created.", user });
+    } catch (err) {
+        if (err.code === "ALREADY_EXISTS") {
+            return res.status(409).json({ message: err.message });
+        }
+        console.error("[createAdminUser] Unexpected error:", err);
+        return res.status(500).json({ message: "Failed to create admin." });
+    }
+};
+
+// ─── PATCH /api/admin/users/:id ───────────────────────────────────────────────
+
+/**
+ * Changes an admin's role and/or disables / re-enables them (owner only).
+ * Disabling revokes all of that admin's sessions and API keys.
+ * Owners cannot demote or disable themselves, and the last active owner
+ * can never be demoted or disabled.
+ *
+ * Body (JSON): { role?, isActive? }
+ *
+ * 200 → { message, user }
+ * 400 → nothing to update / invalid role / acting on yourself
+ * 404 → admin not found
+ * 409 → would leave no active owner
+ */
+export const updateAdminUser = async (req, res) => {
+    try {
+        const id = parseAdminId(req);
+        if (id === null) return res.status(400).json({ message: "Invalid admin ID." });
+
+        const { role, isActive } = req.body ?? {};
+
+        if (role === undefined && isActive === undefined) {
+            return res.status(400).json({ message: "Provide a role or isActive to update." });
+        }
+        if (role !== undefined && !Object.values(ROLES).includes(role)) {
+            return res.status(400).json({
+                message: `Invalid role. Valid roles are: ${Object.values(ROLES).join(", ")}`,
+            });
+        }
+        if (isActive !== undefined && typeof isActive !== "boolean") {
+            return res.status(400).json({ message: "isActive must be a boolean." });
+        }
+        if (id === req.admin.id) {
+            return res.status(400).json({ message: "You cannot change your own role or status." });
+        }
+
+        const before = await findAdminById(id);
+        if (!before) {
+            return res.status(404).json({ message: "Admin not found." });
+        }
+
+        // Role and status change together or not at all (LAST_OWNER rolls back both)
+        const user = await updateAdmin(id, { role, isActive });
+        if (!user) {
+            return res.status(404).json({ message: "Admin not found." });
+        }
+        if (isActive === false) {
+            await revokeAllSessions({ adminId: id, reason: "admin_disabled" });
+            await revokeAllApiKeys(id); // re-enabling must not bring old keys back
+        }
+
+        await audit(req, "admin.update", { entityId: id, before, after: user });
+
+        return res.status(200).json({ message: "Admin updated.", user });
+    } catch (err) {
+        if (err.code === "LAST_OWNER") {
+            return res.status(409).json({ message: err.message });
+        }
+        console.error("[updateAdminUser] Unexpected error:", err);
+        return res.status(500).json({ message: "Failed to update admin." });
+    }
+};
+
+// ─── PUT /api/admin/users/:id/password ────────────────────────────────────────
+
+/**
+ * Sets another admin's password (owner only) and signs them out everywhere.
+ * Use PUT /api/admin/password to change your own.
+ *
+ * Body (JSON): { password }
+ *
+ * 200 → { message }
+ * 400 → password policy
+ * 404 → admin not found
+ */
+export const setAdminUserPassword = async (req, res) => {
+    try {
+        const id = parseAdminId(req);
+        if (id === null) return res.status(400).json({ message: "Invalid admin ID." });
+
+        const password = normalizePassword(req.body?.password);
+        const policyError = validateNewPassword(password);
+        if (policyError) return res.status(400).json({ message: policyError });
+
+        const updated = await updateAdminPassword(id, password);
+        if (!updated) return res.status(404).json({ message: "Admin not found." });
+
+        await revokeAllSessions({ adminId: id, reason: "password_reset_by_owner" });
+        await audit(req, "admin.password_set", { entityId: id });
+
+        return res.status(200).json({ message: "Password updated. The admin was signed out everywhere." });
+    } catch (err) {
+        console.error("[setAdminUserPassword] Unexpected error:", err);
+        return res.status(500).json({ message: "Failed to update password." });
+    }
+};
+
+// ─── DELETE /api/admin/users/:id ──────────────────────────────────────────────
+
+/**
+ * Permanently deletes an admin and their sessions (owner only).
+ * Prefer disabling (PATCH isActive: false) when the account may come back.
+ *
+ * 200 → { message, id }
+ * 400 → deleting yourself
+ * 404 → admin not found
+ * 409 → would leave no active owner
+ */
+export const deleteAdminUser = async (req, res) => {
+    try {
+        const id = parseAdminId(req);
+        if (id === null) return res.status(400).json({ message: "Invalid admin ID." });
+
+        if (id === req.admin.id) {
+            return res.status(400).json({ message: "You cannot delete your own account." });
+        }
+
+        const before = await findAdminById(id);
+        const deleted = await deleteAdmin(id);
+        if (!deleted) return res.status(404).json({ message: "Admin not found." });
+
+        await revokeAllApiKeys(id);
+        await audit(req, "admin.delete", { entityId: id, before });
+
+        return res.status(200).json({ message: "Admin deleted.", id });
+    } catch (err) {
+        if (err.code === "LAST_OWNER") {
+            return res.status(409).json({ message: err.message });
+        }
+        console.error("[deleteAdminUser] Unexpected error:", err);
+        return res.status(500).json({ message: "Failed to delete admin." });
+    }
+};
+
+// ─── POST /api/admin/users/:id/unlock ─────────────────────────────────────────
+
+/**
+ * Clears the login lockout for an admin's email (owner only).
+ * Optionally also clears an IP lockout, e.g. the office IP after a typo storm.
+ *
+ * Body (JSON, optional): { ip }
+ *
+ * 200 → { message }
+ * 404 → admin not found
+ */
+export const unlockAdminUser = async (req, res) => {
+    try {
+        const id = parseAdminId(req);
+        if (id === null) return res.status(400).json({ message: "Invalid admin ID." });
+
+        const admin = await findAdminById(id);
+        if (!admin) return res.status(404).json({ message: "Admin not found." });
+
+        await clearLockout(LOCKOUT_SCOPES.EMAIL, admin.email);
+        if (req.body?.ip) {
+            await clearLockout(LOCKOUT_SCOPES.IP, String(req.body.ip).trim());
+        }
+        await audit(req, "admin.unlock", {
+            entityId: id,
+            after: { email: admin.email, ip: req.body?.ip ? String(req.body.ip).trim() : null },
+        });
+
+        return res.status(200).json({ message: "Login lockout cleared." });
+    } catch (err) {
+        console.error("[unlockAdminUser] Unexpected error:", err);
+        return res.status(500).json({ message: "Failed to clear lockout." });
+    }
+};
+
+// ─── POST /api/admin/forgot-password ──────────────────────────────────────────
+
+/**
+ * Emails a single-use reset link if the address belongs to an active admin.
+ * The response is identical either way, and is sent before the admin lookup
+ * (the token and email are handled in the background), so neither its body
+ * nor its timing can be used to probe emails.
+ *
+ * Requests are throttled per email and per IP (lockout.service.js), counted
+ * for unknown emails too.
+ *
+ * Body (JSON): { email }
+ *
+ * 200 → { message }
+ * 400 → missing / malformed email
+ * 429 → too many requests for this email or IP (Retry-After header, seconds)
+ */
+export const forgotPassword = async (req, res) => {
+    try {
+        const email = String(req.body?.email ?? "").trim().toLowerCase();
+
+        if (!EMAIL_RE.test(email)) {
+            return res.status(400).json({ message: "Enter a valid email address." });
+        }
+
+        const { allowed, retryAfter } = await consumeResetRequest({ email, ip: req.ip });
+        if (!allowed) {
+            res.set("Retry-After", String(retryAfter));
+            return res.status(429).json({
+                message: "Too many reset requests. Try again later.",
+                retryAfter,
+            });
+        }
+
+        requestPasswordReset({ email, ip: req.ip });
+
+        return res.status(200).json({
+            message: "If that email belongs to an admin, a reset link has been sent.",
+        });
+    } catch (err) {
+        console.error("[forgotPassword] Unexpected error:", err);
+        return res.status(500).json({ message: "An unexpected error occurred. Please try again." });
+    }
+};
+
+// ─── POST /api/admin/reset-password ───────────────────────────────────────────
+
+/**
+ * Sets a new password using the token from the reset email.
+ * Signs the admin out of every session.
+ *
+ * Body (JSON): { token, password }
+ *
+ * 200 → { message }
+ * 400 → missing token / password policy / invalid or expired token
+ */
+export const resetPasswordWithToken = async (req, res) => {
+    try {
+        const token = req.body?.token;
+        const password = normalizePassword(req.body?.password);
+
+        if (!token) {
+            return res.status(400).json({ message: "Reset token is required." });
+        }
+
+        const policyError = validateNewPassword(password);
+        if (policyError) return res.status(400).json({ message: policyError });
+
+        const { adminId } = await resetPassword({ token, password });
+        await audit(req, "admin.password_reset", { admin: { id: adminId }, entityId: adminId });
+
+        return res.status(200).json({ message: "Password reset. Please log in with your new password." });
+    } catch (err) {
+        if (err.code === "INVALID_TOKEN") {
+            return res.status(400).json({ message: err.message });
+        }
+        console.error("[resetPasswordWithToken] Unexpected error:", err);
         return res.status(500).json({ message: "An unexpected error occurred. Please try again." });
     }
-};
\ No newline at end of file
+};
+
+// ─── GET /api/admin/2fa ───────────────────────────────────────────────────────
+
+/**
+ * 200 → { enabled, enabledAt, recoveryCodesRemaining }
+ */
+export const getTwoFactor = async (req, res) => {
+    try {
+        return res.status(200).json(await getTwoFactorStatus(req.admin.id));
+    } catch (err) {
+        console.error("[getTwoFactor] Unexpected error:", err);
+        return res.status(500).json({ message: "Failed to fetch two-factor status." });
+    }
+};
+
+// ─── POST /api/admin/2fa/setup ────────────────────────────────────────────────
+
+/**
+ * Starts TOTP enrollment. Returns the secret and an otpauth:// URI for the
+ * dashboard to render as a QR code. Nothing changes for login until
+ * POST /2fa/enable confirms a code.
+ *
+ * 200 → { secret, otpauthUri }
+ * 409 → already enabled
+ */
+export const setupTwoFactor = async (req, res) => {
+    try {
+        const enrollment = await beginEnrollment(req.admin);
+        return res.status(200).json(enrollment);
+    } catch (err) {
+        if (err.code === "ALREADY_ENABLED") {
+            return res.status(409).json({ message: err.message });
+        }
+        console.error("[setupTwoFactor] Unexpected error:", err);
+        return res.status(500).json({ message: "Failed to start two-factor setup." });
+    }
+};
+
+// ─── POST /api/admin/2fa/enable ───────────────────────────────────────────────
+
+/**
+ * Confirms enrollment with a code from the authenticator app and returns
+ * one-time recovery codes (shown once — store them offline).
+ *
+ * Body (JSON): { code }
+ *
+ * 200 → { message, recoveryCodes: string[] }
+ * 400 → missing / invalid code, or setup not started
+ * 409 → already enabled
+ */
+export const enableTwoFactor = async (req, res) => {
+    try {
+        if (!req.body?.code) {
+            return res.status(400).json({ message: "Authentication code is required." });
+        }
+
+        const { recoveryCodes } = await confirmEnrollment(req.admin.id, String(req.body.code));
+        await audit(req, "admin.2fa_enable", { entityId: req.admin.id });
+
+        return res.status(200).json({
+            message: "Two-factor authentication enabled. Save these recovery codes somewhere safe.",
+            recoveryCodes,
+        });
+    } catch (err) {
+        if (err.code === "INVALID_CODE" || err.code === "NOT_PENDING") {
+            return res.status(400).json({ message: err.message });
+        }
+        if (err.code === "ALREADY_ENABLED") {
+            return res.status(409).json({ message: err.message });
+        }
+        console.error("[enableTwoFactor] Unexpected error:", err);
+        return res.status(500).json({ message: "Failed to enable two-factor authentication." });
+    }
+};
+
+// ─── POST /api/admin/2fa/disable ──────────────────────────────────────────────
+
+/**
+ * Turns 2FA off. Requires the password AND a current code (or recovery code),
+ * so a hijacked session alone can't remove the second factor.
+ *
+ * Body (JSON): { password, code } or { password, recoveryCode }
+ *
+ * 200 → { message }
+ * 400 → missing fields
+ * 401 → wrong password or code
+ */
+export const turnOffTwoFactor = async (req, res) => {
+    try {
+        const password = normalizePassword(req.body?.password);
+        const { code, recoveryCode } = req.body ?? {};
+
+        if (!password || (!code && !recoveryCode)) {
+            return res.status(400).json({ message: "Password and a code or recovery code are required." });
+        }
+
+        const passwordOk = await verifyAdminPassword(req.admin.id, password);
+        const factor = passwordOk
+            ? await verifySecondFactor(req.admin.id, {
+                code: code ? String(code) : undefined,
+                recoveryCode: recoveryCode ? String(recoveryCode) : undefined,
+            })
+            : { ok: false };
+
+        if (!passwordOk || !factor.ok) {
+            return res.status(401).json({ message: "Invalid password or authentication code." });
+        }
+
+        await disableTwoFactor(req.admin.id);
+        await audit(req, "admin.2fa_disable", { entityId: req.admin.id, after: { method: factor.method } });
+
+        return res.status(200).json({ message: "Two-factor authentication disabled." });
+    } catch (err) {
+        console.error("[turnOffTwoFactor] Unexpected error:", err);
+        return res.status(500).json({ message: "Failed to disable two-factor authentication." });
+    }
+};
+
+// ─── POST /api/admin/2fa/recovery-codes ───────────────────────────────────────
+
+/**
+ * Replaces all recovery codes with a new set. Requires the password.
+ *
+ * Body (JSON): { password }
+ *
+ * 200 → { message, recoveryCodes: string[] }
+ * 400 → 2FA not enabled
+ * 401 → wrong password
+ */
+export const newRecoveryCodes = async (req, res) => {
+    try {
+        const password = normalizePassword(req.body?.password);
+
+        if (!password || !(await verifyAdminPassword(req.admin.id, password))) {
+            return res.status(401).json({ message: "Invalid password." });
+        }
+
+        const { recoveryCodes } = await regenerateRecoveryCodes(req.admin.id);
+        await audit(req, "admin.recovery_codes_regenerate", { entityId: req.admin.id });
+
+        return res.status(200).json({
+            message: "New recovery codes generated. The old ones no longer work.",
+            recoveryCodes,
+        });
+    } catch (err) {
+        if (err.code === "NOT_ENABLED") {
+            return res.status(400).json({ message: err.message });
+        }
+        console.error("[newRecoveryCodes] Unexpected error:", err);
+        return res.status(500).json({ message: "Failed to generate recovery codes." });
+    }
+};
+
+// ─── DELETE /api/admin/users/:id/2fa ──────────────────────────────────────────
+
+/**
+ * Removes another admin's 2FA, e.g. after a lost phone with no recovery
+ * codes (owner only). The admin is signed out everywhere and can re-enroll
+ * after logging in with their password.
+ *
+ * 200 → { message }
+ * 404 → admin not found or 2FA not enabled
+ */
+export const resetAdminUserTwoFactor = async (req, res) => {
+    try {
+        const id = parseAdminId(req);
+        if (id === null) return res.status(400).json({ message: "Invalid admin ID." });
+
+        const removed = await disableTwoFactor(id);
+        if (!removed) {
+            return res.status(404).json({ message: "Admin not found or two-factor authentication not enabled." });
+        }
+
+        await revokeAllSessions({ adminId: id, reason: "2fa_reset_by_owner" });
+        await audit(req, "admin.2fa_reset", { entityId: id });
+
+        return res.status(200).json({ message: "Two-factor authentication removed for this admin." });
+    } catch (err) {
+        console.error("[resetAdminUserTwoFactor] Unexpected error:", err);
+        return res.status(500).json({ message: "Failed to reset two-factor authentication." });
+    }
+};
@@ -0,0 +1,128 @@
+// controller/apiKey.controller.js
+import {
+    createApiKey,
+    listApiKeys,
+    findApiKeyById,
+    revokeApiKey,
+} from "../services/apiKey.service.js";
+import { recordAudit, auditActor, AUDIT_ENTITIES } from "../services/audit.service.js";
+import { API_KEY_SCOPES, PERMISSIONS, roleHasPermission } from "../config/roles.config.js";
+
+const MAX_NAME_LENGTH = 100;
+
+/** Owners see and revoke everyone's keys; other admins only their own. */
+const canManageAllKeys = (admin) => roleHasPermission(admin.role, PERMISSIONS.ADMINS_MANAGE);
+
+// ─── GET /api/admin/api-keys ──────────────────────────────────────────────────
+
+/**
+ * Lists active API keys — all of them for owners, otherwise the caller's own.
+ * The secret part of a key is never returned, only its prefix.
+ *
+ * 200 → { keys: [{ id, adminId, adminEmail, name, prefix, scopes, createdAt,
+ *                  expiresAt, lastUsedAt, lastUsedIp }], availableScopes: string[] }
+ */
+export const getApiKeys = async (req, res) => {
+    try {
+        const keys = await listApiKeys(canManageAllKeys(req.admin) ? {} : { adminId: req.admin.id });
+
+        return res.status(200).json({
+            keys,
+            availableScopes: API_KEY_SCOPES.filter((scope) => roleHasPermission(req.admin.role, scope)),
+        });
+    } catch (err) {
+        console.error("[getApiKeys] Unexpected error:", err);
+        return res.status(500).json({ message: "Failed to fetch API keys." });
+    }
+};
+
+// ─── POST /api/admin/api-keys ─────────────────────────────────────────────────
+
+/**
+ * Mints an API key acting as the caller, limited to `scopes` (which must be a
+ * subset of the caller's own role permissions).
+ *
+ * Body (JSON): { name, scopes: string[], expiresAt?: ISO date }
+ *
+ * 201 → { message, apiKey: "lmv_...", key }   apiKey is shown once — store it now
+ * 400 → missing name / invalid scopes / expiry in the past / too many keys
+ */
+export const createApiKeyForAdmin = async (req, res) => {
+    try {
+        const name = String(req.body?.name ?? "").trim();
+        const { scopes, expiresAt: rawExpiresAt } = req.body ?? {};
+
+        if (!name || name.length > MAX_NAME_LENGTH) {
+            return res.status(400).json({ message: `Name is required (max ${MAX_NAME_LENGTH} characters).` });
+        }
+        if (!Array.isArray(scopes) || scopes.some((scope) => typeof scope !== "string")) {
+            return res.status(400).json({ message: "scopes must be an array of strings." });
+        }
+
+        let expiresAt = null;
+        if (rawExpiresAt !== undefined && rawExpiresAt !== null) {
+            expiresAt = new Date(rawExpiresAt);
+            if (Number.isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+                return res.status(400).json({ message: "expiresAt must be a future ISO date." });
+            }
+        }
+
+        const { apiKey, key } = await createApiKey({ admin: req.admin, name, scopes, expiresAt });
+
+        await recordAudit({
+            actor: auditActor(req),
+            action: "api_key.create",
+            entityType: AUDIT_ENTITIES.API_KEY,
+            entityId: key.id,
+            after: key,
+        });
+
+        return res.status(201).json({
+            message: "API key created. Copy it now — it won't be shown again.",
+            apiKey,
+            key,
+        });
+    } catch (err) {
+        if (err.code === "INVALID_SCOPES" || err.code === "TOO_MANY_KEYS") {
+            return res.status(400).json({ message: err.message });
+        }
+        console.error("[createApiKeyForAdmin] Unexpected error:", err);
+        return res.status(500).json({ message: "Failed to create API key." });
+    }
+};
+
+// ─── DELETE /api/admin/api-keys/:id ───────────────────────────────────────────
+
+/**
+ * Revokes an API key immediately.
+ *
+ * 200 → { message }
+ * 404 → no active key with that id (or not yours)
+ */
+export const deleteApiKey = async (req, res) => {
+    try {
+        const id = parseInt(req.params.id, 10);
+        if (Number.isNaN(id)) return res.status(400).json({ message: "Invalid API key ID." });
+
+        const before = await findApiKeyById(id);
+        const revoked = await revokeApiKey({
+            id,
+            adminId: canManageAllKeys(req.admin) ? undefined : req.admin.id,
+        });
+
+        if (!revoked) return res.status(404).json({ message: "API key not found." });
+
+        await recordAudit({
+            actor: auditActor(req),
+            action: "api_key.revoke",
+            entityType: AUDIT_ENTITIES.API_KEY,
+            entityId: id,
+            before,
+        });
+
+        return res.status(200).json({ message: "API key revoked." });
+    } catch (err) {
+        console.error("[deleteApiKey] Unexpected error:", err);
+        return res.status(500).json({ message: "Failed to revoke API key." });
+    }
+};
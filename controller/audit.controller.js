@@ -0,0 +1,93 @@
+// controller/audit.controller.js
+import { listAuditEntries, exportAuditEntries, AUDIT_EXPORT_LIMIT } from "../services/audit.service.js";
+import { toCsv } from "../utils/csv.utils.js";
+
+const CSV_COLUMNS = [
+    { key: "id", header: "id" },
+    { key: "createdAt", header: "created_at" },
+    { key: "actorId", header: "actor_id" },
+    { key: "actorEmail", header: "actor_email" },
+    { key: "apiKeyId", header: "api_key_id" },
+    { key: "action", header: "action" },
+    { key: "entityType", header: "entity_type" },
+    { key: "entityId", header: "entity_id" },
+    { key: "before", header: "before" },
+    { key: "after", header: "after" },
+    { key: "ip", header: "ip" },
+    { key: "userAgent", header: "user_agent" },
+];
+
+/**
+ * Parses the shared filter query params.
+ * Returns { filters } or { error } with a message for a 400.
+ */
+const parseFilters = (query) => {
+    const filters = {};
+
+    if (query.actorId !== undefined) {
+        const actorId = parseInt(query.actorId, 10);
+        if (Number.isNaN(actorId)) return { error: "actorId must be an integer." };
+        filters.actorId = actorId;
+    }
+
+    for (const field of ["from", "to"]) {
+        if (query[field] === undefined) continue;
+        const date = new Date(query[field]);
+        if (Number.isNaN(date.getTime())) return { error: `${field} must be an ISO date.` };
+        filters[field] = date;
+    }
+
+    if (query.action) filters.action = String(query.action);
+    if (query.entityType) filters.entityType = String(query.entityType);
+    if (query.entityId !== undefined) filters.entityId = String(query.entityId);
+
+    return { filters };
+};
+
+// ─── GET /api/admin/audit ─────────────────────────────────────────────────────
+
+/**
+ * Lists audit log entries, newest first (owner only).
+ *
+ * Query:
+ *   actorId, action ("image.delete", or a prefix like "image.*"), entityType,
+ *   entityId, from / to (ISO dates, `to` exclusive), page, limit (max 100),
+ *   format=csv → download every match (up to AUDIT_EXPORT_LIMIT rows) as CSV
+ *
+ * 200 → { entries: [{ id, createdAt, actorId, actorEmail, apiKeyId, action, entityType,
+ *                     entityId, before, after, ip, userAgent }], pagination }
+ * 200 → text/csv attachment when format=csv
+ * 400 → malformed filter
+ */
+export const getAuditLog = async (req, res) => {
+    try {
+        const { filters, error } = parseFilters(req.query);
+        if (error) return res.status(400).json({ message: error });
+
+        if (req.query.format === "csv") {
+            const entries = await exportAuditEntries(filters);
+            const stamp = new Date().toISOString().slice(0, 10);
+
+            res.set("Content-Type", "text/csv; charset=utf-8");
+            res.set("Content-Disposition", `attachment; filename="audit-${stamp}.csv"`);
+            if (entries.length === AUDIT_EXPORT_LIMIT) {
+                res.set("X-Export-Truncated", "true"); // narrow the date range for the rest
+            }
+            return res.status(200).send(toCsv(CSV_COLUMNS, entries));
+        }
+
+        const limit = parseInt(req.query.limit, 10) || 50;
+        const page = parseInt(req.query.page, 10) || 1;
+
+        if (limit < 1 || limit > 100) {
+            return res.status(400).json({ message: "Limit must be between 1 and 100." });
+        }
+
+        const result = await listAuditEntries({ ...filters, limit, offset: (Math.max(page, 1) - 1) * limit });
+
+        return res.status(200).json(result);
+    } catch (err) {
+        console.error("[getAuditLog] Unexpected error:", err);
+        return res.status(500).json({ message: "Failed to fetch audit log." });
+    }
+};
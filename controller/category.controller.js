@@ -0,0 +1,231 @@
+// controller/category.controller.js
+import {
+    listCategories,
+    findCategoryById,
+    createCategory,
+    updateCategory,
+    deleteCategory,
+} from "../services/category.service.js";
+import { auditActor } from "../services/audit.service.js";
+
+const MAX_DESCRIPTION_LENGTH = 2000;
+
+// Service error code → HTTP status
+const ERROR_STATUS = {
+    INVALID_CATEGORY: 400,
+    INVALID_COVER: 400,
+    PROTECTED_CATEGORY: 400,
+    CATEGORY_CONFLICT: 409,
+    CATEGORY_NOT_EMPTY: 409,
+};
+
+/**
+ * Validates the writable fields of a create / update body.
+ * Returns { changes } with only the fields present, or { error }.
+ */
+const parseCategoryBody = (body = {}) => {
+    const changes = {};
+
+    if (body.slug !== undefined) {
+        if (typeof body.slug !== "string") return { error: "slug must be a string." };
+        changes.slug = body.slug;
+    }
+    if (body.name !== undefined) {
+        if (typeof body.name !== "string") return { error: "name must be a string." };
+        changes.name = body.name.trim();
+    }
+    if (body.description !== undefined) {
+        if (body.description !== null && typeof body.description !== "string") {
+            return { error: "description must be a string or null." };
+        }
+        if (body.description?.length > MAX_DESCRIPTION_LENGTH) {
+            return { error: `description must be at most ${MAX_DESCRIPTION_LENGTH} characters.` };
+        }
+        changes.description = body.description?.trim() || null;
+    }
+    if (body.coverImageId !== undefined) {
+        if (body.coverImageId !== null && !Number.isInteger(body.coverImageId)) {
+            return { error: "coverImageId must be an image id or null." };
+        }
+        changes.coverImageId = body.coverImageId;
+    }
+    if (body.sortOrder !== undefined) {
+        if (!Number.isInteger(body.sortOrder)) return { error: "sortOrder must be an integer." };
+        changes.sortOrder = body.sortOrder;
+    }
+    if (body.isVisible !== undefined) {
+        if (typeof body.isVisible !== "boolean") return { error: "isVisible must be a boolean." };
+        changes.isVisible = body.isVisible;
+    }
+    if (body.aliases !== undefined) {
+        if (!Array.isArray(body.aliases) || body.aliases.some((alias) => typeof alias !== "string")) {
+            return { error: "aliases must be an array of strings." };
+        }
+        changes.aliases = body.aliases;
+    }
+
+    return { changes };
+};
+
+// ─── GET /api/categories ──────────────────────────────────────────────────────
+
+/**
+ * Public list of visible categories in display order.
+ *
+ * 200 → { success, categories: [{ id, slug, name, description, sortOrder, isVisible,
+ *                                  coverImage: { id, url, thumbnailUrl, blurhash }|null,
+ *                                  imageCount }] }
+ */
+export const getCategoryList = async (req, res) => {
+    try {
+        const categories = await listCategories();
+        return res.status(200).json({
+            success: true,
+            categories: categories.map(({ aliases, createdAt, updatedAt, ...category }) => category),
+        });
+    } catch (err) {
+        console.error("[getCategoryList] Unexpected error:", err);
+        return res.status(500).json({ success: false, message: "Failed to fetch categories." });
+    }
+};
+
+// ─── GET /api/categories/all ──────────────────────────────────────────────────
+
+/**
+ * Every category, hidden ones included, with aliases (admin dashboard).
+ *
+ * 200 → { success, categories: [{ ...category, aliases: string[], createdAt, updatedAt }] }
+ */
+export const getAllCategories = async (req, res) => {
+    try {
+        const categories = await listCategories({ includeHidden: true });
+        return res.status(200).json({ success: true, categories });
+    } catch (err) {
+        console.error("[getAllCategories] Unexpected error:", err);
+        return res.status(500).json({ success: false, message: "Failed to fetch categories." });
+    }
+};
+
+// ─── POST /api/categories ─────────────────────────────────────────────────────
+
+/**
+ * Creates a category. Images can be uploaded into it straight away.
+ *
+ * Body (JSON): { slug, name, description?, sortOrder?, isVisible?, aliases?: string[] }
+ *
+ * 201 → { success, category }
+ * 400 → invalid slug / name / alias
+ * 409 → slug or alias already used by another category
+ */
+export const createCategoryEntry = async (req, res) => {
+    try {
+        const { changes, error } = parseCategoryBody(req.body);
+        if (error) return res.status(400).json({ success: false, message: error });
+        if (!changes.slug || !changes.name) {
+            return res.status(400).json({ success: false, message: "slug and name are required." });
+        }
+        if (changes.coverImageId !== undefined) {
+            return res.status(400).json({
+                success: false,
+                message: "A new category has no images yet — set coverImageId after uploading.",
+            });
+        }
+
+        const category = await createCategory({ ...changes, actor: auditActor(req) });
+        return res.status(201).json({ success: true, category });
+    } catch (err) {
+        if (ERROR_STATUS[err.code]) {
+            return res.status(ERROR_STATUS[err.code]).json({ success: false, message: err.message });
+        }
+        console.error("[createCategoryEntry] Unexpected error:", err);
+        return res.status(500).json({ success: false, message: "Failed to create category." });
+    }
+};
+
+// ─── PATCH /api/categories/:id ────────────────────────────────────────────────
+
+/**
+ * Updates any of a category's fields. Renaming the slug keeps the old slug as
+ * an alias; `aliases` replaces the alias set.
+ *
+ * Body (JSON): { slug?, name?, description?, coverImageId?, sortOrder?, isVisible?, aliases? }
+ *
+ * 200 → { success, category }
+ * 400 → invalid field / cover image not in the category / renaming "thumbnails"
+ * 404 → no category with that id
+ * 409 → slug or alias already used by another category
+ */
+export const updateCategoryEntry = async (req, res) => {
+    try {
+        const id = parseInt(req.params.id, 10);
+        if (Number.isNaN(id)) return res.status(400).json({ success: false, message: "Invalid category ID." });
+
+        const { changes, error } = parseCategoryBody(req.body);
+        if (error) return res.status(400).json({ success: false, message: error });
+        if (Object.keys(changes).length === 0) {
+            return res.status(400).json({ success: false, message: "Nothing to update." });
+        }
+
+        const category = await updateCategory(id, changes, auditActor(req));
+        if (!category) return res.status(404).json({ success: false, message: "Category not found." });
+
+        return res.status(200).json({ success: true, category });
+    } catch (err) {
+        if (ERROR_STATUS[err.code]) {
+            return res.status(ERROR_STATUS[err.code]).json({ success: false, message: err.message });
+        }
+        console.error("[updateCategoryEntry] Unexpected error:", err);
+        return res.status(500).json({ success: false, message: "Failed to update category." });
+    }
+};
+
+// ─── DELETE /api/categories/:id ───────────────────────────────────────────────
+
+/**
+ * Deletes an empty category and its aliases.
+ *
+ * 200 → { success, message }
+ * 400 → the "thumbnails" category
+ * 404 → no category with that id
+ * 409 → the category still has images (soft-deleted ones included)
+ */
+export const deleteCategoryEntry = async (req, res) => {
+    try {
+        const id = parseInt(req.params.id, 10);
+        if (Number.isNaN(id)) return res.status(400).json({ success: false, message: "Invalid category ID." });
+
+        const deleted = await deleteCategory(id, auditActor(req));
+        if (!deleted) return res.status(404).json({ success: false, message: "Category not found." });
+
+        return res.status(200).json({ success: true, message: "Category deleted." });
+    } catch (err) {
+        if (ERROR_STATUS[err.code]) {
+            return res.status(ERROR_STATUS[err.code]).json({ success: false, message: err.message });
+        }
+        console.error("[deleteCategoryEntry] Unexpected error:", err);
+        return res.status(500).json({ success: false, message: "Failed to delete category." });
+    }
+};
+
+// ─── GET /api/categories/:id ──────────────────────────────────────────────────
+
+/**
+ * One category with aliases (admin dashboard).
+ *
+ * 200 → { success, category }
+ * 404 → no category with that id
+ */
+export const getCategoryById = async (req, res) => {
+    try {
+        const id = parseInt(req.params.id, 10);
+        if (Number.isNaN(id)) return res.status(400).json({ success: false, message: "Invalid category ID." });
+
+        const category = await findCategoryById(id);
+        if (!category) return res.status(404).json({ success: false, message: "Category not found." });
+
+        return res.status(200).json({ success: true, category });
+    } catch (err) {
+        console.error("[getCategoryById] Unexpected error:", err);
+        return res.status(500).json({ success: false, message: "Failed to fetch category." });
+    }
+};
@@ -3,8 +3,10 @@ import {
     getCurrentFilm,
     createCurrentFilm,
     deleteCurrentFilm,
-    uploadTeaserAndConvert,
 } from "../services/current.service.js";
+import { enqueueTranscodeJob } from "../services/transcodeJob.service.js";
+import { auditActor } from "../services/audit.service.js";
+import { promises as fsp } from "fs";
 
 // ─── GET /api/current ─────────────────────────────────────────────────────────
 
@@ -67,6 +69,7 @@ export const addCurrentFilm = async (req, res) => {
             description: description.trim(),
             videoUrl: videoUrl.trim(),
             teaserUrl: teaserUrl.trim(),
+            actor: auditActor(req),
         });
 
         return res.status(201).json({
@@ -98,9 +101,9 @@ export const addCurrentFilm = async (req, res) => {
  * Returns 404 if no entry exists.
  * Does NOT delete the S3 video/teaser files — only the DB record.
  */
-export const removeCurrentFilm = async (_req, res) => {
+export const removeCurrentFilm = async (req, res) => {
     try {
-        const deleted = await deleteCurrentFilm();
+        const deleted = await deleteCurrentFilm(auditActor(req));
 
         if (!deleted) {
             return res.status(404).json({
@@ -122,54 +125,38 @@ export const removeCurrentFilm = async (_req, res) => {
     }
 };
 
-// ─── POST /api/current/upload-teaser (SSE) ────────────────────────────────────
+// ─── POST /api/current/upload-teaser ──────────────────────────────────────────
 
 /**
- * Accepts a video file upload, converts it to HLS via FFmpeg,
- * uploads the segments to S3 under short_films/teaser/,
- * and streams progress back to the client via Server-Sent Events.
+ * Queues an uploaded teaser for HLS conversion (to short_films/teaser/ on S3)
+ * and answers immediately with the job id; follow it with GET /api/jobs/:id
+ * or /api/jobs/:id/events, whose result carries the teaserUrl.
  *
- * Expects: multipart/form-data with field "teaser" (video file).
- *
- * SSE event types:
- *   { type: "progress", stage: "converting" | "uploading", percent: number }
- *   { type: "complete", teaserUrl: string }
- *   { type: "error",   message: string }
+ * Expects: multipart/form-data with field "teaser" (video file), which multer
+ * has already streamed into TRANSCODE_WORK_DIR (req.file.path) — from here on
+ * the job owns the file.
  */
 export const uploadTeaser = async (req, res) => {
-    // ── Set up SSE ────────────────────────────────────────────────────────────
-    res.setHeader("Content-Type", "text/event-stream");
-    res.setHeader("Cache-Control", "no-cache");
-    res.setHeader("Connection", "keep-alive");
-    res.flushHeaders();
-
-    const send = (data) => res.write(`data: ${JSON.stringify(data)}\n\n`);
-
     try {
         if (!req.file) {
-            send({ type: "error", message: "No teaser file uploaded." });
-            return res.end();
+            return res.status(400).json({ success: false, message: "No teaser file uploaded." });
         }
 
-        send({ type: "progress", stage: "converting", percent: 0 });
-
-        const { teaserUrl, fileCount } = await uploadTeaserAndConvert(
-            req.file.buffer,
-            (percent) => send({ type: "progress", stage: "converting", percent })
-        );
-
-        send({ type: "progress", stage: "uploading", percent: 100 });
-
-        send({
-            type: "complete",
-            message: `Teaser uploaded (${fileCount} segments).`,
-            teaserUrl,
+        const job = await enqueueTranscodeJob({
+            kind: "teaser",
+            inputPath: req.file.path,
+            params: { sha256: req.file.sha256 },
+            actor: auditActor(req),
         });
 
-        res.end();
+        return res.status(202).json({
+            success: true,
+            message: "Teaser queued for conversion.",
+            data: { jobId: job.id, status: job.status, sha256: req.file.sha256 },
+        });
     } catch (err) {
         console.error("[uploadTeaser] Error:", err);
-        send({ type: "error", message: err.message || "Teaser upload failed." });
-        res.end();
+        if (req.file) await fsp.rm(req.file.path, { force: true });
+        return res.status(500).json({ success: false, message: "Failed to queue teaser." });
     }
 };
\ No newline at end of file
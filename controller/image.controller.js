@@ -3,42 +3,108 @@ import {
     getImagesFromFolder,
     deleteImageFromS3,
     deleteMultipleImagesFromS3,
-    VALID_CATEGORIES,
+    backfillPlaceholders,
+    backfillHashes,
+    updateImageDetails,
+    setCategoryOrder,
+    IMAGE_DETAIL_LIMITS,
 } from "../services/image.service.js";
+import { resolveCategory, listCategories } from "../services/category.service.js";
+import { listTrash, restoreImages, purgeTrash } from "../services/trash.service.js";
+import { listDuplicateClusters } from "../services/duplicate.service.js";
+import { parseRenderOptions, renderImage } from "../services/render.service.js";
+import { BATCH_UPLOAD_CONCURRENCY } from "../config/image.config.js";
+import { mapWithConcurrency } from "../utils/concurrency.utils.js";
+import { auditActor } from "../services/audit.service.js";
+import { promises as fsp } from "fs";
+
+const sendUnknownCategory = (res, category) =>
+    res.status(404).json({ success: false, message: `Unknown category: ${category}` });
 
 /**
  * Controller to get images by category with pagination.
  * Now returns thumbnailUrl alongside url for each image.
+ * `:category` may be a slug, its hyphenated form or an alias; hidden
+ * categories answer 404 like unknown ones.
+ * `?token=` (the previous page's pagination.nextToken) takes precedence
+ * over `?page=`; a malformed token answers 400.
  */
-export const getImagesByCategory = (category) => {
-    return async (req, res) => {
-        try {
-            const limit = parseInt(req.query.limit) || 10;
-            const page = parseInt(req.query.page) || 1;
-            const offset = (page - 1) * limit;
-
-            if (limit < 1 || limit > 100) {
-                return res.status(400).json({
-                    success: false,
-                    message: "Limit must be between 1 and 100",
-                });
-            }
+export const getImagesByCategory = async (req, res) => {
+    try {
+        const category = await resolveCategory(req.params.category);
+        if (!category || !category.isVisible) return sendUnknownCategory(res, req.params.category);
 
-            const result = await getImagesFromFolder({ folder: category, limit, offset });
+        const limit = parseInt(req.query.limit) || 10;
+        const page = parseInt(req.query.page) || 1;
+        const offset = (page - 1) * limit;
 
-            res.status(200).json({
-                success: true,
-                category,
-                ...result,
-            });
-        } catch (error) {
-            console.error(`Error fetching images for category ${category}:`, error);
-            res.status(500).json({
+        if (limit < 1 || limit > 100) {
+            return res.status(400).json({
                 success: false,
-                message: error.message || "Failed to fetch images",
+                message: "Limit must be between 1 and 100",
             });
         }
-    };
+
+        const token = typeof req.query.token === "string" && req.query.token ? req.query.token : undefined;
+
+        const result = await getImagesFromFolder({ folder: category.slug, limit, offset, token });
+
+        res.status(200).json({
+            success: true,
+            category: category.slug,
+            ...result,
+        });
+    } catch (error) {
+        if (error.code === "INVALID_TOKEN") {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        console.error(`Error fetching images for category ${req.params.category}:`, error);
+        res.status(500).json({
+            success: false,
+            message: error.message || "Failed to fetch images",
+        });
+    }
+};
+
+/**
+ * Controller to serve an image resized / cropped on the fly.
+ * Sizes, fits, formats and qualities are limited to the allow-lists in
+ * image.config.js. Renders are cached on disk and in S3 (only a few run at
+ * once; a full queue answers 503), and sent with a strong ETag (answering If-None-Match with 304) and a one-year immutable
+ * Cache-Control — a variant of an image never changes.
+ */
+export const renderImageVariant = async (req, res) => {
+    try {
+        const id = parseInt(req.params.id, 10);
+        if (Number.isNaN(id)) {
+            return res.status(400).json({ success: false, message: "Invalid image ID" });
+        }
+
+        const options = parseRenderOptions(req.query);
+        const rendered = await renderImage(id, options);
+        if (!rendered) {
+            return res.status(404).json({ success: false, message: "Image not found" });
+        }
+
+        res.set({
+            "Content-Type": rendered.contentType,
+            "Cache-Control": "public, max-age=31536000, immutable",
+            ETag: rendered.etag,
+        });
+        if (req.fresh) return res.status(304).end();
+
+        res.status(200).send(rendered.body);
+    } catch (error) {
+        if (error.code === "INVALID_RENDER") {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        if (error.code === "RENDER_BUSY") {
+            res.set("Retry-After", "5");
+            return res.status(503).json({ success: false, message: error.message });
+        }
+        console.error(`Error rendering image ${req.params.id}:`, error);
+        res.status(500).json({ success: false, message: "Failed to render image" });
+    }
 };
 
 /**
@@ -51,15 +117,16 @@ export const uploadImage = async (req, res) => {
             return res.status(400).json({ success: false, message: "No file uploaded" });
         }
 
-        const { category } = req.body;
-        if (!category) {
+        if (!req.body.category) {
             return res.status(400).json({ success: false, message: "Category is required" });
         }
 
-        if (!Object.values(VALID_CATEGORIES).includes(category)) {
+        const category = await resolveCategory(req.body.category);
+        if (!category) {
+            const valid = await listCategories({ includeHidden: true });
             return res.status(400).json({
                 success: false,
-                message: `Invalid category. Valid categories are: ${Object.values(VALID_CATEGORIES).join(", ")}`,
+                message: `Invalid category. Valid categories are: ${valid.map((c) => c.slug).join(", ")}`,
             });
         }
 
@@ -71,7 +138,18 @@ export const uploadImage = async (req, res) => {
             });
         }
 
-        const result = await uploadImageToS3({ file: req.file, category });
+        // Private EXIF (GPS, serials, owner) is stripped unless explicitly kept
+        const stripPrivateExif = req.body.stripPrivateExif !== "false";
+        // Duplicates are rejected unless the editor confirms with force=true
+        const force = req.body.force === "true";
+
+        const result = await uploadImageToS3({
+            file: req.file,
+            category: category.slug,
+            actor: auditActor(req),
+            stripPrivateExif,
+            force,
+        });
 
         res.status(201).json({
             success: true,
@@ -80,82 +158,577 @@ export const uploadImage = async (req, res) => {
                 id: result.id,
                 url: result.url,
                 thumbnailUrl: result.thumbnailUrl, // returned for reference
+                srcset: result.srcset, // { avif, webp } — null if renditions failed
                 key: result.key,
                 category: result.category,
                 filename: req.file.originalname,
-                size: req.file.size,
+                size: result.size,
+                width: result.width,
+                height: result.height,
+                camera: result.camera,
+                placeholder: result.placeholder, // { blurhash, lqip, dominantColor }
+                exifStripped: stripPrivateExif,
+                sha256: result.sha256,
+                perceptualHash: result.perceptualHash,
+                duplicateOf: result.duplicateOf, // set when uploaded with force=true over a match
             },
         });
     } catch (error) {
+        if (error.code === "DUPLICATE_IMAGE") {
+            return res.status(409).json({
+                success: false,
+                message: `${error.message}. Send force=true to upload it anyway`,
+                duplicate: error.duplicate,
+            });
+        }
         console.error("Error uploading image:", error);
         res.status(500).json({ success: false, message: error.message || "Failed to upload image" });
     }
 };
 
 /**
- * Controller to delete a single image by category.
+ * Controller to upload many images into one category, streaming per-file
+ * progress and results over Server-Sent Events.
+ *
+ * Files arrive spooled to disk (see hashingDiskStorage) and are processed
+ * BATCH_UPLOAD_CONCURRENCY at a time through uploadImageToS3, each removed
+ * as soon as it is done; whatever is left is removed when the batch ends. A file that fails (corrupt, duplicate, wrong type) is
+ * reported and the batch carries on; if the client disconnects, files not yet
+ * started are skipped. Unless `force` is set, a file with the same bytes as an
+ * earlier one in the batch is reported as a duplicate of it up front — run
+ * concurrently, both copies would pass the duplicate check.
+ *
+ * SSE event types:
+ *   { type: "start", category, total }
+ *   { type: "file", index, filename, status: "processing" }
+ *   { type: "file", index, filename, status: "uploaded", data, completed, total, percent }
+ *   { type: "file", index, filename, status: "duplicate", duplicate, message, completed, total, percent }
+ *   { type: "file", index, filename, status: "duplicate", batchIndex, message, completed, total, percent }
+ *   { type: "file", index, filename, status: "failed", message, completed, total, percent }
+ *   { type: "complete", uploaded, duplicates, failed, results: [{ index, filename, status, id?, message? }] }
+ *   { type: "error", message }
  */
-export const deleteImageByCategory = (category) => {
-    return async (req, res) => {
-        try {
-            const { key } = req.body;
-            if (!key) {
-                return res.status(400).json({ success: false, message: "Image key is required" });
-            }
+export const uploadImageBatch = async (req, res) => {
+    res.setHeader("Content-Type", "text/event-stream");
+    res.setHeader("Cache-Control", "no-cache");
+    res.setHeader("Connection", "keep-alive");
+    res.flushHeaders();
 
-            await deleteImageFromS3({ key, category });
+    const sendEvent = (data) => {
+        if (!res.writableEnded) res.write(`data: ${JSON.stringify(data)}\n\n`);
+    };
 
-            res.status(200).json({
-                success: true,
-                message: "Image deleted successfully",
-                data: { key, category },
-            });
-        } catch (error) {
-            console.error(`Error deleting image from category ${category}:`, error);
-            res.status(500).json({ success: false, message: error.message || "Failed to delete image" });
+    let clientGone = false;
+    res.on("close", () => {
+        clientGone = true;
+    });
+
+    try {
+        const files = req.files ?? [];
+        const rejected = req.rejectedFiles ?? [];
+        if (files.length === 0 && rejected.length === 0) {
+            sendEvent({ type: "error", message: "No files uploaded" });
+            return res.end();
         }
-    };
+
+        if (!req.body.category) {
+            sendEvent({ type: "error", message: "Category is required" });
+            return res.end();
+        }
+        const category = await resolveCategory(req.body.category);
+        if (!category) {
+            sendEvent({ type: "error", message: `Invalid category: ${req.body.category}` });
+            return res.end();
+        }
+
+        const stripPrivateExif = req.body.stripPrivateExif !== "false";
+        const force = req.body.force === "true";
+        const actor = auditActor(req);
+
+        // Identical bytes within the batch: only the first copy is uploaded
+        const firstBySha = new Map();
+        const batchIndexes = files.map((file, index) => {
+            if (force) return undefined;
+            if (!firstBySha.has(file.sha256)) firstBySha.set(file.sha256, index);
+            return index === firstBySha.get(file.sha256) ? undefined : firstBySha.get(file.sha256);
+        });
+
+        // Files the type filter turned away are reported as failed, after the accepted ones
+        const entries = [
+            ...files.map((file, index) => ({ file, batchIndex: batchIndexes[index] })),
+            ...rejected.map((file) => ({ file, error: "Invalid file type. Only JPEG, PNG, WebP, and GIF are allowed" })),
+        ];
+        const total = entries.length;
+        let completed = 0;
+
+        sendEvent({ type: "start", category: category.slug, total });
+
+        const finish = (index, filename, status, fields) => {
+            completed++;
+            sendEvent({
+                type: "file",
+                index,
+                filename,
+                status,
+                ...fields,
+                completed,
+                total,
+                percent: Math.round((completed / total) * 100),
+            });
+        };
+
+        const results = await mapWithConcurrency(
+            entries,
+            BATCH_UPLOAD_CONCURRENCY,
+            async ({ file, error, batchIndex }, index) => {
+                const filename = file.originalname;
+                if (error) {
+                    finish(index, filename, "failed", { message: error });
+                    return { index, filename, status: "failed", message: error };
+                }
+                if (batchIndex !== undefined) {
+                    const message = `Same file as ${files[batchIndex].originalname} in this batch`;
+                    finish(index, filename, "duplicate", { message, batchIndex });
+                    return { index, filename, status: "duplicate", message };
+                }
+
+                sendEvent({ type: "file", index, filename, status: "processing" });
+                try {
+                    const result = await uploadImageToS3({
+                        file,
+                        category: category.slug,
+                        actor,
+                        stripPrivateExif,
+                        force,
+                    });
+                    finish(index, filename, "uploaded", {
+                        data: {
+                            id: result.id,
+                            url: result.url,
+                            thumbnailUrl: result.thumbnailUrl,
+                            srcset: result.srcset,
+                            key: result.key,
+                            width: result.width,
+                            height: result.height,
+                            placeholder: result.placeholder,
+                            duplicateOf: result.duplicateOf,
+                        },
+                    });
+                    return { index, filename, status: "uploaded", id: result.id };
+                } catch (err) {
+                    if (err.code === "DUPLICATE_IMAGE") {
+                        finish(index, filename, "duplicate", { message: err.message, duplicate: err.duplicate });
+                        return { index, filename, status: "duplicate", message: err.message };
+                    }
+                    console.error(`Error uploading batch file ${filename}:`, err);
+                    finish(index, filename, "failed", { message: err.message || "Failed to upload image" });
+                    return { index, filename, status: "failed", message: err.message };
+                } finally {
+                    await fsp.rm(file.path, { force: true });
+                }
+            },
+            { shouldStop: () => clientGone }
+        );
+
+        const summary = results.map((result, index) =>
+            result ?? { index, filename: entries[index].file.originalname, status: "skipped" }
+        );
+        const count = (status) => summary.filter((result) => result.status === status).length;
+
+        sendEvent({
+            type: "complete",
+            uploaded: count("uploaded"),
+            duplicates: count("duplicate"),
+            failed: count("failed"),
+            results: summary,
+        });
+        res.end();
+    } catch (error) {
+        console.error("Error in batch upload:", error);
+        sendEvent({ type: "error", message: error.message || "Batch upload failed" });
+        res.end();
+    } finally {
+        // Files never processed: in-batch duplicates, or skipped after a disconnect
+        await Promise.all((req.files ?? []).map((file) => fsp.rm(file.path, { force: true })));
+    }
 };
 
 /**
- * Controller to delete multiple images by category.
+ * Controller to edit an image's title, alt text, caption, credit, pinned flag and tags.
+ * Only the fields sent are changed; an empty string or null clears a field,
+ * and `tags` replaces the image's whole tag set.
  */
-export const deleteMultipleImagesByCategory = (category) => {
-    return async (req, res) => {
-        try {
-            const { keys } = req.body;
-            if (!keys || !Array.isArray(keys) || keys.length === 0) {
-                return res.status(400).json({ success: false, message: "Array of image keys is required" });
+export const updateImage = async (req, res) => {
+    try {
+        const id = parseInt(req.params.id, 10);
+        if (Number.isNaN(id) || String(id) !== req.params.id) {
+            return res.status(400).json({ success: false, message: "Invalid image ID" });
+        }
+
+        const body = req.body ?? {};
+        const changes = {};
+
+        for (const field of ["title", "altText", "caption", "credit"]) {
+            if (body[field] === undefined) continue;
+            if (body[field] !== null && typeof body[field] !== "string") {
+                return res.status(400).json({ success: false, message: `${field} must be a string or null` });
+            }
+            const value = body[field]?.trim() || null;
+            if (value && value.length > IMAGE_DETAIL_LIMITS[field]) {
+                return res.status(400).json({
+                    success: false,
+                    message: `${field} must be at most ${IMAGE_DETAIL_LIMITS[field]} characters`,
+                });
             }
+            changes[field] = value;
+        }
 
-            if (keys.length > 50) {
-                return res.status(400).json({ success: false, message: "Cannot delete more than 50 images at once" });
+        if (body.pinned !== undefined) {
+            if (typeof body.pinned !== "boolean") {
+                return res.status(400).json({ success: false, message: "pinned must be a boolean" });
             }
+            changes.pinned = body.pinned;
+        }
 
-            const result = await deleteMultipleImagesFromS3({ keys, category });
+        if (body.tags !== undefined) {
+            if (!Array.isArray(body.tags) || body.tags.some((tag) => typeof tag !== "string")) {
+                return res.status(400).json({ success: false, message: "tags must be an array of strings" });
+            }
+            if (body.tags.length > IMAGE_DETAIL_LIMITS.tagsPerImage) {
+                return res.status(400).json({
+                    success: false,
+                    message: `An image can have at most ${IMAGE_DETAIL_LIMITS.tagsPerImage} tags`,
+                });
+            }
+            if (body.tags.some((tag) => tag.trim().length > IMAGE_DETAIL_LIMITS.tag)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Tags must be at most ${IMAGE_DETAIL_LIMITS.tag} characters`,
+                });
+            }
+            changes.tags = body.tags;
+        }
 
-            res.status(200).json({
-                success: result.success,
-                message: result.success ? "All images deleted successfully" : "Some images failed to delete",
-                data: {
-                    deleted: result.deleted.length,
-                    errors: result.errors.length,
-                    details: result,
-                },
+        if (Object.keys(changes).length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: "Nothing to update. Send title, altText, caption, credit, pinned and / or tags",
             });
-        } catch (error) {
-            console.error(`Error deleting multiple images from category ${category}:`, error);
-            res.status(500).json({ success: false, message: error.message || "Failed to delete images" });
         }
-    };
+
+        const result = await updateImageDetails({ id, changes, actor: auditActor(req) });
+        if (!result) {
+            return res.status(404).json({ success: false, message: "Image not found" });
+        }
+
+        const { changed, ...data } = result;
+        res.status(200).json({
+            success: true,
+            message: changed.length > 0 ? "Image updated successfully" : "No changes",
+            changed,
+            data,
+        });
+    } catch (error) {
+        console.error("Error updating image:", error);
+        res.status(500).json({ success: false, message: error.message || "Failed to update image" });
+    }
+};
+
+const isIdList = (value) =>
+    Array.isArray(value) && value.every((id) => Number.isInteger(id) && id > 0);
+
+/**
+ * Controller to set the manual order of a category's images.
+ * The client sends the complete grid in display order; a stale list (an image
+ * added or removed meanwhile) is rejected with 409 and nothing changes.
+ */
+export const setImageOrder = async (req, res) => {
+    try {
+        const category = await resolveCategory(req.params.category);
+        if (!category) return sendUnknownCategory(res, req.params.category);
+
+        const { ids, pinned } = req.body ?? {};
+        if (!isIdList(ids)) {
+            return res.status(400).json({ success: false, message: "ids must be an array of image IDs" });
+        }
+        if (new Set(ids).size !== ids.length) {
+            return res.status(400).json({ success: false, message: "ids must not contain duplicates" });
+        }
+        if (pinned !== undefined && !isIdList(pinned)) {
+            return res.status(400).json({ success: false, message: "pinned must be an array of image IDs" });
+        }
+
+        const result = await setCategoryOrder({
+            category: category.slug,
+            ids,
+            pinned,
+            actor: auditActor(req),
+        });
+
+        res.status(200).json({
+            success: true,
+            message: "Image order saved",
+            data: result,
+        });
+    } catch (error) {
+        if (error.code === "ORDER_MISMATCH") {
+            return res.status(409).json({
+                success: false,
+                message: error.message,
+                missing: error.missing,
+                unknown: error.unknown,
+            });
+        }
+        console.error(`Error ordering images in category ${req.params.category}:`, error);
+        res.status(500).json({ success: false, message: error.message || "Failed to save image order" });
+    }
+};
+
+/**
+ * Controller to list soft-deleted images (the trash), most recently deleted first.
+ */
+export const getTrash = async (req, res) => {
+    try {
+        const limit = parseInt(req.query.limit) || 25;
+        const page = parseInt(req.query.page) || 1;
+
+        if (limit < 1 || limit > 100) {
+            return res.status(400).json({
+                success: false,
+                message: "Limit must be between 1 and 100",
+            });
+        }
+
+        let category;
+        if (req.query.category) {
+            category = await resolveCategory(req.query.category);
+            if (!category) return sendUnknownCategory(res, req.query.category);
+        }
+
+        const result = await listTrash({
+            category: category?.slug,
+            limit,
+            offset: (Math.max(page, 1) - 1) * limit,
+        });
+
+        res.status(200).json({ success: true, ...result });
+    } catch (error) {
+        console.error("Error fetching trash:", error);
+        res.status(500).json({ success: false, message: error.message || "Failed to fetch trash" });
+    }
+};
+
+/**
+ * Controller to restore images from the trash.
+ */
+export const restoreTrashedImages = async (req, res) => {
+    try {
+        const { ids } = req.body ?? {};
+        if (!isIdList(ids) || ids.length === 0) {
+            return res.status(400).json({ success: false, message: "ids must be a non-empty array of image IDs" });
+        }
+        if (ids.length > 100) {
+            return res.status(400).json({ success: false, message: "Cannot restore more than 100 images at once" });
+        }
+
+        const result = await restoreImages({ ids, actor: auditActor(req) });
+
+        res.status(200).json({
+            success: true,
+            message: `Restored ${result.restored.length} image(s)`,
+            data: result,
+        });
+    } catch (error) {
+        console.error("Error restoring images:", error);
+        res.status(500).json({ success: false, message: error.message || "Failed to restore images" });
+    }
+};
+
+/**
+ * Controller to permanently delete images from the trash — the given ids, or
+ * everything with `all: true`.
+ */
+export const purgeTrashedImages = async (req, res) => {
+    try {
+        const { ids, all } = req.body ?? {};
+        if (all !== true && (!isIdList(ids) || ids.length === 0)) {
+            return res.status(400).json({
+                success: false,
+                message: "Send ids (a non-empty array of image IDs) or all: true",
+            });
+        }
+
+        const result = await purgeTrash({ ids, all: all === true, actor: auditActor(req) });
+
+        res.status(200).json({
+            success: result.errors.length === 0,
+            message: `Permanently deleted ${result.purged} image(s)`,
+            data: result,
+        });
+    } catch (error) {
+        console.error("Error purging trash:", error);
+        res.status(500).json({ success: false, message: error.message || "Failed to empty trash" });
+    }
+};
+
+/**
+ * Controller to backfill BlurHash / LQIP / dominant color for older images.
+ * Processes one batch per request; call again with `afterId=<lastId>` until
+ * `remaining` is 0.
+ */
+export const backfillImagePlaceholders = async (req, res) => {
+    try {
+        const limit = parseInt(req.query.limit) || 25;
+        const afterId = parseInt(req.query.afterId) || 0;
+
+        if (limit < 1 || limit > 100) {
+            return res.status(400).json({
+                success: false,
+                message: "Limit must be between 1 and 100",
+            });
+        }
+
+        const result = await backfillPlaceholders({ limit, afterId, actor: auditActor(req) });
+
+        res.status(200).json({
+            success: true,
+            message: `Generated placeholders for ${result.processed} image(s)`,
+            data: result,
+        });
+    } catch (error) {
+        console.error("Error backfilling image placeholders:", error);
+        res.status(500).json({ success: false, message: error.message || "Failed to backfill placeholders" });
+    }
+};
+
+/**
+ * Controller to backfill SHA-256 / perceptual hashes for older images.
+ * Same batching as the placeholder backfill.
+ */
+export const backfillImageHashes = async (req, res) => {
+    try {
+        const limit = parseInt(req.query.limit) || 25;
+        const afterId = parseInt(req.query.afterId) || 0;
+
+        if (limit < 1 || limit > 100) {
+            return res.status(400).json({
+                success: false,
+                message: "Limit must be between 1 and 100",
+            });
+        }
+
+        const result = await backfillHashes({ limit, afterId, actor: auditActor(req) });
+
+        res.status(200).json({
+            success: true,
+            message: `Hashed ${result.processed} image(s)`,
+            data: result,
+        });
+    } catch (error) {
+        console.error("Error backfilling image hashes:", error);
+        res.status(500).json({ success: false, message: error.message || "Failed to backfill hashes" });
+    }
+};
+
+/**
+ * Controller to list clusters of exact / near-duplicate images across all categories.
+ */
+export const getDuplicateReport = async (req, res) => {
+    try {
+        let threshold;
+        if (req.query.threshold !== undefined) {
+            threshold = parseInt(req.query.threshold);
+            if (isNaN(threshold) || threshold < 0 || threshold > 16) {
+                return res.status(400).json({
+                    success: false,
+                    message: "Threshold must be between 0 and 16",
+                });
+            }
+        }
+
+        const result = await listDuplicateClusters({ threshold });
+
+        res.status(200).json({ success: true, ...result });
+    } catch (error) {
+        console.error("Error building duplicate report:", error);
+        res.status(500).json({ success: false, message: error.message || "Failed to build duplicate report" });
+    }
+};
+
+/**
+ * Controller to delete a single image by category.
+ */
+export const deleteImageByCategory = async (req, res) => {
+    try {
+        const category = await resolveCategory(req.params.category);
+        if (!category) return sendUnknownCategory(res, req.params.category);
+
+        const { key } = req.body;
+        if (!key) {
+            return res.status(400).json({ success: false, message: "Image key is required" });
+        }
+
+        await deleteImageFromS3({ key, category: category.slug, actor: auditActor(req) });
+
+        res.status(200).json({
+            success: true,
+            message: "Image deleted successfully",
+            data: { key, category: category.slug },
+        });
+    } catch (error) {
+        if (error.code === "NOT_FOUND") {
+            return res.status(404).json({ success: false, message: error.message });
+        }
+        console.error(`Error deleting image from category ${req.params.category}:`, error);
+        res.status(500).json({ success: false, message: error.message || "Failed to delete image" });
+    }
+};
+
+/**
+ * Controller to delete multiple images by category.
+ */
+export const deleteMultipleImagesByCategory = async (req, res) => {
+    try {
+        const category = await resolveCategory(req.params.category);
+        if (!category) return sendUnknownCategory(res, req.params.category);
+
+        const { keys } = req.body;
+        if (!keys || !Array.isArray(keys) || keys.length === 0) {
+            return res.status(400).json({ success: false, message: "Array of image keys is required" });
+        }
+
+        if (keys.length > 50) {
+            return res.status(400).json({ success: false, message: "Cannot delete more than 50 images at once" });
+        }
+
+        const result = await deleteMultipleImagesFromS3({ keys, category: category.slug, actor: auditActor(req) });
+
+        res.status(200).json({
+            success: result.success,
+            message: result.success ? "All images deleted successfully" : "Some images failed to delete",
+            data: {
+                deleted: result.deleted.length,
+                errors: result.errors.length,
+                details: result,
+            },
+        });
+    } catch (error) {
+        if (error.code === "NOT_FOUND") {
+            return res.status(404).json({ success: false, message: error.message });
+        }
+        console.error(`Error deleting multiple images from category ${req.params.category}:`, error);
+        res.status(500).json({ success: false, message: error.message || "Failed to delete images" });
+    }
 };
 
 /**
- * Controller to get all valid categories.
+ * Controller to get all visible category slugs (kept for older frontends —
+ * GET /api/categories returns names, descriptions and covers).
  */
 export const getCategories = async (req, res) => {
     try {
-        res.status(200).json({ success: true, categories: Object.values(VALID_CATEGORIES) });
+        const categories = await listCategories();
+        res.status(200).json({ success: true, categories: categories.map((category) => category.slug) });
     } catch (error) {
         console.error("Error fetching categories:", error);
         res.status(500).json({ success: false, message: "Failed to fetch categories" });
@@ -0,0 +1,158 @@
+// controller/job.controller.js
+import {
+    getTranscodeJob,
+    listTranscodeJobs,
+    cancelTranscodeJob,
+    subscribeToJob,
+    isTerminalStatus,
+    TRANSCODE_JOB_KINDS,
+} from "../services/transcodeJob.service.js";
+import { auditActor } from "../services/audit.service.js";
+import { hasPermission } from "../middleware/auth.middleware.js";
+import { PERMISSIONS } from "../config/roles.config.js";
+
+// Permission to see / cancel each kind of job (the same as its upload route)
+const KIND_PERMISSION = {
+    video: PERMISSIONS.VIDEOS_WRITE,
+    teaser: PERMISSIONS.CURRENT_WRITE,
+};
+
+const HEARTBEAT_MS = 25 * 1000; // keeps proxies from closing an idle stream
+
+const notFound = (res) => res.status(404).json({ success: false, message: "Job not found." });
+
+/**
+ * Loads the job in req.params.id, answering 400 / 404 itself (a job of a kind
+ * the caller cannot write is reported as not found). Returns null when it did.
+ */
+const loadJob = async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) {
+        res.status(400).json({ success: false, message: "Invalid job ID." });
+        return null;
+    }
+    const job = await getTranscodeJob(id);
+    if (!job || !hasPermission(req, KIND_PERMISSION[job.kind])) {
+        notFound(res);
+        return null;
+    }
+    return job;
+};
+
+// ─── GET /api/jobs ────────────────────────────────────────────────────────────
+
+/**
+ * Lists transcode jobs of the kinds the caller can upload, newest first.
+ * Query: status?, kind?, limit? (max 100), offset?
+ */
+export const fetchJobs = async (req, res) => {
+    try {
+        const { status, kind, limit, offset } = req.query;
+        if (kind && !TRANSCODE_JOB_KINDS.includes(kind)) {
+            return res.status(400).json({
+                success: false,
+                message: `kind must be one of: ${TRANSCODE_JOB_KINDS.join(", ")}`,
+            });
+        }
+
+        const kinds = (kind ? [kind] : TRANSCODE_JOB_KINDS)
+            .filter((k) => hasPermission(req, KIND_PERMISSION[k]));
+
+        const result = await listTranscodeJobs({ kinds, status, limit, offset });
+        return res.status(200).json({ success: true, ...result });
+    } catch (err) {
+        if (err.code === "INVALID_JOB") {
+            return res.status(400).json({ success: false, message: err.message });
+        }
+        console.error("[fetchJobs] Error:", err);
+        return res.status(500).json({ success: false, message: "Failed to list jobs." });
+    }
+};
+
+// ─── GET /api/jobs/:id ────────────────────────────────────────────────────────
+
+export const fetchJob = async (req, res) => {
+    try {
+        const job = await loadJob(req, res);
+        if (!job) return;
+        return res.status(200).json({ success: true, data: job });
+    } catch (err) {
+        console.error("[fetchJob] Error:", err);
+        return res.status(500).json({ success: false, message: "Failed to fetch job." });
+    }
+};
+
+// ─── GET /api/jobs/:id/events (SSE) ───────────────────────────────────────────
+
+/**
+ * Streams a job's progress. Safe to reconnect at any time: the first event is
+ * always the job's current state, and the stream ends after a terminal status.
+ *
+ * SSE event types:
+ *   { type: "status",   job }                   first, then on every status change
+ *   { type: "progress", stage: "converting" | "posters" | "previews" | "uploading" | "saving", percent }
+ */
+export const streamJobEvents = async (req, res) => {
+    let job;
+    try {
+        job = await loadJob(req, res);
+        if (!job) return;
+    } catch (err) {
+        console.error("[streamJobEvents] Error:", err);
+        return res.status(500).json({ success: false, message: "Failed to fetch job." });
+    }
+
+    res.setHeader("Content-Type", "text/event-stream");
+    res.setHeader("Cache-Control", "no-cache");
+    res.setHeader("Connection", "keep-alive");
+    res.flushHeaders();
+
+    const send = (data) => res.write(`data: ${JSON.stringify(data)}\n\n`);
+
+    let heartbeat;
+    let unsubscribe = () => {};
+    const close = () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+        res.end();
+    };
+
+    // Subscribe before re-reading, so a change in between is not missed
+    unsubscribe = subscribeToJob(job.id, (event) => {
+        send(event);
+        if (event.type === "status" && isTerminalStatus(event.job.status)) close();
+    });
+    heartbeat = setInterval(() => res.write(": heartbeat\n\n"), HEARTBEAT_MS);
+    req.on("close", close);
+
+    try {
+        const current = await getTranscodeJob(job.id);
+        send({ type: "status", job: current });
+        if (isTerminalStatus(current.status)) close();
+    } catch (err) {
+        console.error("[streamJobEvents] Error:", err);
+        close();
+    }
+};
+
+// ─── POST /api/jobs/:id/cancel ────────────────────────────────────────────────
+
+/**
+ * Cancels a queued or running job (FFmpeg is stopped; the source and partial output deleted).
+ */
+export const cancelJob = async (req, res) => {
+    try {
+        const job = await loadJob(req, res);
+        if (!job) return;
+
+        const cancelled = await cancelTranscodeJob(job.id, auditActor(req));
+        return res.status(200).json({ success: true, message: "Job cancelled.", data: cancelled });
+    } catch (err) {
+        if (err.code === "JOB_NOT_FOUND") return notFound(res);
+        if (err.code === "JOB_FINISHED") {
+            return res.status(409).json({ success: false, message: err.message, data: err.job });
+        }
+        console.error("[cancelJob] Error:", err);
+        return res.status(500).json({ success: false, message: "Failed to cancel job." });
+    }
+};
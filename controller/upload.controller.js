@@ -0,0 +1,203 @@
+// controller/upload.controller.js
+import {
+    presignUpload,
+    claimStagedUpload,
+    processStagedUpload,
+} from "../services/stagedUpload.service.js";
+import { uploadImageToS3 } from "../services/image.service.js";
+import { resolveCategory } from "../services/category.service.js";
+import { adoptInputFile, enqueueTranscodeJob } from "../services/transcodeJob.service.js";
+import { validateVideoFields } from "../services/video.service.js";
+import { auditActor } from "../services/audit.service.js";
+import { hasPermission } from "../middleware/auth.middleware.js";
+import { PERMISSIONS } from "../config/roles.config.js";
+import { promises as fsp } from "fs";
+
+// Permission each kind of upload needs (the same as its multipart route)
+const KIND_PERMISSION = {
+    image: PERMISSIONS.IMAGES_WRITE,
+    video: PERMISSIONS.VIDEOS_WRITE,
+    teaser: PERMISSIONS.CURRENT_WRITE,
+};
+
+// Service error code → HTTP status
+const ERROR_STATUS = {
+    INVALID_UPLOAD: 400,
+    STAGED_UPLOAD_NOT_FOUND: 404,
+    UPLOAD_NOT_PENDING: 409,
+    OUTPUT_IN_USE: 409,
+    UPLOAD_EXPIRED: 410,
+};
+
+const forbidden = (res) =>
+    res.status(403).json({ success: false, message: "You do not have permission to perform this action." });
+
+const isBlankString = (value) => typeof value !== "string" || !value.trim();
+
+/**
+ * Checks the kind-specific fields of a complete body before the staged
+ * upload is claimed — anything that could fail after the claim would leave
+ * it stuck in processing. Returns { fields } or { error }.
+ */
+const parseCompleteFields = async (kind, body) => {
+    if (kind === "image") {
+        if (isBlankString(body.category)) return { error: "Category is required" };
+        const category = await resolveCategory(body.category);
+        if (!category) return { error: "Invalid category" };
+        return {
+            fields: {
+                category: category.slug,
+                stripPrivateExif: body.stripPrivateExif !== false,
+                force: body.force === true,
+            },
+        };
+    }
+    if (kind === "video") return validateVideoFields(body);
+    return { fields: {} };
+};
+
+// ─── POST /api/uploads/presign ────────────────────────────────────────────────
+
+/**
+ * Starts a direct-to-S3 upload. The client PUTs the file straight to S3 —
+ * to `url` with `headers`, or slice by slice to `multipart.parts[].url` —
+ * then calls POST /api/uploads/complete.
+ *
+ * Body (JSON): { kind: "image"|"video"|"teaser", filename, contentType, size }
+ *
+ * 201 → { success, upload: { uploadId, key, expiresAt, method, url?, headers?,
+ *                            multipart?: { partSize, parts: [{ partNumber, url }] } } }
+ * 400 → unknown kind / wrong type / too large
+ * 403 → no write permission for that kind
+ */
+export const presignStagedUpload = async (req, res) => {
+    try {
+        const { kind, filename, contentType, size } = req.body ?? {};
+
+        if (typeof filename !== "string" || !filename.trim() || typeof contentType !== "string") {
+            return res.status(400).json({ success: false, message: "filename and contentType are required." });
+        }
+        if (KIND_PERMISSION[kind] && !hasPermission(req, KIND_PERMISSION[kind])) return forbidden(res);
+
+        const upload = await presignUpload({
+            adminId: req.admin.id,
+            kind,
+            filename: filename.trim(),
+            contentType,
+            size,
+        });
+        return res.status(201).json({ success: true, upload });
+    } catch (err) {
+        if (ERROR_STATUS[err.code]) {
+            return res.status(ERROR_STATUS[err.code]).json({ success: false, message: err.message });
+        }
+        console.error("[presignStagedUpload] Unexpected error:", err);
+        return res.status(500).json({ success: false, message: "Failed to start upload." });
+    }
+};
+
+// ─── POST /api/uploads/complete ───────────────────────────────────────────────
+
+/**
+ * Finishes a direct-to-S3 upload and runs the same pipeline as the multipart
+ * upload routes on the staged file. The staged object is deleted afterwards,
+ * whether processing succeeded or not — except for a duplicate image, which
+ * stays pending so the client can send complete again with force: true.
+ *
+ * Body (JSON): { uploadId, kind, parts?: [{ partNumber, etag }], ...fields }
+ *   - parts: required for multipart uploads (the ETag of each PUT)
+ *   - image: category, stripPrivateExif?: boolean, force?: boolean
+ *   - video: category, title, description, thumbnailOne?, thumbnailTwo?
+ *   - teaser: nothing else
+ *
+ * Images answer like POST /api/images/upload:
+ *   201 → { success, message, data: { ...uploaded image } }
+ *   409 → duplicate of an existing image (complete again with force: true; the upload
+ *         is expired by the staged-upload sweep if it never is)
+ *
+ * Videos and teasers are pulled into the transcode work dir and queued, like
+ * their upload routes:
+ *   202 → { success, message, data: { jobId, status: "queued" } } — see GET /api/jobs/:id/events
+ *
+ * Errors:
+ * 400 → bad fields / parts, kind differs from presign, file missing or not the declared size
+ * 403 → no write permission for that kind
+ * 404 → unknown uploadId (or another admin's)
+ * 409 → already completed, processing or failed
+ * 410 → presigned URLs expired before completion
+ */
+export const completeStagedUpload = async (req, res) => {
+    const body = req.body ?? {};
+    const { uploadId, kind, parts } = body;
+
+    try {
+        if (typeof uploadId !== "string" || !KIND_PERMISSION[kind]) {
+            return res.status(400).json({ success: false, message: "uploadId and kind are required." });
+        }
+        if (!hasPermission(req, KIND_PERMISSION[kind])) return forbidden(res);
+
+        const { fields, error } = await parseCompleteFields(kind, body);
+        if (error) return res.status(400).json({ success: false, message: error });
+
+        const upload = await claimStagedUpload({ id: uploadId, adminId: req.admin.id, kind, parts });
+
+        if (kind === "image") {
+            const result = await processStagedUpload(
+                upload,
+                (path) => uploadImageToS3({
+                    file: { path, originalname: upload.filename, mimetype: upload.contentType },
+                    category: fields.category,
+                    actor: auditActor(req),
+                    stripPrivateExif: fields.stripPrivateExif,
+                    force: fields.force,
+                }),
+                { retryOn: ["DUPLICATE_IMAGE"] }
+            );
+
+            return res.status(201).json({
+                success: true,
+                message: "Image uploaded successfully",
+                data: {
+                    ...result,
+                    filename: upload.filename,
+                    exifStripped: fields.stripPrivateExif,
+                },
+            });
+        }
+
+        // Videos / teasers: the job takes over the downloaded file
+        const job = await processStagedUpload(upload, async (path) => {
+            const inputPath = await adoptInputFile(path);
+            try {
+                return await enqueueTranscodeJob({
+                    kind,
+                    inputPath,
+                    params: fields,
+                    actor: auditActor(req),
+                });
+            } catch (error) {
+                await fsp.rm(inputPath, { force: true });
+                throw error;
+            }
+        }, { retryOn: ["OUTPUT_IN_USE"] });
+
+        return res.status(202).json({
+            success: true,
+            message: `${kind === "video" ? "Video" : "Teaser"} queued for conversion`,
+            data: { jobId: job.id, status: job.status },
+        });
+    } catch (err) {
+        if (err.code === "DUPLICATE_IMAGE") {
+            return res.status(409).json({
+                success: false,
+                message: `${err.message}. Complete it again with force: true to upload it anyway`,
+                duplicate: err.duplicate,
+            });
+        }
+        if (ERROR_STATUS[err.code]) {
+            return res.status(ERROR_STATUS[err.code]).json({ success: false, message: err.message });
+        }
+        console.error("[completeStagedUpload] Unexpected error:", err);
+        return res.status(500).json({ success: false, message: err.message || "Failed to complete upload." });
+    }
+};
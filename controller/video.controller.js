@@ -5,8 +5,13 @@ import {
     getVideoById,
     deleteVideoById,
     generateSignedUrl,
+    getVideoPosters,
+    setVideoPoster,
+    validateVideoFields,
 } from "../services/video.service.js";
-import { convertAndUpload } from '../services/upload.service.js';
+import { enqueueTranscodeJob } from '../services/transcodeJob.service.js';
+import { auditActor } from "../services/audit.service.js";
+import { promises as fsp } from 'fs';
 
 
 export const createVideo = async (req, res) => {
@@ -29,6 +34,7 @@ export const createVideo = async (req, res) => {
             description,
             thumbnailOne,
             thumbnailTwo,
+            actor: auditActor(req),
         });
 
         return res.status(201).json({
@@ -79,7 +85,7 @@ export const deleteVideo = async (req, res) => {
             return res.status(400).json({ error: "Invalid video ID" });
         }
 
-        const result = await deleteVideoById(videoId);
+        const result = await deleteVideoById(videoId, auditActor(req));
         if (!result) {
             return res.status(404).json({ error: "Video not found" });
         }
@@ -115,71 +121,91 @@ export const streamVideo = async (req, res) => {
     }
 };
 
+/**
+ * Queues the uploaded video (already streamed to TRANSCODE_WORK_DIR by multer)
+ * for HLS conversion and answers immediately; follow the job with
+ * GET /api/jobs/:id or /api/jobs/:id/events. The video row is created when
+ * the job completes.
+ */
 export const uploadAndCreateVideo = async (req, res) => {
-    // Use SSE to stream progress back to the client
-    res.setHeader('Content-Type', 'text/event-stream');
-    res.setHeader('Cache-Control', 'no-cache');
-    res.setHeader('Connection', 'keep-alive');
-    res.flushHeaders();
-
-    const sendEvent = (data) => {
-        res.write(`data: ${JSON.stringify(data)}\n\n`);
-    };
-
     try {
-        const { category, title, description, thumbnailOne, thumbnailTwo } = req.body;
-
         if (!req.file) {
-            sendEvent({ type: 'error', message: 'No video file uploaded' });
-            return res.end();
+            return res.status(400).json({ error: "No video file uploaded" });
         }
 
-        const missing = ['category', 'title', 'description']
-            .filter(f => !req.body[f]);
-
-        if (missing.length > 0) {
-            sendEvent({ type: 'error', message: `Missing fields: ${missing.join(', ')}` });
-            return res.end();
+        // Same checks as a staged upload: category and title become S3 prefix segments
+        const { fields, error } = validateVideoFields(req.body ?? {});
+        if (error) {
+            await fsp.rm(req.file.path, { force: true });
+            return res.status(400).json({ error });
         }
 
-        sendEvent({ type: 'progress', stage: 'converting', percent: 0 });
+        const { category, title, description, thumbnailOne, thumbnailTwo } = fields;
 
-        // Convert + upload
-        const slug = title
-            .trim()
-            .toLowerCase()
-            .replace(/\s+/g, '_')
-            .replace(/[^a-z0-9_]/g, '');
+        // The job owns the file from here on and deletes it when it finishes
+        const job = await enqueueTranscodeJob({
+            kind: "video",
+            inputPath: req.file.path,
+            params: { category, title, description, thumbnailOne, thumbnailTwo, sha256: req.file.sha256 },
+            actor: auditActor(req),
+        });
 
-        const { fileCount } = await convertAndUpload(
-            req.file.buffer,
-            category,
-            slug,
-            (percent) => sendEvent({ type: 'progress', stage: 'converting', percent })
-        );
+        return res.status(202).json({
+            message: "Video queued for conversion",
+            data: { jobId: job.id, status: job.status, sha256: req.file.sha256 },
+        });
+    } catch (err) {
+        if (req.file) await fsp.rm(req.file.path, { force: true });
+        if (err.code === "OUTPUT_IN_USE") return res.status(409).json({ error: err.message });
+        console.error("[uploadAndCreateVideo] Error:", err);
+        return res.status(500).json({ error: "Failed to queue video" });
+    }
+};
 
-        sendEvent({ type: 'progress', stage: 'saving', percent: 100 });
+// ─── Posters ──────────────────────────────────────────────────────────────────
 
-        // Save to DB
-        const video = await createVideoService({
-            category,
-            title,
-            description,
-            thumbnailOne: thumbnailOne || '',
-            thumbnailTwo: thumbnailTwo || '',
-        });
+export const fetchVideoPosters = async (req, res) => {
+    try {
+        const videoId = parseInt(req.params.id, 10);
+        if (isNaN(videoId)) {
+            return res.status(400).json({ error: "Invalid video ID" });
+        }
 
-        sendEvent({
-            type: 'complete',
-            message: `Video uploaded successfully (${fileCount} chunks)`,
-            data: video,
-        });
+        const posters = await getVideoPosters(videoId);
+        if (!posters) {
+            return res.status(404).json({ error: "Video not found" });
+        }
 
-        res.end();
+        return res.status(200).json({ data: posters });
+    } catch (err) {
+        console.error("[fetchVideoPosters] Error:", err);
+        return res.status(500).json({ error: "Failed to fetch posters" });
+    }
+};
 
+export const pickVideoPoster = async (req, res) => {
+    try {
+        const videoId = parseInt(req.params.id, 10);
+        if (isNaN(videoId)) {
+            return res.status(400).json({ error: "Invalid video ID" });
+        }
+
+        const { posterId, slot = 1 } = req.body ?? {};
+        if (!Number.isInteger(posterId) || ![1, 2].includes(slot)) {
+            return res.status(400).json({ error: "posterId (integer) and slot (1 or 2) are required" });
+        }
+
+        const video = await setVideoPoster(videoId, posterId, slot, auditActor(req));
+        if (!video) {
+            return res.status(404).json({ error: "Video not found" });
+        }
+
+        return res.status(200).json({ message: "Poster updated", data: video });
     } catch (err) {
-        console.error('[uploadAndCreateVideo] Error:', err);
-        sendEvent({ type: 'error', message: err.message || 'Upload failed' });
-        res.end();
+        if (err.code === "POSTER_NOT_FOUND") {
+            return res.status(404).json({ error: err.message });
+        }
+        console.error("[pickVideoPoster] Error:", err);
+        return res.status(500).json({ error: "Failed to update poster" });
     }
 };
\ No newline at end of file
@@ -0,0 +1,118 @@
+// middleware/auth.middleware.js
+import { ACCESS_COOKIE_NAME } from "../config/auth.config.js";
+import { verifyAccessToken } from "../services/auth.service.js";
+import { findActiveSessionAdmin } from "../services/session.service.js";
+import { authenticateApiKey } from "../services/apiKey.service.js";
+import { roleHasPermission } from "../config/roles.config.js";
+
+// ─── requireAdmin ─────────────────────────────────────────────────────────────
+
+/**
+ * Rejects the request with 401 unless it carries a valid admin session cookie.
+ *
+ * On success the authenticated admin is attached as `req.admin = { id, email, role }`
+ * and the session id as `req.sessionId`.
+ * The session row is re-read on every request so a revoked session (or a
+ * disabled / deleted account, or a role change) takes effect immediately
+ * instead of when its token expires.
+ *
+ * Must run BEFORE multer on upload routes so anonymous requests are rejected
+ * before any file bytes are buffered.
+ */
+export const requireAdmin = async (req, res, next) => {
+    try {
+        const payload = verifyAccessToken(req.cookies?.[ACCESS_COOKIE_NAME]);
+
+        if (!payload?.sid) {
+            return res.status(401).json({ success: false, message: "Authentication required." });
+        }
+
+        const admin = await findActiveSessionAdmin({
+            sessionId: payload.sid,
+            adminId: payload.sub,
+        });
+        if (!admin) {
+            return res.status(401).json({ success: false, message: "Authentication required." });
+        }
+
+        req.admin = { id: admin.id, email: admin.email, role: admin.role };
+        req.sessionId = payload.sid;
+        return next();
+    } catch (err) {
+        console.error("[requireAdmin] Unexpected error:", err);
+        return res.status(500).json({ success: false, message: "Failed to verify session." });
+    }
+};
+
+// ─── requireAdminOrApiKey ─────────────────────────────────────────────────────
+
+/**
+ * Like requireAdmin, but also accepts `Authorization: Bearer lmv_...` API keys
+ * for scripts that can't hold cookies. Only mount it on content routes —
+ * session and admin-management routes stay cookie-only via requireAdmin.
+ *
+ * With a key, `req.admin` is the key's owner, `req.apiKey = { id, scopes }`
+ * and `req.sessionId` is null. Always pair with requirePermission, which also
+ * checks the key's scopes.
+ */
+export const requireAdminOrApiKey = async (req, res, next) => {
+    const header = req.get("authorization");
+    if (!header) return requireAdmin(req, res, next);
+
+    try {
+        const [scheme, token] = header.split(" ");
+        const auth = scheme?.toLowerCase() === "bearer"
+            ? await authenticateApiKey(token, { ip: req.ip })
+            : undefined;
+
+        if (!auth) {
+            return res.status(401).json({ success: false, message: "Invalid or expired API key." });
+        }
+
+        req.admin = auth.admin;
+        req.apiKey = auth.apiKey;
+        req.sessionId = null;
+        return next();
+    } catch (err) {
+        console.error("[requireAdminOrApiKey] Unexpected error:", err);
+        return res.status(500).json({ success: false, message: "Failed to verify API key." });
+    }
+};
+
+// ─── requirePermission ────────────────────────────────────────────────────────
+
+/**
+ * True when the admin's role grants `permission` and, for API-key requests,
+ * the key was also scoped to it. For handlers whose required permission
+ * depends on the request body; routes should use requirePermission.
+ *
+ * @param {import("express").Request} req
+ * @param {string} permission  one of PERMISSIONS
+ * @returns {boolean}
+ */
+export const hasPermission = (req, permission) =>
+    Boolean(req.admin) &&
+    roleHasPermission(req.admin.role, permission) &&
+    (!req.apiKey || req.apiKey.scopes.includes(permission));
+
+/**
+ * Rejects the request with 403 unless the admin's role grants `permission`
+ * (see ROLE_PERMISSIONS in config/roles.config.js) and, for API-key requests,
+ * the key was also scoped to it. The role is re-checked on every request, so
+ * demoting an admin narrows their keys too.
+ * Must be mounted AFTER requireAdmin / requireAdminOrApiKey, and before multer
+ * on upload routes.
+ *
+ * @param {string} permission  one of PERMISSIONS
+ */
+export const requirePermission = (permission) => {
+    return (req, res, next) => {
+        if (!hasPermission(req, permission)) {
+            return res.status(403).json({
+                success: false,
+                message: "You do not have permission to perform this action.",
+            });
+        }
+        return next();
+    };
+};
@@ -0,0 +1,20 @@
+-- 001_admin_sessions.sql
+-- Server-side record of every admin login, backing refresh-token rotation,
+-- the session list in the dashboard and remote revocation.
+
+CREATE TABLE IF NOT EXISTS admin_sessions (
+    id                CHAR(36)      NOT NULL PRIMARY KEY,        -- uuid, embedded in tokens as `sid`
+    admin_id          INT           NOT NULL,
+    refresh_jti_hash  CHAR(64)      NOT NULL,                    -- sha256 of the current refresh token's jti
+    previous_jti_hash CHAR(64)      NULL,                        -- last rotated-out jti (concurrent-refresh grace)
+    rotated_at        DATETIME      NULL,
+    user_agent        VARCHAR(512)  NULL,
+    ip_address        VARCHAR(45)   NULL,                        -- fits IPv6
+    created_at        DATETIME      NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    last_seen_at      DATETIME      NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    expires_at        DATETIME      NOT NULL,
+    revoked_at        DATETIME      NULL,
+    revoked_reason    VARCHAR(32)   NULL,                        -- logout | revoked | refresh_reuse | ...
+
+    INDEX idx_admin_sessions_admin (admin_id, revoked_at, expires_at)
+);
@@ -0,0 +1,11 @@
+-- 002_admin_roles.sql
+-- Role-based admin accounts: owner / editor / viewer, plus disable support.
+
+ALTER TABLE admins
+    ADD COLUMN role                ENUM('owner', 'editor', 'viewer') NOT NULL DEFAULT 'editor',
+    ADD COLUMN is_active           BOOLEAN   NOT NULL DEFAULT TRUE,
+    ADD COLUMN disabled_at         DATETIME  NULL,
+    ADD COLUMN password_changed_at DATETIME  NULL;
+
+-- Admins that existed before roles were introduced keep full access.
+UPDATE admins SET role = 'owner';
@@ -0,0 +1,14 @@
+-- 003_admin_login_attempts.sql
+-- Failed login counters for brute-force protection, keyed by email and by IP.
+-- Rows exist for unknown emails too, so lockouts never reveal which emails are admins.
+
+CREATE TABLE IF NOT EXISTS admin_login_attempts (
+    scope          ENUM('email', 'ip') NOT NULL,
+    identifier     VARCHAR(255)        NOT NULL,   -- lowercased email or client IP
+    failures       INT                 NOT NULL DEFAULT 0,
+    last_failed_at DATETIME            NOT NULL,
+    blocked_until  DATETIME            NULL,
+
+    PRIMARY KEY (scope, identifier),
+    INDEX idx_admin_login_attempts_last_failed (last_failed_at)
+);
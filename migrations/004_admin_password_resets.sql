@@ -0,0 +1,15 @@
+-- 004_admin_password_resets.sql
+-- Single-use, expiring password reset tokens. Only the SHA-256 of each token is stored.
+
+CREATE TABLE IF NOT EXISTS admin_password_resets (
+    id           INT          NOT NULL AUTO_INCREMENT PRIMARY KEY,
+    admin_id     INT          NOT NULL,
+    token_hash   CHAR(64)     NOT NULL,
+    requested_ip VARCHAR(45)  NULL,
+    created_at   DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    expires_at   DATETIME     NOT NULL,
+    used_at      DATETIME     NULL,
+
+    UNIQUE KEY uq_admin_password_resets_token (token_hash),
+    INDEX idx_admin_password_resets_admin (admin_id, used_at)
+);
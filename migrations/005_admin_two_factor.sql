@@ -0,0 +1,19 @@
+-- 005_admin_two_factor.sql
+-- Optional TOTP two-factor authentication. Secrets are AES-256-GCM encrypted
+-- by the app (see utils/crypto.utils.js); recovery codes are stored as SHA-256.
+
+ALTER TABLE admins
+    ADD COLUMN totp_secret         VARCHAR(255) NULL,
+    ADD COLUMN totp_pending_secret VARCHAR(255) NULL,
+    ADD COLUMN totp_enabled_at     DATETIME     NULL,
+    ADD COLUMN totp_last_step      BIGINT       NULL;
+
+CREATE TABLE IF NOT EXISTS admin_recovery_codes (
+    id         INT       NOT NULL AUTO_INCREMENT PRIMARY KEY,
+    admin_id   INT       NOT NULL,
+    code_hash  CHAR(64)  NOT NULL,
+    created_at DATETIME  NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    used_at    DATETIME  NULL,
+
+    INDEX idx_admin_recovery_codes_admin (admin_id, code_hash)
+);
@@ -0,0 +1,27 @@
+-- 006_audit_log.sql
+-- One append-only log of every mutation (media, current film, admin accounts, logins).
+-- before_data / after_data hold JSON snapshots of the entity around the change.
+
+CREATE TABLE IF NOT EXISTS audit_log (
+    id          BIGINT        NOT NULL AUTO_INCREMENT PRIMARY KEY,
+    actor_id    INT           NULL,          -- NULL for anonymous events (failed logins)
+    actor_email VARCHAR(255)  NULL,          -- copied so entries survive admin deletion
+    action      VARCHAR(64)   NOT NULL,      -- e.g. "image.upload", "admin.login_failed"
+    entity_type VARCHAR(32)   NOT NULL,      -- e.g. "image", "video", "current_film", "admin"
+    entity_id   VARCHAR(255)  NULL,
+    before_data JSON          NULL,
+    after_data  JSON          NULL,
+    ip          VARCHAR(45)   NULL,
+    user_agent  VARCHAR(255)  NULL,
+    created_at  DATETIME      NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_audit_log_created (created_at),
+    INDEX idx_audit_log_actor (actor_id, created_at),
+    INDEX idx_audit_log_entity (entity_type, entity_id, created_at),
+    INDEX idx_audit_log_action (action, created_at)
+);
+
+-- The legacy per-image columns now store the acting admin's email instead of
+-- the literal 'admin', so make sure an email fits.
+ALTER TABLE image_activity_log MODIFY COLUMN user_id VARCHAR(255) NULL;
+ALTER TABLE images MODIFY COLUMN uploaded_by VARCHAR(255) NULL;
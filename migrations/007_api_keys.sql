@@ -0,0 +1,23 @@
+-- 007_api_keys.sql
+-- Scoped API keys for scripts (Authorization: Bearer lmv_<prefix>_<secret>).
+-- Only the SHA-256 of the full key is stored; the prefix is kept for lookup and display.
+
+CREATE TABLE IF NOT EXISTS api_keys (
+    id           INT           NOT NULL AUTO_INCREMENT PRIMARY KEY,
+    admin_id     INT           NOT NULL,          -- the key acts as this admin
+    name         VARCHAR(100)  NOT NULL,
+    key_prefix   CHAR(12)      NOT NULL,
+    key_hash     CHAR(64)      NOT NULL,
+    scopes       JSON          NOT NULL,
+    created_at   DATETIME      NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    expires_at   DATETIME      NULL,              -- NULL = never expires
+    last_used_at DATETIME      NULL,
+    last_used_ip VARCHAR(45)   NULL,
+    revoked_at   DATETIME      NULL,
+
+    UNIQUE KEY uq_api_keys_prefix (key_prefix),
+    INDEX idx_api_keys_admin (admin_id)
+);
+
+-- Mutations made with a key are attributed to the key as well as its admin.
+ALTER TABLE audit_log ADD COLUMN api_key_id INT NULL AFTER actor_email;
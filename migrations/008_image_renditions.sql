@@ -0,0 +1,17 @@
+-- 008_image_renditions.sql
+-- Responsive renditions (width ladder × WebP / AVIF) generated for each image.
+
+CREATE TABLE IF NOT EXISTS image_renditions (
+    id         INT           NOT NULL AUTO_INCREMENT PRIMARY KEY,
+    image_id   INT           NOT NULL,
+    width      INT           NOT NULL,
+    height     INT           NOT NULL,
+    format     VARCHAR(10)   NOT NULL,       -- "avif" | "webp"
+    s3_key     VARCHAR(512)  NOT NULL,
+    s3_url     VARCHAR(1024) NOT NULL,
+    file_size  INT           NOT NULL,
+    created_at DATETIME      NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    UNIQUE KEY uq_image_renditions (image_id, width, format),
+    INDEX idx_image_renditions_image (image_id)
+);
@@ -0,0 +1,15 @@
+-- 009_image_exif.sql
+-- Public camera EXIF read at upload. GPS and other private tags are never stored.
+-- (width / height already exist on images and are now filled in on upload.)
+
+ALTER TABLE images
+    ADD COLUMN orientation   TINYINT       NULL,
+    ADD COLUMN camera_make   VARCHAR(100)  NULL,
+    ADD COLUMN camera_model  VARCHAR(100)  NULL,
+    ADD COLUMN lens_model    VARCHAR(150)  NULL,
+    ADD COLUMN focal_length  DECIMAL(7,2)  NULL,   -- mm
+    ADD COLUMN iso           INT           NULL,
+    ADD COLUMN exposure_time DECIMAL(12,6) NULL,   -- seconds
+    ADD COLUMN f_number      DECIMAL(4,1)  NULL,
+    ADD COLUMN captured_at   DATETIME      NULL,
+    ADD COLUMN exif_stripped BOOLEAN       NOT NULL DEFAULT FALSE;
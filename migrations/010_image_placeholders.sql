@@ -0,0 +1,8 @@
+-- 010_image_placeholders.sql
+-- Loading placeholders shown while gallery images download.
+-- Existing images: POST /api/images/placeholders/backfill
+
+ALTER TABLE images
+    ADD COLUMN blurhash       VARCHAR(64)  NULL,
+    ADD COLUMN lqip           TEXT         NULL,   -- data:image/webp;base64,…
+    ADD COLUMN dominant_color CHAR(7)      NULL;   -- #rrggbb
@@ -0,0 +1,42 @@
+-- 011_categories.sql
+-- Image categories move from the hard-coded VALID_CATEGORIES map into the DB.
+-- Slugs use underscores; URLs may use hyphens (/api/images/featured-work).
+
+CREATE TABLE IF NOT EXISTS categories (
+    id             INT           NOT NULL AUTO_INCREMENT PRIMARY KEY,
+    slug           VARCHAR(64)   NOT NULL,
+    name           VARCHAR(100)  NOT NULL,
+    description    TEXT          NULL,
+    cover_image_id INT           NULL,
+    sort_order     INT           NOT NULL DEFAULT 0,
+    is_visible     BOOLEAN       NOT NULL DEFAULT TRUE,
+    created_at     DATETIME      NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at     DATETIME      NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    UNIQUE KEY uq_categories_slug (slug)
+);
+
+-- Old / alternative slugs that resolve to a category (e.g. the misspelled "documentry").
+CREATE TABLE IF NOT EXISTS category_aliases (
+    alias       VARCHAR(64)  NOT NULL PRIMARY KEY,
+    category_id INT          NOT NULL,
+
+    INDEX idx_category_aliases_category (category_id)
+);
+
+INSERT IGNORE INTO categories (slug, name, sort_order) VALUES
+    ('featured_work',  'Featured Work',  10),
+    ('portraits',      'Portraits',      20),
+    ('product_shoots', 'Product Shoots', 30),
+    ('documentary',    'Documentary',    40),
+    ('travel',         'Travel',         50),
+    ('thumbnails',     'Thumbnails',     90);
+
+INSERT IGNORE INTO category_aliases (alias, category_id)
+    SELECT 'documentry', id FROM categories WHERE slug = 'documentary';
+
+-- images.category may have been an ENUM of the old slugs
+ALTER TABLE images MODIFY COLUMN category VARCHAR(64) NOT NULL;
+
+-- Existing S3 keys keep their "documentry/" prefix; only the DB value changes.
+UPDATE images SET category = 'documentary' WHERE category = 'documentry';
@@ -0,0 +1,29 @@
+-- 012_image_details.sql
+-- Editable display metadata (PATCH /api/images/:id) and free-form tags.
+
+ALTER TABLE images
+    ADD COLUMN title    VARCHAR(200) NULL,
+    ADD COLUMN alt_text VARCHAR(500) NULL,
+    ADD COLUMN caption  TEXT         NULL,
+    ADD COLUMN credit   VARCHAR(200) NULL;   -- photographer credit
+
+CREATE TABLE IF NOT EXISTS tags (
+    id         INT          NOT NULL AUTO_INCREMENT PRIMARY KEY,
+    name       VARCHAR(50)  NOT NULL,        -- normalized: trimmed, lower-case
+    created_at DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    UNIQUE KEY uq_tags_name (name)
+);
+
+CREATE TABLE IF NOT EXISTS image_tags (
+    image_id INT NOT NULL,
+    tag_id   INT NOT NULL,
+
+    PRIMARY KEY (image_id, tag_id),
+    INDEX idx_image_tags_tag (tag_id)
+);
+
+-- Metadata edits are logged per image with the changed fields
+ALTER TABLE image_activity_log
+    MODIFY COLUMN action VARCHAR(50) NOT NULL,
+    ADD COLUMN details JSON NULL;            -- { field: { from, to } }
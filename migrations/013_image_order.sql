@@ -0,0 +1,9 @@
+-- 013_image_order.sql
+-- Manual ordering within a category (PUT /api/images/:category/order).
+-- Listing order: pinned first, then sort_order, then newest first for
+-- images that were never placed (sort_order NULL, e.g. new uploads).
+
+ALTER TABLE images
+    ADD COLUMN sort_order INT     NULL,
+    ADD COLUMN pinned     BOOLEAN NOT NULL DEFAULT FALSE,
+    ADD INDEX idx_images_category_order (category, is_active, pinned, sort_order);
@@ -0,0 +1,8 @@
+-- 014_image_hashes.sql
+-- Fingerprints for duplicate detection on upload and the duplicates report.
+-- Existing images: POST /api/images/hashes/backfill
+
+ALTER TABLE images
+    ADD COLUMN sha256 CHAR(64)        NULL,   -- exact bytes as uploaded
+    ADD COLUMN dhash  BIGINT UNSIGNED NULL,   -- 64-bit perceptual difference hash
+    ADD INDEX idx_images_sha256 (sha256);
@@ -0,0 +1,23 @@
+-- 015_staged_uploads.sql
+-- Direct-to-S3 uploads: POST /api/uploads/presign hands out presigned URLs for a
+-- staging key, POST /api/uploads/complete processes the staged object.
+-- Staged objects live under staging/ — pair with an S3 lifecycle rule that
+-- expires that prefix and aborts incomplete multipart uploads.
+
+CREATE TABLE IF NOT EXISTS staged_uploads (
+    id           CHAR(36)      NOT NULL PRIMARY KEY,  -- uuid, returned as uploadId
+    admin_id     INT           NOT NULL,              -- only this admin may complete it
+    kind         ENUM('image', 'video', 'teaser') NOT NULL,
+    staging_key  VARCHAR(512)  NOT NULL,
+    s3_upload_id VARCHAR(255)  NULL,                  -- multipart UploadId; NULL for a single PUT
+    filename     VARCHAR(255)  NOT NULL,
+    content_type VARCHAR(100)  NOT NULL,
+    size         BIGINT        NOT NULL,              -- declared at presign, checked at complete
+    status       ENUM('pending', 'processing', 'completed', 'failed') NOT NULL DEFAULT 'pending',
+    error        VARCHAR(500)  NULL,
+    expires_at   DATETIME      NOT NULL,
+    created_at   DATETIME      NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    completed_at DATETIME      NULL,
+
+    INDEX idx_staged_uploads_admin (admin_id, created_at)
+);
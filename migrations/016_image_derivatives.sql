@@ -0,0 +1,13 @@
+-- 016_image_derivatives.sql
+-- On-the-fly renders (GET /api/images/render/:id) stored in S3 under
+-- derivatives/<image id>/, tracked so hard deletes can remove them.
+
+CREATE TABLE IF NOT EXISTS image_derivatives (
+    image_id   INT           NOT NULL,
+    variant    VARCHAR(64)   NOT NULL,       -- e.g. "w600-h600-cover-q75.webp"
+    s3_key     VARCHAR(512)  NOT NULL,
+    file_size  INT           NOT NULL,
+    created_at DATETIME      NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    PRIMARY KEY (image_id, variant)
+);
@@ -0,0 +1,26 @@
+-- 017_transcode_jobs.sql
+-- Background video / teaser transcoding. Uploads enqueue a job and return its
+-- id; an in-process worker pool runs the jobs (GET /api/jobs/:id, /events).
+
+CREATE TABLE IF NOT EXISTS transcode_jobs (
+    id           INT           NOT NULL AUTO_INCREMENT PRIMARY KEY,
+    kind         ENUM('video', 'teaser') NOT NULL,
+    status       ENUM('queued', 'running', 'completed', 'failed', 'cancelled') NOT NULL DEFAULT 'queued',
+    input_path   VARCHAR(1024) NOT NULL,              -- source file in TRANSCODE_WORK_DIR
+    params       JSON          NOT NULL,              -- e.g. { category, title, description, sha256 }
+    actor        JSON          NULL,                  -- auditActor(req) of the uploader
+    created_by   INT           NULL,                  -- admin id
+    stage        VARCHAR(32)   NULL,                  -- "converting" | "posters" | "previews" | "uploading" | "saving"
+    progress     TINYINT       NOT NULL DEFAULT 0,    -- percent
+    attempts     INT           NOT NULL DEFAULT 0,
+    max_attempts INT           NOT NULL,
+    run_after    DATETIME      NULL,                  -- retry backoff
+    error        VARCHAR(1000) NULL,                  -- last failure
+    result       JSON          NULL,                  -- e.g. { videoId, videoUrl, fileCount }
+    created_at   DATETIME      NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    started_at   DATETIME      NULL,
+    finished_at  DATETIME      NULL,
+
+    INDEX idx_transcode_jobs_status (status, run_after),
+    INDEX idx_transcode_jobs_created (created_at)
+);
@@ -0,0 +1,19 @@
+-- 018_video_posters.sql
+-- Candidate poster frames extracted while a video is converted (non-black
+-- frames spread over its duration), stored in S3 under <prefix>/posters/.
+-- The first two fill videos.thumbnail_one / thumbnail_two unless URLs were
+-- given; PUT /api/videos/:id/poster picks another.
+
+CREATE TABLE IF NOT EXISTS video_posters (
+    id                INT           NOT NULL AUTO_INCREMENT PRIMARY KEY,
+    video_id          INT           NOT NULL,
+    position          INT           NOT NULL,       -- 1-based, in timeline order
+    s3_key            VARCHAR(512)  NOT NULL,
+    url               VARCHAR(1024) NOT NULL,
+    timestamp_seconds DECIMAL(10,2) NOT NULL,       -- where in the video the frame is
+    width             INT           NOT NULL,
+    height            INT           NOT NULL,
+    created_at        DATETIME      NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    UNIQUE KEY uq_video_posters (video_id, position)
+);
@@ -0,0 +1,7 @@
+-- 019_video_preview_track.sql
+-- WebVTT thumbnail track (<prefix>/preview/thumbnails.vtt) mapping seek-bar
+-- time ranges to tiles of the sprite sheets generated during conversion.
+-- NULL for videos converted before previews (or when generation failed).
+
+ALTER TABLE videos
+    ADD COLUMN preview_track_url VARCHAR(1024) NULL AFTER video_url;
@@ -0,0 +1,6 @@
+-- 020_password_reset_throttle.sql
+-- Forgot-password requests are throttled per email and per IP in the same
+-- store as login failures (see lockout.service.js).
+
+ALTER TABLE admin_login_attempts
+    MODIFY scope ENUM('email', 'ip', 'reset_email', 'reset_ip') NOT NULL;
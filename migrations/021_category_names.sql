@@ -0,0 +1,20 @@
+-- 021_category_names.sql
+-- Slugs and aliases share one namespace, so they share one table: the primary
+-- key makes a name unique across both, which a check-then-insert can't.
+-- categories.slug stays the canonical slug; every slug is mirrored here.
+
+CREATE TABLE IF NOT EXISTS category_names (
+    name        VARCHAR(64)  NOT NULL PRIMARY KEY,
+    category_id INT          NOT NULL,
+    is_alias    BOOLEAN      NOT NULL DEFAULT FALSE,
+
+    INDEX idx_category_names_category (category_id)
+);
+
+INSERT IGNORE INTO category_names (name, category_id, is_alias)
+    SELECT slug, id, FALSE FROM categories;
+
+INSERT IGNORE INTO category_names (name, category_id, is_alias)
+    SELECT alias, category_id, TRUE FROM category_aliases;
+
+DROP TABLE IF EXISTS category_aliases;
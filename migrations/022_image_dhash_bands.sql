@@ -0,0 +1,22 @@
+-- 022_image_dhash_bands.sql
+-- The 64-bit dHash split into its eight bytes, each indexed. Two hashes that
+-- differ in at most 7 bits share at least one byte, so near-duplicate lookups
+-- only read the rows in those eight buckets instead of the whole table.
+
+ALTER TABLE images
+    ADD COLUMN dhash_b0 TINYINT UNSIGNED AS (dhash        & 255) STORED,
+    ADD COLUMN dhash_b1 TINYINT UNSIGNED AS ((dhash >> 8)  & 255) STORED,
+    ADD COLUMN dhash_b2 TINYINT UNSIGNED AS ((dhash >> 16) & 255) STORED,
+    ADD COLUMN dhash_b3 TINYINT UNSIGNED AS ((dhash >> 24) & 255) STORED,
+    ADD COLUMN dhash_b4 TINYINT UNSIGNED AS ((dhash >> 32) & 255) STORED,
+    ADD COLUMN dhash_b5 TINYINT UNSIGNED AS ((dhash >> 40) & 255) STORED,
+    ADD COLUMN dhash_b6 TINYINT UNSIGNED AS ((dhash >> 48) & 255) STORED,
+    ADD COLUMN dhash_b7 TINYINT UNSIGNED AS ((dhash >> 56) & 255) STORED,
+    ADD INDEX idx_images_dhash_b0 (dhash_b0),
+    ADD INDEX idx_images_dhash_b1 (dhash_b1),
+    ADD INDEX idx_images_dhash_b2 (dhash_b2),
+    ADD INDEX idx_images_dhash_b3 (dhash_b3),
+    ADD INDEX idx_images_dhash_b4 (dhash_b4),
+    ADD INDEX idx_images_dhash_b5 (dhash_b5),
+    ADD INDEX idx_images_dhash_b6 (dhash_b6),
+    ADD INDEX idx_images_dhash_b7 (dhash_b7);
@@ -0,0 +1,7 @@
+-- 023_staged_upload_expiry.sql
+-- The staged-upload sweep marks uploads that were never completed (or were cut
+-- off by a restart mid-processing) as expired once their objects are deleted.
+
+ALTER TABLE staged_uploads
+    MODIFY status ENUM('pending', 'processing', 'completed', 'failed', 'expired') NOT NULL DEFAULT 'pending',
+    ADD INDEX idx_staged_uploads_status (status, expires_at);
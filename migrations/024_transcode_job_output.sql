@@ -0,0 +1,9 @@
+-- 024_transcode_job_output.sql
+-- A video job holds its <category>/<slug>/ output folder while it is queued or
+-- running. The unique key refuses a second job for the same folder, so
+-- cancelling or failing one can't delete the other's segments. The column is
+-- cleared when the job finishes (NULLs never collide).
+
+ALTER TABLE transcode_jobs
+    ADD COLUMN output_prefix VARCHAR(255) NULL,
+    ADD UNIQUE KEY uq_transcode_jobs_output_prefix (output_prefix);
@@ -1,6 +1,34 @@
 // routes/admin.route.js
 import express from "express";
-import { adminLogin } from "../controller/admin.controller.js";
+import {
+    adminLogin,
+    adminLogout,
+    refreshSession,
+    getCurrentAdmin,
+    getSessions,
+    deleteSession,
+    deleteAllSessions,
+    changeOwnPassword,
+    getAdminUsers,
+    createAdminUser,
+    updateAdminUser,
+    setAdminUserPassword,
+    deleteAdminUser,
+    unlockAdminUser,
+    forgotPassword,
+    resetPasswordWithToken,
+    verifyLoginSecondFactor,
+    getTwoFactor,
+    setupTwoFactor,
+    enableTwoFactor,
+    turnOffTwoFactor,
+    newRecoveryCodes,
+    resetAdminUserTwoFactor,
+} from "../controller/admin.controller.js";
+import { getAuditLog } from "../controller/audit.controller.js";
+import { getApiKeys, createApiKeyForAdmin, deleteApiKey } from "../controller/apiKey.controller.js";
+import { requireAdmin, requirePermission } from "../middleware/auth.middleware.js";
+import { PERMISSIONS } from "../config/roles.config.js";
 
 const router = express.Router();
 
@@ -8,11 +36,264 @@ const router = express.Router();
  * POST /api/admin/login
  * Body (JSON): { email: string, password: string }
  *
- * 200 → { message: "Logged in successfully.", admin: { id, email } }
+ * 200 → { message: "Logged in successfully.", admin: { id, email, role } }
+ *       + Set-Cookie: lmv_admin_token (15 min access JWT), lmv_admin_refresh (30 day refresh token)
+ * 200 → { message, mfaRequired: true, mfaToken }  when the admin has 2FA enabled —
+ *       no cookies yet; finish with POST /api/admin/login/verify
  * 400 → missing / blank / malformed fields
- * 401 → invalid credentials (intentionally vague — same for bad email & bad password)
+ * 401 → invalid credentials (intentionally vague — same for bad email, bad password
+ *       and disabled account)
+ * 429 → too many failed attempts for this email or IP — see Retry-After header
  * 500 → server error
  */
 router.post("/login", adminLogin);
 
-export default router;
\ No newline at end of file
+/**
+ * POST /api/admin/login/verify
+ * Body (JSON): { mfaToken: string, code: string } or { mfaToken, recoveryCode: string }
+ * Second step of a 2FA login. The mfaToken is valid for 5 minutes.
+ *
+ * 200 → { message: "Logged in successfully.", admin: { id, email, role } }  + Set-Cookie
+ * 400 → missing fields
+ * 401 → expired mfaToken or invalid code (counts towards the login lockout)
+ * 429 → too many failed attempts — see Retry-After header
+ */
+router.post("/login/verify", verifyLoginSecondFactor);
+
+/**
+ * POST /api/admin/forgot-password
+ * Body (JSON): { email: string }
+ * Emails a reset link (valid 30 minutes, single use) if the email belongs to an admin.
+ *
+ * 200 → always the same message, whether or not the email exists
+ * 400 → malformed email
+ * 429 → more than 5 requests per email (20 per IP) in an hour
+ */
+router.post("/forgot-password", forgotPassword);
+
+/**
+ * POST /api/admin/reset-password
+ * Body (JSON): { token: string, password: string }
+ * Sets a new password and revokes every existing session.
+ *
+ * 200 → { message }
+ * 400 → invalid / expired / used token, or password shorter than 10 characters
+ */
+router.post("/reset-password", resetPasswordWithToken);
+
+/**
+ * POST /api/admin/refresh
+ * Exchanges the refresh cookie for new access + refresh cookies (rotation).
+ * Re-using an already-rotated refresh token revokes the whole session.
+ *
+ * 200 → { message: "Session refreshed.", admin: { id, email, role } }
+ * 401 → missing / expired / revoked / reused refresh token
+ * 409 → another tab refreshed at the same moment — retry
+ */
+router.post("/refresh", refreshSession);
+
+/**
+ * POST /api/admin/logout
+ * Revokes the current session and clears both cookies.
+ *
+ * 200 → { message: "Logged out successfully." }
+ */
+router.post("/logout", adminLogout);
+
+/**
+ * GET /api/admin/me
+ * Returns the currently authenticated admin.
+ *
+ * 200 → { admin: { id, email, role } }
+ * 401 → no / expired / invalid session
+ */
+router.get("/me", requireAdmin, getCurrentAdmin);
+
+/**
+ * GET /api/admin/sessions
+ * Lists the current admin's active sessions.
+ *
+ * 200 → { sessions: [{ id, device, userAgent, ip, createdAt, lastSeenAt, expiresAt, current }] }
+ */
+router.get("/sessions", requireAdmin, getSessions);
+
+/**
+ * DELETE /api/admin/sessions
+ * Revokes every session of the current admin.
+ * Query: exceptCurrent=true → keep the session making this request.
+ *
+ * 200 → { message, revoked: number }
+ */
+router.delete("/sessions", requireAdmin, deleteAllSessions);
+
+/**
+ * DELETE /api/admin/sessions/:id
+ * Revokes a single session (e.g. a lost laptop).
+ *
+ * 200 → { message: "Session revoked." }
+ * 404 → no active session with that id
+ */
+router.delete("/sessions/:id", requireAdmin, deleteSession);
+
+/**
+ * PUT /api/admin/password
+ * Changes the current admin's own password. Other sessions are revoked.
+ * Body (JSON): { currentPassword: string, newPassword: string }
+ *
+ * 200 → { message }
+ * 400 → missing fields / password shorter than 10 characters
+ * 401 → current password wrong
+ */
+router.put("/password", requireAdmin, changeOwnPassword);
+
+// ─── Two-factor authentication (own account) ─────────────────────────────────
+
+/**
+ * GET /api/admin/2fa
+ * 200 → { enabled, enabledAt, recoveryCodesRemaining }
+ */
+router.get("/2fa", requireAdmin, getTwoFactor);
+
+/**
+ * POST /api/admin/2fa/setup
+ * Starts enrollment. Render otpauthUri as a QR code (or show the secret for manual entry).
+ *
+ * 200 → { secret, otpauthUri }
+ * 409 → already enabled
+ */
+router.post("/2fa/setup", requireAdmin, setupTwoFactor);
+
+/**
+ * POST /api/admin/2fa/enable
+ * Body (JSON): { code }   a current code from the authenticator app
+ *
+ * 200 → { message, recoveryCodes: string[] }   shown once
+ * 400 → invalid code / setup not started
+ * 409 → already enabled
+ */
+router.post("/2fa/enable", requireAdmin, enableTwoFactor);
+
+/**
+ * POST /api/admin/2fa/disable
+ * Body (JSON): { password, code } or { password, recoveryCode }
+ *
+ * 200 → { message }
+ * 401 → wrong password or code
+ */
+router.post("/2fa/disable", requireAdmin, turnOffTwoFactor);
+
+/**
+ * POST /api/admin/2fa/recovery-codes
+ * Body (JSON): { password }   replaces all recovery codes
+ *
+ * 200 → { message, recoveryCodes: string[] }
+ * 400 → 2FA not enabled
+ * 401 → wrong password
+ */
+router.post("/2fa/recovery-codes", requireAdmin, newRecoveryCodes);
+
+// ─── API keys ─────────────────────────────────────────────────────────────────
+// Managed with a browser session only — an API key can't mint or list keys.
+
+/**
+ * GET /api/admin/api-keys
+ * Owners see every active key, other admins their own.
+ *
+ * 200 → { keys: [{ id, adminId, adminEmail, name, prefix, scopes, createdAt, expiresAt,
+ *                  lastUsedAt, lastUsedIp }], availableScopes: string[] }
+ */
+router.get("/api-keys", requireAdmin, getApiKeys);
+
+/**
+ * POST /api/admin/api-keys
+ * Body (JSON): { name, scopes: ["videos:write", ...], expiresAt?: ISO date }
+ * Scopes are limited to the caller's own role. Send the key as
+ * `Authorization: Bearer lmv_...` to the image / video / current-film write routes.
+ *
+ * 201 → { message, apiKey, key }   apiKey is only ever shown here
+ * 400 → missing name / invalid scopes / past expiry / key limit reached
+ */
+router.post("/api-keys", requireAdmin, createApiKeyForAdmin);
+
+/**
+ * DELETE /api/admin/api-keys/:id
+ * 200 → { message }
+ * 404 → no active key with that id (owners can revoke anyone's)
+ */
+router.delete("/api-keys/:id", requireAdmin, deleteApiKey);
+
+// ─── Admin management (owner only) ───────────────────────────────────────────
+
+const canManageAdmins = [requireAdmin, requirePermission(PERMISSIONS.ADMINS_MANAGE)];
+
+/**
+ * GET /api/admin/users
+ * 200 → { users: [{ id, email, role, isActive, disabledAt, passwordChangedAt, twoFactorEnabled, lastLoginAt }] }
+ */
+router.get("/users", canManageAdmins, getAdminUsers);
+
+/**
+ * POST /api/admin/users
+ * Body (JSON): { email, password, role?: "owner" | "editor" | "viewer" }  (default "editor")
+ *
+ * 201 → { message, user }
+ * 409 → email already in use
+ */
+router.post("/users", canManageAdmins, createAdminUser);
+
+/**
+ * PATCH /api/admin/users/:id
+ * Body (JSON): { role?, isActive? }   isActive: false disables the admin and signs them out
+ *
+ * 200 → { message, user }
+ * 409 → would leave no active owner
+ */
+router.patch("/users/:id", canManageAdmins, updateAdminUser);
+
+/**
+ * PUT /api/admin/users/:id/password
+ * Body (JSON): { password }   signs the admin out everywhere
+ */
+router.put("/users/:id/password", canManageAdmins, setAdminUserPassword);
+
+/**
+ * POST /api/admin/users/:id/unlock
+ * Clears a login lockout for the admin's email.
+ * Body (JSON, optional): { ip }   also clears the lockout for that IP
+ */
+router.post("/users/:id/unlock", canManageAdmins, unlockAdminUser);
+
+/**
+ * DELETE /api/admin/users/:id/2fa
+ * Removes the admin's 2FA (lost phone, no recovery codes) and signs them out everywhere.
+ *
+ * 200 → { message }
+ * 404 → admin not found or 2FA not enabled
+ */
+router.delete("/users/:id/2fa", canManageAdmins, resetAdminUserTwoFactor);
+
+// ─── Audit log (owner only) ──────────────────────────────────────────────────
+
+/**
+ * GET /api/admin/audit
+ * Every mutation: media uploads / deletes, video and current-film changes,
+ * teaser uploads, logins (incl. failures) and admin account changes.
+ *
+ * Query: actorId, action (exact or prefix "image.*"), entityType, entityId,
+ *        from, to (ISO dates), page, limit (max 100), format=csv
+ *
+ * 200 → { entries: [{ id, createdAt, actorId, actorEmail, apiKeyId, action, entityType, entityId,
+ *                     before, after, ip, userAgent }], pagination }
+ *       or a CSV download when format=csv (max 10,000 rows, X-Export-Truncated: true if cut)
+ * 400 → malformed filter
+ */
+router.get("/audit", requireAdmin, requirePermission(PERMISSIONS.AUDIT_READ), getAuditLog);
+
+/**
+ * DELETE /api/admin/users/:id
+ * 200 → { message, id }
+ * 409 → would leave no active owner
+ */
+router.delete("/users/:id", canManageAdmins, deleteAdminUser);
+
+export default router;
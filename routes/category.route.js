@@ -0,0 +1,31 @@
+// routes/category.route.js
+import express from "express";
+import {
+    getCategoryList,
+    getAllCategories,
+    getCategoryById,
+    createCategoryEntry,
+    updateCategoryEntry,
+    deleteCategoryEntry,
+} from "../controller/category.controller.js";
+import { requireAdmin, requirePermission } from "../middleware/auth.middleware.js";
+import { PERMISSIONS } from "../config/roles.config.js";
+
+const router = express.Router();
+
+// Category management is session-only (no API-key scope) and owner-only by default
+const canManage = [requireAdmin, requirePermission(PERMISSIONS.CATEGORIES_MANAGE)];
+
+// ─── Public ───────────────────────────────────────────────────────────────────
+router.get("/", getCategoryList);
+
+// ─── Admin (any role can read, /all must be defined BEFORE /:id) ──────────────
+router.get("/all", requireAdmin, getAllCategories);
+router.get("/:id", requireAdmin, getCategoryById);
+
+// ─── Management ───────────────────────────────────────────────────────────────
+router.post("/", canManage, createCategoryEntry);
+router.patch("/:id", canManage, updateCategoryEntry);
+router.delete("/:id", canManage, deleteCategoryEntry);
+
+export default router;
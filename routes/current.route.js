@@ -7,13 +7,21 @@ import {
     removeCurrentFilm,
     uploadTeaser,
 } from "../controller/current.controller.js";
+import { requireAdminOrApiKey, requirePermission } from "../middleware/auth.middleware.js";
+import { PERMISSIONS } from "../config/roles.config.js";
+import { hashingDiskStorage } from "../config/multer.config.js";
+import { TRANSCODE_WORK_DIR } from "../config/video.config.js";
 
 const router = express.Router();
 
-// ── Multer for teaser video upload (memory storage, up to 2 GB) ──────────────
+const canWrite = [requireAdminOrApiKey, requirePermission(PERMISSIONS.CURRENT_WRITE)];
+
+// ── Multer for teaser video upload (streamed into the transcode work dir, up to 2 GB)
+const MAX_TEASER_SIZE = 2 * 1024 * 1024 * 1024; // 2 GB
+
 const upload = multer({
-    storage: multer.memoryStorage(),
-    limits: { fileSize: 2 * 1024 * 1024 * 1024 }, // 2 GB
+    storage: hashingDiskStorage({ maxSize: MAX_TEASER_SIZE, directory: TRANSCODE_WORK_DIR }),
+    limits: { fileSize: MAX_TEASER_SIZE },
     fileFilter: (_req, file, cb) => {
         if (file.mimetype.startsWith("video/")) {
             cb(null, true);
@@ -35,7 +43,7 @@ router.get("/", fetchCurrentFilm);
 
 /**
  * POST /api/current
- * Save the current featured film metadata.
+ * Save the current featured film metadata. (owner / editor)
  * Body (JSON): { title, description, videoUrl, teaserUrl }
  *
  * - videoUrl  : full HLS URL already on S3 (user pastes it in)
@@ -46,32 +54,28 @@ router.get("/", fetchCurrentFilm);
  * 400 → missing fields
  * 409 → entry already exists (delete first)
  */
-router.post("/", addCurrentFilm);
+router.post("/", canWrite, addCurrentFilm);
 
 /**
  * DELETE /api/current
- * Removes the current film DB record (does NOT touch S3 files).
+ * Removes the current film DB record (does NOT touch S3 files). (owner / editor)
  * 200 → { success: true, message: "..." }
  * 404 → nothing to delete
  */
-router.delete("/", removeCurrentFilm);
+router.delete("/", canWrite, removeCurrentFilm);
 
 /**
  * POST /api/current/upload-teaser
- * Upload + convert a teaser video to HLS and store it on S3.
- * Streams progress via SSE; final event contains { teaserUrl }.
- *
+ * Queues an HLS conversion of a teaser video to S3. (owner / editor)
  * Body: multipart/form-data, field name "teaser"
  *
- * SSE events:
- *   { type: "progress", stage: "converting", percent: 0-100 }
- *   { type: "progress", stage: "uploading",  percent: 100 }
- *   { type: "complete", teaserUrl: "https://...", message: "..." }
- *   { type: "error",   message: "..." }
+ * 202 → { success: true, message, data: { jobId, status: "queued", sha256 } }
+ * 400 → no file / not a video / too large
  *
- * Use the returned teaserUrl in the POST /api/current body.
+ * Follow the job at GET /api/jobs/:id/events; once completed its result holds
+ * { teaserUrl } — use it in the POST /api/current body.
  */
-router.post("/upload-teaser", upload.single("teaser"), uploadTeaser);
+router.post("/upload-teaser", canWrite, upload.single("teaser"), uploadTeaser);
 
 router.use((err, _req, res, _next) => {
     if (err instanceof multer.MulterError) {
@@ -3,11 +3,24 @@ import multer from "multer";
 import {
     getImagesByCategory,
     uploadImage,
+    uploadImageBatch,
     deleteImageByCategory,
     deleteMultipleImagesByCategory,
     getCategories,
+    backfillImagePlaceholders,
+    updateImage,
+    setImageOrder,
+    getTrash,
+    restoreTrashedImages,
+    purgeTrashedImages,
+    backfillImageHashes,
+    getDuplicateReport,
+    renderImageVariant,
 } from "../controller/image.controller.js";
-import { VALID_CATEGORIES } from "../services/image.service.js";
+import { requireAdminOrApiKey, requirePermission } from "../middleware/auth.middleware.js";
+import { PERMISSIONS } from "../config/roles.config.js";
+import { BATCH_UPLOAD_MAX_FILES, BATCH_UPLOAD_MAX_BYTES } from "../config/image.config.js";
+import { hashingDiskStorage } from "../config/multer.config.js";
 
 const router = express.Router();
 
@@ -39,67 +52,164 @@ const upload = multer({
     },
 });
 
+// Batch uploads skip files of the wrong type instead of failing the whole
+// request; the controller reports them as failed (req.rejectedFiles).
+// Files are spooled to disk (and removed by the controller), not held in memory.
+const batchUpload = multer({
+    storage: hashingDiskStorage({ maxSize: 50 * 1024 * 1024, maxTotalSize: BATCH_UPLOAD_MAX_BYTES }),
+    limits: {
+        fileSize: 50 * 1024 * 1024, // 50MB per file
+        files: BATCH_UPLOAD_MAX_FILES,
+    },
+    fileFilter: (req, file, cb) => {
+        const allowedMimeTypes = ["image/jpeg", "image/jpg", "image/png", "image/webp", "image/gif"];
+        if (allowedMimeTypes.includes(file.mimetype)) {
+            cb(null, true);
+        } else {
+            req.rejectedFiles = [...(req.rejectedFiles ?? []), { originalname: file.originalname }];
+            cb(null, false);
+        }
+    },
+});
+
 // ========================================
 // PUBLIC ROUTES
 // ========================================
 
 /**
  * GET /api/images/categories
- * Get all valid image categories
+ * Get the slugs of all visible image categories (see GET /api/categories)
  */
 router.get("/categories", getCategories);
 
+/**
+ * GET /api/images/render/:id
+ * The image resized / cropped on the fly, e.g. ?w=600&h=600&fit=cover&format=webp
+ * for a square social card. Cached on disk and in S3 (derivatives/<id>/).
+ * Query params (each limited to an allow-list, see image.config.js):
+ *   - w, h: number (at least one) - from IMAGE_RENDER_SIZES
+ *   - fit: cover | contain | inside (default: cover; ignored with only w or h)
+ *   - format: jpeg | webp | avif | png (default: jpeg)
+ *   - q: 50 | 75 | 90 (default: 75; ignored for png)
+ * 200 → image bytes, strong ETag, Cache-Control: public, max-age=31536000, immutable
+ * 304 → If-None-Match matches
+ * 400 → a value outside the allow-list
+ * 404 → no active image with that id in a visible category
+ * 503 → too many renders queued (Retry-After header, seconds)
+ */
+router.get("/render/:id", renderImageVariant);
+
+// ========================================
+// ADMIN ROUTES (require a session cookie or API key + role permission)
+// ========================================
+
+const canUpload = [requireAdminOrApiKey, requirePermission(PERMISSIONS.IMAGES_WRITE)];
+const canDelete = [requireAdminOrApiKey, requirePermission(PERMISSIONS.IMAGES_DELETE)];
+const canBulkDelete = [requireAdminOrApiKey, requirePermission(PERMISSIONS.IMAGES_BULK_DELETE)];
+
 /**
  * POST /api/images/upload
- * Upload a new image
+ * Upload a new image (owner / editor)
  * Body: multipart/form-data
  *   - image: file (required)
  *   - category: string (required)
+ *   - stripPrivateExif: "true" | "false" (optional, default "true") — re-encode the
+ *     stored original without GPS / serial numbers / owner names; camera data is kept
+ *   - force: "true" (optional) — upload even if it duplicates an existing image
+ * 409 → exact or near duplicate of an existing image → { duplicate: { id, url, category, match, distance, ... } }
  */
-router.post("/upload", upload.single("image"), uploadImage);
+router.post("/upload", canUpload, upload.single("image"), uploadImage);
 
-// ========================================
-// CATEGORY-SPECIFIC ROUTES
-// ========================================
+/**
+ * POST /api/images/upload/batch
+ * Upload up to 100 images (IMAGE_BATCH_MAX_MB in total, default 1024) into one category (owner / editor).
+ * Responds with Server-Sent Events: per-file progress and results, then a summary
+ * (see uploadImageBatch for the event shapes). One bad file doesn't stop the batch.
+ * Body: multipart/form-data
+ *   - images: file[] (required)
+ *   - category: string (required)
+ *   - stripPrivateExif, force: as for /upload, applied to every file
+ */
+router.post("/upload/batch", canUpload, batchUpload.array("images", BATCH_UPLOAD_MAX_FILES), uploadImageBatch);
 
 /**
- * GET /api/images/:category
- * Get images from a specific category
+ * POST /api/images/placeholders/backfill
+ * Computes BlurHash / LQIP / dominant color for images uploaded before
+ * placeholders existed, one batch per call (owner / editor)
  * Query params:
- *   - limit: number (optional, default: 10, max: 100)
- *   - token: string (optional, for pagination)
+ *   - limit: number (optional, default: 25, max: 100)
+ *   - afterId: number (optional) - pass the previous response's lastId
+ * 200 → { success, data: { processed, failed: [{ id, error }], lastId, remaining } }
  */
-router.get(
-    "/featured-work",
-    getImagesByCategory(VALID_CATEGORIES.FEATURED_WORK)
-);
-router.get("/portraits", getImagesByCategory(VALID_CATEGORIES.PORTRAITS));
-router.get(
-    "/product-shoots",
-    getImagesByCategory(VALID_CATEGORIES.PRODUCT_SHOOTS)
-);
-router.get("/thumbnails", getImagesByCategory(VALID_CATEGORIES.THUMBNAILS));
-router.get("/documentry", getImagesByCategory(VALID_CATEGORIES.DOCUMENTARY));
-router.get("/travel", getImagesByCategory(VALID_CATEGORIES.TRAVEL));
+router.post("/placeholders/backfill", canUpload, backfillImagePlaceholders);
 
 /**
- * DELETE /api/images/:category
- * Delete a single image from a specific category
+ * POST /api/images/hashes/backfill
+ * Computes SHA-256 / perceptual hashes for images uploaded before duplicate
+ * detection existed, one batch per call (owner / editor)
+ * Query params: limit, afterId (as for /placeholders/backfill)
+ * 200 → { success, data: { processed, failed: [{ id, error }], lastId, remaining } }
+ */
+router.post("/hashes/backfill", canUpload, backfillImageHashes);
+
+/**
+ * GET /api/images/duplicates
+ * Clusters of exact / near-duplicate images across all categories (owner / editor)
+ * Query params:
+ *   - threshold: number (optional, 0-16, default IMAGE_DUPLICATE_THRESHOLD) - max differing hash bits;
+ *     8 and above compare every pair of images
+ * 200 → { success, threshold, unhashed, truncated, clusters: [{ exact, maxDistance, images: [...] }] }
+ *       truncated: more than 20000 matching pairs; later clusters are missing
+ */
+router.get("/duplicates", canDelete, getDuplicateReport);
+
+/**
+ * GET /api/images/trash
+ * List soft-deleted images, most recently deleted first (owner / editor)
+ * Query params:
+ *   - category: string (optional) - slug or alias
+ *   - limit: number (optional, default: 25, max: 100)
+ *   - page: number (optional, default: 1)
+ * 200 → { success, images: [{ ..., deletedAt, purgeAt }], retentionDays, pagination }
+ */
+router.get("/trash", canDelete, getTrash);
+
+/**
+ * POST /api/images/trash/restore
+ * Restore images from the trash (owner / editor)
  * Body: application/json
- *   - key: string (required) - S3 key of the image
+ *   - ids: number[] (required, max 100)
+ * 200 → { success, message, data: { restored: number[], notFound: number[] } }
  */
-router.delete(
-    "/featured-work",
-    deleteImageByCategory(VALID_CATEGORIES.FEATURED_WORK)
-);
-router.delete("/portraits", deleteImageByCategory(VALID_CATEGORIES.PORTRAITS));
-router.delete(
-    "/product-shoots",
-    deleteImageByCategory(VALID_CATEGORIES.PRODUCT_SHOOTS)
-);
-router.delete("/thumbnails", deleteImageByCategory(VALID_CATEGORIES.THUMBNAILS));
-router.delete("/documentry", deleteImageByCategory(VALID_CATEGORIES.DOCUMENTARY));
-router.delete("/travel", deleteImageByCategory(VALID_CATEGORIES.TRAVEL));
+router.post("/trash/restore", canDelete, restoreTrashedImages);
+
+/**
+ * DELETE /api/images/trash
+ * Permanently delete trashed images from S3 and the database (owner only)
+ * Body: application/json
+ *   - ids: number[] - images to purge, or
+ *   - all: true - empty the whole trash
+ *   Images with an S3 object in errors stay in the trash (not counted in purged).
+ * 200 → { success, message, data: { purged, errors: [{ key, error }] } }
+ */
+router.delete("/trash", canBulkDelete, purgeTrashedImages);
+
+/**
+ * PATCH /api/images/:id
+ * Edit display metadata (owner / editor). Send only the fields to change.
+ * Body: application/json
+ *   - title, altText, caption, credit: string | null (null or "" clears)
+ *   - pinned: boolean (pinned images lead the category listing)
+ *   - tags: string[] (replaces all tags; trimmed, lower-cased, max 30)
+ * 200 → { success, message, changed: string[], data: { id, category, title, altText, caption, credit, pinned, tags } }
+ * 404 → no active image with that id
+ */
+router.patch("/:id", canUpload, updateImage);
+
+// ========================================
+// DIAGNOSTICS
+// ========================================
+
 router.get("/test-aws-config", (req, res) => {
     res.json({
         hasAccessKey: !!process.env.AWS_ACCESS_KEY_ID,
@@ -112,36 +222,74 @@ router.get("/test-aws-config", (req, res) => {
             : "NOT SET"
     });
 });
+router.get("/debug-env", (req, res) => {
+    res.json({
+        database: {
+            host: process.env.DB_HOST || "NOT SET",
+            user: process.env.DB_USER || "NOT SET",
+            password: process.env.DB_PASSWORD ? "SET ✅" : "NOT SET ❌",
+            name: process.env.DB_NAME || "NOT SET",
+            port: process.env.DB_PORT || "NOT SET",
+        },
+        aws: {
+            accessKeyId: process.env.AWS_ACCESS_KEY_ID 
+                ? process.env.AWS_ACCESS_KEY_ID.substring(0, 8) + "..." 
+                : "NOT SET ❌",
+            secretKey: process.env.AWS_SECRET_ACCESS_KEY ? "SET ✅" : "NOT SET ❌",
+            region: process.env.AWS_REGION || "NOT SET",
+            bucket: process.env.AWS_BUCKET_NAME || "NOT SET",
+        }
+    });
+});
+
+// ========================================
+// CATEGORY ROUTES
+// ========================================
+// Registered last so "/:category" never shadows the static routes above.
+// :category is validated against the categories table — a slug
+// ("featured_work"), its URL form ("featured-work") or an alias ("documentry").
+
+/**
+ * GET /api/images/:category
+ * Get images from a specific category (404 for unknown or hidden categories),
+ * pinned first, then in the manual order, then newest first
+ * Query params:
+ *   - limit: number (optional, default: 10, max: 100)
+ *   - page: number (optional, default: 1)
+ *   - token: string (optional, for pagination) - pagination.nextToken of the
+ *     previous page; stable while images are added or removed (overrides page)
+ * 400 → malformed token
+ */
+router.get("/:category", getImagesByCategory);
+
+/**
+ * PUT /api/images/:category/order
+ * Set the manual display order of a category, atomically (owner / editor)
+ * Body: application/json
+ *   - ids: number[] (required) - every image in the category, in display order
+ *   - pinned: number[] (optional) - replaces the pinned set; pinned images come first
+ * 200 → { success, message, data: { category, ids, pinned } }
+ * 409 → ids doesn't match the category's images → { missing: number[], unknown: number[] }
+ */
+router.put("/:category/order", canUpload, setImageOrder);
+
+/**
+ * DELETE /api/images/:category
+ * Delete a single image from a specific category (owner / editor)
+ * Body: application/json
+ *   - key: string (required) - S3 key of the image
+ * 404 → unknown category, or no image with that key in it
+ */
+router.delete("/:category", canDelete, deleteImageByCategory);
+
 /**
  * DELETE /api/images/:category/bulk
- * Delete multiple images from a specific category
+ * Delete multiple images from a specific category (owner only)
  * Body: application/json
  *   - keys: string[] (required) - Array of S3 keys
+ * 404 → unknown category, or a key that isn't an image in it
  */
-router.delete(
-    "/featured-work/bulk",
-    deleteMultipleImagesByCategory(VALID_CATEGORIES.FEATURED_WORK)
-);
-router.delete(
-    "/portraits/bulk",
-    deleteMultipleImagesByCategory(VALID_CATEGORIES.PORTRAITS)
-);
-router.delete(
-    "/product-shoots/bulk",
-    deleteMultipleImagesByCategory(VALID_CATEGORIES.PRODUCT_SHOOTS)
-);
-router.delete(
-    "/thumbnails/bulk",
-    deleteMultipleImagesByCategory(VALID_CATEGORIES.THUMBNAILS)
-);
-router.delete(
-    "/documentry/bulk",
-    deleteMultipleImagesByCategory(VALID_CATEGORIES.DOCUMENTARY)
-);
-router.delete(
-    "/travel/bulk",
-    deleteMultipleImagesByCategory(VALID_CATEGORIES.TRAVEL)
-);
+router.delete("/:category/bulk", canBulkDelete, deleteMultipleImagesByCategory);
 
 // ========================================
 // ERROR HANDLING MIDDLEWARE
@@ -156,31 +304,24 @@ router.use((error, req, res, next) => {
                 message: "File is too large. Maximum size is 50MB",
             });
         }
+        if (error.code === "LIMIT_FILE_COUNT") {
+            return res.status(400).json({
+                success: false,
+                message: `Too many files. Maximum is ${BATCH_UPLOAD_MAX_FILES} per batch`,
+            });
+        }
         return res.status(400).json({
             success: false,
             message: error.message,
         });
     }
+    if (error.code === "LIMIT_TOTAL_SIZE") {
+        return res.status(413).json({
+            success: false,
+            message: `Batch is too large. Maximum is ${BATCH_UPLOAD_MAX_BYTES / 1024 / 1024}MB in total`,
+        });
+    }
     next(error);
 });
-router.get("/debug-env", (req, res) => {
-    res.json({
-        database: {
-            host: process.env.DB_HOST || "NOT SET",
-            user: process.env.DB_USER || "NOT SET",
-            password: process.env.DB_PASSWORD ? "SET ✅" : "NOT SET ❌",
-            name: process.env.DB_NAME || "NOT SET",
-            port: process.env.DB_PORT || "NOT SET",
-        },
-        aws: {
-            accessKeyId: process.env.AWS_ACCESS_KEY_ID 
-                ? process.env.AWS_ACCESS_KEY_ID.substring(0, 8) + "..." 
-                : "NOT SET ❌",
-            secretKey: process.env.AWS_SECRET_ACCESS_KEY ? "SET ✅" : "NOT SET ❌",
-            region: process.env.AWS_REGION || "NOT SET",
-            bucket: process.env.AWS_BUCKET_NAME || "NOT SET",
-        }
-    });
-});
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,50 @@
+// job.route.js
+import express from "express";
+import { fetchJobs, fetchJob, streamJobEvents, cancelJob } from "../controller/job.controller.js";
+import { requireAdminOrApiKey } from "../middleware/auth.middleware.js";
+
+const router = express.Router();
+
+// Video jobs need videos:write and teaser jobs current:write, so the
+// controller checks per job; other kinds are listed as not found.
+
+/**
+ * GET /api/jobs
+ * Transcode jobs, newest first. (owner / editor)
+ * Query: status? (queued|running|completed|failed|cancelled), kind? (video|teaser),
+ *        limit? (max 100), offset?
+ * 200 → { success, jobs: [job], pagination: { total, limit, offset } }
+ * 400 → unknown status / kind
+ */
+router.get("/", requireAdminOrApiKey, fetchJobs);
+
+/**
+ * GET /api/jobs/:id
+ * 200 → { success, data: { id, kind, status, stage, progress, attempts, maxAttempts, runAfter,
+ *                          error, params, result, createdBy, createdAt, startedAt, finishedAt } }
+ *       result once completed — video: { videoId, video, playlistUrl, fileCount, posterCount, sha256 };
+ *       teaser: { teaserUrl, fileCount, sha256 }
+ * 404 → unknown job (or one of a kind you cannot upload)
+ */
+router.get("/:id", requireAdminOrApiKey, fetchJob);
+
+/**
+ * GET /api/jobs/:id/events
+ * Server-Sent Events; reconnect whenever — the current state is sent first.
+ *   { type: "status",   job }                          (stream ends after completed / failed / cancelled)
+ *   { type: "progress", stage, percent }   percent 0-100 within each stage
+ *     video stages: "converting" → "posters" → "previews" → "uploading" → "saving"; teasers: "converting"
+ * 404 → unknown job (JSON)
+ */
+router.get("/:id/events", requireAdminOrApiKey, streamJobEvents);
+
+/**
+ * POST /api/jobs/:id/cancel
+ * Cancels a queued or running job and deletes its source file and any output already in S3.
+ * 200 → { success, message, data: job }
+ * 404 → unknown job
+ * 409 → already completed / failed / cancelled
+ */
+router.post("/:id/cancel", requireAdminOrApiKey, cancelJob);
+
+export default router;
@@ -0,0 +1,30 @@
+// upload.route.js
+import express from "express";
+import { presignStagedUpload, completeStagedUpload } from "../controller/upload.controller.js";
+import { requireAdminOrApiKey } from "../middleware/auth.middleware.js";
+
+const router = express.Router();
+
+// The permission needed depends on `kind` in the body (images:write,
+// videos:write or current:write), so the controller checks it.
+
+/**
+ * POST /api/uploads/presign
+ * Presigned PUT (or multipart part URLs) for a staging key. (owner / editor)
+ * Body (JSON): { kind: "image"|"video"|"teaser", filename, contentType, size }
+ * 201 → { success, upload: { uploadId, key, expiresAt, method, url?, headers?, multipart? } }
+ */
+router.post("/presign", requireAdminOrApiKey, presignStagedUpload);
+
+/**
+ * POST /api/uploads/complete
+ * Processes a staged upload: thumbnails / renditions for images; videos and
+ * teasers are queued for HLS conversion. (owner / editor)
+ * Body (JSON): { uploadId, kind, parts?, ...kind-specific fields }
+ * Images → 201 (409 duplicate: the upload stays pending, complete again with force: true);
+ * videos and teasers → 202 { data: { jobId } }, see /api/jobs (409 while another
+ * job converts a video with the same category and title: the upload stays pending).
+ */
+router.post("/complete", requireAdminOrApiKey, completeStagedUpload);
+
+export default router;
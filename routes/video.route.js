@@ -6,29 +6,71 @@ import {
     fetchVideoById,
     deleteVideo,
     streamVideo,
+    fetchVideoPosters,
+    pickVideoPoster,
 } from "../controller/video.controller.js";
 import multer from 'multer';
 import { uploadAndCreateVideo } from '../controller/video.controller.js';
+import { requireAdminOrApiKey, requirePermission } from '../middleware/auth.middleware.js';
+import { PERMISSIONS } from '../config/roles.config.js';
+import { hashingDiskStorage } from '../config/multer.config.js';
+import { TRANSCODE_WORK_DIR } from '../config/video.config.js';
 const router = express.Router();
 
+const canWrite = [requireAdminOrApiKey, requirePermission(PERMISSIONS.VIDEOS_WRITE)];
+const canDelete = [requireAdminOrApiKey, requirePermission(PERMISSIONS.VIDEOS_DELETE)];
+
 // ─── Streaming Route (must be defined BEFORE /:id to avoid conflict) ─────────
 router.get("/stream/:category/:videoSlug/:filename", streamVideo);
 
-// ─── Metadata Routes ──────────────────────────────────────────────────────────
+// ─── Metadata Routes (writes require an owner / editor session or API key) ────
 router.get("/", fetchVideos);
-router.post("/", createVideo);
+router.post("/", canWrite, createVideo);
 router.get("/:id", fetchVideoById);
-router.delete("/:id", deleteVideo);
+router.delete("/:id", canDelete, deleteVideo);
+
+/**
+ * GET /api/videos/:id/posters
+ * Candidate poster frames extracted during conversion, in timeline order.
+ * 200 → { data: [{ id, position, url, timestamp, width, height, slot: 1|2|null }] }
+ * 404 → video not found
+ */
+router.get("/:id/posters", canWrite, fetchVideoPosters);
+
+/**
+ * PUT /api/videos/:id/poster
+ * Use a candidate as thumbnail 1 (the poster) or 2.
+ * Body (JSON): { posterId, slot?: 1|2 }   (slot defaults to 1)
+ * 200 → { message, data: video }
+ * 404 → video not found / poster not one of its candidates
+ */
+router.put("/:id/poster", canWrite, pickVideoPoster);
+const MAX_VIDEO_SIZE = 2 * 1024 * 1024 * 1024; // 2GB max
+
+// Streamed straight into the transcode work dir (hashed and size-checked on
+// the way), never buffered
 const upload = multer({
-    storage: multer.memoryStorage(),
-    limits: { fileSize: 2 * 1024 * 1024 * 1024 }, // 2GB max
+    storage: hashingDiskStorage({ maxSize: MAX_VIDEO_SIZE, directory: TRANSCODE_WORK_DIR }),
+    limits: { fileSize: MAX_VIDEO_SIZE },
     fileFilter: (_, file, cb) => {
         if (file.mimetype.startsWith('video/')) cb(null, true);
         else cb(new Error('Only video files are allowed'));
     },
 });
 
-// Add this route — before /:id
-router.post('/upload', upload.single('video'), uploadAndCreateVideo);
+/**
+ * POST /api/videos/upload
+ * Queues an HLS conversion of the uploaded video. (owner / editor)
+ * Body: multipart/form-data — video (file), category, title, description,
+ *       thumbnailOne?, thumbnailTwo?
+ *
+ * 202 → { message, data: { jobId, status: "queued", sha256 } }
+ *       follow the job at GET /api/jobs/:id/events; its result holds the new video
+ * 400 → no file, missing fields, a category that isn't a safe path segment,
+ *       or a title without a letter or digit
+ * 409 → another queued or running job has the same category and title
+ */
+// Auth runs before multer so anonymous / read-only uploads are never written to disk
+router.post('/upload', canWrite, upload.single('video'), uploadAndCreateVideo);
 
 export default router;
\ No newline at end of file
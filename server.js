@@ -9,15 +9,47 @@ import adminRoutes from "./routes/admin.route.js";
 import imageRoutes from "./routes/image.route.js";
 import videoRoutes from "./routes/video.route.js";
 import currentRoutes from "./routes/current.route.js";
+import categoryRoutes from "./routes/category.route.js";
+import uploadRoutes from "./routes/upload.route.js";
+import jobRoutes from "./routes/job.route.js";
+import { startTrashSweep } from "./services/trash.service.js";
+import { startTranscodeWorkers } from "./services/transcodeJob.service.js";
+import { startStagedUploadSweep } from "./services/stagedUpload.service.js";
+import { startRenderCachePrune } from "./services/render.service.js";
 import cors from "cors";
 
 
 
 const app = express();
 
+// Behind a load balancer / reverse proxy req.ip is the proxy's address unless
+// Express is told to trust X-Forwarded-For (e.g. TRUST_PROXY=1 for one hop).
+if (process.env.TRUST_PROXY) {
+    const hops = Number(process.env.TRUST_PROXY);
+    app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
+// Cookie-based admin sessions need credentialed CORS, which browsers refuse
+// with a wildcard origin — so we echo back an allow-listed origin instead.
+// Without CORS_ORIGINS no cross-origin request is allowed (same-origin only);
+// production refuses to start without it rather than silently locking out
+// the frontend.
+const corsAllowList = (process.env.CORS_ORIGINS || '')
+    .split(',')
+    .map((o) => o.trim())
+    .filter(Boolean);
+
+if (corsAllowList.length === 0) {
+    if (process.env.NODE_ENV === 'production') {
+        throw new Error('CORS_ORIGINS must list the frontend origin(s) in production');
+    }
+    console.warn('⚠️  CORS_ORIGINS is not set — cross-origin requests are refused');
+}
+
 const corsOptions = {
-    origin: '*',
-    methods: ['GET', 'POST', 'DELETE', 'OPTIONS'],
+    origin: corsAllowList,
+    credentials: true,
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
     allowedHeaders: ['Content-Type', 'Authorization', 'Range'],
     exposedHeaders: ['Content-Length', 'Content-Range'],
     preflightContinue: false,
@@ -46,8 +78,15 @@ app.use("/api/admin", adminRoutes);
 app.use("/api/images", imageRoutes);
 app.use("/api/videos", videoRoutes);
 app.use("/api/current", currentRoutes);
+app.use("/api/categories", categoryRoutes);
+app.use("/api/uploads", uploadRoutes);
+app.use("/api/jobs", jobRoutes);
 
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
     console.log(`🔥 Server running on port ${PORT}`);
+    startTrashSweep();
+    startStagedUploadSweep();
+    startRenderCachePrune();
+    startTranscodeWorkers();
 });
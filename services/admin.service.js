@@ -1,6 +1,32 @@
 // services/admin.service.js
 import bcrypt from "bcrypt";
 import db from "../config/db.config.js"; // ✅ import from db config, NOT server.js
+import { ROLES } from "../config/roles.config.js";
+
+const BCRYPT_ROUNDS = 12; // 12 rounds (stronger than 10)
+
+// ─── Duplicate-entry error code ───────────────────────────────────────────────
+const MYSQL_DUP_ENTRY = "ER_DUP_ENTRY";
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+const adminError = (code, message) => {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+};
+
+// ─── Shape a DB row into the response object (never includes the hash) ──────
+const formatAdmin = (row) => ({
+    id: row.id,
+    email: row.email,
+    role: row.role,
+    isActive: Boolean(row.is_active),
+    disabledAt: row.disabled_at,
+    passwordChangedAt: row.password_changed_at,
+    twoFactorEnabled: Boolean(row.totp_enabled_at),
+    lastLoginAt: row.last_login_at ?? null,
+});
 
 // ─── Find admin by email ──────────────────────────────────────────────────────
 
@@ -13,12 +39,30 @@ import db from "../config/db.config.js"; // ✅ import from db config, NOT serve
  */
 export const findAdminByEmail = async (email) => {
     const [rows] = await db.query(
-        "SELECT id, email, password FROM admins WHERE email = ? LIMIT 1",
+        `SELECT id, email, password, role, is_active, totp_enabled_at
+         FROM admins WHERE email = ? LIMIT 1`,
         [email]
     );
     return rows[0]; // undefined when not found
 };
 
+// ─── Find admin by id ─────────────────────────────────────────────────────────
+
+/**
+ * Looks up an admin record by id, WITHOUT the password hash.
+ *
+ * @param {number} id
+ * @returns {Promise<Object|undefined>}
+ */
+export const findAdminById = async (id) => {
+    const [rows] = await db.query(
+        `SELECT id, email, role, is_active, disabled_at, password_changed_at, totp_enabled_at
+         FROM admins WHERE id = ? LIMIT 1`,
+        [id]
+    );
+    return rows[0] ? formatAdmin(rows[0]) : undefined;
+};
+
 // ─── Verify password ──────────────────────────────────────────────────────────
 
 /**
@@ -40,27 +84,203 @@ export const verifyPassword = async (plainPassword, hashedPassword) => {
     return bcrypt.compare(plainPassword, hash);
 };
 
-// ─── Create admin (utility / seed script only) ────────────────────────────────
+/**
+ * Checks an admin's current password by id (used before self-service changes).
+ *
+ * @param {number} id
+ * @param {string} plainPassword
+ * @returns {Promise<boolean>}
+ */
+export const verifyAdminPassword = async (id, plainPassword) => {
+    const [rows] = await db.query("SELECT password FROM admins WHERE id = ? LIMIT 1", [id]);
+    return verifyPassword(plainPassword, rows[0]?.password);
+};
+
+// ─── Create admin ─────────────────────────────────────────────────────────────
 
 /**
  * Inserts a new admin with a bcrypt-hashed password.
- * Not exposed via any route — call from a one-off seed script.
+ * Called by POST /api/admin/users, or from a one-off seed script to create
+ * the first owner.
  *
  * Example usage:
- *   node -e "import('./services/admin.service.js').then(m => m.createAdmin('admin@luminavfilms.com', 'yourPassword'))"
+ *   node -e "import('./services/admin.service.js').then(m => m.createAdmin('admin@luminavfilms.com', 'yourPassword', 'owner'))"
+ *
+ * Throws `code: "ALREADY_EXISTS"` when the email is taken.
  *
  * @param {string} email
  * @param {string} plainPassword
+ * @param {string} [role]  one of ROLES, defaults to editor
  */
-export const createAdmin = async (email, password) => {
+export const createAdmin = async (email, password, role = ROLES.EDITOR) => {
     if (!email || !password) throw new Error("Email and password are required.");
+    if (!Object.values(ROLES).includes(role)) throw new Error(`Invalid role: ${role}`);
+
+    const normalizedEmail = String(email).trim().toLowerCase();
+    const hashedPassword = await bcrypt.hash(password, BCRYPT_ROUNDS);
+
+    try {
+        const [result] = await db.query(
+            "INSERT INTO admins (email, password, role, password_changed_at) VALUES (?, ?, ?, NOW())",
+            [normalizedEmail, hashedPassword, role]
+        );
+
+        return { id: result.insertId, email: normalizedEmail, role, isActive: true };
+    } catch (err) {
+        if (err.code === MYSQL_DUP_ENTRY) {
+            throw adminError("ALREADY_EXISTS", "An admin with that email already exists.");
+        }
+        throw err;
+    }
+};
+
+// ─── List admins ──────────────────────────────────────────────────────────────
+
+/**
+ * Returns every admin (active and disabled) with their most recent login,
+ * owners first.
+ */
+export const listAdmins = async () => {
+    const [rows] = await db.query(
+        `SELECT a.id, a.email, a.role, a.is_active, a.disabled_at, a.password_changed_at,
+                a.totp_enabled_at, MAX(s.created_at) AS last_login_at
+         FROM admins a
+         LEFT JOIN admin_sessions s ON s.admin_id = a.id
+         GROUP BY a.id, a.email, a.role, a.is_active, a.disabled_at, a.password_changed_at,
+                  a.totp_enabled_at
+         ORDER BY FIELD(a.role, 'owner', 'editor', 'viewer'), a.email`
+    );
+    return rows.map(formatAdmin);
+};
 
-    const hashedPassword = await bcrypt.hash(password, 12); // 12 rounds (stronger than 10)
+// ─── Owner guard ──────────────────────────────────────────────────────────────
+
+/**
+ * Throws `code: "LAST_OWNER"` if the given admin is the only active owner —
+ * demoting, disabling or deleting them would lock everyone out of admin management.
+ *
+ * Locks the admins rows it reads, so inside a transaction (pass its
+ * connection) two concurrent demotions can't both pass the check.
+ */
+const assertNotLastOwner = async (adminId, connection = db) => {
+    const [rows] = await connection.query(
+        `SELECT
+            SUM(role = 'owner' AND is_active = 1)                 AS active_owners,
+            SUM(id = ? AND role = 'owner' AND is_active = 1)      AS is_target_owner
+         FROM admins
+         FOR UPDATE`,
+        [adminId]
+    );
+    const { active_owners: owners, is_target_owner: isOwner } = rows[0];
+
+    if (Number(isOwner) > 0 && Number(owners) <= 1) {
+        throw adminError("LAST_OWNER", "At least one active owner is required.");
+    }
+};
+
+// ─── Update role / enable / disable ───────────────────────────────────────────
+
+/**
+ * Changes an admin's role and/or disables / re-enables them, in one
+ * transaction: both changes are checked before either is written, so a
+ * `LAST_OWNER` error leaves the admin untouched. Disabled admins cannot log
+ * in and their existing sessions stop working (requireAdmin checks is_active).
+ * Returns the updated admin, or null if the id didn't exist.
+ *
+ * @param {number} id
+ * @param {{ role?: string, isActive?: boolean }} changes  role one of ROLES
+ */
+export const updateAdmin = async (id, { role, isActive }) => {
+    if (role !== undefined && !Object.values(ROLES).includes(role)) throw new Error(`Invalid role: ${role}`);
+
+    const sets = [];
+    const params = [];
+    if (role !== undefined) {
+        sets.push("role = ?");
+        params.push(role);
+    }
+    if (isActive !== undefined) {
+        sets.push(`is_active = ?, disabled_at = ${isActive ? "NULL" : "NOW()"}`);
+        params.push(isActive);
+    }
+    if (sets.length === 0) return findAdminById(id);
+
+    const connection = await db.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        if ((role !== undefined && role !== ROLES.OWNER) || isActive === false) {
+            await assertNotLastOwner(id, connection);
+        }
+
+        const [result] = await connection.query(
+            `UPDATE admins SET ${sets.join(", ")} WHERE id = ?`,
+            [...params, id]
+        );
+        if (result.affectedRows === 0) {
+            await connection.rollback();
+            return null;
+        }
+
+        await connection.commit();
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+
+    return findAdminById(id);
+};
+
+// ─── Change password ──────────────────────────────────────────────────────────
+
+/**
+ * Re-hashes and stores a new password.
+ * Returns true if the admin existed, false otherwise.
+ *
+ * @param {number} id
+ * @param {string} plainPassword
+ */
+export const updateAdminPassword = async (id, plainPassword) => {
+    const hashedPassword = await bcrypt.hash(plainPassword, BCRYPT_ROUNDS);
 
     const [result] = await db.query(
-        "INSERT INTO admins (email, password) VALUES (?, ?)",
-        [email, hashedPassword]
+        "UPDATE admins SET password = ?, password_changed_at = NOW() WHERE id = ?",
+        [hashedPassword, id]
     );
+    return result.affectedRows > 0;
+};
 
-    return { id: result.insertId, email };
-};
\ No newline at end of file
+// ─── Delete admin ─────────────────────────────────────────────────────────────
+
+/**
+ * Permanently deletes an admin and their sessions, in one transaction with
+ * the last-owner check so two owners deleting each other can't both pass it.
+ * Returns true if a row was deleted, false if the id didn't exist.
+ *
+ * @param {number} id
+ */
+export const deleteAdmin = async (id) => {
+    const connection = await db.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        await assertNotLastOwner(id, connection);
+
+        const [result] = await connection.query("DELETE FROM admins WHERE id = ?", [id]);
+        if (result.affectedRows === 0) {
+            await connection.rollback();
+            return false;
+        }
+
+        await connection.query("DELETE FROM admin_sessions WHERE admin_id = ?", [id]);
+        await connection.commit();
+        return true;
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+};
@@ -0,0 +1,214 @@
+// services/apiKey.service.js
+import { createHash, randomBytes, timingSafeEqual } from "crypto";
+import db from "../config/db.config.js";
+import { API_KEY_SCOPES, roleHasPermission } from "../config/roles.config.js";
+
+// Keys look like "lmv_<12-char prefix>_<43-char secret>". The prefix is stored
+// in clear for lookup and so admins can tell keys apart in the dashboard.
+const KEY_PREFIX = "lmv";
+const KEY_RE = /^lmv_([A-Za-z0-9]{12})_([A-Za-z0-9_-]{43})$/;
+
+// Only write last_used_at once per minute per key, not on every request.
+const LAST_USED_THROTTLE_SECONDS = 60;
+
+const MAX_KEYS_PER_ADMIN = 20;
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+const hashKey = (key) => createHash("sha256").update(key).digest("hex");
+
+const apiKeyError = (code, message) => {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+};
+
+/** 12 alphanumeric chars — base64url minus the symbols so the key splits cleanly on "_" */
+const generatePrefix = () =>
+    randomBytes(16).toString("base64url").replace(/[^A-Za-z0-9]/g, "").slice(0, 12).padEnd(12, "0");
+
+const parseScopes = (value) => (typeof value === "string" ? JSON.parse(value) : value ?? []);
+
+const formatApiKey = (row) => ({
+    id: row.id,
+    adminId: row.admin_id,
+    adminEmail: row.admin_email,
+    name: row.name,
+    prefix: `${KEY_PREFIX}_${row.key_prefix}`,
+    scopes: parseScopes(row.scopes),
+    createdAt: row.created_at,
+    expiresAt: row.expires_at,
+    lastUsedAt: row.last_used_at,
+    lastUsedIp: row.last_used_ip,
+});
+
+// ─── Create ──────────────────────────────────────────────────────────────────
+
+/**
+ * Mints a key that acts as `admin` with a subset of their permissions.
+ * Returns the plain key — the only time it is ever visible.
+ *
+ * Throws `code: "INVALID_SCOPES"` for unknown scopes or scopes the admin's own
+ * role doesn't grant, and `code: "TOO_MANY_KEYS"` past MAX_KEYS_PER_ADMIN.
+ *
+ * @param {{ admin: { id: number, role: string }, name: string, scopes: string[], expiresAt?: Date|null }} param
+ * @returns {Promise<{ apiKey: string, key: Object }>}
+ */
+export const createApiKey = async ({ admin, name, scopes, expiresAt = null }) => {
+    const uniqueScopes = [...new Set(scopes)];
+
+    const invalid = uniqueScopes.filter(
+        (scope) => !API_KEY_SCOPES.includes(scope) || !roleHasPermission(admin.role, scope)
+    );
+    if (uniqueScopes.length === 0 || invalid.length > 0) {
+        throw apiKeyError(
+            "INVALID_SCOPES",
+            invalid.length > 0
+                ? `You can't grant these scopes: ${invalid.join(", ")}`
+                : "At least one scope is required."
+        );
+    }
+
+    const [[{ active }]] = await db.query(
+        `SELECT COUNT(*) AS active FROM api_keys
+         WHERE admin_id = ? AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())`,
+        [admin.id]
+    );
+    if (active >= MAX_KEYS_PER_ADMIN) {
+        throw apiKeyError("TOO_MANY_KEYS", `You can have at most ${MAX_KEYS_PER_ADMIN} active API keys.`);
+    }
+
+    const prefix = generatePrefix();
+    const apiKey = `${KEY_PREFIX}_${prefix}_${randomBytes(32).toString("base64url")}`;
+
+    const [result] = await db.query(
+        `INSERT INTO api_keys (admin_id, name, key_prefix, key_hash, scopes, expires_at)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [admin.id, name, prefix, hashKey(apiKey), JSON.stringify(uniqueScopes), expiresAt]
+    );
+
+    return {
+        apiKey,
+        key: {
+            id: result.insertId,
+            adminId: admin.id,
+            name,
+            prefix: `${KEY_PREFIX}_${prefix}`,
+            scopes: uniqueScopes,
+            expiresAt,
+            lastUsedAt: null,
+        },
+    };
+};
+
+// ─── List ────────────────────────────────────────────────────────────────────
+
+/**
+ * Lists active (unrevoked, unexpired) keys, newest first.
+ * Pass `adminId` to limit to one admin's keys; omit it for every admin's.
+ *
+ * @param {{ adminId?: number }} [param]
+ */
+export const listApiKeys = async ({ adminId } = {}) => {
+    const [rows] = await db.query(
+        `SELECT k.id, k.admin_id, a.email AS admin_email, k.name, k.key_prefix, k.scopes,
+                k.created_at, k.expires_at, k.last_used_at, k.last_used_ip
+         FROM api_keys k
+         JOIN admins a ON a.id = k.admin_id
+         WHERE k.revoked_at IS NULL AND (k.expires_at IS NULL OR k.expires_at > NOW())
+           ${adminId === undefined ? "" : "AND k.admin_id = ?"}
+         ORDER BY k.created_at DESC`,
+        adminId === undefined ? [] : [adminId]
+    );
+    return rows.map(formatApiKey);
+};
+
+/**
+ * Returns one key by id (active or not), or undefined.
+ */
+export const findApiKeyById = async (id) => {
+    const [rows] = await db.query(
+        `SELECT k.id, k.admin_id, a.email AS admin_email, k.name, k.key_prefix, k.scopes,
+                k.created_at, k.expires_at, k.last_used_at, k.last_used_ip
+         FROM api_keys k
+         JOIN admins a ON a.id = k.admin_id
+         WHERE k.id = ? AND k.revoked_at IS NULL
+         LIMIT 1`,
+        [id]
+    );
+    return rows[0] ? formatApiKey(rows[0]) : undefined;
+};
+
+// ─── Revoke ──────────────────────────────────────────────────────────────────
+
+/**
+ * Revokes a key. Pass `adminId` to only match that admin's keys.
+ * Returns true if a key was revoked.
+ *
+ * @param {{ id: number, adminId?: number }} param
+ */
+export const revokeApiKey = async ({ id, adminId }) => {
+    const [result] = await db.query(
+        `UPDATE api_keys SET revoked_at = NOW()
+         WHERE id = ? AND revoked_at IS NULL ${adminId === undefined ? "" : "AND admin_id = ?"}`,
+        adminId === undefined ? [id] : [id, adminId]
+    );
+    return result.affectedRows > 0;
+};
+
+/**
+ * Revokes every key belonging to an admin (e.g. when they are disabled).
+ * Returns the number of keys revoked.
+ */
+export const revokeAllApiKeys = async (adminId) => {
+    const [result] = await db.query(
+        `UPDATE api_keys SET revoked_at = NOW() WHERE admin_id = ? AND revoked_at IS NULL`,
+        [adminId]
+    );
+    return result.affectedRows;
+};
+
+// ─── Authenticate ────────────────────────────────────────────────────────────
+
+/**
+ * Resolves a raw key from an Authorization header to its admin and scopes.
+ * Returns undefined for malformed, unknown, revoked or expired keys, and for
+ * keys whose admin has been disabled.
+ *
+ * @param {string} rawKey
+ * @param {{ ip?: string }} [context]
+ * @returns {Promise<{ admin: { id, email, role }, apiKey: { id: number, scopes: string[] } }|undefined>}
+ */
+export const authenticateApiKey = async (rawKey, { ip } = {}) => {
+    const match = KEY_RE.exec(String(rawKey ?? ""));
+    if (!match) return undefined;
+
+    const [rows] = await db.query(
+        `SELECT k.id, k.key_hash, k.scopes, a.id AS admin_id, a.email, a.role,
+                (k.last_used_at IS NULL OR k.last_used_at < DATE_SUB(NOW(), INTERVAL ? SECOND)) AS is_stale
+         FROM api_keys k
+         JOIN admins a ON a.id = k.admin_id AND a.is_active = 1
+         WHERE k.key_prefix = ? AND k.revoked_at IS NULL
+           AND (k.expires_at IS NULL OR k.expires_at > NOW())
+         LIMIT 1`,
+        [LAST_USED_THROTTLE_SECONDS, match[1]]
+    );
+    const row = rows[0];
+    if (!row) return undefined;
+
+    const expected = Buffer.from(row.key_hash, "hex");
+    const actual = Buffer.from(hashKey(match[0]), "hex");
+    if (!timingSafeEqual(expected, actual)) return undefined;
+
+    if (row.is_stale) {
+        await db.query(`UPDATE api_keys SET last_used_at = NOW(), last_used_ip = ? WHERE id = ?`, [
+            ip || null,
+            row.id,
+        ]);
+    }
+
+    return {
+        admin: { id: row.admin_id, email: row.email, role: row.role },
+        apiKey: { id: row.id, scopes: parseScopes(row.scopes) },
+    };
+};
@@ -0,0 +1,206 @@
+// services/audit.service.js
+import db from "../config/db.config.js";
+
+// Entity types recorded in audit_log.entity_type
+export const AUDIT_ENTITIES = {
+    ADMIN: "admin",
+    API_KEY: "api_key",
+    SESSION: "session",
+    IMAGE: "image",
+    VIDEO: "video",
+    CURRENT_FILM: "current_film",
+    TEASER: "teaser",
+    CATEGORY: "category",
+    TRANSCODE_JOB: "transcode_job",
+};
+
+const MAX_PAGE_SIZE = 100;
+export const AUDIT_EXPORT_LIMIT = 10000; // rows per CSV export
+
+// ─── Actor ───────────────────────────────────────────────────────────────────
+
+/**
+ * Builds the `actor` passed into services from a request.
+ * Defaults to the admin attached by requireAdmin; pass `admin` explicitly for
+ * events that happen before a session exists (login).
+ *
+ * @param {import("express").Request} req
+ * @param {{ id: number, email: string }} [admin]
+ * @returns {{ id: number|null, email: string|null, apiKeyId: number|null, ip: string|null, userAgent: string|null }}
+ */
+export const auditActor = (req, admin = req.admin) => ({
+    id: admin?.id ?? null,
+    email: admin?.email ?? null,
+    apiKeyId: req.apiKey?.id ?? null,
+    ip: req.ip ?? null,
+    userAgent: req.get("user-agent") ?? null,
+});
+
+/**
+ * Label written to the legacy `uploaded_by` / `image_activity_log.user_id` columns.
+ */
+export const actorLabel = (actor) => actor?.email ?? "system";
+
+// ─── Record ──────────────────────────────────────────────────────────────────
+
+const toJson = (value) => (value === null || value === undefined ? null : JSON.stringify(value));
+
+/**
+ * Appends one entry to audit_log.
+ *
+ * Never throws: a failed audit write is logged but must not fail (or roll
+ * back) the mutation it describes.
+ *
+ * @param {{
+ *   actor?: { id?: number|null, email?: string|null, apiKeyId?: number|null, ip?: string|null, userAgent?: string|null },
+ *   action: string,
+ *   entityType: string,
+ *   entityId?: string|number|null,
+ *   before?: Object|null,
+ *   after?: Object|null,
+ * }} entry
+ */
+export const recordAudit = async ({ actor, action, entityType, entityId = null, before = null, after = null }) => {
+    try {
+        await db.query(
+            `INSERT INTO audit_log
+                (actor_id, actor_email, api_key_id, action, entity_type, entity_id, before_data, after_data, ip, user_agent)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                actor?.id ?? null,
+                actor?.email ?? null,
+                actor?.apiKeyId ?? null,
+                action,
+                entityType,
+                entityId === null ? null : String(entityId),
+                toJson(before),
+                toJson(after),
+                actor?.ip ?? null,
+                actor?.userAgent ? String(actor.userAgent).slice(0, 255) : null,
+            ]
+        );
+    } catch (err) {
+        console.error(`[recordAudit] Failed to record "${action}" on ${entityType} ${entityId}:`, err.message);
+    }
+};
+
+// ─── Query ───────────────────────────────────────────────────────────────────
+
+/** mysql2 returns JSON columns parsed on MySQL but as strings on MariaDB */
+const parseJson = (value) => {
+    if (typeof value !== "string") return value ?? null;
+    try {
+        return JSON.parse(value);
+    } catch {
+        return value;
+    }
+};
+
+const formatEntry = (row) => ({
+    id: row.id,
+    createdAt: row.created_at,
+    actorId: row.actor_id,
+    actorEmail: row.actor_email,
+    apiKeyId: row.api_key_id ?? null,
+    action: row.action,
+    entityType: row.entity_type,
+    entityId: row.entity_id,
+    before: parseJson(row.before_data),
+    after: parseJson(row.after_data),
+    ip: row.ip,
+    userAgent: row.user_agent,
+});
+
+/**
+ * Builds the WHERE clause shared by the paged list and the CSV export.
+ * `action` ending in ".*" matches a prefix, e.g. "image.*".
+ */
+const buildFilters = ({ actorId, action, entityType, entityId, from, to }) => {
+    const clauses = [];
+    const params = [];
+
+    if (actorId !== undefined) {
+        clauses.push("actor_id = ?");
+        params.push(actorId);
+    }
+    if (action) {
+        if (action.endsWith(".*")) {
+            clauses.push("action LIKE ?");
+            params.push(`${action.slice(0, -1).replace(/[%_\\]/g, "\\$&")}%`);
+        } else {
+            clauses.push("action = ?");
+            params.push(action);
+        }
+    }
+    if (entityType) {
+        clauses.push("entity_type = ?");
+        params.push(entityType);
+    }
+    if (entityId !== undefined) {
+        clauses.push("entity_id = ?");
+        params.push(String(entityId));
+    }
+    if (from) {
+        clauses.push("created_at >= ?");
+        params.push(from);
+    }
+    if (to) {
+        clauses.push("created_at < ?");
+        params.push(to);
+    }
+
+    return {
+        where: clauses.length ? `WHERE ${clauses.join(" AND ")}` : "",
+        params,
+    };
+};
+
+/**
+ * Returns audit entries, newest first.
+ *
+ * @param {{
+ *   actorId?: number, action?: string, entityType?: string, entityId?: string,
+ *   from?: Date, to?: Date, limit?: number, offset?: number,
+ * }} filters
+ */
+export const listAuditEntries = async ({ limit = 50, offset = 0, ...filters } = {}) => {
+    const parsedLimit = Math.min(Math.max(parseInt(limit, 10) || 50, 1), MAX_PAGE_SIZE);
+    const parsedOffset = Math.max(parseInt(offset, 10) || 0, 0);
+    const { where, params } = buildFilters(filters);
+
+    const [[{ total }]] = await db.query(`SELECT COUNT(*) AS total FROM audit_log ${where}`, params);
+
+    // LIMIT / OFFSET interpolated as validated integers (see getImagesFromFolder)
+    const [rows] = await db.query(
+        `SELECT * FROM audit_log ${where}
+         ORDER BY created_at DESC, id DESC
+         LIMIT ${parsedLimit} OFFSET ${parsedOffset}`,
+        params
+    );
+
+    return {
+        entries: rows.map(formatEntry),
+        pagination: {
+            total,
+            limit: parsedLimit,
+            offset: parsedOffset,
+            hasMore: parsedOffset + parsedLimit < total,
+        },
+    };
+};
+
+/**
+ * Returns up to AUDIT_EXPORT_LIMIT matching entries for CSV export, newest first.
+ */
+export const exportAuditEntries = async (filters = {}) => {
+    const { where, params } = buildFilters(filters);
+
+    const [rows] = await db.query(
+        `SELECT * FROM audit_log ${where}
+         ORDER BY created_at DESC, id DESC
+         LIMIT ${AUDIT_EXPORT_LIMIT}`,
+        params
+    );
+
+    return rows.map(formatEntry);
+};
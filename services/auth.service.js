@@ -0,0 +1,119 @@
+// services/auth.service.js
+import jwt from "jsonwebtoken";
+import {
+    JWT_SECRET,
+    ACCESS_TOKEN_TTL,
+    REFRESH_TOKEN_TTL,
+} from "../config/auth.config.js";
+
+const TOKEN_ISSUER = "luminav-films";
+const MFA_TOKEN_TTL = 5 * 60; // seconds to enter the 2FA code after the password step
+
+// ─── Sign access token ────────────────────────────────────────────────────────
+
+/**
+ * Issues a short-lived signed JWT identifying the admin and their session.
+ * Only the admin id, email and session id are embedded — never the password hash.
+ *
+ * @param {{ id: number, email: string }} admin
+ * @param {string} sessionId  admin_sessions.id the token belongs to
+ * @returns {string}
+ */
+export const signAccessToken = (admin, sessionId) => {
+    if (!JWT_SECRET) throw new Error("JWT_SECRET is not configured.");
+
+    return jwt.sign(
+        { typ: "access", email: admin.email, sid: sessionId },
+        JWT_SECRET,
+        {
+            subject: String(admin.id),
+            issuer: TOKEN_ISSUER,
+            expiresIn: ACCESS_TOKEN_TTL,
+        }
+    );
+};
+
+// ─── Sign refresh token ───────────────────────────────────────────────────────
+
+/**
+ * Issues a long-lived refresh JWT. The `jti` is the rotating secret part —
+ * only its hash is stored in admin_sessions, so a leaked DB row can't be
+ * replayed as a cookie.
+ *
+ * @param {{ adminId: number, sessionId: string, jti: string }} param
+ * @returns {string}
+ */
+export const signRefreshToken = ({ adminId, sessionId, jti }) => {
+    if (!JWT_SECRET) throw new Error("JWT_SECRET is not configured.");
+
+    return jwt.sign(
+        { typ: "refresh", sid: sessionId },
+        JWT_SECRET,
+        {
+            subject: String(adminId),
+            jwtid: jti,
+            issuer: TOKEN_ISSUER,
+            expiresIn: REFRESH_TOKEN_TTL,
+        }
+    );
+};
+
+// ─── Sign MFA challenge token ─────────────────────────────────────────────────
+
+/**
+ * Issues the short-lived token returned after a correct password when the
+ * admin has 2FA enabled. It proves the password step passed, but grants no
+ * access on its own — it can only be exchanged at POST /api/admin/login/verify.
+ *
+ * @param {{ id: number, email: string }} admin
+ * @returns {string}
+ */
+export const signMfaToken = (admin) => {
+    if (!JWT_SECRET) throw new Error("JWT_SECRET is not configured.");
+
+    return jwt.sign(
+        { typ: "mfa", email: admin.email },
+        JWT_SECRET,
+        {
+            subject: String(admin.id),
+            issuer: TOKEN_ISSUER,
+            expiresIn: MFA_TOKEN_TTL,
+        }
+    );
+};
+
+// ─── Verify tokens ────────────────────────────────────────────────────────────
+
+/**
+ * Verifies signature, issuer, expiry and token type.
+ * Returns the decoded payload, or null when the token is missing or invalid
+ * (callers only need to know "authenticated or not").
+ */
+const verifyToken = (token, expectedType) => {
+    if (!token || !JWT_SECRET) return null;
+
+    try {
+        const payload = jwt.verify(token, JWT_SECRET, { issuer: TOKEN_ISSUER });
+        return payload.typ === expectedType ? payload : null;
+    } catch {
+        return null; // expired, tampered or malformed
+    }
+};
+
+/**
+ * @param {string|undefined} token
+ * @returns {Object|null}  { sub, email, sid, ... }
+ */
+export const verifyAccessToken = (token) => verifyToken(token, "access");
+
+/**
+ * @param {string|undefined} token
+ * @returns {Object|null}  { sub, sid, jti, ... }
+ */
+export const verifyRefreshToken = (token) => verifyToken(token, "refresh");
+
+/**
+ * @param {string|undefined} token
+ * @returns {Object|null}  { sub, email, ... }
+ */
+export const verifyMfaToken = (token) => verifyToken(token, "mfa");
@@ -0,0 +1,472 @@
+// services/category.service.js
+import db from "../config/db.config.js";
+import { recordAudit, AUDIT_ENTITIES } from "./audit.service.js";
+
+// Internal bucket for video thumbnails: no generated thumbnails of its own,
+// and it can't be renamed or deleted while the video pages point into it.
+export const THUMBNAILS_CATEGORY = "thumbnails";
+
+// Slugs are stored with underscores; URLs may use hyphens (featured-work).
+const SLUG_RE = /^[a-z0-9]+(?:_[a-z0-9]+)*$/;
+const MAX_SLUG_LENGTH = 64;
+const MAX_NAME_LENGTH = 100;
+
+// First path segments of the static routes in routes/image.route.js, normalized.
+// They are matched before /api/images/:category, so a category by one of these
+// names could never be listed.
+const RESERVED_SLUGS = new Set([
+    "categories",
+    "render",
+    "upload",
+    "placeholders",
+    "hashes",
+    "duplicates",
+    "trash",
+    "test_aws_config",
+    "debug_env",
+]);
+
+// Category lookups run on every image request — cache the table briefly.
+const CACHE_TTL_MS = 60 * 1000;
+let cache = null; // { loadedAt, bySlug: Map<slug, category>, aliases: Map<alias, slug> }
+
+const MYSQL_DUP_ENTRY = "ER_DUP_ENTRY";
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+const categoryError = (code, message) => {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+};
+
+/**
+ * Lower-cases and turns URL hyphens into underscores: "Featured-Work" → "featured_work".
+ */
+export const normalizeSlug = (value) => String(value ?? "").trim().toLowerCase().replace(/-/g, "_");
+
+const assertValidSlug = (slug, label = "slug") => {
+    if (!slug || slug.length > MAX_SLUG_LENGTH || !SLUG_RE.test(slug)) {
+        throw categoryError(
+            "INVALID_CATEGORY",
+            `Invalid ${label} "${slug}". Use lowercase letters, digits and single underscores or hyphens (max ${MAX_SLUG_LENGTH}).`
+        );
+    }
+    if (RESERVED_SLUGS.has(slug)) {
+        throw categoryError(
+            "INVALID_CATEGORY",
+            `Invalid ${label} "${slug}". It is reserved for another /api/images route.`
+        );
+    }
+};
+
+const formatCategory = (row, aliases = []) => ({
+    id: row.id,
+    slug: row.slug,
+    name: row.name,
+    description: row.description ?? null,
+    sortOrder: row.sort_order,
+    isVisible: Boolean(row.is_visible),
+    coverImage: row.cover_image_id
+        ? {
+            id: row.cover_image_id,
+            url: row.cover_url ?? null,
+            thumbnailUrl: row.cover_thumbnail_url ?? null,
+            blurhash: row.cover_blurhash ?? null,
+        }
+        : null,
+    imageCount: Number(row.image_count ?? 0),
+    aliases,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+});
+
+const CATEGORY_SELECT = `
+    SELECT c.*, ci.s3_url AS cover_url, ci.thumbnail_url AS cover_thumbnail_url,
+           ci.blurhash AS cover_blurhash,
+           (SELECT COUNT(*) FROM images i WHERE i.category = c.slug AND i.is_active = 1) AS image_count
+    FROM categories c
+    LEFT JOIN images ci ON ci.id = c.cover_image_id AND ci.is_active = 1`;
+
+const loadAliases = async (categoryIds) => {
+    const byCategory = new Map();
+    if (categoryIds.length === 0) return byCategory;
+
+    const [rows] = await db.query(
+        `SELECT name AS alias, category_id FROM category_names
+         WHERE category_id IN (?) AND is_alias = 1 ORDER BY name`,
+        [categoryIds]
+    );
+    for (const { alias, category_id: categoryId } of rows) {
+        if (!byCategory.has(categoryId)) byCategory.set(categoryId, []);
+        byCategory.get(categoryId).push(alias);
+    }
+    return byCategory;
+};
+
+// ─── Cache ───────────────────────────────────────────────────────────────────
+
+const loadCache = async () => {
+    if (cache && Date.now() - cache.loadedAt < CACHE_TTL_MS) return cache;
+
+    const [categories] = await db.query(`SELECT id, slug, name, is_visible FROM categories`);
+    const [aliases] = await db.query(
+        `SELECT n.name AS alias, c.slug FROM category_names n
+         JOIN categories c ON c.id = n.category_id WHERE n.is_alias = 1`
+    );
+
+    cache = {
+        loadedAt: Date.now(),
+        bySlug: new Map(categories.map((row) => [
+            row.slug,
+            { id: row.id, slug: row.slug, name: row.name, isVisible: Boolean(row.is_visible) },
+        ])),
+        aliases: new Map(aliases.map((row) => [row.alias, row.slug])),
+    };
+    return cache;
+};
+
+/** Drops the cached table so the next lookup sees a write immediately. */
+const invalidateCache = () => {
+    cache = null;
+};
+
+// ─── Resolve ─────────────────────────────────────────────────────────────────
+
+/**
+ * Resolves a slug or alias from a URL / form field to its category.
+ * "featured-work", "FEATURED_WORK" and the legacy alias "documentry" all work.
+ *
+ * @param {string} value
+ * @returns {Promise<{ id: number, slug: string, name: string, isVisible: boolean }|undefined>}
+ */
+export const resolveCategory = async (value) => {
+    const slug = normalizeSlug(value);
+    if (!slug) return undefined;
+
+    const { bySlug, aliases } = await loadCache();
+    return bySlug.get(slug) ?? bySlug.get(aliases.get(slug));
+};
+
+// ─── List ────────────────────────────────────────────────────────────────────
+
+/**
+ * Lists categories in display order. Hidden categories (and aliases) are only
+ * included for the admin dashboard.
+ *
+ * @param {{ includeHidden?: boolean }} [param]
+ */
+export const listCategories = async ({ includeHidden = false } = {}) => {
+    const [rows] = await db.query(
+        `${CATEGORY_SELECT}
+         ${includeHidden ? "" : "WHERE c.is_visible = 1"}
+         ORDER BY c.sort_order, c.name`
+    );
+
+    if (!includeHidden) return rows.map((row) => formatCategory(row));
+
+    const aliases = await loadAliases(rows.map((row) => row.id));
+    return rows.map((row) => formatCategory(row, aliases.get(row.id) ?? []));
+};
+
+/**
+ * Returns one category (with aliases) by id, or undefined.
+ */
+export const findCategoryById = async (id) => {
+    const [rows] = await db.query(`${CATEGORY_SELECT} WHERE c.id = ? LIMIT 1`, [id]);
+    if (!rows[0]) return undefined;
+
+    const aliases = await loadAliases([id]);
+    return formatCategory(rows[0], aliases.get(id) ?? []);
+};
+
+// ─── Validation ──────────────────────────────────────────────────────────────
+
+const conflictError = (names) =>
+    categoryError("CATEGORY_CONFLICT", `Already used by another category: ${names.join(", ")}`);
+
+/**
+ * Throws `code: "CATEGORY_CONFLICT"` if any of `names` is already used as a
+ * slug or alias by a category other than `exceptId`. This only gives a
+ * friendlier message — the category_names primary key is what enforces it.
+ */
+const assertNamesAvailable = async (connection, names, exceptId = null) => {
+    if (names.length === 0) return;
+
+    const [rows] = await connection.query(
+        `SELECT name FROM category_names WHERE name IN (?) AND category_id <> ?`,
+        [names, exceptId ?? 0]
+    );
+    if (rows.length > 0) throw conflictError(rows.map((row) => row.name));
+};
+
+/**
+ * Throws `code: "INVALID_COVER"` unless the image exists, is active and
+ * belongs to the category.
+ */
+const assertValidCover = async (connection, coverImageId, slug) => {
+    if (coverImageId === null) return;
+
+    const [rows] = await connection.query(
+        `SELECT id FROM images WHERE id = ? AND category = ? AND is_active = 1 LIMIT 1`,
+        [coverImageId, slug]
+    );
+    if (rows.length === 0) {
+        throw categoryError("INVALID_COVER", "Cover image must be an active image in this category.");
+    }
+};
+
+const normalizeAliases = (aliases, slug) => {
+    const normalized = [...new Set(aliases.map(normalizeSlug))].filter((alias) => alias !== slug);
+    normalized.forEach((alias) => assertValidSlug(alias, "alias"));
+    return normalized;
+};
+
+/**
+ * Replaces the slug and aliases registered for a category in category_names.
+ * A name another category holds fails the insert with CATEGORY_CONFLICT.
+ */
+const replaceNames = async (connection, categoryId, slug, aliases) => {
+    await connection.query(`DELETE FROM category_names WHERE category_id = ?`, [categoryId]);
+    try {
+        await connection.query(
+            `INSERT INTO category_names (name, category_id, is_alias) VALUES ?`,
+            [[[slug, categoryId, false], ...aliases.map((alias) => [alias, categoryId, true])]]
+        );
+    } catch (err) {
+        if (err.code === MYSQL_DUP_ENTRY) throw conflictError([slug, ...aliases]);
+        throw err;
+    }
+};
+
+// ─── Create ──────────────────────────────────────────────────────────────────
+
+/**
+ * Creates a category.
+ *
+ * Throws `code: "INVALID_CATEGORY"` for a malformed slug or name,
+ * `code: "CATEGORY_CONFLICT"` when the slug or an alias is taken.
+ *
+ * @param {{
+ *   slug: string, name: string, description?: string|null, sortOrder?: number,
+ *   isVisible?: boolean, aliases?: string[], actor?: Object,
+ * }} param
+ */
+export const createCategory = async ({
+    slug: rawSlug,
+    name,
+    description = null,
+    sortOrder = 0,
+    isVisible = true,
+    aliases: rawAliases = [],
+    actor,
+}) => {
+    const slug = normalizeSlug(rawSlug);
+    assertValidSlug(slug);
+    if (!name || name.length > MAX_NAME_LENGTH) {
+        throw categoryError("INVALID_CATEGORY", `Name is required (max ${MAX_NAME_LENGTH} characters).`);
+    }
+
+    const aliases = normalizeAliases(rawAliases, slug);
+
+    const connection = await db.getConnection();
+    let categoryId;
+    try {
+        await connection.beginTransaction();
+        await assertNamesAvailable(connection, [slug, ...aliases]);
+
+        let result;
+        try {
+            [result] = await connection.query(
+                `INSERT INTO categories (slug, name, description, sort_order, is_visible) VALUES (?, ?, ?, ?, ?)`,
+                [slug, name, description, sortOrder, isVisible]
+            );
+        } catch (err) {
+            if (err.code === MYSQL_DUP_ENTRY) throw conflictError([slug]);
+            throw err;
+        }
+        categoryId = result.insertId;
+
+        await replaceNames(connection, categoryId, slug, aliases);
+        await connection.commit();
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+    invalidateCache();
+
+    const category = await findCategoryById(categoryId);
+    await recordAudit({
+        actor,
+        action: "category.create",
+        entityType: AUDIT_ENTITIES.CATEGORY,
+        entityId: category.id,
+        after: category,
+    });
+    return category;
+};
+
+// ─── Update ──────────────────────────────────────────────────────────────────
+
+/**
+ * Updates a category. Only the fields present in `changes` are touched;
+ * `aliases`, when given, replaces the whole alias set.
+ *
+ * Renaming the slug moves its images to the new slug and keeps the old one as
+ * an alias, so existing links continue to resolve. S3 keys are not moved.
+ *
+ * Returns the updated category, or null if the id didn't exist.
+ * Throws `INVALID_CATEGORY`, `CATEGORY_CONFLICT`, `INVALID_COVER` or
+ * `PROTECTED_CATEGORY` (renaming the thumbnails bucket).
+ *
+ * @param {number} id
+ * @param {{
+ *   slug?: string, name?: string, description?: string|null, coverImageId?: number|null,
+ *   sortOrder?: number, isVisible?: boolean, aliases?: string[],
+ * }} changes
+ * @param {Object} [actor]
+ */
+export const updateCategory = async (id, changes, actor) => {
+    const before = await findCategoryById(id);
+    if (!before) return null;
+
+    const slug = changes.slug === undefined ? before.slug : normalizeSlug(changes.slug);
+    const renamed = slug !== before.slug;
+
+    if (renamed) {
+        if (before.slug === THUMBNAILS_CATEGORY) {
+            throw categoryError("PROTECTED_CATEGORY", `The ${THUMBNAILS_CATEGORY} category can't be renamed.`);
+        }
+        assertValidSlug(slug);
+    }
+    if (changes.name !== undefined && (!changes.name || changes.name.length > MAX_NAME_LENGTH)) {
+        throw categoryError("INVALID_CATEGORY", `Name is required (max ${MAX_NAME_LENGTH} characters).`);
+    }
+
+    // The old slug becomes an alias so /api/images/<old-slug> keeps working
+    let aliases = changes.aliases === undefined ? before.aliases : normalizeAliases(changes.aliases, slug);
+    if (renamed && !aliases.includes(before.slug)) aliases = [...aliases, before.slug];
+    aliases = aliases.filter((alias) => alias !== slug);
+
+    const columns = {
+        slug,
+        name: changes.name,
+        description: changes.description,
+        cover_image_id: changes.coverImageId,
+        sort_order: changes.sortOrder,
+        is_visible: changes.isVisible,
+    };
+    const entries = Object.entries(columns).filter(([, value]) => value !== undefined);
+
+    // The row, its images and its names change together or not at all
+    const connection = await db.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const [[locked]] = await connection.query(
+            `SELECT slug FROM categories WHERE id = ? FOR UPDATE`,
+            [id]
+        );
+        if (!locked || locked.slug !== before.slug) {
+            throw categoryError("CATEGORY_CONFLICT", "The category changed meanwhile. Reload and try again.");
+        }
+
+        await assertNamesAvailable(connection, [slug, ...aliases], id);
+        if (changes.coverImageId !== undefined) {
+            // Images are moved below, so check against the current slug
+            await assertValidCover(connection, changes.coverImageId, before.slug);
+        }
+
+        try {
+            await connection.query(
+                `UPDATE categories SET ${entries.map(([column]) => `${column} = ?`).join(", ")} WHERE id = ?`,
+                [...entries.map(([, value]) => value), id]
+            );
+        } catch (err) {
+            if (err.code === MYSQL_DUP_ENTRY) throw conflictError([slug]);
+            throw err;
+        }
+        if (renamed) {
+            await connection.query(`UPDATE images SET category = ? WHERE category = ?`, [slug, before.slug]);
+        }
+        await replaceNames(connection, id, slug, aliases);
+
+        await connection.commit();
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+    invalidateCache();
+
+    const after = await findCategoryById(id);
+    await recordAudit({
+        actor,
+        action: "category.update",
+        entityType: AUDIT_ENTITIES.CATEGORY,
+        entityId: id,
+        before,
+        after,
+    });
+    return after;
+};
+
+// ─── Delete ──────────────────────────────────────────────────────────────────
+
+/**
+ * Deletes an empty category and its aliases.
+ * Returns true if it was deleted, false if the id didn't exist.
+ *
+ * Throws `code: "CATEGORY_NOT_EMPTY"` while it still has images (soft-deleted
+ * ones included — their S3 keys still point into it) and
+ * `code: "PROTECTED_CATEGORY"` for the thumbnails bucket.
+ *
+ * @param {number} id
+ * @param {Object} [actor]
+ */
+export const deleteCategory = async (id, actor) => {
+    const before = await findCategoryById(id);
+    if (!before) return false;
+
+    if (before.slug === THUMBNAILS_CATEGORY) {
+        throw categoryError("PROTECTED_CATEGORY", `The ${THUMBNAILS_CATEGORY} category can't be deleted.`);
+    }
+
+    const connection = await db.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const [[{ total }]] = await connection.query(
+            `SELECT COUNT(*) AS total FROM images WHERE category = ? FOR UPDATE`,
+            [before.slug]
+        );
+        if (total > 0) {
+            throw categoryError(
+                "CATEGORY_NOT_EMPTY",
+                `Category still has ${total} image(s). Move or delete them first.`
+            );
+        }
+
+        await connection.query(`DELETE FROM category_names WHERE category_id = ?`, [id]);
+        await connection.query(`DELETE FROM categories WHERE id = ?`, [id]);
+        await connection.commit();
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+    invalidateCache();
+
+    await recordAudit({
+        actor,
+        action: "category.delete",
+        entityType: AUDIT_ENTITIES.CATEGORY,
+        entityId: id,
+        before,
+    });
+    return true;
+};
@@ -1,6 +1,6 @@
 // current.service.js
 import db from "../config/db.config.js";
-import { s3Client, BUCKET_NAME } from "../config/s3.config.js";
+import { s3Client, BUCKET_NAME, publicBucketUrl } from "../config/s3.config.js";
 import { GetObjectCommand } from "@aws-sdk/client-s3";
 import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
 import { Upload } from "@aws-sdk/lib-storage";
@@ -14,6 +14,7 @@ import { join } from "path";
 import { tmpdir } from "os";
 import { randomUUID } from "crypto";
 import { promises as fsp } from "fs";
+import { recordAudit, AUDIT_ENTITIES } from "./audit.service.js";
 
 const SIGNED_URL_EXPIRY = 60 * 10; // 10 minutes
 const TEASER_S3_PREFIX = "short_films/teaser"; // fixed location for the teaser
@@ -54,13 +55,14 @@ export const getCurrentFilm = async () => {
  * Throws a structured error with `code: "ALREADY_EXISTS"` when a row is
  * already present (MySQL duplicate-key on lock_col = 1).
  *
- * @param {{ title, description, videoUrl, teaserUrl }} param
+ * @param {{ title, description, videoUrl, teaserUrl, actor? }} param  actor from auditActor(req)
  */
 export const createCurrentFilm = async ({
     title,
     description,
     videoUrl,
     teaserUrl,
+    actor,
 }) => {
     try {
         const [result] = await db.execute(
@@ -69,13 +71,23 @@ export const createCurrentFilm = async ({
             [title, description, videoUrl, teaserUrl]
         );
 
-        return {
+        const film = {
             id: result.insertId,
             title,
             description,
             videoUrl,
             teaserUrl,
         };
+
+        await recordAudit({
+            actor,
+            action: "current_film.create",
+            entityType: AUDIT_ENTITIES.CURRENT_FILM,
+            entityId: film.id,
+            after: film,
+        });
+
+        return film;
     } catch (err) {
         // MySQL throws ER_DUP_ENTRY when lock_col = 1 already exists
         if (err.code === MYSQL_DUP_ENTRY) {
@@ -94,90 +106,128 @@ export const createCurrentFilm = async ({
 /**
  * Deletes the current_film row.
  * Returns true if a row was deleted, false if the table was already empty.
+ *
+ * @param {Object} [actor]  from auditActor(req)
  */
-export const deleteCurrentFilm = async () => {
+export const deleteCurrentFilm = async (actor) => {
+    const before = await getCurrentFilm();
     const [result] = await db.query(`DELETE FROM current_film WHERE lock_col = 1`);
-    return result.affectedRows > 0;
+    if (result.affectedRows === 0) return false;
+
+    await recordAudit({
+        actor,
+        action: "current_film.delete",
+        entityType: AUDIT_ENTITIES.CURRENT_FILM,
+        entityId: before?.id ?? null,
+        before,
+    });
+
+    return true;
 };
 
 // ─── TEASER UPLOAD + HLS CONVERSION ──────────────────────────────────────────
 
 /**
- * Accepts a raw video Buffer, converts it to HLS via FFmpeg,
- * uploads all segments to S3 under `short_films/teaser/`, and
- * returns the public playlist URL.
+ * Converts a teaser video on disk (a multer upload streamed to a temp file,
+ * or a presigned upload pulled from staging) to HLS via FFmpeg, uploads all
+ * segments to S3 under `short_films/teaser/`, and returns the public
+ * playlist URL. The input file is left for the caller to remove.
  *
  * Mirrors the logic in upload.service.js — kept self-contained here
  * so this module has no cross-service dependency.
  *
- * @param {Buffer}   fileBuffer  Raw video bytes from multer
+ * @param {string}   inputPath   Path of the source video
  * @param {Function} onProgress  Optional callback(percent: number)
+ * @param {Object}   [actor]     from auditActor(req)
+ * @param {{ sha256?: string, signal?: AbortSignal }} [options]
+ *   sha256: hash of the upload, recorded in the audit entry;
+ *   signal: abort to kill FFmpeg / skip the upload (job queue cancel)
  * @returns {{ teaserUrl: string, fileCount: number }}
  */
-export const uploadTeaserAndConvert = async (fileBuffer, onProgress) => {
-    // 1. Write buffer to a temp directory
+export const convertTeaserFile = async (inputPath, onProgress, actor, { sha256 = null, signal } = {}) => {
     const tempDir = join(tmpdir(), `luminav_teaser_${randomUUID()}`);
-    const inputPath = join(tempDir, "input.mp4");
     const outputDir = join(tempDir, "hls");
 
-    mkdirSync(tempDir, { recursive: true });
     mkdirSync(outputDir, { recursive: true });
-    await fsp.writeFile(inputPath, fileBuffer);
-
-    // 2. FFmpeg → HLS
-    await new Promise((resolve, reject) => {
-        ffmpeg(inputPath)
-            .outputOptions([
-                "-codec:v libx264",
-                "-codec:a aac",
-                "-b:v 1500k",
-                "-b:a 128k",
-                "-vf scale=1280:720",
-                "-hls_time 4",
-                "-hls_playlist_type vod",
-                "-hls_segment_type mpegts",
-                "-hls_segment_filename",
-                join(outputDir, "shot_%03d.ts"),
-                "-start_number 0",
-            ])
-            .output(join(outputDir, "output.m3u8"))
-            .on("progress", (p) => {
-                if (onProgress && p.percent) onProgress(Math.round(p.percent));
-            })
-            .on("end", resolve)
-            .on("error", reject)
-            .run();
-    });
+    const { size: sizeBytes } = await fsp.stat(inputPath);
 
-    // 3. Upload all files to S3
-    const files = readdirSync(outputDir);
-
-    await Promise.all(
-        files.map(async (filename) => {
-            const filePath = join(outputDir, filename);
-            const contentType = filename.endsWith(".m3u8")
-                ? "application/vnd.apple.mpegurl"
-                : "video/mp2t";
-
-            const upload = new Upload({
-                client: s3Client,
-                params: {
-                    Bucket: BUCKET_NAME,
-                    Key: `${TEASER_S3_PREFIX}/${filename}`,
-                    Body: createReadStream(filePath),
-                    ContentType: contentType,
-                    ContentDisposition: "inline",
-                },
-            });
-
-            await upload.done();
-        })
-    );
+    let files;
+    try {
+        // 1. FFmpeg → HLS
+        signal?.throwIfAborted();
+        await new Promise((resolve, reject) => {
+            const command = ffmpeg(inputPath)
+                .outputOptions([
+                    "-codec:v libx264",
+                    "-codec:a aac",
+                    "-b:v 1500k",
+                    "-b:a 128k",
+                    "-vf scale=1280:720",
+                    "-hls_time 4",
+                    "-hls_playlist_type vod",
+                    "-hls_segment_type mpegts",
+                    "-hls_segment_filename",
+                    join(outputDir, "shot_%03d.ts"),
+                    "-start_number 0",
+                ])
+                .output(join(outputDir, "output.m3u8"))
+                .on("progress", (p) => {
+                    if (onProgress && p.percent) onProgress(Math.round(p.percent));
+                })
+                .on("end", () => {
+                    signal?.removeEventListener("abort", abort);
+                    resolve();
+                })
+                .on("error", (err) => {
+                    signal?.removeEventListener("abort", abort);
+                    reject(signal?.aborted ? signal.reason : err);
+                });
 
-    // 4. Clean up
-    await fsp.rm(tempDir, { recursive: true, force: true });
+            const abort = () => command.kill("SIGKILL");
+            signal?.addEventListener("abort", abort, { once: true });
+            command.run();
+        });
 
-    const teaserUrl = `https://${BUCKET_NAME}.s3.${process.env.AWS_REGION}.amazonaws.com/${TEASER_S3_PREFIX}/output.m3u8`;
+        // 2. Upload all files to S3
+        signal?.throwIfAborted();
+        files = readdirSync(outputDir);
+
+        await Promise.all(
+            files.map(async (filename) => {
+                const filePath = join(outputDir, filename);
+                const contentType = filename.endsWith(".m3u8")
+                    ? "application/vnd.apple.mpegurl"
+                    : "video/mp2t";
+
+                const upload = new Upload({
+                    client: s3Client,
+                    params: {
+                        Bucket: BUCKET_NAME,
+                        Key: `${TEASER_S3_PREFIX}/${filename}`,
+                        Body: createReadStream(filePath),
+                        ContentType: contentType,
+                        ContentDisposition: "inline",
+                    },
+                });
+
+                await upload.done();
+            })
+        );
+    } finally {
+        // 3. Clean up
+        await fsp.rm(tempDir, { recursive: true, force: true });
+    }
+
+    const teaserUrl = `${publicBucketUrl()}/${TEASER_S3_PREFIX}/output.m3u8`;
+
+    // The teaser lives at a fixed prefix, so each upload overwrites the last
+    await recordAudit({
+        actor,
+        action: "teaser.upload",
+        entityType: AUDIT_ENTITIES.TEASER,
+        entityId: TEASER_S3_PREFIX,
+        after: { teaserUrl, fileCount: files.length, sizeBytes, sha256 },
+    });
 
     return { teaserUrl, fileCount: files.length };
 };
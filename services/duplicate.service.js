@@ -0,0 +1,166 @@
+// services/duplicate.service.js
+import { query } from "../config/db.config.js";
+import { DUPLICATE_THRESHOLD } from "../config/image.config.js";
+import { formatDhash } from "./imageHash.service.js";
+
+// Pair rows read for one report; a library where this is hit has bigger problems
+const MAX_REPORT_PAIRS = 20000;
+
+// The dHash is indexed as eight one-byte buckets (dhash_b0 … dhash_b7, see
+// migration 022). Hashes within fewer than DHASH_BANDS bits of each other
+// share at least one bucket, so below that threshold only bucket-mates need
+// comparing; at or above it the lookups fall back to a wider scan.
+const DHASH_BANDS = 8;
+
+const dhashBands = (dhash) =>
+    Array.from({ length: DHASH_BANDS }, (_, band) => Number((BigInt(dhash) >> BigInt(band * 8)) & 0xffn));
+
+const DUPLICATE_COLUMNS = `id, s3_key AS \`key\`, s3_url AS url, thumbnail_url AS thumbnailUrl, category,
+    original_filename, width, height, created_at AS createdAt, HEX(dhash) AS dhash`;
+
+const formatMatch = ({ dhash, ...row }) => ({ ...row, perceptualHash: formatDhash(dhash) });
+
+// ─── Upload check ────────────────────────────────────────────────────────────
+
+/**
+ * Finds the closest active image to an upload's fingerprints: an exact
+ * SHA-256 match first (indexed), otherwise the nearest dHash within
+ * `threshold` bits among the images sharing a dHash bucket. A threshold too
+ * wide for the buckets compares against every active image instead, which is
+ * a full scan — keep it for small libraries.
+ *
+ * @param {{ sha256: string, dhash: bigint, threshold?: number }} param
+ * @returns {Promise<({ id, key, url, thumbnailUrl, category, original_filename,
+ *   width, height, createdAt, perceptualHash, match: "exact"|"near", distance: number })|null>}
+ */
+export const findDuplicateImage = async ({ sha256, dhash, threshold = DUPLICATE_THRESHOLD }) => {
+    const [exact] = await query(
+        `SELECT ${DUPLICATE_COLUMNS} FROM images WHERE sha256 = ? AND is_active = 1 ORDER BY id LIMIT 1`,
+        [sha256]
+    );
+    if (exact) return { ...formatMatch(exact), match: "exact", distance: 0 };
+
+    const bands = dhashBands(dhash);
+    const candidates = threshold < DHASH_BANDS
+        ? {
+            sql: bands.map((_, band) => `SELECT id AS candidate_id FROM images WHERE dhash_b${band} = ?`).join(" UNION "),
+            params: bands,
+        }
+        : {
+            sql: `SELECT id AS candidate_id FROM images WHERE is_active = 1`,
+            params: [],
+        };
+
+    const rows = await query(
+        `SELECT ${DUPLICATE_COLUMNS}, BIT_COUNT(dhash ^ ?) AS distance
+         FROM (${candidates.sql}) candidates
+         JOIN images ON images.id = candidates.candidate_id
+         WHERE is_active = 1 AND BIT_COUNT(dhash ^ ?) <= ?
+         ORDER BY distance, id
+         LIMIT 1`,
+        [dhash, ...candidates.params, dhash, threshold]
+    );
+    if (rows.length === 0) return null;
+
+    const { distance, ...row } = rows[0];
+    return { ...formatMatch(row), match: "near", distance: Number(distance) };
+};
+
+// ─── Report ──────────────────────────────────────────────────────────────────
+
+/**
+ * Groups active images into clusters of exact / near duplicates across all
+ * categories. Pairs within `threshold` bits are linked transitively
+ * (union-find), so a cluster can hold images further apart than the
+ * threshold via a chain of close ones.
+ *
+ * Images without fingerprints (uploaded before hashing, not yet backfilled)
+ * are not considered; `unhashed` counts them.
+ *
+ * Below DHASH_BANDS bits only images sharing a dHash bucket are paired; a
+ * wider threshold compares every pair of images, which is quadratic — keep it
+ * for small libraries. Either way at most MAX_REPORT_PAIRS pairs are read,
+ * lowest ids first; `truncated` means clusters past that point are missing
+ * or incomplete, so merge or delete the ones shown and run the report again.
+ *
+ * @param {{ threshold?: number }} [param]
+ * @returns {Promise<{ threshold: number, unhashed: number, truncated: boolean,
+ *   clusters: { exact: boolean, maxDistance: number, images: Object[] }[] }>}
+ */
+export const listDuplicateClusters = async ({ threshold = DUPLICATE_THRESHOLD } = {}) => {
+    // One indexed self-join per bucket (UNION drops pairs found twice)
+    const joins = threshold < DHASH_BANDS
+        ? Array.from({ length: DHASH_BANDS }, (_, band) => `b.dhash_b${band} = a.dhash_b${band}`)
+        : ["TRUE"];
+
+    const pairs = await query(
+        `${joins.map((join) => `
+         SELECT a.id AS a_id, b.id AS b_id,
+                a.sha256 = b.sha256 AS is_exact,
+                BIT_COUNT(a.dhash ^ b.dhash) AS distance
+         FROM images a
+         JOIN images b ON ${join} AND b.id > a.id AND b.is_active = 1 AND b.dhash IS NOT NULL
+         WHERE a.is_active = 1 AND a.dhash IS NOT NULL AND BIT_COUNT(a.dhash ^ b.dhash) <= ?`).join(" UNION ")}
+         ORDER BY a_id, b_id
+         LIMIT ${MAX_REPORT_PAIRS + 1}`,
+        joins.map(() => threshold)
+    );
+    const truncated = pairs.length > MAX_REPORT_PAIRS;
+    if (truncated) pairs.length = MAX_REPORT_PAIRS;
+
+    const [{ unhashed }] = await query(
+        `SELECT COUNT(*) AS unhashed FROM images WHERE is_active = 1 AND dhash IS NULL`
+    );
+
+    // Union-find over image ids
+    const parent = new Map();
+    const find = (id) => {
+        let root = id;
+        while (parent.get(root) !== root) root = parent.get(root);
+        while (parent.get(id) !== root) {
+            const next = parent.get(id);
+            parent.set(id, root);
+            id = next;
+        }
+        return root;
+    };
+
+    for (const { a_id: a, b_id: b } of pairs) {
+        if (!parent.has(a)) parent.set(a, a);
+        if (!parent.has(b)) parent.set(b, b);
+        const rootA = find(a);
+        const rootB = find(b);
+        if (rootA !== rootB) parent.set(Math.max(rootA, rootB), Math.min(rootA, rootB));
+    }
+
+    // Per-cluster stats: every link exact → exact cluster
+    const stats = new Map();
+    for (const { a_id: a, is_exact: isExact, distance } of pairs) {
+        const root = find(a);
+        const entry = stats.get(root) ?? { exact: true, maxDistance: 0 };
+        entry.exact = entry.exact && Boolean(isExact);
+        entry.maxDistance = Math.max(entry.maxDistance, Number(distance ?? 0));
+        stats.set(root, entry);
+    }
+
+    const ids = [...parent.keys()];
+    const rows = ids.length > 0
+        ? await query(`SELECT ${DUPLICATE_COLUMNS} FROM images WHERE id IN (?) ORDER BY id`, [ids])
+        : [];
+
+    const clusters = new Map();
+    for (const row of rows) {
+        const root = find(row.id);
+        if (!clusters.has(root)) clusters.set(root, { ...stats.get(root), images: [] });
+        clusters.get(root).images.push(formatMatch(row));
+    }
+
+    return {
+        threshold,
+        unhashed,
+        truncated,
+        clusters: [...clusters.values()].sort(
+            (a, b) => b.images.length - a.images.length || a.images[0].id - b.images[0].id
+        ),
+    };
+};
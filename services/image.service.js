@@ -1,7 +1,26 @@
-import { S3Client, PutObjectCommand, DeleteObjectCommand, DeleteObjectsCommand } from "@aws-sdk/client-s3";
+import {
+    S3Client,
+    PutObjectCommand,
+    GetObjectCommand,
+    DeleteObjectsCommand,
+} from "@aws-sdk/client-s3";
 import { v4 as uuidv4 } from "uuid";
 import sharp from "sharp";
-import { query } from "../config/db.config.js";
+import { createReadStream, promises as fsp } from "fs";
+import { query, getConnection } from "../config/db.config.js";
+import { recordAudit, actorLabel, AUDIT_ENTITIES } from "./audit.service.js";
+import { renderRenditions, buildSrcset } from "./rendition.service.js";
+import {
+    extractImageMetadata,
+    stripPrivateMetadata,
+    formatShutterSpeed,
+} from "./imageMetadata.service.js";
+import { computePlaceholders, formatPlaceholder } from "./placeholder.service.js";
+import { THUMBNAILS_CATEGORY } from "./category.service.js";
+import { computeImageHashes, formatDhash } from "./imageHash.service.js";
+import { S3_ENDPOINT_OPTIONS, publicBucketUrl } from "../config/s3.config.js";
+import { findDuplicateImage } from "./duplicate.service.js";
+import { getDerivativeKeys, evictRenderCache } from "./render.service.js";
 
 // AWS S3 Client Configuration
 const s3Client = new S3Client({
@@ -10,28 +29,293 @@ const s3Client = new S3Client({
         accessKeyId: process.env.AWS_ACCESS_KEY_ID,
         secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
     },
+    ...S3_ENDPOINT_OPTIONS,
 });
 
 const BUCKET_NAME = process.env.AWS_BUCKET_NAME || "luminav-films-bucket";
-const BUCKET_URL = `https://${BUCKET_NAME}.s3.ap-south-1.amazonaws.com`;
-
-// Valid image categories
-export const VALID_CATEGORIES = {
-    FEATURED_WORK: "featured_work",
-    PORTRAITS: "portraits",
-    PRODUCT_SHOOTS: "product_shoots",
-    THUMBNAILS: "thumbnails",
-    DOCUMENTARY: "documentry",
-    TRAVEL: "travel",
+const BUCKET_URL = publicBucketUrl(BUCKET_NAME, "ap-south-1");
+const S3_DELETE_BATCH_SIZE = 1000;
+
+// Max lengths for the editable display metadata (PATCH /api/images/:id)
+export const IMAGE_DETAIL_LIMITS = {
+    title: 200,
+    altText: 500,
+    caption: 2000,
+    credit: 200,
+    tag: 50,
+    tagsPerImage: 30,
+};
+
+// API field → images column
+const DETAIL_COLUMNS = {
+    title: "title",
+    altText: "alt_text",
+    caption: "caption",
+    credit: "credit",
+    pinned: "pinned",
+};
+
+// Pinned first, then the curator's order, then newest first for images that
+// were never placed (sort_order NULL). id breaks created_at ties.
+const MANUAL_ORDER = "pinned DESC, sort_order IS NULL, sort_order, created_at DESC, id DESC";
+
+// ─── Cursor tokens ────────────────────────────────────────────────────────────
+
+/**
+ * Opaque page token for a category listing: the MANUAL_ORDER sort key of the
+ * last image on the page — [pinned, sort_order, created_at (ms), id] —
+ * base64url-encoded JSON. Clients must treat it as an opaque string.
+ * (Exported for tests.)
+ */
+export const encodePageToken = (row) =>
+    Buffer.from(JSON.stringify([
+        row.pinned ? 1 : 0,
+        row.sortOrder ?? null,
+        new Date(row.lastModified).getTime(),
+        row.id,
+    ])).toString("base64url");
+
+/**
+ * Decodes a token from encodePageToken, or throws `code: "INVALID_TOKEN"`.
+ */
+export const decodePageToken = (token) => {
+    let key;
+    try {
+        key = JSON.parse(Buffer.from(String(token), "base64url").toString("utf8"));
+    } catch {
+        key = null;
+    }
+    const [pinned, sortOrder, createdAt, id] = Array.isArray(key) ? key : [];
+    const valid = Array.isArray(key) && key.length === 4 &&
+        (pinned === 0 || pinned === 1) &&
+        (sortOrder === null || Number.isInteger(sortOrder)) &&
+        Number.isInteger(createdAt) && Number.isInteger(id);
+
+    if (!valid) {
+        const err = new Error("Invalid page token");
+        err.code = "INVALID_TOKEN";
+        throw err;
+    }
+    return { pinned, sortOrder, createdAt: new Date(createdAt), id };
+};
+
+/**
+ * WHERE clause (and params) selecting the rows that come after `key` in
+ * MANUAL_ORDER — the keyset equivalent of OFFSET, stable while images are
+ * added or removed. A NULL sort_order sorts after every set one, so when the
+ * key has none the "later sort_order" step is skipped.
+ */
+const afterPageKey = ({ pinned, sortOrder, createdAt, id }) => {
+    const unplaced = sortOrder === null ? 1 : 0;
+    const clauses = [
+        ["pinned < ?", [pinned]],
+        ["pinned = ? AND (sort_order IS NULL) > ?", [pinned, unplaced]],
+    ];
+    if (sortOrder !== null) {
+        clauses.push(["pinned = ? AND sort_order > ?", [pinned, sortOrder]]);
+    }
+    clauses.push(
+        ["pinned = ? AND sort_order <=> ? AND created_at < ?", [pinned, sortOrder, createdAt]],
+        ["pinned = ? AND sort_order <=> ? AND created_at = ? AND id < ?", [pinned, sortOrder, createdAt, id]]
+    );
+
+    return {
+        sql: `(${clauses.map(([clause]) => `(${clause})`).join(" OR ")})`,
+        params: clauses.flatMap(([, params]) => params),
+    };
+};
+
+// ─── Renditions ───────────────────────────────────────────────────────────────
+
+/**
+ * Encodes the rendition ladder for an image, uploads each file under
+ * `<keyBase>/<width>.<format>` and records it in image_renditions.
+ *
+ * A failure here is logged, not thrown — the original and thumbnail are
+ * already stored and still usable without responsive variants.
+ *
+ * @returns {Promise<{ width, height, format, url }[]>}
+ */
+const storeRenditions = async ({ imageId, source, keyBase }) => {
+    try {
+        const renditions = await renderRenditions(source);
+        const stored = [];
+
+        for (const rendition of renditions) {
+            const key = `${keyBase}/${rendition.width}.${rendition.format}`;
+
+            await s3Client.send(new PutObjectCommand({
+                Bucket: BUCKET_NAME,
+                Key: key,
+                Body: rendition.buffer,
+                ContentType: rendition.mimeType,
+                CacheControl: "public, max-age=31536000, immutable",
+            }));
+
+            stored.push({
+                width: rendition.width,
+                height: rendition.height,
+                format: rendition.format,
+                key,
+                url: `${BUCKET_URL}/${key}`,
+                size: rendition.buffer.length,
+            });
+        }
+
+        if (stored.length > 0) {
+            await query(
+                `INSERT INTO image_renditions (image_id, width, height, format, s3_key, s3_url, file_size)
+                 VALUES ?`,
+                [stored.map((r) => [imageId, r.width, r.height, r.format, r.key, r.url, r.size])]
+            );
+        }
+
+        return stored.map(({ width, height, format, url }) => ({ width, height, format, url }));
+    } catch (error) {
+        console.error(`Rendition generation failed for image ${imageId}:`, error);
+        return [];
+    }
+};
+
+/**
+ * Returns rendition rows grouped by image id: Map<imageId, [{ width, height, format, url }]>.
+ */
+const getRenditionsByImage = async (imageIds) => {
+    const byImage = new Map();
+    if (imageIds.length === 0) return byImage;
+
+    const rows = await query(
+        `SELECT image_id, width, height, format, s3_url AS url
+         FROM image_renditions
+         WHERE image_id IN (?)
+         ORDER BY width`,
+        [imageIds]
+    );
+
+    for (const { image_id: imageId, ...rendition } of rows) {
+        if (!byImage.has(imageId)) byImage.set(imageId, []);
+        byImage.get(imageId).push(rendition);
+    }
+    return byImage;
+};
+
+/**
+ * S3 keys of every rendition belonging to the given images (for hard deletes).
+ *
+ * @returns {Promise<{ imageId: number, key: string }[]>}
+ */
+const getRenditionKeys = async (imageIds) => {
+    if (imageIds.length === 0) return [];
+    return query(`SELECT image_id AS imageId, s3_key AS \`key\` FROM image_renditions WHERE image_id IN (?)`, [imageIds]);
+};
+
+// ─── Tags ─────────────────────────────────────────────────────────────────────
+
+/**
+ * Tag names grouped by image id: Map<imageId, string[]> (alphabetical).
+ */
+const getTagsByImage = async (imageIds) => {
+    const byImage = new Map();
+    if (imageIds.length === 0) return byImage;
+
+    const rows = await query(
+        `SELECT it.image_id, t.name
+         FROM image_tags it
+         JOIN tags t ON t.id = it.tag_id
+         WHERE it.image_id IN (?)
+         ORDER BY t.name`,
+        [imageIds]
+    );
+
+    for (const { image_id: imageId, name } of rows) {
+        if (!byImage.has(imageId)) byImage.set(imageId, []);
+        byImage.get(imageId).push(name);
+    }
+    return byImage;
+};
+
+/**
+ * Replaces an image's tags, creating tag rows that don't exist yet.
+ */
+const replaceImageTags = async (imageId, tags) => {
+    await query(`DELETE FROM image_tags WHERE image_id = ?`, [imageId]);
+    if (tags.length === 0) return;
+
+    await query(`INSERT IGNORE INTO tags (name) VALUES ?`, [tags.map((tag) => [tag])]);
+    await query(
+        `INSERT INTO image_tags (image_id, tag_id)
+         SELECT ?, id FROM tags WHERE name IN (?)`,
+        [imageId, tags]
+    );
+};
+
+/**
+ * Trims, collapses whitespace and lower-cases a tag: "  Black  & White " → "black & white".
+ */
+export const normalizeTag = (tag) => String(tag).trim().replace(/\s+/g, " ").toLowerCase();
+
+// Columns snapshotted into audit_log before / after a change
+const AUDIT_COLUMNS = "id, s3_key, s3_url, thumbnail_url, category, original_filename, file_size, mime_type, is_active";
+
+/**
+ * Shapes the stored EXIF columns into the `camera` object returned by the API,
+ * or null when the image carried no camera data.
+ */
+const formatCamera = (row) => {
+    const camera = {
+        make: row.camera_make ?? null,
+        model: row.camera_model ?? null,
+        lens: row.lens_model ?? null,
+        focalLength: row.focal_length === null || row.focal_length === undefined ? null : Number(row.focal_length),
+        iso: row.iso ?? null,
+        shutterSpeed: formatShutterSpeed(Number(row.exposure_time) || null),
+        aperture: row.f_number ? `f/${Number(row.f_number)}` : null,
+        capturedAt: row.captured_at ?? null,
+    };
+    return Object.values(camera).some((value) => value !== null) ? camera : null;
 };
 
 /**
  * Upload an image to S3 in a specific category folder.
  * Also generates and uploads a compressed thumbnail automatically.
+ *
+ * Dimensions and public camera EXIF are read and stored with the image.
+ * With `stripPrivateExif` (the default) the stored original is re-encoded
+ * without GPS, serial numbers or owner names; pass false to keep the
+ * uploaded bytes untouched.
+ *
+ * `file` is a multer file: in memory (`buffer`) or on disk (`path`, e.g. a
+ * presigned upload downloaded from staging). Files on disk are streamed —
+ * the original is never loaded into memory. Removing `file.path` afterwards
+ * is the caller's job.
+ *
+ * A SHA-256 and perceptual hash of the uploaded bytes are stored. If an
+ * active image matches exactly or within DUPLICATE_THRESHOLD bits, this throws
+ * `code: "DUPLICATE_IMAGE"` with `err.duplicate` (see findDuplicateImage)
+ * before anything is stored — unless `force` is set, in which case the match
+ * is returned as `duplicateOf`.
+ *
+ * @param {{
+ *   file: { originalname: string, mimetype: string, buffer?: Buffer, path?: string },
+ *   category: string, actor?: Object, stripPrivateExif?: boolean, force?: boolean,
+ * }} param
+ *        category is a canonical slug from resolveCategory(); actor from auditActor(req)
  */
-export const uploadImageToS3 = async ({ file, category }) => {
-    if (!Object.values(VALID_CATEGORIES).includes(category)) {
-        throw new Error(`Invalid category: ${category}`);
+export const uploadImageToS3 = async ({ file, category, actor, stripPrivateExif = true, force = false }) => {
+    // sharp and the hashers accept either bytes or a path
+    const source = file.path ?? file.buffer;
+
+    const hashes = await computeImageHashes(source);
+    const duplicate = await findDuplicateImage(hashes);
+    if (duplicate && !force) {
+        const err = new Error(
+            duplicate.match === "exact"
+                ? `This image was already uploaded to ${duplicate.category}`
+                : `A very similar image is already in ${duplicate.category}`
+        );
+        err.code = "DUPLICATE_IMAGE";
+        err.duplicate = duplicate;
+        throw err;
     }
 
     const timestamp = Date.now();
@@ -42,22 +326,52 @@ export const uploadImageToS3 = async ({ file, category }) => {
     const originalKey = `${category}/${timestamp}-${uniqueId}-${sanitizedFilename}`;
     const thumbnailKey = `${category}/thumbnails/${timestamp}-${uniqueId}-${sanitizedFilename}`;
 
+    // Read dimensions + camera EXIF, then optionally drop private EXIF from the original
+    const metadata = await extractImageMetadata(source);
+    let body = source;
+    let orientation = metadata.orientation;
+    let { width, height } = metadata;
+    let strippedPath = null;
+
+    if (stripPrivateExif) {
+        const stripped = await stripPrivateMetadata(source, file.mimetype, metadata, {
+            outputPath: file.path ? `${file.path}.stripped` : undefined,
+        });
+        body = stripped.output;
+        width = stripped.width;
+        height = stripped.height;
+        if (stripped.stripped) orientation = 1; // rotation is baked into the pixels
+        if (file.path && stripped.stripped) strippedPath = stripped.output;
+    }
+
+    const bodySize = Buffer.isBuffer(body) ? body.length : (await fsp.stat(body)).size;
+
     // Generate thumbnail buffer using Sharp (done in memory, no temp files)
     // Skip thumbnail generation for the thumbnails category itself
     let thumbnailBuffer = null;
-    if (category !== VALID_CATEGORIES.THUMBNAILS) {
-        thumbnailBuffer = await sharp(file.buffer)
+    if (category !== THUMBNAILS_CATEGORY) {
+        thumbnailBuffer = await sharp(body)
+            .rotate()
             .resize({ width: 400, withoutEnlargement: true })
             .jpeg({ quality: 60 })
             .toBuffer();
     }
 
+    // BlurHash / LQIP / dominant color for the loading state (best-effort)
+    let placeholder = null;
     try {
-        // Upload original image
+        placeholder = await computePlaceholders(thumbnailBuffer ?? body);
+    } catch (error) {
+        console.error("Placeholder generation failed:", error);
+    }
+
+    try {
+        // Upload original image (streamed from disk for on-disk files)
         await s3Client.send(new PutObjectCommand({
             Bucket: BUCKET_NAME,
             Key: originalKey,
-            Body: file.buffer,
+            Body: Buffer.isBuffer(body) ? body : createReadStream(body),
+            ContentLength: bodySize,
             ContentType: file.mimetype,
         }));
 
@@ -77,8 +391,10 @@ export const uploadImageToS3 = async ({ file, category }) => {
         // Save both URLs to database
         const sql = `
             INSERT INTO images 
-            (s3_key, s3_url, thumbnail_url, bucket_name, category, original_filename, file_size, mime_type, uploaded_by)
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+            (s3_key, s3_url, thumbnail_url, bucket_name, category, original_filename, file_size, mime_type, uploaded_by,
+             width, height, orientation, camera_make, camera_model, lens_model, focal_length, iso,
+             exposure_time, f_number, captured_at, exif_stripped, blurhash, lqip, dominant_color, sha256, dhash)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `;
 
         const params = [
@@ -88,35 +404,108 @@ export const uploadImageToS3 = async ({ file, category }) => {
             BUCKET_NAME,
             category,
             file.originalname,
-            file.size,
+            bodySize,
             file.mimetype,
-            "admin",
+            actorLabel(actor),
+            width,
+            height,
+            orientation,
+            metadata.cameraMake,
+            metadata.cameraModel,
+            metadata.lensModel,
+            metadata.focalLength,
+            metadata.iso,
+            metadata.exposureTime,
+            metadata.fNumber,
+            metadata.capturedAt,
+            Boolean(stripPrivateExif),
+            placeholder?.blurhash ?? null,
+            placeholder?.lqip ?? null,
+            placeholder?.dominantColor ?? null,
+            hashes.sha256,
+            hashes.dhash,
         ];
 
         const result = await query(sql, params);
 
+        await recordAudit({
+            actor,
+            action: "image.upload",
+            entityType: AUDIT_ENTITIES.IMAGE,
+            entityId: result.insertId,
+            after: {
+                id: result.insertId,
+                s3_key: originalKey,
+                s3_url: uploadUrl,
+                thumbnail_url: thumbnailUrl,
+                category,
+                original_filename: file.originalname,
+                file_size: bodySize,
+                mime_type: file.mimetype,
+                width,
+                height,
+                exif_stripped: Boolean(stripPrivateExif),
+            },
+        });
+
+        const renditions = await storeRenditions({
+            imageId: result.insertId,
+            source: body,
+            keyBase: `${category}/renditions/${timestamp}-${uniqueId}`,
+        });
+
         return {
             id: result.insertId,
             url: uploadUrl,
             thumbnailUrl,
             key: originalKey,
             category,
+            width,
+            height,
+            size: bodySize,
+            camera: formatCamera({
+                camera_make: metadata.cameraMake,
+                camera_model: metadata.cameraModel,
+                lens_model: metadata.lensModel,
+                focal_length: metadata.focalLength,
+                iso: metadata.iso,
+                exposure_time: metadata.exposureTime,
+                f_number: metadata.fNumber,
+                captured_at: metadata.capturedAt,
+            }),
+            placeholder,
+            srcset: buildSrcset(renditions),
+            sha256: hashes.sha256,
+            perceptualHash: formatDhash(hashes.dhash),
+            duplicateOf: duplicate,
         };
     } catch (error) {
         console.error("S3 Upload or Database Error:", error);
         throw new Error(`Failed to upload image: ${error.message}`);
+    } finally {
+        if (strippedPath) await fsp.rm(strippedPath, { force: true });
     }
 };
 
 /**
  * Get images from a specific category folder with pagination.
- * Returns both original URL and thumbnail URL.
+ * Returns the original URL, thumbnail URL, dimensions, `camera` EXIF
+ * (or null), a loading `placeholder` ({ blurhash, lqip, dominantColor } or
+ * null), a `srcset` per format ({ avif, webp }, or null if the image
+ * has no renditions yet) and the editable title / altText / caption /
+ * credit / tags.
+ *
+ * Ordered pinned first, then by the manual sort_order, then newest first.
+ *
+ * Pages by `offset`, or — when `token` (a previous page's `nextToken`) is
+ * given — by keyset, which never repeats or skips images that were added or
+ * removed between pages. `nextToken` is returned in both modes (null on the
+ * last page), so a client can start with a page number and continue by token.
+ * Throws `code: "INVALID_TOKEN"` for a token that doesn't decode.
+ *
+ * `folder` is a canonical category slug (see resolveCategory).
  */
-export const getImagesFromFolder = async ({ folder, limit = 10, offset = 0 }) => {
-    if (!Object.values(VALID_CATEGORIES).includes(folder)) {
-        throw new Error(`Invalid category: ${folder}`);
-    }
-
+export const getImagesFromFolder = async ({ folder, limit = 10, offset = 0, token }) => {
     // Parse and validate — critical so we can safely interpolate into SQL
     const parsedLimit = parseInt(limit, 10);
     const parsedOffset = parseInt(offset, 10);
@@ -128,6 +517,8 @@ export const getImagesFromFolder = async ({ folder, limit = 10, offset = 0 }) =>
         throw new Error("offset must be a non-negative integer");
     }
 
+    const after = token ? afterPageKey(decodePageToken(token)) : null;
+
     try {
         // Total count
         const countSql = `
@@ -152,27 +543,69 @@ export const getImagesFromFolder = async ({ folder, limit = 10, offset = 0 }) =>
                 mime_type,
                 width,
                 height,
+                camera_make,
+                camera_model,
+                lens_model,
+                focal_length,
+                iso,
+                exposure_time,
+                f_number,
+                captured_at,
+                blurhash,
+                lqip,
+                dominant_color,
+                title,
+                alt_text as altText,
+                caption,
+                credit,
+                pinned,
+                sort_order as sortOrder,
                 created_at as lastModified,
                 uploaded_by
             FROM images 
-            WHERE category = ? AND is_active = 1
-            ORDER BY created_at DESC
-            LIMIT ${parsedLimit} OFFSET ${parsedOffset}
+            WHERE category = ? AND is_active = 1 ${after ? `AND ${after.sql}` : ""}
+            ORDER BY ${MANUAL_ORDER}
+            LIMIT ${parsedLimit + 1} ${after ? "" : `OFFSET ${parsedOffset}`}
         `;
 
-        // Only `folder` is a bound parameter now — LIMIT/OFFSET are baked in as integers
-        const images = await query(sql, [folder]);
+        // Only `folder` (and the cursor key) are bound — LIMIT/OFFSET are baked in as integers.
+        // One extra row is read to tell whether another page follows.
+        const rows = await query(sql, [folder, ...(after?.params ?? [])]);
+        const hasMore = rows.length > parsedLimit;
+        if (hasMore) rows.length = parsedLimit;
+
+        const renditions = await getRenditionsByImage(rows.map((row) => row.id));
+        const tags = await getTagsByImage(rows.map((row) => row.id));
+        const images = rows.map(({
+            camera_make, camera_model, lens_model, focal_length, iso,
+            exposure_time, f_number, captured_at, blurhash, lqip, dominant_color, ...row
+        }) => ({
+            ...row,
+            pinned: Boolean(row.pinned),
+            placeholder: formatPlaceholder({ blurhash, lqip, dominant_color }),
+            camera: formatCamera({
+                camera_make, camera_model, lens_model, focal_length, iso,
+                exposure_time, f_number, captured_at,
+            }),
+            srcset: buildSrcset(renditions.get(row.id)),
+            tags: tags.get(row.id) ?? [],
+        }));
+
+        const nextToken = hasMore ? encodePageToken(rows[rows.length - 1]) : null;
 
         return {
             images,
-            pagination: {
-                total,
-                limit: parsedLimit,
-                offset: parsedOffset,
-                currentPage: Math.floor(parsedOffset / parsedLimit) + 1,
-                totalPages: Math.ceil(total / parsedLimit),
-                hasMore: parsedOffset + parsedLimit < total,
-            },
+            pagination: after
+                ? { total, limit: parsedLimit, hasMore, nextToken }
+                : {
+                    total,
+                    limit: parsedLimit,
+                    offset: parsedOffset,
+                    currentPage: Math.floor(parsedOffset / parsedLimit) + 1,
+                    totalPages: Math.ceil(total / parsedLimit),
+                    hasMore,
+                    nextToken,
+                },
             count: images.length,
         };
     } catch (error) {
@@ -181,37 +614,101 @@ export const getImagesFromFolder = async ({ folder, limit = 10, offset = 0 }) =>
     }
 };
 
+const notInCategoryError = (message) => {
+    const err = new Error(message);
+    err.code = "NOT_FOUND";
+    return err;
+};
+
 /**
- * Delete an image from S3 and database.
- * Also deletes the thumbnail from S3 if it exists.
+ * Writes the legacy per-image activity rows alongside the audit entries.
+ * `details` (e.g. the changed fields of an edit) is stored as JSON on each row.
  */
-export const deleteImageFromS3 = async ({ key, category, hardDelete = false }) => {
-    if (!Object.values(VALID_CATEGORIES).includes(category)) {
-        throw new Error(`Invalid category: ${category}`);
+const logImageActivity = async (imageIds, action, actor, details = null) => {
+    if (imageIds.length === 0) return;
+    const detailsJson = details === null ? null : JSON.stringify(details);
+    await query(
+        `INSERT INTO image_activity_log (image_id, action, user_id, details) VALUES ?`,
+        [imageIds.map((id) => [id, action, actorLabel(actor), detailsJson])]
+    );
+};
+
+const auditImageDeletes = async (rows, { hardDelete, actor }) => {
+    for (const row of rows) {
+        await recordAudit({
+            actor,
+            action: hardDelete ? "image.hard_delete" : "image.delete",
+            entityType: AUDIT_ENTITIES.IMAGE,
+            entityId: row.id,
+            before: row,
+            after: hardDelete ? null : { ...row, is_active: 0 },
+        });
     }
+};
 
-    if (!key.startsWith(`${category}/`)) {
-        throw new Error(`Image key does not belong to category: ${category}`);
+/**
+ * Delete an image from S3 and database.
+ * Also deletes the thumbnail from S3 if it exists.
+ *
+ * Throws `code: "NOT_FOUND"` when no image with that key is in the category.
+ * Membership is checked in the DB rather than by key prefix: renamed
+ * categories keep their images' original S3 keys.
+ *
+ * Like the bulk delete, a hard delete only removes the DB rows once every S3
+ * object is gone. If any key is in `errors` the image is left (or put) in the
+ * trash and `purged` is false, so a later purge retries it.
+ *
+ * @param {{ key: string, category: string, hardDelete?: boolean, actor?: Object }} param
+ * @returns {Promise<{ purged: boolean, errors: Object[] }>}
+ */
+export const deleteImageFromS3 = async ({ key, category, hardDelete = false, actor }) => {
+    // Snapshot the row before deleting — needed for S3 cleanup and the audit entry
+    const fetchSql = `SELECT ${AUDIT_COLUMNS} FROM images WHERE s3_key = ? AND category = ? LIMIT 1`;
+    const rows = await query(fetchSql, [key, category]);
+    if (rows.length === 0) {
+        throw notInCategoryError(`Image not found in category: ${category}`);
     }
 
     try {
-        // Fetch thumbnail_url before deleting from DB so we can clean up S3
-        const fetchSql = `SELECT thumbnail_url FROM images WHERE s3_key = ? LIMIT 1`;
-        const rows = await query(fetchSql, [key]);
         const thumbnailUrl = rows[0]?.thumbnail_url || null;
+        const imageIds = rows.map((row) => row.id);
+        const errors = [];
+        let purged = false;
 
         if (hardDelete) {
-            // Delete original from S3
-            await s3Client.send(new DeleteObjectCommand({ Bucket: BUCKET_NAME, Key: key }));
+            // The original, its thumbnail, every rendition and on-the-fly render
+            const objectKeys = [key];
+            if (thumbnailUrl) objectKeys.push(thumbnailUrl.replace(`${BUCKET_URL}/`, ""));
+            for (const rendition of [...await getRenditionKeys(imageIds), ...await getDerivativeKeys(imageIds)]) {
+                objectKeys.push(rendition.key);
+            }
 
-            // Delete thumbnail from S3 if it exists
-            if (thumbnailUrl) {
-                const thumbnailKey = thumbnailUrl.replace(`${BUCKET_URL}/`, "");
-                await s3Client.send(new DeleteObjectCommand({ Bucket: BUCKET_NAME, Key: thumbnailKey }));
+            for (let i = 0; i < objectKeys.length; i += S3_DELETE_BATCH_SIZE) {
+                const s3Result = await s3Client.send(new DeleteObjectsCommand({
+                    Bucket: BUCKET_NAME,
+                    Delete: {
+                        Objects: objectKeys.slice(i, i + S3_DELETE_BATCH_SIZE).map((k) => ({ Key: k })),
+                        Quiet: false,
+                    },
+                }));
+                errors.push(...(s3Result.Errors || []));
             }
 
-            // Delete from database
-            await query(`DELETE FROM images WHERE s3_key = ?`, [key]);
+            if (errors.length === 0) {
+                await query(`DELETE FROM image_renditions WHERE image_id IN (?)`, [imageIds]);
+                await query(`DELETE FROM image_derivatives WHERE image_id IN (?)`, [imageIds]);
+                await query(`DELETE FROM image_tags WHERE image_id IN (?)`, [imageIds]);
+                await evictRenderCache(imageIds);
+                await query(`DELETE FROM images WHERE s3_key = ?`, [key]);
+                purged = true;
+            } else {
+                // Rows (renditions included) stay for the next attempt
+                console.error(`Failed to delete ${errors.length} S3 object(s) of image ${key}; kept in the trash:`, errors);
+                await query(
+                    `UPDATE images SET is_active = FALSE, deleted_at = COALESCE(deleted_at, NOW()) WHERE id IN (?)`,
+                    [imageIds]
+                );
+            }
         } else {
             // Soft delete
             await query(
@@ -220,14 +717,11 @@ export const deleteImageFromS3 = async ({ key, category, hardDelete = false }) =
             );
         }
 
-        // Log deletion
-        await query(
-            `INSERT INTO image_activity_log (image_id, action, user_id)
-             SELECT id, 'DELETE', 'admin' FROM images WHERE s3_key = ? LIMIT 1`,
-            [key]
-        );
+        // Log deletion (ids come from the snapshot — after a hard delete the row is gone)
+        await logImageActivity(imageIds, "DELETE", actor);
+        await auditImageDeletes(rows, { hardDelete: purged, actor });
 
-        return true;
+        return { purged, errors };
     } catch (error) {
         console.error("S3 Delete or Database Error:", error);
         throw new Error(`Failed to delete image: ${error.message}`);
@@ -237,15 +731,29 @@ export const deleteImageFromS3 = async ({ key, category, hardDelete = false }) =
 /**
  * Delete multiple images from S3 and database.
  * Also deletes their thumbnails from S3.
+ *
+ * Throws `code: "NOT_FOUND"` if any key is not an image in the category.
+ *
+ * A hard delete only removes an image's DB rows once every one of its S3
+ * objects is gone. Images with an object in `errors` are left (or put) in the
+ * trash, so a later purge or the retention sweep retries them; `purgedIds`
+ * lists the images that were removed.
+ *
+ * @param {{ keys: string[], category: string, hardDelete?: boolean, actor?: Object }} param
+ * @returns {Promise<{ deleted: Object[], errors: Object[], purgedIds: number[], success: boolean }>}
  */
-export const deleteMultipleImagesFromS3 = async ({ keys, category, hardDelete = false }) => {
-    if (!Object.values(VALID_CATEGORIES).includes(category)) {
-        throw new Error(`Invalid category: ${category}`);
-    }
+export const deleteMultipleImagesFromS3 = async ({ keys, category, hardDelete = false, actor }) => {
+    // Snapshot the rows before deleting
+    const placeholders = keys.map(() => "?").join(",");
+    const rows = await query(
+        `SELECT ${AUDIT_COLUMNS} FROM images WHERE s3_key IN (${placeholders}) AND category = ?`,
+        [...keys, category]
+    );
 
-    const invalidKeys = keys.filter((key) => !key.startsWith(`${category}/`));
+    const found = new Set(rows.map((row) => row.s3_key));
+    const invalidKeys = keys.filter((key) => !found.has(key));
     if (invalidKeys.length > 0) {
-        throw new Error(
+        throw notInCategoryError(
             `Some keys do not belong to category ${category}: ${invalidKeys.join(", ")}`
         );
     }
@@ -253,42 +761,60 @@ export const deleteMultipleImagesFromS3 = async ({ keys, category, hardDelete =
     try {
         const deleted = [];
         const errors = [];
+        let removedRows = rows;
+        let purgedIds = [];
 
         if (hardDelete) {
-            // Fetch thumbnail keys before deleting
-            const placeholders = keys.map(() => "?").join(",");
-            const rows = await query(
-                `SELECT s3_key, thumbnail_url FROM images WHERE s3_key IN (${placeholders})`,
-                keys
-            );
-
-            // Build full list of S3 keys to delete (originals + thumbnails)
-            const allS3Keys = [...keys];
+            // Every S3 object of each image (original + thumbnail + renditions + renders)
+            const imageIds = rows.map((row) => row.id);
+            const objectsByImage = new Map(rows.map((row) => [row.id, [row.s3_key]]));
             rows.forEach((row) => {
                 if (row.thumbnail_url) {
                     const thumbnailKey = row.thumbnail_url.replace(`${BUCKET_URL}/`, "");
-                    allS3Keys.push(thumbnailKey);
+                    objectsByImage.get(row.id).push(thumbnailKey);
                 }
             });
+            for (const { imageId, key } of [...await getRenditionKeys(imageIds), ...await getDerivativeKeys(imageIds)]) {
+                objectsByImage.get(imageId)?.push(key);
+            }
+            const allS3Keys = [...objectsByImage.values()].flat();
 
-            // Bulk delete from S3
-            const deleteParams = {
-                Bucket: BUCKET_NAME,
-                Delete: {
-                    Objects: allS3Keys.map((k) => ({ Key: k })),
-                    Quiet: false,
-                },
-            };
+            // Bulk delete from S3 (DeleteObjects takes at most 1000 keys per call)
+            for (let i = 0; i < allS3Keys.length; i += S3_DELETE_BATCH_SIZE) {
+                const deleteParams = {
+                    Bucket: BUCKET_NAME,
+                    Delete: {
+                        Objects: allS3Keys.slice(i, i + S3_DELETE_BATCH_SIZE).map((k) => ({ Key: k })),
+                        Quiet: false,
+                    },
+                };
 
-            const s3Result = await s3Client.send(new DeleteObjectsCommand(deleteParams));
+                const s3Result = await s3Client.send(new DeleteObjectsCommand(deleteParams));
+                deleted.push(...(s3Result.Deleted || []));
+                errors.push(...(s3Result.Errors || []));
+            }
 
-            // Delete from database
-            await query(`DELETE FROM images WHERE s3_key IN (${placeholders})`, keys);
+            // Only images whose objects are all gone leave the database; the
+            // rest keep their rows (renditions included) for the next attempt
+            const failedKeys = new Set(errors.map((e) => e.Key));
+            purgedIds = imageIds.filter((id) => !objectsByImage.get(id).some((key) => failedKeys.has(key)));
+            const keptIds = imageIds.filter((id) => !purgedIds.includes(id));
+            removedRows = rows.filter((row) => purgedIds.includes(row.id));
 
-            deleted.push(...(s3Result.Deleted || []));
-            errors.push(...(s3Result.Errors || []));
+            if (purgedIds.length > 0) {
+                await query(`DELETE FROM image_renditions WHERE image_id IN (?)`, [purgedIds]);
+                await query(`DELETE FROM image_derivatives WHERE image_id IN (?)`, [purgedIds]);
+                await query(`DELETE FROM image_tags WHERE image_id IN (?)`, [purgedIds]);
+                await evictRenderCache(purgedIds);
+                await query(`DELETE FROM images WHERE id IN (?)`, [purgedIds]);
+            }
+            if (keptIds.length > 0) {
+                await query(
+                    `UPDATE images SET is_active = FALSE, deleted_at = COALESCE(deleted_at, NOW()) WHERE id IN (?)`,
+                    [keptIds]
+                );
+            }
         } else {
-            const placeholders = keys.map(() => "?").join(",");
             await query(
                 `UPDATE images SET is_active = FALSE, deleted_at = NOW() WHERE s3_key IN (${placeholders})`,
                 keys
@@ -297,20 +823,343 @@ export const deleteMultipleImagesFromS3 = async ({ keys, category, hardDelete =
         }
 
         // Log bulk deletion
-        const placeholders = keys.map(() => "?").join(",");
-        await query(
-            `INSERT INTO image_activity_log (image_id, action, user_id)
-             SELECT id, 'DELETE', 'admin' FROM images WHERE s3_key IN (${placeholders})`,
-            keys
-        );
+        await logImageActivity(removedRows.map((row) => row.id), "DELETE", actor);
+        await auditImageDeletes(removedRows, { hardDelete, actor });
 
-        return { deleted, errors, success: errors.length === 0 };
+        return { deleted, errors, purgedIds, success: errors.length === 0 };
     } catch (error) {
         console.error("S3 Bulk Delete or Database Error:", error);
         throw new Error(`Failed to delete images: ${error.message}`);
     }
 };
 
+/**
+ * Updates an image's title, alt text, caption, credit, pinned flag and / or tags.
+ * Only fields present in `changes` are touched; `tags` replaces the whole set
+ * (normalized with normalizeTag, duplicates dropped). Null clears a field.
+ *
+ * Changed fields are written to image_activity_log as
+ * `{ field: { from, to } }` and to the audit log. An edit that changes
+ * nothing is not logged.
+ *
+ * Returns null if there is no active image with that id.
+ *
+ * @param {{
+ *   id: number,
+ *   changes: {
+ *     title?: string|null, altText?: string|null, caption?: string|null, credit?: string|null,
+ *     pinned?: boolean, tags?: string[],
+ *   },
+ *   actor?: Object,
+ * }} param
+ * @returns {Promise<{ id, category, title, altText, caption, credit, pinned, tags: string[], changed: string[] }|null>}
+ */
+export const updateImageDetails = async ({ id, changes, actor }) => {
+    const rows = await query(
+        `SELECT id, category, title, alt_text, caption, credit, pinned FROM images WHERE id = ? AND is_active = 1 LIMIT 1`,
+        [id]
+    );
+    if (rows.length === 0) return null;
+
+    const row = rows[0];
+    const before = {
+        title: row.title,
+        altText: row.alt_text,
+        caption: row.caption,
+        credit: row.credit,
+        pinned: Boolean(row.pinned),
+        tags: (await getTagsByImage([id])).get(id) ?? [],
+    };
+
+    const diff = {};
+    for (const field of Object.keys(DETAIL_COLUMNS)) {
+        if (changes[field] !== undefined && changes[field] !== before[field]) {
+            diff[field] = { from: before[field], to: changes[field] };
+        }
+    }
+
+    let tags = before.tags;
+    if (changes.tags !== undefined) {
+        tags = [...new Set(changes.tags.map(normalizeTag).filter(Boolean))].sort();
+        if (tags.join("\n") !== before.tags.join("\n")) {
+            diff.tags = { from: before.tags, to: tags };
+        }
+    }
+
+    const after = { ...before, ...Object.fromEntries(Object.entries(diff).map(([field, { to }]) => [field, to])) };
+    const result = { id, category: row.category, ...after, changed: Object.keys(diff) };
+    if (result.changed.length === 0) return result;
+
+    const columnChanges = Object.keys(diff).filter((field) => DETAIL_COLUMNS[field]);
+    if (columnChanges.length > 0) {
+        await query(
+            `UPDATE images SET ${columnChanges.map((field) => `${DETAIL_COLUMNS[field]} = ?`).join(", ")} WHERE id = ?`,
+            [...columnChanges.map((field) => diff[field].to), id]
+        );
+    }
+    if (diff.tags) await replaceImageTags(id, tags);
+
+    await logImageActivity([id], "UPDATE", actor, diff);
+    await recordAudit({
+        actor,
+        action: "image.update",
+        entityType: AUDIT_ENTITIES.IMAGE,
+        entityId: id,
+        before,
+        after,
+    });
+
+    return result;
+};
+
+const orderError = (code, message, details) => {
+    const err = new Error(message);
+    err.code = code;
+    Object.assign(err, details);
+    return err;
+};
+
+/**
+ * Sets the manual order of a category in one transaction.
+ *
+ * `ids` must list every active image in the category exactly once, in display
+ * order; the listing then follows it (pinned images still lead). `pinned`,
+ * when given, replaces the set of pinned images and must be a subset of `ids`.
+ *
+ * Throws `code: "ORDER_MISMATCH"` (with `missing` / `unknown` id arrays) when
+ * `ids` doesn't match the category's images — e.g. an image was uploaded or
+ * deleted since the client loaded the grid. Nothing is changed in that case.
+ *
+ * @param {{ category: string, ids: number[], pinned?: number[], actor?: Object }} param
+ * @returns {Promise<{ category: string, ids: number[], pinned: number[] }>}
+ */
+export const setCategoryOrder = async ({ category, ids, pinned, actor }) => {
+    const connection = await getConnection();
+    let before;
+    let pinnedIds;
+
+    try {
+        await connection.beginTransaction();
+
+        // Lock the category's rows so a concurrent reorder / upload can't interleave
+        const [rows] = await connection.query(
+            `SELECT id, pinned FROM images
+             WHERE category = ? AND is_active = 1
+             ORDER BY ${MANUAL_ORDER}
+             FOR UPDATE`,
+            [category]
+        );
+
+        const current = new Set(rows.map((row) => row.id));
+        const requested = new Set(ids);
+        const missing = rows.map((row) => row.id).filter((id) => !requested.has(id));
+        const unknown = ids.filter((id) => !current.has(id));
+        if (missing.length > 0 || unknown.length > 0) {
+            throw orderError(
+                "ORDER_MISMATCH",
+                "ids must list every image in the category exactly once. Reload and try again.",
+                { missing, unknown }
+            );
+        }
+
+        pinnedIds = pinned === undefined
+            ? rows.filter((row) => row.pinned).map((row) => row.id)
+            : [...new Set(pinned)];
+        const notInCategory = pinnedIds.filter((id) => !current.has(id));
+        if (notInCategory.length > 0) {
+            throw orderError("ORDER_MISMATCH", "pinned must only contain ids from the category.", {
+                missing: [],
+                unknown: notInCategory,
+            });
+        }
+
+        before = {
+            ids: rows.map((row) => row.id),
+            pinned: rows.filter((row) => row.pinned).map((row) => row.id),
+        };
+
+        if (ids.length > 0) {
+            const pinnedSet = new Set(pinnedIds);
+            await connection.query(
+                `UPDATE images
+                 SET sort_order = CASE id ${ids.map(() => "WHEN ? THEN ?").join(" ")} END,
+                     pinned = CASE id ${ids.map(() => "WHEN ? THEN ?").join(" ")} END
+                 WHERE id IN (?)`,
+                [
+                    ...ids.flatMap((id, index) => [id, index + 1]),
+                    ...ids.flatMap((id) => [id, pinnedSet.has(id)]),
+                    ids,
+                ]
+            );
+        }
+
+        await connection.commit();
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+
+    const after = { ids, pinned: pinnedIds };
+    await recordAudit({
+        actor,
+        action: "image.reorder",
+        entityType: AUDIT_ENTITIES.CATEGORY,
+        entityId: category,
+        before,
+        after,
+    });
+
+    return { category, ...after };
+};
+
+/**
+ * Computes placeholders for images uploaded before they existed.
+ *
+ * Processes up to `limit` images with no BlurHash and id > `afterId`, reading
+ * the 400px thumbnail from S3 where there is one (the original otherwise).
+ * Call repeatedly with the returned `lastId` until `remaining` is 0 — images
+ * that fail are reported and skipped rather than retried in the same run.
+ * Each batch that touched any image is recorded in the audit log with its
+ * counts and id range.
+ *
+ * @param {{ limit?: number, afterId?: number, actor?: Object }} param
+ * @returns {Promise<{ processed: number, failed: { id: number, error: string }[], lastId: number, remaining: number }>}
+ */
+export const backfillPlaceholders = async ({ limit = 25, afterId = 0, actor } = {}) => {
+    const parsedLimit = parseInt(limit, 10);
+    const parsedAfterId = parseInt(afterId, 10) || 0;
+
+    if (isNaN(parsedLimit) || parsedLimit <= 0 || parsedLimit > 100) {
+        throw new Error("limit must be between 1 and 100");
+    }
+
+    // LIMIT interpolated as a validated integer (see getImagesFromFolder)
+    const rows = await query(
+        `SELECT id, s3_key, thumbnail_url FROM images
+         WHERE blurhash IS NULL AND id > ?
+         ORDER BY id
+         LIMIT ${parsedLimit}`,
+        [parsedAfterId]
+    );
+
+    let processed = 0;
+    const failed = [];
+
+    for (const row of rows) {
+        try {
+            const key = row.thumbnail_url ? row.thumbnail_url.replace(`${BUCKET_URL}/`, "") : row.s3_key;
+            const object = await s3Client.send(new GetObjectCommand({ Bucket: BUCKET_NAME, Key: key }));
+            const buffer = Buffer.from(await object.Body.transformToByteArray());
+
+            const { blurhash, lqip, dominantColor } = await computePlaceholders(buffer);
+            await query(
+                `UPDATE images SET blurhash = ?, lqip = ?, dominant_color = ? WHERE id = ?`,
+                [blurhash, lqip, dominantColor, row.id]
+            );
+            processed++;
+        } catch (error) {
+            console.error(`Placeholder backfill failed for image ${row.id}:`, error);
+            failed.push({ id: row.id, error: error.message });
+        }
+    }
+
+    const lastId = rows.length > 0 ? rows[rows.length - 1].id : parsedAfterId;
+    const [{ remaining }] = await query(
+        `SELECT COUNT(*) AS remaining FROM images WHERE blurhash IS NULL AND id > ?`,
+        [lastId]
+    );
+
+    if (rows.length > 0) {
+        await recordAudit({
+            actor,
+            action: "image.backfill_placeholders",
+            entityType: AUDIT_ENTITIES.IMAGE,
+            after: {
+                fromId: rows[0].id,
+                toId: lastId,
+                processed,
+                failedIds: failed.map((item) => item.id),
+                remaining,
+            },
+        });
+    }
+
+    return { processed, failed, lastId, remaining };
+};
+
+/**
+ * Computes SHA-256 / perceptual hashes for images uploaded before hashing
+ * existed, so the duplicates report covers the whole library.
+ *
+ * Reads the stored original from S3 (with EXIF stripping on, that is the
+ * re-encoded file, so its SHA-256 won't match a re-upload byte-for-byte —
+ * the perceptual hash still will). Same batching contract as
+ * backfillPlaceholders: call again with `afterId=<lastId>` until `remaining` is 0.
+ * Audited per batch like backfillPlaceholders.
+ *
+ * @param {{ limit?: number, afterId?: number, actor?: Object }} param
+ * @returns {Promise<{ processed: number, failed: { id: number, error: string }[], lastId: number, remaining: number }>}
+ */
+export const backfillHashes = async ({ limit = 25, afterId = 0, actor } = {}) => {
+    const parsedLimit = parseInt(limit, 10);
+    const parsedAfterId = parseInt(afterId, 10) || 0;
+
+    if (isNaN(parsedLimit) || parsedLimit <= 0 || parsedLimit > 100) {
+        throw new Error("limit must be between 1 and 100");
+    }
+
+    // Trashed images are included so a restore doesn't bring back an unhashed row
+    const rows = await query(
+        `SELECT id, s3_key FROM images
+         WHERE dhash IS NULL AND id > ?
+         ORDER BY id
+         LIMIT ${parsedLimit}`,
+        [parsedAfterId]
+    );
+
+    let processed = 0;
+    const failed = [];
+
+    for (const row of rows) {
+        try {
+            const object = await s3Client.send(new GetObjectCommand({ Bucket: BUCKET_NAME, Key: row.s3_key }));
+            const buffer = Buffer.from(await object.Body.transformToByteArray());
+
+            const { sha256, dhash } = await computeImageHashes(buffer);
+            await query(`UPDATE images SET sha256 = ?, dhash = ? WHERE id = ?`, [sha256, dhash, row.id]);
+            processed++;
+        } catch (error) {
+            console.error(`Hash backfill failed for image ${row.id}:`, error);
+            failed.push({ id: row.id, error: error.message });
+        }
+    }
+
+    const lastId = rows.length > 0 ? rows[rows.length - 1].id : parsedAfterId;
+    const [{ remaining }] = await query(
+        `SELECT COUNT(*) AS remaining FROM images WHERE dhash IS NULL AND id > ?`,
+        [lastId]
+    );
+
+    if (rows.length > 0) {
+        await recordAudit({
+            actor,
+            action: "image.backfill_hashes",
+            entityType: AUDIT_ENTITIES.IMAGE,
+            after: {
+                fromId: rows[0].id,
+                toId: lastId,
+                processed,
+                failedIds: failed.map((item) => item.id),
+                remaining,
+            },
+        });
+    }
+
+    return { processed, failed, lastId, remaining };
+};
+
 /**
  * Check if an image exists in the database.
  */
@@ -0,0 +1,73 @@
+// services/imageHash.service.js
+import { createHash } from "crypto";
+import { createReadStream } from "fs";
+import sharp from "sharp";
+
+// dHash compares each pixel of a 9×8 grayscale copy with its right-hand
+// neighbour: 8 rows × 8 comparisons = a 64-bit fingerprint that survives
+// resizing, recompression and small colour edits.
+const DHASH_WIDTH = 9;
+const DHASH_HEIGHT = 8;
+
+/**
+ * SHA-256 of the exact bytes, hex encoded.
+ */
+export const sha256Hex = (buffer) => createHash("sha256").update(buffer).digest("hex");
+
+/**
+ * SHA-256 of a file on disk, streamed so the file is never held in memory.
+ */
+export const sha256File = (path) =>
+    new Promise((resolve, reject) => {
+        const hash = createHash("sha256");
+        createReadStream(path)
+            .on("data", (chunk) => hash.update(chunk))
+            .on("end", () => resolve(hash.digest("hex")))
+            .on("error", reject);
+    });
+
+/**
+ * Computes the 64-bit difference hash of an image (orientation applied).
+ *
+ * @param {Buffer|string} input  image bytes or a file path
+ * @returns {Promise<bigint>}
+ */
+export const computeDhash = async (input) => {
+    const pixels = await sharp(input)
+        .rotate()
+        .grayscale()
+        .resize(DHASH_WIDTH, DHASH_HEIGHT, { fit: "fill" })
+        .raw()
+        .toBuffer();
+
+    let hash = 0n;
+    for (let y = 0; y < DHASH_HEIGHT; y++) {
+        for (let x = 0; x < DHASH_WIDTH - 1; x++) {
+            const left = pixels[y * DHASH_WIDTH + x];
+            const right = pixels[y * DHASH_WIDTH + x + 1];
+            hash = (hash << 1n) | (left > right ? 1n : 0n);
+        }
+    }
+    return hash;
+};
+
+/**
+ * Both fingerprints stored with an upload.
+ *
+ * @param {Buffer|string} input  the uploaded bytes (before EXIF stripping), or their file path
+ * @returns {Promise<{ sha256: string, dhash: bigint }>}
+ */
+export const computeImageHashes = async (input) => ({
+    sha256: Buffer.isBuffer(input) ? sha256Hex(input) : await sha256File(input),
+    dhash: await computeDhash(input),
+});
+
+/**
+ * Formats a dHash as 16 hex digits — the form returned by the API.
+ * Accepts a bigint or the HEX() of the stored BIGINT UNSIGNED column.
+ */
+export const formatDhash = (value) => {
+    if (value === null || value === undefined) return null;
+    const hex = typeof value === "bigint" ? value.toString(16) : String(value);
+    return hex.toLowerCase().padStart(16, "0");
+};
@@ -0,0 +1,146 @@
+// services/imageMetadata.service.js
+import sharp from "sharp";
+import exifReader from "exif-reader";
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+const cleanString = (value, maxLength) => {
+    if (typeof value !== "string") return null;
+    const trimmed = value.replace(/\0/g, "").trim();
+    return trimmed ? trimmed.slice(0, maxLength) : null;
+};
+
+const positiveNumber = (value) => (typeof value === "number" && Number.isFinite(value) && value > 0 ? value : null);
+
+const validDate = (value) => (value instanceof Date && !Number.isNaN(value.getTime()) ? value : null);
+
+/**
+ * Reads the raw EXIF block sharp exposes. Returns {} for images without EXIF
+ * or with a block exif-reader can't parse (metadata is best-effort).
+ */
+const readExif = (exifBuffer) => {
+    if (!exifBuffer) return {};
+    try {
+        return exifReader(exifBuffer);
+    } catch {
+        return {};
+    }
+};
+
+/**
+ * Formats an exposure time in seconds the way photographers write it:
+ * 0.004 → "1/250", 2.5 → "2.5s".
+ */
+export const formatShutterSpeed = (seconds) => {
+    if (!seconds) return null;
+    if (seconds >= 1) return `${Number(seconds.toFixed(1))}s`;
+    return `1/${Math.round(1 / seconds)}`;
+};
+
+// ─── Extract ─────────────────────────────────────────────────────────────────
+
+/**
+ * Reads dimensions and the public camera EXIF from an image.
+ *
+ * Width / height are as displayed (EXIF orientations 5-8 swap them).
+ * Only photographic data is returned — GPS, serial numbers, owner / artist
+ * names and other private tags are never read into the result.
+ *
+ * @param {Buffer|string} input  image bytes or a file path
+ * @returns {Promise<{
+ *   width: number|null, height: number|null, orientation: number|null,
+ *   cameraMake: string|null, cameraModel: string|null, lensModel: string|null,
+ *   focalLength: number|null, iso: number|null, exposureTime: number|null,
+ *   fNumber: number|null, capturedAt: Date|null,
+ * }>}
+ */
+export const extractImageMetadata = async (input) => {
+    const metadata = await sharp(input).metadata();
+    const { Image = {}, Photo = {} } = readExif(metadata.exif);
+
+    const orientation = metadata.orientation ?? null;
+    const rotated = orientation >= 5;
+
+    return {
+        width: (rotated ? metadata.height : metadata.width) ?? null,
+        height: (rotated ? metadata.width : metadata.height) ?? null,
+        orientation,
+        cameraMake: cleanString(Image.Make, 100),
+        cameraModel: cleanString(Image.Model, 100),
+        lensModel: cleanString(Photo.LensModel, 150),
+        focalLength: positiveNumber(Photo.FocalLength),
+        iso: positiveNumber(Array.isArray(Photo.ISOSpeedRatings) ? Photo.ISOSpeedRatings[0] : Photo.ISOSpeedRatings)
+            ?? positiveNumber(Photo.PhotographicSensitivity),
+        exposureTime: positiveNumber(Photo.ExposureTime),
+        fNumber: positiveNumber(Photo.FNumber),
+        capturedAt: validDate(Photo.DateTimeOriginal) ?? validDate(Image.DateTime),
+    };
+};
+
+// ─── Strip ───────────────────────────────────────────────────────────────────
+
+// Re-encode settings per type. GIFs carry no EXIF and are left untouched.
+const STRIP_ENCODERS = {
+    "image/jpeg": (img) => img.jpeg({ quality: 92, mozjpeg: true }),
+    "image/jpg": (img) => img.jpeg({ quality: 92, mozjpeg: true }),
+    "image/png": (img) => img.png({ compressionLevel: 9 }),
+    "image/webp": (img) => img.webp({ quality: 92 }),
+};
+
+/**
+ * Rebuilds an image without GPS and other private EXIF, keeping only the
+ * public camera fields (as read by extractImageMetadata) and the ICC profile.
+ *
+ * The orientation is applied to the pixels (auto-rotate), so the result needs
+ * no Orientation tag. Returns the input unchanged for formats that can't carry
+ * EXIF (GIF).
+ *
+ * Pass a file path as `input` together with `outputPath` to stream through
+ * disk instead of memory; the result's `output` is then that path.
+ *
+ * @param {Buffer|string} input  image bytes or a file path
+ * @param {string} mimeType
+ * @param {Awaited<ReturnType<typeof extractImageMetadata>>} publicMetadata
+ * @param {{ outputPath?: string }} [options]
+ * @returns {Promise<{ output: Buffer|string, width: number, height: number, stripped: boolean }>}
+ */
+export const stripPrivateMetadata = async (input, mimeType, publicMetadata, { outputPath } = {}) => {
+    const encode = STRIP_ENCODERS[mimeType];
+    if (!encode) {
+        return { output: input, width: publicMetadata.width, height: publicMetadata.height, stripped: false };
+    }
+
+    // sharp's withExif takes string values; only whitelisted fields are written
+    const ifd0 = {};
+    const exifIfd = {};
+    if (publicMetadata.cameraMake) ifd0.Make = publicMetadata.cameraMake;
+    if (publicMetadata.cameraModel) ifd0.Model = publicMetadata.cameraModel;
+    if (publicMetadata.lensModel) exifIfd.LensModel = publicMetadata.lensModel;
+    if (publicMetadata.focalLength) exifIfd.FocalLength = String(publicMetadata.focalLength);
+    if (publicMetadata.iso) exifIfd.ISOSpeedRatings = String(publicMetadata.iso);
+    if (publicMetadata.exposureTime) exifIfd.ExposureTime = String(publicMetadata.exposureTime);
+    if (publicMetadata.fNumber) exifIfd.FNumber = String(publicMetadata.fNumber);
+    if (publicMetadata.capturedAt) {
+        // EXIF date format: "YYYY:MM:DD HH:MM:SS"
+        exifIfd.DateTimeOriginal = publicMetadata.capturedAt
+            .toISOString()
+            .slice(0, 19)
+            .replace("T", " ")
+            .replace(/-/g, ":");
+    }
+
+    const pipeline = encode(
+        sharp(input)
+            .rotate()
+            .keepIccProfile()
+            .withExif({ IFD0: ifd0, IFD2: exifIfd })
+    );
+
+    if (outputPath) {
+        const info = await pipeline.toFile(outputPath);
+        return { output: outputPath, width: info.width, height: info.height, stripped: true };
+    }
+
+    const { data, info } = await pipeline.toBuffer({ resolveWithObject: true });
+    return { output: data, width: info.width, height: info.height, stripped: true };
+};
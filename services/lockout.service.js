@@ -0,0 +1,338 @@
+// services/lockout.service.js
+import db from "../config/db.config.js";
+
+// ─── Policy ──────────────────────────────────────────────────────────────────
+//
+// Failures are counted separately per email and per client IP.
+// The first FREE_ATTEMPTS failures cost nothing; after that every failure
+// doubles the wait before the next attempt (1s, 2s, 4s, ...). Reaching the
+// lockout threshold blocks that email / IP for LOCKOUT_SECONDS.
+// Counters reset after FAILURE_WINDOW_SECONDS without a failure.
+//
+// An attempt is counted when it starts, not when it fails, with an atomic
+// increment: parallel guesses each get their own count, so a burst can't
+// slip past the threshold before any of them has been recorded as failed.
+// Attempts that turn out fine are handed back (releaseLoginAttempt).
+
+const FREE_ATTEMPTS = 3;
+const MAX_BACKOFF_SECONDS = 60;
+const LOCKOUT_SECONDS = parseInt(process.env.LOGIN_LOCKOUT_SECONDS, 10) || 15 * 60;
+const FAILURE_WINDOW_SECONDS = 60 * 60;
+
+const LOCKOUT_THRESHOLDS = {
+    email: 10,
+    ip: 50, // higher — an office shares one IP
+};
+
+export const LOCKOUT_SCOPES = {
+    EMAIL: "email",
+    IP: "ip",
+    RESET_EMAIL: "reset_email",
+    RESET_IP: "reset_ip",
+};
+
+// Forgot-password requests allowed per window, counted whether or not the
+// email belongs to an admin (so a 429 reveals nothing)
+const RESET_REQUEST_WINDOW_SECONDS = 60 * 60;
+const RESET_REQUEST_LIMITS = {
+    reset_email: 5,
+    reset_ip: 20,
+};
+
+// ─── Stores ──────────────────────────────────────────────────────────────────
+//
+// Records look like { failures, lastFailedAt, blockedUntil } (ms timestamps).
+// MySQL is the source of truth so limits hold across restarts and instances;
+// if it is unreachable we fall back to process memory rather than either
+// locking everyone out or dropping protection altogether.
+//
+// Counters only change through increment / decrement, never a read followed
+// by a write, so concurrent requests can't overwrite each other's counts.
+
+const mysqlStore = {
+    async get(scope, identifier) {
+        const [rows] = await db.query(
+            `SELECT failures, last_failed_at, blocked_until
+             FROM admin_login_attempts
+             WHERE scope = ? AND identifier = ?
+             LIMIT 1`,
+            [scope, identifier]
+        );
+        if (!rows[0]) return null;
+
+        return {
+            failures: rows[0].failures,
+            lastFailedAt: new Date(rows[0].last_failed_at).getTime(),
+            blockedUntil: rows[0].blocked_until ? new Date(rows[0].blocked_until).getTime() : 0,
+        };
+    },
+
+    /**
+     * Adds one to the counter in a single upsert and returns the new count.
+     * The count restarts at 1 once the window has passed. A sliding window
+     * moves lastFailedAt on every increment; a fixed one keeps it as the
+     * window start. LAST_INSERT_ID(expr) hands back the exact value this
+     * statement wrote, which a follow-up SELECT could not.
+     */
+    async increment(scope, identifier, { now, windowSeconds, fixedWindow = false }) {
+        const [result] = await db.query(
+            `INSERT INTO admin_login_attempts (scope, identifier, failures, last_failed_at, blocked_until)
+             VALUES (?, ?, 1, ?, NULL)
+             ON DUPLICATE KEY UPDATE
+                failures = LAST_INSERT_ID(IF(last_failed_at > ?, failures + 1, 1)),
+                last_failed_at = ${fixedWindow ? "IF(failures = 1, VALUES(last_failed_at), last_failed_at)" : "VALUES(last_failed_at)"}`,
+            [scope, identifier, new Date(now), new Date(now - windowSeconds * 1000)]
+        );
+        // affectedRows is 1 for a fresh row, 2 for an updated one
+        return result.affectedRows === 1 ? 1 : Number(result.insertId);
+    },
+
+    async decrement(scope, identifier) {
+        await db.query(
+            `UPDATE admin_login_attempts
+             SET failures = GREATEST(failures - 1, 0)
+             WHERE scope = ? AND identifier = ?`,
+            [scope, identifier]
+        );
+    },
+
+    /** Pushes blocked_until out to `until`, never pulls it in. */
+    async block(scope, identifier, until) {
+        await db.query(
+            `UPDATE admin_login_attempts
+             SET blocked_until = GREATEST(COALESCE(blocked_until, ?), ?)
+             WHERE scope = ? AND identifier = ?`,
+            [new Date(until), new Date(until), scope, identifier]
+        );
+    },
+
+    async clear(scope, identifier) {
+        await db.query(
+            `DELETE FROM admin_login_attempts WHERE scope = ? AND identifier = ?`,
+            [scope, identifier]
+        );
+    },
+};
+
+const memoryRecords = new Map();
+
+// Each method reads and writes the Map without awaiting in between, so on
+// one event loop the updates are as atomic as the SQL ones.
+const memoryStore = {
+    async get(scope, identifier) {
+        return memoryRecords.get(`${scope}:${identifier}`) ?? null;
+    },
+    async increment(scope, identifier, { now, windowSeconds, fixedWindow = false }) {
+        const key = `${scope}:${identifier}`;
+        const previous = memoryRecords.get(key);
+        const withinWindow = previous && now - previous.lastFailedAt < windowSeconds * 1000;
+        const record = withinWindow
+            ? { ...previous, failures: previous.failures + 1, lastFailedAt: fixedWindow ? previous.lastFailedAt : now }
+            : { failures: 1, lastFailedAt: now, blockedUntil: previous?.blockedUntil ?? 0 };
+        memoryRecords.set(key, record);
+        return record.failures;
+    },
+    async decrement(scope, identifier) {
+        const record = memoryRecords.get(`${scope}:${identifier}`);
+        if (record) record.failures = Math.max(record.failures - 1, 0);
+    },
+    async block(scope, identifier, until) {
+        const record = memoryRecords.get(`${scope}:${identifier}`);
+        if (record) record.blockedUntil = Math.max(record.blockedUntil, until);
+    },
+    async clear(scope, identifier) {
+        memoryRecords.delete(`${scope}:${identifier}`);
+    },
+};
+
+// Drop stale in-memory records so the fallback can't grow without bound
+setInterval(() => {
+    const cutoff = Date.now() - FAILURE_WINDOW_SECONDS * 1000;
+    for (const [key, record] of memoryRecords) {
+        if (record.lastFailedAt < cutoff && record.blockedUntil < Date.now()) {
+            memoryRecords.delete(key);
+        }
+    }
+}, 10 * 60 * 1000).unref();
+
+let usingFallback = false; // only log when switching, not on every attempt
+
+/**
+ * Runs `fn` against MySQL, falling back to the in-memory store on DB errors.
+ */
+const withStore = async (fn) => {
+    try {
+        const result = await fn(mysqlStore);
+        if (usingFallback) {
+            usingFallback = false;
+            console.log("✅ Login attempt store back on MySQL");
+        }
+        return result;
+    } catch (err) {
+        if (!usingFallback) {
+            usingFallback = true;
+            console.warn("⚠️  Login attempt store unavailable, using in-memory fallback:", err.message);
+        }
+        return fn(memoryStore);
+    }
+};
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+const normalizeIdentifier = (scope, value) =>
+    scope === LOCKOUT_SCOPES.EMAIL || scope === LOCKOUT_SCOPES.RESET_EMAIL
+        ? String(value).trim().toLowerCase()
+        : String(value);
+
+/**
+ * Seconds the caller must wait after `failures` consecutive failures.
+ */
+const delayForFailures = (scope, failures) => {
+    if (failures >= LOCKOUT_THRESHOLDS[scope]) return LOCKOUT_SECONDS;
+    if (failures <= FREE_ATTEMPTS) return 0;
+    return Math.min(2 ** (failures - FREE_ATTEMPTS - 1), MAX_BACKOFF_SECONDS);
+};
+
+const keysFor = ({ email, ip }) =>
+    [
+        email && [LOCKOUT_SCOPES.EMAIL, normalizeIdentifier(LOCKOUT_SCOPES.EMAIL, email)],
+        ip && [LOCKOUT_SCOPES.IP, normalizeIdentifier(LOCKOUT_SCOPES.IP, ip)],
+    ].filter(Boolean);
+
+// ─── Attempts ────────────────────────────────────────────────────────────────
+
+/**
+ * Counts a login attempt against the email and the IP and says whether it
+ * may go ahead. Called BEFORE the admin lookup, so the answer is the same
+ * whether or not the email belongs to an admin.
+ *
+ * Refused when an earlier failure's wait hasn't run out, or when this
+ * attempt's own count is past the lockout threshold — the latter catches a
+ * burst of parallel guesses none of which has failed yet. A refused attempt
+ * is handed back and doesn't count as a failure.
+ *
+ * Follow up with recordLoginFailure, recordLoginSuccess or releaseLoginAttempt.
+ *
+ * @param {{ email?: string, ip?: string }} param
+ * @returns {Promise<{ allowed: boolean, retryAfter: number }>}  retryAfter in seconds
+ */
+export const beginLoginAttempt = async ({ email, ip }) => {
+    const now = Date.now();
+    let blockedUntil = 0;
+
+    for (const [scope, identifier] of keysFor({ email, ip })) {
+        const attempts = await withStore((store) =>
+            store.increment(scope, identifier, { now, windowSeconds: FAILURE_WINDOW_SECONDS })
+        );
+        const record = await withStore((store) => store.get(scope, identifier));
+
+        const until = Math.max(
+            record?.blockedUntil ?? 0,
+            attempts > LOCKOUT_THRESHOLDS[scope] ? now + LOCKOUT_SECONDS * 1000 : 0
+        );
+        if (until > blockedUntil) blockedUntil = until;
+    }
+
+    if (blockedUntil <= now) return { allowed: true, retryAfter: 0 };
+
+    await releaseLoginAttempt({ email, ip });
+    return { allowed: false, retryAfter: Math.ceil((blockedUntil - now) / 1000) };
+};
+
+/**
+ * Hands back an attempt counted by beginLoginAttempt that wasn't a failure,
+ * e.g. a correct password that still has to pass 2FA.
+ *
+ * @param {{ email?: string, ip?: string }} param
+ */
+export const releaseLoginAttempt = async ({ email, ip }) => {
+    for (const [scope, identifier] of keysFor({ email, ip })) {
+        await withStore((store) => store.decrement(scope, identifier));
+    }
+};
+
+// ─── Record ──────────────────────────────────────────────────────────────────
+
+/**
+ * Marks the attempt started by beginLoginAttempt as failed: sets the next
+ * allowed attempt time from the count the attempt left behind.
+ *
+ * @param {{ email?: string, ip?: string }} param
+ */
+export const recordLoginFailure = async ({ email, ip }) => {
+    const now = Date.now();
+
+    for (const [scope, identifier] of keysFor({ email, ip })) {
+        const record = await withStore((store) => store.get(scope, identifier));
+        const failures = record?.failures ?? 1;
+
+        await withStore((store) => store.block(scope, identifier, now + delayForFailures(scope, failures) * 1000));
+
+        if (failures === LOCKOUT_THRESHOLDS[scope]) {
+            console.warn(`⚠️  Login locked for ${scope} "${identifier}" after ${failures} failures.`);
+        }
+    }
+};
+
+/**
+ * Clears the failure counter for an email after a successful login.
+ * The IP only gets this attempt handed back, so one valid login can't reset
+ * an IP that is guessing other accounts.
+ *
+ * @param {{ email: string, ip?: string }} param
+ */
+export const recordLoginSuccess = async ({ email, ip }) => {
+    await clearLockout(LOCKOUT_SCOPES.EMAIL, email);
+    if (ip) await releaseLoginAttempt({ ip });
+};
+
+// ─── Password reset requests ─────────────────────────────────────────────────
+
+/**
+ * Counts a forgot-password request against its email and IP and says whether
+ * it may go ahead. Fixed windows of RESET_REQUEST_WINDOW_SECONDS — the
+ * record's lastFailedAt holds the window start and `failures` the requests
+ * made in it. Decided from the count this request's own increment returned,
+ * so concurrent requests can't all squeeze in under the limit.
+ *
+ * @param {{ email: string, ip?: string }} param
+ * @returns {Promise<{ allowed: boolean, retryAfter: number }>}  retryAfter in seconds
+ */
+export const consumeResetRequest = async ({ email, ip }) => {
+    const now = Date.now();
+    let blockedUntil = 0;
+
+    const keys = [
+        [LOCKOUT_SCOPES.RESET_EMAIL, normalizeIdentifier(LOCKOUT_SCOPES.RESET_EMAIL, email)],
+        ip && [LOCKOUT_SCOPES.RESET_IP, normalizeIdentifier(LOCKOUT_SCOPES.RESET_IP, ip)],
+    ].filter(Boolean);
+
+    for (const [scope, identifier] of keys) {
+        const requests = await withStore((store) =>
+            store.increment(scope, identifier, { now, windowSeconds: RESET_REQUEST_WINDOW_SECONDS, fixedWindow: true })
+        );
+        if (requests <= RESET_REQUEST_LIMITS[scope]) continue;
+
+        const record = await withStore((store) => store.get(scope, identifier));
+        const windowEnd = (record?.lastFailedAt ?? now) + RESET_REQUEST_WINDOW_SECONDS * 1000;
+        if (windowEnd > blockedUntil) blockedUntil = windowEnd;
+    }
+
+    if (blockedUntil <= now) return { allowed: true, retryAfter: 0 };
+    return { allowed: false, retryAfter: Math.ceil((blockedUntil - now) / 1000) };
+};
+
+// ─── Unlock ──────────────────────────────────────────────────────────────────
+
+/**
+ * Removes the failure record for one email or IP (owner unlock).
+ * Cleared in both stores so a lock recorded during a DB outage is lifted too.
+ *
+ * @param {string} scope       one of LOCKOUT_SCOPES
+ * @param {string} identifier  email or IP
+ */
+export const clearLockout = async (scope, identifier) => {
+    const key = normalizeIdentifier(scope, identifier);
+    await memoryStore.clear(scope, key);
+    await withStore((store) => store.clear(scope, key));
+};
@@ -0,0 +1,114 @@
+// services/mail.service.js
+import nodemailer from "nodemailer";
+import { promises as fsp } from "fs";
+import { join, resolve } from "path";
+import { randomUUID } from "crypto";
+import {
+    MAIL_TRANSPORT,
+    MAIL_FROM,
+    SMTP_CONFIG,
+    MAIL_DROP_DIR,
+} from "../config/mail.config.js";
+
+// ─── Transport interface ──────────────────────────────────────────────────────
+//
+// Every transport is an object with a single method:
+//
+//   send({ to, subject, text, html }) → Promise<{ messageId: string }>
+//
+// Callers never talk to nodemailer directly, so the transport can be swapped
+// via MAIL_TRANSPORT without touching the code that sends mail.
+
+/**
+ * Real delivery through an SMTP relay (SES, Postmark, Gmail, ...).
+ */
+export const createSmtpTransport = (config = SMTP_CONFIG) => {
+    const transporter = nodemailer.createTransport(config);
+
+    return {
+        name: "smtp",
+        async send({ to, subject, text, html }) {
+            const info = await transporter.sendMail({ from: MAIL_FROM, to, subject, text, html });
+            return { messageId: info.messageId };
+        },
+    };
+};
+
+/**
+ * Prints the message to stdout. Default in development.
+ */
+export const createConsoleTransport = () => ({
+    name: "console",
+    async send({ to, subject, text }) {
+        const messageId = `${randomUUID()}@console`;
+        console.log(
+            `📧 [mail:console] To: ${to}\n   Subject: ${subject}\n\n${text}\n`
+        );
+        return { messageId };
+    },
+});
+
+/**
+ * Writes each message as an .eml file into a directory, so tests and
+ * offline setups can pick up the reset link without a mail server.
+ */
+export const createFileTransport = (dir = MAIL_DROP_DIR) => {
+    // streamTransport builds the full RFC 822 message without sending it
+    const composer = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+    return {
+        name: "file",
+        async send({ to, subject, text, html }) {
+            const info = await composer.sendMail({ from: MAIL_FROM, to, subject, text, html });
+            const messageId = `${Date.now()}-${randomUUID()}`;
+
+            await fsp.mkdir(resolve(dir), { recursive: true });
+            await fsp.writeFile(join(resolve(dir), `${messageId}.eml`), info.message);
+
+            return { messageId };
+        },
+    };
+};
+
+const TRANSPORT_FACTORIES = {
+    smtp: createSmtpTransport,
+    console: createConsoleTransport,
+    file: createFileTransport,
+};
+
+// ─── Active transport ─────────────────────────────────────────────────────────
+
+let activeTransport = null;
+
+/**
+ * Returns the transport selected by MAIL_TRANSPORT (created once).
+ */
+export const getMailTransport = () => {
+    if (!activeTransport) {
+        const factory = TRANSPORT_FACTORIES[MAIL_TRANSPORT];
+        if (!factory) {
+            throw new Error(
+                `Invalid MAIL_TRANSPORT "${MAIL_TRANSPORT}". Valid transports are: ${Object.keys(TRANSPORT_FACTORIES).join(", ")}`
+            );
+        }
+        activeTransport = factory();
+    }
+    return activeTransport;
+};
+
+/**
+ * Replaces the active transport — lets a test script capture outgoing mail.
+ *
+ * @param {{ send: Function }} transport
+ */
+export const setMailTransport = (transport) => {
+    activeTransport = transport;
+};
+
+/**
+ * Sends a message through the active transport.
+ *
+ * @param {{ to: string, subject: string, text: string, html?: string }} message
+ * @returns {Promise<{ messageId: string }>}
+ */
+export const sendMail = (message) => getMailTransport().send(message);
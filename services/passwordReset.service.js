@@ -0,0 +1,142 @@
+// services/passwordReset.service.js
+import { createHash, randomBytes } from "crypto";
+import db from "../config/db.config.js";
+import { PASSWORD_RESET_URL } from "../config/mail.config.js";
+import { findAdminByEmail, updateAdminPassword } from "./admin.service.js";
+import { revokeAllSessions } from "./session.service.js";
+import { clearLockout, LOCKOUT_SCOPES } from "./lockout.service.js";
+import { sendMail } from "./mail.service.js";
+
+const RESET_TOKEN_TTL_MINUTES = 30;
+
+// Ignore repeat requests for the same admin inside this window (stops a
+// script from flooding an inbox via /forgot-password).
+const REQUEST_COOLDOWN_SECONDS = 60;
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+const hashToken = (token) => createHash("sha256").update(token).digest("hex");
+
+const resetError = (code, message) => {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+};
+
+const buildResetEmail = (resetUrl) => ({
+    subject: "Reset your Luminav Films admin password",
+    text: [
+        "Someone asked to reset the password for your Luminav Films admin account.",
+        "",
+        `Reset it here (valid for ${RESET_TOKEN_TTL_MINUTES} minutes, single use):`,
+        resetUrl,
+        "",
+        "If this wasn't you, ignore this email — your password will not change.",
+    ].join("\n"),
+    html: `
+        <p>Someone asked to reset the password for your Luminav Films admin account.</p>
+        <p><a href="${resetUrl}">Reset your password</a> — valid for ${RESET_TOKEN_TTL_MINUTES} minutes, single use.</p>
+        <p>If this wasn't you, ignore this email — your password will not change.</p>
+    `,
+});
+
+// ─── Request ──────────────────────────────────────────────────────────────────
+
+/**
+ * Looks up the admin, writes the token and sends the email — everything that
+ * takes longer for an existing email than for an unknown one.
+ */
+const issueResetToken = async ({ email, ip }) => {
+    const admin = await findAdminByEmail(email);
+    if (!admin || !admin.is_active) return;
+
+    const [recent] = await db.query(
+        `SELECT id FROM admin_password_resets
+         WHERE admin_id = ? AND created_at > DATE_SUB(NOW(), INTERVAL ? SECOND)
+         LIMIT 1`,
+        [admin.id, REQUEST_COOLDOWN_SECONDS]
+    );
+    if (recent.length > 0) return;
+
+    const token = randomBytes(32).toString("base64url");
+
+    await db.query(
+        `INSERT INTO admin_password_resets (admin_id, token_hash, requested_ip, expires_at)
+         VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))`,
+        [admin.id, hashToken(token), ip || null, RESET_TOKEN_TTL_MINUTES]
+    );
+
+    const resetUrl = `${PASSWORD_RESET_URL}?token=${encodeURIComponent(token)}`;
+    await sendMail({ to: admin.email, ...buildResetEmail(resetUrl) });
+};
+
+/**
+ * Issues a single-use reset token and emails the link, in the background.
+ *
+ * Returns without touching the admins table, so the caller can answer before
+ * any work that depends on whether the email exists has happened; failures
+ * are logged, never surfaced. Only the SHA-256 of the token is stored.
+ *
+ * @param {{ email: string, ip?: string }} param
+ */
+export const requestPasswordReset = ({ email, ip }) => {
+    setImmediate(() => {
+        issueResetToken({ email, ip }).catch((err) => {
+            console.error("[requestPasswordReset] Failed to issue reset token:", err);
+        });
+    });
+};
+
+// ─── Reset ────────────────────────────────────────────────────────────────────
+
+/**
+ * Consumes a reset token and sets a new password.
+ *
+ * The token is claimed with a conditional UPDATE before anything else, so two
+ * concurrent requests with the same token can't both succeed. On success every
+ * other outstanding token for the admin is invalidated, all sessions are
+ * revoked and any login lockout on the email is cleared.
+ *
+ * Throws `code: "INVALID_TOKEN"` when the token is unknown, used or expired.
+ *
+ * @param {{ token: string, password: string }} param
+ * @returns {Promise<{ adminId: number }>}
+ */
+export const resetPassword = async ({ token, password }) => {
+    const tokenHash = hashToken(String(token));
+
+    const [rows] = await db.query(
+        `SELECT r.id, r.admin_id, a.email
+         FROM admin_password_resets r
+         JOIN admins a ON a.id = r.admin_id AND a.is_active = 1
+         WHERE r.token_hash = ? AND r.used_at IS NULL AND r.expires_at > NOW()
+         LIMIT 1`,
+        [tokenHash]
+    );
+    const reset = rows[0];
+
+    if (!reset) {
+        throw resetError("INVALID_TOKEN", "This reset link is invalid or has expired.");
+    }
+
+    // ── Claim (single use) ───────────────────────────────────────────────────
+    const [claim] = await db.query(
+        `UPDATE admin_password_resets SET used_at = NOW() WHERE id = ? AND used_at IS NULL`,
+        [reset.id]
+    );
+    if (claim.affectedRows === 0) {
+        throw resetError("INVALID_TOKEN", "This reset link is invalid or has expired.");
+    }
+
+    // Same bcrypt cost as createAdmin
+    await updateAdminPassword(reset.admin_id, password);
+
+    await db.query(
+        `UPDATE admin_password_resets SET used_at = NOW() WHERE admin_id = ? AND used_at IS NULL`,
+        [reset.admin_id]
+    );
+    await revokeAllSessions({ adminId: reset.admin_id, reason: "password_reset" });
+    await clearLockout(LOCKOUT_SCOPES.EMAIL, reset.email);
+
+    return { adminId: reset.admin_id };
+};
@@ -0,0 +1,69 @@
+// services/placeholder.service.js
+import sharp from "sharp";
+import { encode as encodeBlurhash } from "blurhash";
+
+// BlurHash is computed from a tiny copy — the hash only holds a few DCT
+// components, so more pixels just cost CPU.
+const BLURHASH_SAMPLE_SIZE = 32;
+const BLURHASH_MAX_COMPONENTS = 4;
+
+// LQIP: a ~16px WebP inlined as a data URI (a few hundred bytes), meant to be
+// stretched with a CSS blur while the real image loads.
+const LQIP_WIDTH = 16;
+const LQIP_QUALITY = 30;
+
+const toHex = ({ r, g, b }) => `#${[r, g, b].map((c) => c.toString(16).padStart(2, "0")).join("")}`;
+
+/**
+ * More components along the longer side keep wide / tall images from smearing.
+ */
+const componentsFor = (width, height) => {
+    const ratio = width / height;
+    return ratio >= 1
+        ? { x: BLURHASH_MAX_COMPONENTS, y: Math.max(1, Math.round(BLURHASH_MAX_COMPONENTS / ratio)) }
+        : { x: Math.max(1, Math.round(BLURHASH_MAX_COMPONENTS * ratio)), y: BLURHASH_MAX_COMPONENTS };
+};
+
+/**
+ * Computes the loading placeholders for an image.
+ *
+ * @param {Buffer|string} input  original (or thumbnail) image bytes, or a file path
+ * @returns {Promise<{ blurhash: string, lqip: string, dominantColor: string }>}
+ *          lqip is a "data:image/webp;base64,…" URI, dominantColor "#rrggbb"
+ */
+export const computePlaceholders = async (input) => {
+    const upright = sharp(input).rotate();
+
+    const { data: pixels, info } = await upright
+        .clone()
+        .resize(BLURHASH_SAMPLE_SIZE, BLURHASH_SAMPLE_SIZE, { fit: "inside" })
+        .ensureAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+    const { x, y } = componentsFor(info.width, info.height);
+    const blurhash = encodeBlurhash(new Uint8ClampedArray(pixels), info.width, info.height, x, y);
+
+    const lqipBuffer = await upright
+        .clone()
+        .resize({ width: LQIP_WIDTH, withoutEnlargement: true })
+        .webp({ quality: LQIP_QUALITY })
+        .toBuffer();
+
+    const { dominant } = await upright.clone().stats();
+
+    return {
+        blurhash,
+        lqip: `data:image/webp;base64,${lqipBuffer.toString("base64")}`,
+        dominantColor: toHex(dominant),
+    };
+};
+
+/**
+ * Shapes the stored placeholder columns for API responses, or null when the
+ * image has none yet (uploaded before placeholders and not backfilled).
+ */
+export const formatPlaceholder = (row) =>
+    row.blurhash
+        ? { blurhash: row.blurhash, lqip: row.lqip ?? null, dominantColor: row.dominant_color ?? null }
+        : null;
@@ -0,0 +1,349 @@
+// services/render.service.js
+// On-the-fly crops / sizes for GET /api/images/render/:id. Each variant is
+// rendered once from the original, then served from the local disk cache
+// (bounded, least recently used evicted) or its S3 copy under derivatives/<image id>/.
+import sharp from "sharp";
+import { createHash, randomUUID } from "crypto";
+import { promises as fsp } from "fs";
+import { join, dirname } from "path";
+import { GetObjectCommand, PutObjectCommand } from "@aws-sdk/client-s3";
+import { query } from "../config/db.config.js";
+import { s3Client } from "../config/s3.config.js";
+import {
+    RENDER_SIZES,
+    RENDER_FITS,
+    RENDER_FORMATS,
+    RENDER_QUALITIES,
+    RENDER_DEFAULT_QUALITY,
+    RENDER_CONCURRENCY,
+    RENDER_QUEUE_LIMIT,
+    RENDER_CACHE_DIR,
+    RENDER_CACHE_MAX_BYTES,
+} from "../config/image.config.js";
+import { resolveCategory } from "./category.service.js";
+
+const DERIVATIVE_PREFIX = "derivatives";
+
+// Renders in progress, keyed "<id>/<variant>", so concurrent requests for the
+// same variant share one render
+const inFlight = new Map();
+
+// Renders from the original running now, and the ones waiting for a slot
+let activeRenders = 0;
+const renderQueue = [];
+
+// How often the disk cache is checked against RENDER_CACHE_MAX_BYTES
+const CACHE_PRUNE_INTERVAL_MINUTES = 15;
+
+// A prune deletes down to this share of the limit, so it doesn't rerun on every write
+const CACHE_PRUNE_TARGET = 0.9;
+
+// Bytes in the disk cache as of the last prune, plus writes since then
+let cachedBytes = 0;
+let pruning = null;
+
+const renderError = (message, code = "INVALID_RENDER") => {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+};
+
+// ─── Options ─────────────────────────────────────────────────────────────────
+
+/**
+ * Validates render query params against the allow-lists in image.config.js.
+ * Throws `code: "INVALID_RENDER"` naming the allowed values.
+ *
+ * With only one of w / h the other follows the aspect ratio and `fit` has no
+ * effect, so it is normalised to "inside" (one cache entry, not four).
+ *
+ * @param {{ w?: string, h?: string, fit?: string, format?: string, q?: string }} params
+ * @returns {{ width: number|null, height: number|null, fit: string, format: string, quality: number|null }}
+ */
+export const parseRenderOptions = ({ w, h, fit = "cover", format = "jpeg", q } = {}) => {
+    const parseSize = (value, name) => {
+        if (value === undefined || value === "") return null;
+        const size = Number(value);
+        if (!RENDER_SIZES.includes(size)) throw renderError(`${name} must be one of: ${RENDER_SIZES.join(", ")}`);
+        return size;
+    };
+
+    const width = parseSize(w, "w");
+    const height = parseSize(h, "h");
+    if (!width && !height) throw renderError("w or h is required");
+
+    const resolvedFormat = format === "jpg" ? "jpeg" : format;
+    if (!Object.hasOwn(RENDER_FORMATS, resolvedFormat)) {
+        throw renderError(`format must be one of: ${Object.keys(RENDER_FORMATS).join(", ")}`);
+    }
+    if (!RENDER_FITS.includes(fit)) throw renderError(`fit must be one of: ${RENDER_FITS.join(", ")}`);
+
+    let quality = null;
+    if (RENDER_FORMATS[resolvedFormat].quality) {
+        quality = q === undefined || q === "" ? RENDER_DEFAULT_QUALITY : Number(q);
+        if (!RENDER_QUALITIES.includes(quality)) {
+            throw renderError(`q must be one of: ${RENDER_QUALITIES.join(", ")}`);
+        }
+    }
+
+    return { width, height, fit: width && height ? fit : "inside", format: resolvedFormat, quality };
+};
+
+/**
+ * File name of a variant, e.g. "w600-h600-cover-q75.webp".
+ */
+const variantName = ({ width, height, fit, format, quality }) =>
+    [width && `w${width}`, height && `h${height}`, fit, quality && `q${quality}`]
+        .filter(Boolean)
+        .join("-") + `.${format}`;
+
+// ─── Storage ─────────────────────────────────────────────────────────────────
+
+const readObject = async (bucket, key) => {
+    const object = await s3Client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+    return Buffer.from(await object.Body.transformToByteArray());
+};
+
+/**
+ * Reads a variant's S3 copy, or null when it has never been stored.
+ */
+const readDerivative = async (image, variant) => {
+    const [row] = await query(
+        `SELECT s3_key FROM image_derivatives WHERE image_id = ? AND variant = ?`,
+        [image.id, variant]
+    );
+    if (!row) return null;
+
+    try {
+        return await readObject(image.bucket_name, row.s3_key);
+    } catch (error) {
+        console.error(`Derivative ${row.s3_key} is missing, re-rendering:`, error.message);
+        return null;
+    }
+};
+
+/**
+ * Uploads a variant to S3 and records it for hard deletes. Logged, not thrown —
+ * the render is still served from disk.
+ */
+const storeDerivative = async (image, variant, body, mimeType) => {
+    const key = `${DERIVATIVE_PREFIX}/${image.id}/${variant}`;
+    try {
+        await s3Client.send(new PutObjectCommand({
+            Bucket: image.bucket_name,
+            Key: key,
+            Body: body,
+            ContentType: mimeType,
+            CacheControl: "public, max-age=31536000, immutable",
+        }));
+        await query(
+            `INSERT INTO image_derivatives (image_id, variant, s3_key, file_size) VALUES (?, ?, ?, ?)
+             ON DUPLICATE KEY UPDATE s3_key = VALUES(s3_key), file_size = VALUES(file_size)`,
+            [image.id, variant, key, body.length]
+        );
+    } catch (error) {
+        console.error(`Failed to store derivative ${key}:`, error.message);
+    }
+};
+
+/**
+ * S3 keys of every derivative belonging to the given images (for hard deletes).
+ *
+ * @param {number[]} imageIds
+ * @returns {Promise<{ imageId: number, key: string }[]>}
+ */
+export const getDerivativeKeys = async (imageIds) => {
+    if (imageIds.length === 0) return [];
+    return query(`SELECT image_id AS imageId, s3_key AS \`key\` FROM image_derivatives WHERE image_id IN (?)`, [imageIds]);
+};
+
+/**
+ * Writes a variant to the disk cache (temp file + rename, so a concurrent
+ * reader never sees half a file). Logged, not thrown.
+ */
+const writeDiskCache = async (path, body) => {
+    try {
+        await fsp.mkdir(dirname(path), { recursive: true });
+        const tempPath = `${path}.${randomUUID()}.tmp`;
+        await fsp.writeFile(tempPath, body);
+        await fsp.rename(tempPath, path);
+
+        cachedBytes += body.length;
+        if (cachedBytes > RENDER_CACHE_MAX_BYTES) pruneRenderCache();
+    } catch (error) {
+        console.error(`Failed to write render cache ${path}:`, error.message);
+    }
+};
+
+/**
+ * Every file in the disk cache (<id>/<variant>) with its size and mtime.
+ */
+const listDiskCache = async () => {
+    const files = [];
+    const dirs = await fsp.readdir(RENDER_CACHE_DIR, { withFileTypes: true }).catch(() => []);
+    for (const dir of dirs.filter((entry) => entry.isDirectory())) {
+        const dirPath = join(RENDER_CACHE_DIR, dir.name);
+        for (const name of await fsp.readdir(dirPath).catch(() => [])) {
+            const path = join(dirPath, name);
+            const stats = await fsp.stat(path).catch(() => null);
+            if (stats?.isFile()) files.push({ path, size: stats.size, usedAt: stats.mtimeMs });
+        }
+    }
+    return files;
+};
+
+/**
+ * Deletes the least recently used renders until the disk cache is back under
+ * CACHE_PRUNE_TARGET of RENDER_CACHE_MAX_BYTES. Cache hits refresh a file's
+ * mtime, so mtime order is use order. Concurrent calls share one run; never throws.
+ */
+export const pruneRenderCache = () => {
+    pruning ??= (async () => {
+        try {
+            const files = await listDiskCache();
+            let total = files.reduce((sum, file) => sum + file.size, 0);
+            let removed = 0;
+
+            if (total > RENDER_CACHE_MAX_BYTES) {
+                files.sort((a, b) => a.usedAt - b.usedAt);
+                for (const file of files) {
+                    if (total <= RENDER_CACHE_MAX_BYTES * CACHE_PRUNE_TARGET) break;
+                    await fsp.rm(file.path, { force: true });
+                    total -= file.size;
+                    removed++;
+                }
+            }
+
+            cachedBytes = total;
+            if (removed > 0) console.log(`🖼️  Render cache pruned ${removed} file(s)`);
+        } catch (error) {
+            console.error("Render cache prune failed:", error.message);
+        } finally {
+            pruning = null;
+        }
+    })();
+    return pruning;
+};
+
+/**
+ * Prunes the disk cache every CACHE_PRUNE_INTERVAL_MINUTES (first run one
+ * minute after startup, which also counts what an earlier process left).
+ * Call once from server.js.
+ */
+export const startRenderCachePrune = () => {
+    setTimeout(pruneRenderCache, 60 * 1000).unref();
+    setInterval(pruneRenderCache, CACHE_PRUNE_INTERVAL_MINUTES * 60 * 1000).unref();
+};
+
+/**
+ * Removes the disk-cached renders of hard-deleted images. Never throws.
+ *
+ * @param {number[]} imageIds
+ */
+export const evictRenderCache = async (imageIds) => {
+    for (const id of imageIds) {
+        await fsp.rm(join(RENDER_CACHE_DIR, String(id)), { recursive: true, force: true }).catch(() => {});
+    }
+};
+
+// ─── Render ──────────────────────────────────────────────────────────────────
+
+/**
+ * Waits for one of RENDER_CONCURRENCY render slots. Throws `code: "RENDER_BUSY"`
+ * when RENDER_QUEUE_LIMIT requests are already waiting.
+ */
+const acquireRenderSlot = () => {
+    if (activeRenders < RENDER_CONCURRENCY) {
+        activeRenders++;
+        return Promise.resolve();
+    }
+    if (renderQueue.length >= RENDER_QUEUE_LIMIT) {
+        return Promise.reject(renderError("Too many renders in progress. Try again shortly.", "RENDER_BUSY"));
+    }
+    return new Promise((resolve) => renderQueue.push(resolve));
+};
+
+/** Hands the slot to the next waiting render, if any. */
+const releaseRenderSlot = () => {
+    const next = renderQueue.shift();
+    if (next) next();
+    else activeRenders--;
+};
+
+/**
+ * Disk cache → S3 derivative → render from the original (then stored in both).
+ */
+const loadVariant = async (image, variant, options) => {
+    const cachePath = join(RENDER_CACHE_DIR, String(image.id), variant);
+    try {
+        const cached = await fsp.readFile(cachePath);
+        const now = new Date();
+        fsp.utimes(cachePath, now, now).catch(() => {}); // mark as recently used
+        return cached;
+    } catch {
+        // not cached on this server yet (or evicted)
+    }
+
+    const { mimeType } = RENDER_FORMATS[options.format];
+    let body = await readDerivative(image, variant);
+
+    if (!body) {
+        await acquireRenderSlot();
+        try {
+            const original = await readObject(image.bucket_name, image.s3_key);
+            body = await sharp(original)
+                .rotate() // apply EXIF orientation before cropping
+                .resize({
+                    width: options.width ?? undefined,
+                    height: options.height ?? undefined,
+                    fit: options.fit,
+                    withoutEnlargement: true,
+                    background: { r: 255, g: 255, b: 255, alpha: 0 }, // "contain" padding
+                })
+                .toFormat(options.format, options.quality ? { quality: options.quality } : {})
+                .toBuffer();
+        } finally {
+            releaseRenderSlot();
+        }
+        await storeDerivative(image, variant, body, mimeType);
+    }
+
+    await writeDiskCache(cachePath, body);
+    return body;
+};
+
+/**
+ * Returns an active image in a visible category rendered with `options`
+ * (from parseRenderOptions), or null if there is no such image.
+ * Throws `code: "RENDER_BUSY"` when it would have to render and the render
+ * queue is full.
+ *
+ * `etag` is a strong validator — a hash of the exact bytes returned.
+ *
+ * @param {number} id
+ * @param {ReturnType<typeof parseRenderOptions>} options
+ * @returns {Promise<{ body: Buffer, contentType: string, etag: string }|null>}
+ */
+export const renderImage = async (id, options) => {
+    const [image] = await query(
+        `SELECT id, s3_key, bucket_name, category FROM images WHERE id = ? AND is_active = 1`,
+        [id]
+    );
+    if (!image) return null;
+
+    const category = await resolveCategory(image.category);
+    if (!category?.isVisible) return null;
+
+    const variant = variantName(options);
+    const key = `${image.id}/${variant}`;
+    if (!inFlight.has(key)) {
+        inFlight.set(key, loadVariant(image, variant, options).finally(() => inFlight.delete(key)));
+    }
+    const body = await inFlight.get(key);
+
+    return {
+        body,
+        contentType: RENDER_FORMATS[options.format].mimeType,
+        etag: `"${createHash("sha256").update(body).digest("base64url")}"`,
+    };
+};
@@ -0,0 +1,74 @@
+// services/rendition.service.js
+import sharp from "sharp";
+import { RENDITION_WIDTHS, RENDITION_FORMATS } from "../config/image.config.js";
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+/**
+ * Width as displayed — EXIF orientations 5-8 are rotated 90°, so the stored
+ * height is the visible width.
+ */
+const displayWidth = ({ width, height, orientation }) => (orientation >= 5 ? height : width);
+
+/**
+ * Picks the ladder rungs for an image: every configured width up to the
+ * original, or just the original width when it is narrower than every rung.
+ */
+export const pickRenditionWidths = (originalWidth, ladder = RENDITION_WIDTHS) => {
+    if (!originalWidth) return [];
+    const widths = ladder.filter((w) => w <= originalWidth);
+    return widths.length > 0 ? widths : [originalWidth];
+};
+
+// ─── Encode ──────────────────────────────────────────────────────────────────
+
+/**
+ * Encodes an image into every width × format of the rendition ladder.
+ * Encodes one at a time — AVIF is CPU-heavy and the server is small.
+ *
+ * @param {Buffer|string} input  original image bytes or its file path
+ * @returns {Promise<{ width: number, height: number, format: string, mimeType: string, buffer: Buffer }[]>}
+ */
+export const renderRenditions = async (input) => {
+    const metadata = await sharp(input).metadata();
+    const widths = pickRenditionWidths(displayWidth(metadata));
+    const renditions = [];
+
+    for (const width of widths) {
+        for (const { format, mimeType, options } of RENDITION_FORMATS) {
+            const { data, info } = await sharp(input)
+                .rotate() // apply EXIF orientation before resizing
+                .resize({ width, withoutEnlargement: true })
+                .toFormat(format, options)
+                .toBuffer({ resolveWithObject: true });
+
+            renditions.push({ width: info.width, height: info.height, format, mimeType, buffer: data });
+        }
+    }
+
+    return renditions;
+};
+
+// ─── srcset ──────────────────────────────────────────────────────────────────
+
+/**
+ * Groups rendition rows into ready-to-use srcset strings per format, e.g.
+ *   { avif: "https://…/320.avif 320w, https://…/640.avif 640w", webp: "…" }
+ * Formats with no renditions are omitted; returns null when there are none.
+ *
+ * @param {{ width: number, format: string, url: string }[]} renditions
+ * @returns {Object<string, string>|null}
+ */
+export const buildSrcset = (renditions = []) => {
+    if (renditions.length === 0) return null;
+
+    const srcset = {};
+    for (const { format } of RENDITION_FORMATS) {
+        const entries = renditions
+            .filter((r) => r.format === format)
+            .sort((a, b) => a.width - b.width)
+            .map((r) => `${r.url} ${r.width}w`);
+        if (entries.length > 0) srcset[format] = entries.join(", ");
+    }
+    return srcset;
+};
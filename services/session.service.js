@@ -0,0 +1,268 @@
+// services/session.service.js
+import { createHash, randomUUID } from "crypto";
+import db from "../config/db.config.js";
+import { REFRESH_TOKEN_TTL } from "../config/auth.config.js";
+import { signRefreshToken, verifyRefreshToken } from "./auth.service.js";
+
+// Two tabs refreshing with the same cookie at once is not theft — within this
+// window the stale token is rejected without revoking the session.
+const ROTATION_GRACE_SECONDS = 10;
+
+// Only write last_seen_at once per minute per session, not on every request.
+const LAST_SEEN_THROTTLE_SECONDS = 60;
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+const hashJti = (jti) => createHash("sha256").update(jti).digest("hex");
+
+const sessionError = (code, message) => {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+};
+
+/**
+ * Turns a raw User-Agent into a short human label, e.g. "Chrome on macOS".
+ * Deliberately rough — it only needs to help an admin recognise their devices.
+ */
+const describeDevice = (userAgent = "") => {
+    if (!userAgent) return "Unknown device";
+
+    const browser =
+        /Edg\//.test(userAgent) ? "Edge"
+            : /OPR\//.test(userAgent) ? "Opera"
+                : /Firefox\//.test(userAgent) ? "Firefox"
+                    : /Chrome\//.test(userAgent) ? "Chrome"
+                        : /Safari\//.test(userAgent) ? "Safari"
+                            : null;
+
+    const os =
+        /iPhone|iPad/.test(userAgent) ? "iOS"
+            : /Android/.test(userAgent) ? "Android"
+                : /Mac OS X/.test(userAgent) ? "macOS"
+                    : /Windows/.test(userAgent) ? "Windows"
+                        : /Linux/.test(userAgent) ? "Linux"
+                            : null;
+
+    if (browser && os) return `${browser} on ${os}`;
+    return browser || os || userAgent.slice(0, 60);
+};
+
+const formatSession = (row, currentSessionId) => ({
+    id: row.id,
+    device: describeDevice(row.user_agent),
+    userAgent: row.user_agent,
+    ip: row.ip_address,
+    createdAt: row.created_at,
+    lastSeenAt: row.last_seen_at,
+    expiresAt: row.expires_at,
+    current: row.id === currentSessionId,
+});
+
+// ─── CREATE ───────────────────────────────────────────────────────────────────
+
+/**
+ * Opens a new session for an admin and returns its first refresh token.
+ *
+ * @param {{ adminId: number, userAgent?: string, ip?: string }} param
+ * @returns {Promise<{ sessionId: string, refreshToken: string }>}
+ */
+export const createSession = async ({ adminId, userAgent, ip }) => {
+    const sessionId = randomUUID();
+    const jti = randomUUID();
+
+    await db.query(
+        `INSERT INTO admin_sessions
+            (id, admin_id, refresh_jti_hash, user_agent, ip_address, expires_at)
+         VALUES (?, ?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? SECOND))`,
+        [sessionId, adminId, hashJti(jti), userAgent?.slice(0, 512) || null, ip || null, REFRESH_TOKEN_TTL]
+    );
+
+    return { sessionId, refreshToken: signRefreshToken({ adminId, sessionId, jti }) };
+};
+
+// ─── ROTATE ───────────────────────────────────────────────────────────────────
+
+/**
+ * Exchanges a refresh token for a new one (rotation on every refresh).
+ *
+ * Presenting a correctly-signed but already-rotated token means the token was
+ * copied — the whole session is revoked so neither copy keeps working.
+ *
+ * Throws structured errors:
+ *   code "INVALID_REFRESH"  → missing / expired / revoked
+ *   code "REFRESH_RACE"     → stale token within the rotation grace window
+ *   code "REFRESH_REUSED"   → stale token outside the window; session revoked
+ *
+ * @param {string} refreshToken
+ * @param {{ userAgent?: string, ip?: string }} context
+ * @returns {Promise<{ admin: { id, email, role }, sessionId: string, refreshToken: string }>}
+ */
+export const rotateSession = async (refreshToken, { userAgent, ip } = {}) => {
+    const payload = verifyRefreshToken(refreshToken);
+    if (!payload?.sid || !payload.jti) {
+        throw sessionError("INVALID_REFRESH", "Session expired. Please log in again.");
+    }
+
+    const [rows] = await db.query(
+        `SELECT s.id, s.refresh_jti_hash, s.previous_jti_hash,
+                TIMESTAMPDIFF(SECOND, s.rotated_at, NOW()) AS seconds_since_rotation,
+                a.id AS admin_id, a.email, a.role
+         FROM admin_sessions s
+         JOIN admins a ON a.id = s.admin_id AND a.is_active = 1
+         WHERE s.id = ? AND s.revoked_at IS NULL AND s.expires_at > NOW()
+         LIMIT 1`,
+        [payload.sid]
+    );
+    const session = rows[0];
+
+    if (!session) {
+        throw sessionError("INVALID_REFRESH", "Session expired. Please log in again.");
+    }
+
+    const presentedHash = hashJti(payload.jti);
+    const nextJti = randomUUID();
+
+    if (presentedHash === session.refresh_jti_hash) {
+        // Conditional update — if another request rotated first, affectedRows is 0
+        const [result] = await db.query(
+            `UPDATE admin_sessions
+             SET refresh_jti_hash = ?, previous_jti_hash = ?, rotated_at = NOW(),
+                 last_seen_at = NOW(), user_agent = ?, ip_address = ?,
+                 expires_at = DATE_ADD(NOW(), INTERVAL ? SECOND)
+             WHERE id = ? AND refresh_jti_hash = ? AND revoked_at IS NULL`,
+            [
+                hashJti(nextJti),
+                presentedHash,
+                userAgent?.slice(0, 512) || null,
+                ip || null,
+                REFRESH_TOKEN_TTL,
+                session.id,
+                presentedHash,
+            ]
+        );
+
+        if (result.affectedRows === 1) {
+            return {
+                admin: { id: session.admin_id, email: session.email, role: session.role },
+                sessionId: session.id,
+                refreshToken: signRefreshToken({
+                    adminId: session.admin_id,
+                    sessionId: session.id,
+                    jti: nextJti,
+                }),
+            };
+        }
+
+        throw sessionError("REFRESH_RACE", "Session was just refreshed. Retry the request.");
+    }
+
+    if (
+        presentedHash === session.previous_jti_hash &&
+        session.seconds_since_rotation !== null &&
+        session.seconds_since_rotation <= ROTATION_GRACE_SECONDS
+    ) {
+        throw sessionError("REFRESH_RACE", "Session was just refreshed. Retry the request.");
+    }
+
+    // ── Reuse detected ────────────────────────────────────────────────────────
+    console.warn(`⚠️  Refresh token reuse detected for session ${session.id} (admin ${session.admin_id}) — revoking.`);
+    await revokeSession({ adminId: session.admin_id, sessionId: session.id, reason: "refresh_reuse" });
+
+    throw sessionError("REFRESH_REUSED", "Session expired. Please log in again.");
+};
+
+// ─── READ ─────────────────────────────────────────────────────────────────────
+
+/**
+ * Resolves the admin behind an active session.
+ * Returns undefined when the session is revoked, expired, belongs to another
+ * admin, or the admin has been disabled. Also bumps last_seen_at (throttled).
+ *
+ * @param {{ sessionId: string, adminId: number }} param
+ * @returns {Promise<{ id: number, email: string, role: string }|undefined>}
+ */
+export const findActiveSessionAdmin = async ({ sessionId, adminId }) => {
+    const [rows] = await db.query(
+        `SELECT a.id, a.email, a.role,
+                s.last_seen_at < DATE_SUB(NOW(), INTERVAL ? SECOND) AS is_stale
+         FROM admin_sessions s
+         JOIN admins a ON a.id = s.admin_id AND a.is_active = 1
+         WHERE s.id = ? AND s.admin_id = ? AND s.revoked_at IS NULL AND s.expires_at > NOW()
+         LIMIT 1`,
+        [LAST_SEEN_THROTTLE_SECONDS, sessionId, adminId]
+    );
+    const row = rows[0];
+    if (!row) return undefined;
+
+    if (row.is_stale) {
+        await db.query(`UPDATE admin_sessions SET last_seen_at = NOW() WHERE id = ?`, [sessionId]);
+    }
+
+    return { id: row.id, email: row.email, role: row.role };
+};
+
+/**
+ * Lists an admin's active sessions, most recently used first.
+ *
+ * @param {number} adminId
+ * @param {string} [currentSessionId]  flagged with `current: true`
+ */
+export const listActiveSessions = async (adminId, currentSessionId) => {
+    const [rows] = await db.query(
+        `SELECT id, user_agent, ip_address, created_at, last_seen_at, expires_at
+         FROM admin_sessions
+         WHERE admin_id = ? AND revoked_at IS NULL AND expires_at > NOW()
+         ORDER BY last_seen_at DESC`,
+        [adminId]
+    );
+    return rows.map((row) => formatSession(row, currentSessionId));
+};
+
+/**
+ * Reads the session and admin ids from a refresh token without checking the DB.
+ * Lets logout revoke the right session even after the access token expired.
+ *
+ * @param {string|undefined} refreshToken
+ * @returns {{ sessionId: string, adminId: number }|null}
+ */
+export const sessionFromRefreshToken = (refreshToken) => {
+    const payload = verifyRefreshToken(refreshToken);
+    if (!payload?.sid || !payload.sub) return null;
+    return { sessionId: payload.sid, adminId: Number(payload.sub) };
+};
+
+// ─── REVOKE ───────────────────────────────────────────────────────────────────
+
+/**
+ * Revokes one session. Scoped by adminId so an admin can't revoke another
+ * admin's session by guessing its id.
+ * Returns true if a session was revoked, false if none matched.
+ *
+ * @param {{ adminId: number, sessionId: string, reason?: string }} param
+ */
+export const revokeSession = async ({ adminId, sessionId, reason = "revoked" }) => {
+    const [result] = await db.query(
+        `UPDATE admin_sessions
+         SET revoked_at = NOW(), revoked_reason = ?
+         WHERE id = ? AND admin_id = ? AND revoked_at IS NULL`,
+        [reason, sessionId, adminId]
+    );
+    return result.affectedRows > 0;
+};
+
+/**
+ * Revokes every active session of an admin, optionally keeping one.
+ * Returns the number of sessions revoked.
+ *
+ * @param {{ adminId: number, exceptSessionId?: string, reason?: string }} param
+ */
+export const revokeAllSessions = async ({ adminId, exceptSessionId = null, reason = "revoked" }) => {
+    const [result] = await db.query(
+        `UPDATE admin_sessions
+         SET revoked_at = NOW(), revoked_reason = ?
+         WHERE admin_id = ? AND revoked_at IS NULL AND (? IS NULL OR id <> ?)`,
+        [reason, adminId, exceptSessionId, exceptSessionId]
+    );
+    return result.affectedRows;
+};
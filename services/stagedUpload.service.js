@@ -0,0 +1,394 @@
+// services/stagedUpload.service.js
+// Direct-to-S3 uploads: the browser PUTs the file to a presigned staging key,
+// then the server pulls it to a temp file and runs the normal pipeline.
+// File bytes never pass through (or sit in) the API server's memory.
+import {
+    PutObjectCommand,
+    CreateMultipartUploadCommand,
+    UploadPartCommand,
+    CompleteMultipartUploadCommand,
+    AbortMultipartUploadCommand,
+    HeadObjectCommand,
+    GetObjectCommand,
+    DeleteObjectCommand,
+} from "@aws-sdk/client-s3";
+import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
+import { createWriteStream, promises as fsp } from "fs";
+import { pipeline } from "stream/promises";
+import { join } from "path";
+import { tmpdir } from "os";
+import { randomUUID } from "crypto";
+import { query } from "../config/db.config.js";
+import { s3Client, BUCKET_NAME } from "../config/s3.config.js";
+import {
+    IMAGE_MIME_TYPES,
+    STAGED_MAX_BYTES,
+    STAGED_UPLOAD_EXPIRY_MINUTES,
+    STAGED_SWEEP_INTERVAL_MINUTES,
+    MULTIPART_THRESHOLD,
+    MULTIPART_PART_SIZE,
+    MULTIPART_MAX_PARTS,
+} from "../config/upload.config.js";
+
+const STAGING_PREFIX = "staging";
+const MB = 1024 * 1024;
+
+// Staged uploads cleaned up per sweep run; the rest wait for the next run
+const SWEEP_LIMIT = 100;
+
+// A row still 'processing' this long after it expired was cut off by a restart
+const STALE_PROCESSING_HOURS = 24;
+
+export const STAGED_UPLOAD_KINDS = ["image", "video", "teaser"];
+
+const stagedError = (message, code) => {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+};
+
+const acceptsContentType = (kind, contentType) =>
+    kind === "image" ? IMAGE_MIME_TYPES.includes(contentType) : contentType.startsWith("video/");
+
+/**
+ * Part size for a multipart upload of `size` bytes: MULTIPART_PART_SIZE, or
+ * the smallest whole number of MB that keeps it within MULTIPART_MAX_PARTS.
+ */
+const partSizeFor = (size) =>
+    Math.max(MULTIPART_PART_SIZE, Math.ceil(size / MULTIPART_MAX_PARTS / MB) * MB);
+
+// ─── Presign ─────────────────────────────────────────────────────────────────
+
+/**
+ * Registers a staged upload and returns where to send the file.
+ *
+ * Files up to MULTIPART_THRESHOLD get one presigned PUT, signed for the exact
+ * Content-Type and Content-Length. Larger files get a multipart upload with a
+ * presigned URL per part; the client PUTs each `partSize` slice and keeps the
+ * ETag response header of each for POST /api/uploads/complete.
+ *
+ * Throws `code: "INVALID_UPLOAD"` for an unknown kind, wrong type or bad size.
+ *
+ * @param {{ adminId: number, kind: string, filename: string, contentType: string, size: number }} param
+ * @returns {Promise<{ uploadId: string, key: string, expiresAt: Date,
+ *   method: "PUT", url?: string, headers?: Object,
+ *   multipart?: { partSize: number, parts: { partNumber: number, url: string }[] } }>}
+ */
+export const presignUpload = async ({ adminId, kind, filename, contentType, size }) => {
+    if (!STAGED_UPLOAD_KINDS.includes(kind)) {
+        throw stagedError(`kind must be one of: ${STAGED_UPLOAD_KINDS.join(", ")}`, "INVALID_UPLOAD");
+    }
+    if (!acceptsContentType(kind, contentType)) {
+        throw stagedError(
+            kind === "image"
+                ? "Invalid file type. Only JPEG, PNG, WebP, and GIF are allowed"
+                : "Only video files are allowed",
+            "INVALID_UPLOAD"
+        );
+    }
+    if (!Number.isSafeInteger(size) || size <= 0) {
+        throw stagedError("size must be the file size in bytes", "INVALID_UPLOAD");
+    }
+    if (size > STAGED_MAX_BYTES[kind]) {
+        throw stagedError(
+            `File too large. Maximum ${kind} size is ${Math.floor(STAGED_MAX_BYTES[kind] / MB)} MB`,
+            "INVALID_UPLOAD"
+        );
+    }
+
+    const id = randomUUID();
+    const sanitizedFilename = filename.replace(/[^a-zA-Z0-9.-]/g, "_").slice(-200) || "upload";
+    const key = `${STAGING_PREFIX}/${id}/${sanitizedFilename}`;
+    const expiresIn = STAGED_UPLOAD_EXPIRY_MINUTES * 60;
+    const expiresAt = new Date(Date.now() + expiresIn * 1000);
+
+    let s3UploadId = null;
+    let response;
+
+    if (size <= MULTIPART_THRESHOLD) {
+        const url = await getSignedUrl(
+            s3Client,
+            new PutObjectCommand({ Bucket: BUCKET_NAME, Key: key, ContentType: contentType, ContentLength: size }),
+            { expiresIn }
+        );
+        response = { method: "PUT", url, headers: { "Content-Type": contentType } };
+    } else {
+        const { UploadId } = await s3Client.send(new CreateMultipartUploadCommand({
+            Bucket: BUCKET_NAME,
+            Key: key,
+            ContentType: contentType,
+        }));
+        s3UploadId = UploadId;
+
+        const partSize = partSizeFor(size);
+        const partCount = Math.ceil(size / partSize);
+        const parts = await Promise.all(
+            Array.from({ length: partCount }, async (_, i) => ({
+                partNumber: i + 1,
+                url: await getSignedUrl(
+                    s3Client,
+                    new UploadPartCommand({ Bucket: BUCKET_NAME, Key: key, UploadId, PartNumber: i + 1 }),
+                    { expiresIn }
+                ),
+            }))
+        );
+        response = { method: "PUT", multipart: { partSize, parts } };
+    }
+
+    await query(
+        `INSERT INTO staged_uploads
+            (id, admin_id, kind, staging_key, s3_upload_id, filename, content_type, size, expires_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [id, adminId, kind, key, s3UploadId, filename.slice(0, 255), contentType, size, expiresAt]
+    );
+
+    return { uploadId: id, key, expiresAt, ...response };
+};
+
+// ─── Complete ────────────────────────────────────────────────────────────────
+
+/**
+ * Marks a staged upload as processing and makes sure its object is whole:
+ * completes the multipart upload (with the client's part ETags) and checks the
+ * stored size against the one declared at presign.
+ *
+ * Error codes: STAGED_UPLOAD_NOT_FOUND (unknown id or another admin's upload),
+ * UPLOAD_NOT_PENDING (already completed / processing / failed / expired), UPLOAD_EXPIRED,
+ * INVALID_UPLOAD (presigned as another kind, missing or bad parts, object
+ * missing, size mismatch). Bad parts or a missing object leave the upload
+ * pending so the client can retry.
+ *
+ * @param {{ id: string, adminId: number, kind: string,
+ *   parts?: { partNumber: number, etag: string }[] }} param
+ * @returns {Promise<{ id, kind, key, filename, contentType, size }>}
+ */
+export const claimStagedUpload = async ({ id, adminId, kind, parts }) => {
+    const [row] = await query(
+        `SELECT id, admin_id, kind, staging_key, s3_upload_id, filename, content_type, size, status,
+                expires_at < NOW() AS expired
+         FROM staged_uploads WHERE id = ?`,
+        [id]
+    );
+    if (!row || row.admin_id !== adminId) {
+        throw stagedError("Upload not found", "STAGED_UPLOAD_NOT_FOUND");
+    }
+    if (row.status !== "pending") {
+        throw stagedError(`Upload is already ${row.status}`, "UPLOAD_NOT_PENDING");
+    }
+    if (row.expired) {
+        throw stagedError("Upload has expired — presign it again", "UPLOAD_EXPIRED");
+    }
+    if (row.kind !== kind) {
+        throw stagedError(`Upload was presigned as ${row.kind}`, "INVALID_UPLOAD");
+    }
+
+    // Claim it, so two concurrent completes can't both process the file
+    const claimed = await query(
+        `UPDATE staged_uploads SET status = 'processing' WHERE id = ? AND status = 'pending'`,
+        [id]
+    );
+    if (claimed.affectedRows === 0) {
+        throw stagedError("Upload is already processing", "UPLOAD_NOT_PENDING");
+    }
+
+    const upload = {
+        id: row.id,
+        kind: row.kind,
+        key: row.staging_key,
+        filename: row.filename,
+        contentType: row.content_type,
+        size: Number(row.size),
+    };
+
+    if (row.s3_upload_id) {
+        const valid = Array.isArray(parts) && parts.length > 0 && parts.every(
+            (part) => Number.isInteger(part?.partNumber) && typeof part.etag === "string"
+        );
+        try {
+            if (!valid) throw stagedError("parts must list { partNumber, etag } for every uploaded part", "INVALID_UPLOAD");
+            await s3Client.send(new CompleteMultipartUploadCommand({
+                Bucket: BUCKET_NAME,
+                Key: row.staging_key,
+                UploadId: row.s3_upload_id,
+                MultipartUpload: {
+                    Parts: [...parts]
+                        .sort((a, b) => a.partNumber - b.partNumber)
+                        .map((part) => ({ PartNumber: part.partNumber, ETag: part.etag })),
+                },
+            }));
+        } catch (error) {
+            await query(`UPDATE staged_uploads SET status = 'pending' WHERE id = ?`, [id]);
+            if (error.code === "INVALID_UPLOAD") throw error;
+            throw stagedError(`Could not complete the multipart upload: ${error.message}`, "INVALID_UPLOAD");
+        }
+        await query(`UPDATE staged_uploads SET s3_upload_id = NULL WHERE id = ?`, [id]);
+    }
+
+    let stored;
+    try {
+        stored = await s3Client.send(new HeadObjectCommand({ Bucket: BUCKET_NAME, Key: row.staging_key }));
+    } catch (error) {
+        await query(`UPDATE staged_uploads SET status = 'pending' WHERE id = ?`, [id]);
+        throw stagedError("The file has not been uploaded yet", "INVALID_UPLOAD");
+    }
+
+    if (stored.ContentLength !== upload.size) {
+        const err = stagedError(
+            `Uploaded ${stored.ContentLength} bytes but ${upload.size} were declared`,
+            "INVALID_UPLOAD"
+        );
+        await finishStagedUpload(upload, err);
+        throw err;
+    }
+
+    return upload;
+};
+
+/**
+ * Deletes the staged object and records the outcome. Never throws.
+ *
+ * @param {{ id: string, key: string }} upload
+ * @param {Error|null} [error]  set when processing failed
+ */
+const finishStagedUpload = async (upload, error = null) => {
+    try {
+        await s3Client.send(new DeleteObjectCommand({ Bucket: BUCKET_NAME, Key: upload.key }));
+    } catch (err) {
+        console.error(`Failed to delete staged object ${upload.key}:`, err.message);
+    }
+    try {
+        await query(
+            `UPDATE staged_uploads SET status = ?, error = ?, completed_at = NOW() WHERE id = ?`,
+            [error ? "failed" : "completed", error ? error.message.slice(0, 500) : null, upload.id]
+        );
+    } catch (err) {
+        console.error(`Failed to update staged upload ${upload.id}:`, err.message);
+    }
+};
+
+/**
+ * Puts a claimed upload back to pending, keeping its staged object, so the
+ * client can complete it again. Never throws.
+ */
+const releaseStagedUpload = async (upload) => {
+    try {
+        await query(`UPDATE staged_uploads SET status = 'pending' WHERE id = ?`, [upload.id]);
+    } catch (err) {
+        console.error(`Failed to release staged upload ${upload.id}:`, err.message);
+    }
+};
+
+/**
+ * Streams a claimed upload's object to a temp file, runs `handler(path)` on
+ * it, then removes the temp file and the staged object whatever the outcome.
+ * A failed upload has to be presigned and sent again — except for errors
+ * whose code is in `retryOn` (e.g. DUPLICATE_IMAGE): those leave the upload
+ * pending with its object, so complete can be called again (with force).
+ *
+ * @param {{ id: string, key: string, filename: string }} upload  from claimStagedUpload
+ * @param {(path: string) => Promise<T>} handler
+ * @param {{ retryOn?: string[] }} [options]
+ * @returns {Promise<T>}
+ * @template T
+ */
+export const processStagedUpload = async (upload, handler, { retryOn = [] } = {}) => {
+    const tempDir = join(tmpdir(), `luminav_staged_${upload.id}`);
+    const path = join(tempDir, "source");
+
+    try {
+        await fsp.mkdir(tempDir, { recursive: true });
+        const object = await s3Client.send(new GetObjectCommand({ Bucket: BUCKET_NAME, Key: upload.key }));
+        await pipeline(object.Body, createWriteStream(path));
+
+        const result = await handler(path);
+        await finishStagedUpload(upload);
+        return result;
+    } catch (error) {
+        if (retryOn.includes(error.code)) await releaseStagedUpload(upload);
+        else await finishStagedUpload(upload, error);
+        throw error;
+    } finally {
+        await fsp.rm(tempDir, { recursive: true, force: true });
+    }
+};
+
+// ─── Expiry sweep ────────────────────────────────────────────────────────────
+
+/**
+ * Marks one abandoned upload expired, aborts its multipart upload (if still
+ * open) and deletes its staged object. If S3 fails the row is put back as it
+ * was, so the next sweep tries again. Returns whether it was cleaned up.
+ */
+const expireStagedUpload = async (row) => {
+    const claimed = await query(
+        `UPDATE staged_uploads SET status = 'expired', error = ?, completed_at = NOW()
+         WHERE id = ? AND status = ?`,
+        [row.status === "pending" ? "Not completed before expiry" : "Interrupted while processing", row.id, row.status]
+    );
+    if (claimed.affectedRows === 0) return false;
+
+    try {
+        if (row.s3_upload_id) {
+            await s3Client.send(new AbortMultipartUploadCommand({
+                Bucket: BUCKET_NAME,
+                Key: row.staging_key,
+                UploadId: row.s3_upload_id,
+            })).catch((error) => {
+                if (error.name !== "NoSuchUpload") throw error;
+            });
+        }
+        await s3Client.send(new DeleteObjectCommand({ Bucket: BUCKET_NAME, Key: row.staging_key }));
+        return true;
+    } catch (error) {
+        console.error(`Failed to clean up staged upload ${row.id}:`, error.message);
+        await query(
+            `UPDATE staged_uploads SET status = ?, error = NULL, completed_at = NULL WHERE id = ?`,
+            [row.status, row.id]
+        );
+        return false;
+    }
+};
+
+let sweeping = false;
+
+/**
+ * Cleans up to SWEEP_LIMIT staged uploads that will never be completed:
+ * pending ones past expires_at (complete would answer 410) and ones left
+ * 'processing' for STALE_PROCESSING_HOURS after expiry by a restart.
+ * Never throws; overlapping runs are skipped.
+ */
+export const sweepStagedUploads = async () => {
+    if (sweeping) return { expired: 0 };
+    sweeping = true;
+
+    try {
+        const rows = await query(
+            `SELECT id, staging_key, s3_upload_id, status FROM staged_uploads
+             WHERE (status = 'pending' AND expires_at < NOW())
+                OR (status = 'processing' AND expires_at < DATE_SUB(NOW(), INTERVAL ${STALE_PROCESSING_HOURS} HOUR))
+             ORDER BY expires_at
+             LIMIT ${SWEEP_LIMIT}`
+        );
+
+        let expired = 0;
+        for (const row of rows) {
+            if (await expireStagedUpload(row)) expired++;
+        }
+        if (expired > 0) console.log(`📦 Staged upload sweep expired ${expired} upload(s)`);
+        return { expired };
+    } catch (error) {
+        console.error("Staged upload sweep failed:", error.message);
+        return { expired: 0 };
+    } finally {
+        sweeping = false;
+    }
+};
+
+/**
+ * Schedules sweepStagedUploads every STAGED_SWEEP_INTERVAL_MINUTES (first run
+ * one minute after startup). Call once from server.js.
+ */
+export const startStagedUploadSweep = () => {
+    setTimeout(sweepStagedUploads, 60 * 1000).unref();
+    setInterval(sweepStagedUploads, STAGED_SWEEP_INTERVAL_MINUTES * 60 * 1000).unref();
+};
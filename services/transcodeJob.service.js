@@ -0,0 +1,517 @@
+// services/transcodeJob.service.js
+// Background HLS transcoding. Upload routes move the source into
+// TRANSCODE_WORK_DIR, enqueue a job and answer with its id; a pool of
+// in-process workers runs queued jobs, retrying failures with backoff.
+// State lives in transcode_jobs, so a client can poll or reconnect to
+// GET /api/jobs/:id/events at any point — closing the upload tab no longer
+// loses the film.
+import { EventEmitter } from "events";
+import { promises as fsp } from "fs";
+import { join } from "path";
+import { randomUUID } from "crypto";
+import { query } from "../config/db.config.js";
+import {
+    TRANSCODE_CONCURRENCY,
+    TRANSCODE_MAX_ATTEMPTS,
+    TRANSCODE_RETRY_DELAY_SECONDS,
+    TRANSCODE_WORK_DIR,
+} from "../config/video.config.js";
+import { convertFileAndUpload } from "./upload.service.js";
+import { createVideoService, deleteVideoFolder, toSafeSlug } from "./video.service.js";
+import { convertTeaserFile } from "./current.service.js";
+import { recordAudit, AUDIT_ENTITIES } from "./audit.service.js";
+
+export const TRANSCODE_JOB_KINDS = ["video", "teaser"];
+export const TRANSCODE_JOB_STATUSES = ["queued", "running", "completed", "failed", "cancelled"];
+const TERMINAL_STATUSES = ["completed", "failed", "cancelled"];
+
+const MAX_PAGE_SIZE = 100;
+const POLL_INTERVAL_MS = 5000;            // picks up retries whose backoff has passed
+const PROGRESS_WRITE_INTERVAL_MS = 2000;  // progress is broadcast live, saved at most this often
+
+const MYSQL_DUP_ENTRY = "ER_DUP_ENTRY";
+
+// "job:<id>" → progress / status events for GET /api/jobs/:id/events
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+// Jobs running in this process: id → { controller, done }
+const running = new Map();
+let pumping = false;
+
+const jobError = (message, code) => {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+};
+
+export const isTerminalStatus = (status) => TERMINAL_STATUSES.includes(status);
+
+/** JSON columns come back parsed on MySQL but as strings on MariaDB */
+const parseJson = (value) => (typeof value === "string" ? JSON.parse(value) : value ?? null);
+
+const formatJob = (row) => ({
+    id: row.id,
+    kind: row.kind,
+    status: row.status,
+    stage: row.stage,
+    progress: row.progress,
+    attempts: row.attempts,
+    maxAttempts: row.max_attempts,
+    runAfter: row.run_after,
+    error: row.error,
+    params: parseJson(row.params),
+    result: parseJson(row.result),
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+});
+
+const JOB_COLUMNS = `id, kind, status, stage, progress, attempts, max_attempts, run_after, error,
+                     params, result, created_by, created_at, started_at, finished_at`;
+
+// ─── Enqueue ─────────────────────────────────────────────────────────────────
+
+/**
+ * Moves an uploaded source into TRANSCODE_WORK_DIR, where it stays until its
+ * job finishes (rename, or copy + delete across filesystems).
+ *
+ * @param {string} path
+ * @returns {Promise<string>} the new path
+ */
+export const adoptInputFile = async (path) => {
+    await fsp.mkdir(TRANSCODE_WORK_DIR, { recursive: true });
+    const target = join(TRANSCODE_WORK_DIR, `luminav_upload_${randomUUID()}`);
+    try {
+        await fsp.rename(path, target);
+    } catch (error) {
+        if (error.code !== "EXDEV") throw error;
+        await fsp.copyFile(path, target);
+        await fsp.rm(path, { force: true });
+    }
+    return target;
+};
+
+// kind → the S3 folder a job uploads into, held (output_prefix) until it finishes
+const OUTPUT_PREFIX = {
+    video: (params) => `${params.category}/${toSafeSlug(params.title)}/`,
+};
+
+/**
+ * Queues a transcode of the file at `inputPath` (which the job now owns and
+ * deletes when it finishes) and wakes the workers.
+ *
+ * `params` — video: { category, title, description, thumbnailOne?, thumbnailTwo?, sha256? };
+ * teaser: { sha256? }.
+ *
+ * Throws `code: "OUTPUT_IN_USE"` while another queued or running video job
+ * has the same category and title slug: both would write to one folder, and
+ * cancelling either would delete the other's output.
+ *
+ * @param {{ kind: "video"|"teaser", inputPath: string, params?: Object, actor?: Object }} param
+ * @returns {Promise<ReturnType<typeof formatJob>>}
+ */
+export const enqueueTranscodeJob = async ({ kind, inputPath, params = {}, actor = null }) => {
+    if (!TRANSCODE_JOB_KINDS.includes(kind)) {
+        throw jobError(`kind must be one of: ${TRANSCODE_JOB_KINDS.join(", ")}`, "INVALID_JOB");
+    }
+
+    const outputPrefix = OUTPUT_PREFIX[kind]?.(params) ?? null;
+    let result;
+    try {
+        result = await query(
+            `INSERT INTO transcode_jobs (kind, input_path, params, actor, created_by, max_attempts, output_prefix)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [
+                kind,
+                inputPath,
+                JSON.stringify(params),
+                JSON.stringify(actor),
+                actor?.id ?? null,
+                TRANSCODE_MAX_ATTEMPTS,
+                outputPrefix,
+            ]
+        );
+    } catch (error) {
+        if (error.code !== MYSQL_DUP_ENTRY) throw error;
+        throw jobError(`Another job is still converting into ${outputPrefix} — wait for it or cancel it`, "OUTPUT_IN_USE");
+    }
+
+    setImmediate(pumpQueue);
+    return getTranscodeJob(result.insertId);
+};
+
+// ─── Read ────────────────────────────────────────────────────────────────────
+
+/**
+ * @param {number} id
+ * @returns {Promise<ReturnType<typeof formatJob>|null>}
+ */
+export const getTranscodeJob = async (id) => {
+    const [row] = await query(`SELECT ${JOB_COLUMNS} FROM transcode_jobs WHERE id = ?`, [id]);
+    return row ? formatJob(row) : null;
+};
+
+/**
+ * Lists jobs, newest first.
+ *
+ * @param {{ kinds?: string[], status?: string, limit?: number, offset?: number }} param
+ *        kinds limits the list to the job kinds the caller may see
+ */
+export const listTranscodeJobs = async ({ kinds = TRANSCODE_JOB_KINDS, status, limit = 25, offset = 0 } = {}) => {
+    if (status && !TRANSCODE_JOB_STATUSES.includes(status)) {
+        throw jobError(`status must be one of: ${TRANSCODE_JOB_STATUSES.join(", ")}`, "INVALID_JOB");
+    }
+    const parsedLimit = Math.min(Math.max(parseInt(limit, 10) || 25, 1), MAX_PAGE_SIZE);
+    const parsedOffset = Math.max(parseInt(offset, 10) || 0, 0);
+
+    if (kinds.length === 0) {
+        return { jobs: [], pagination: { total: 0, limit: parsedLimit, offset: parsedOffset } };
+    }
+
+    const where = `WHERE kind IN (?) ${status ? "AND status = ?" : ""}`;
+    const params = status ? [kinds, status] : [kinds];
+
+    const [{ total }] = await query(`SELECT COUNT(*) AS total FROM transcode_jobs ${where}`, params);
+    const rows = await query(
+        `SELECT ${JOB_COLUMNS} FROM transcode_jobs ${where}
+         ORDER BY id DESC
+         LIMIT ${parsedLimit} OFFSET ${parsedOffset}`,
+        params
+    );
+
+    return {
+        jobs: rows.map(formatJob),
+        pagination: { total, limit: parsedLimit, offset: parsedOffset },
+    };
+};
+
+// ─── Events ──────────────────────────────────────────────────────────────────
+
+/**
+ * Calls `listener` with each event of a job until the returned function is
+ * called:
+ *   { type: "progress", stage, percent }
+ *   { type: "status", job }   on every status change (job as getTranscodeJob)
+ *
+ * Only jobs running in this process emit progress.
+ *
+ * @param {number} id
+ * @param {(event: Object) => void} listener
+ * @returns {() => void} unsubscribe
+ */
+export const subscribeToJob = (id, listener) => {
+    events.on(`job:${id}`, listener);
+    return () => events.off(`job:${id}`, listener);
+};
+
+const publishStatus = async (id) => {
+    const job = await getTranscodeJob(id);
+    if (job) events.emit(`job:${id}`, { type: "status", job });
+};
+
+// ─── Work ────────────────────────────────────────────────────────────────────
+
+// kind → (job, { signal, onProgress(stage, percent) }) => result saved on the job
+const HANDLERS = {
+    video: async ({ inputPath, params, actor }, { signal, onProgress }) => {
+        const { category, title, description, thumbnailOne, thumbnailTwo, sha256 = null } = params;
+
+        const { fileCount, playlistUrl, posters, previewTrackUrl } = await convertFileAndUpload(
+            inputPath,
+            category,
+            toSafeSlug(title),
+            (percent, stage) => onProgress(stage, percent),
+            { signal }
+        );
+
+        signal.throwIfAborted();
+        onProgress("saving", 100);
+
+        const video = await createVideoService({
+            category,
+            title,
+            description,
+            thumbnailOne: thumbnailOne || "",
+            thumbnailTwo: thumbnailTwo || "",
+            posters,
+            previewTrackUrl,
+            actor,
+        });
+        return { videoId: video.id, video, playlistUrl, fileCount, posterCount: posters.length, sha256 };
+    },
+
+    teaser: async ({ inputPath, params, actor }, { signal, onProgress }) => {
+        const { teaserUrl, fileCount } = await convertTeaserFile(
+            inputPath,
+            (percent) => onProgress("converting", percent),
+            actor,
+            { sha256: params.sha256 ?? null, signal }
+        );
+        return { teaserUrl, fileCount, sha256: params.sha256 ?? null };
+    },
+};
+
+// kind → removal of what a job already uploaded, once it is cancelled or gives up
+const DISCARD_OUTPUT = {
+    video: ({ params }) => deleteVideoFolder(params.category, params.title),
+};
+
+/**
+ * Deletes a job's source file — and, unless it completed, its partial output
+ * in S3 — then records its final status. The output folder is only let go of
+ * (output_prefix cleared) after the delete, so a new job for the same folder
+ * can't start uploading into it first. Never throws.
+ */
+const finishJob = async (job, status, { result = null, error = null } = {}) => {
+    await fsp.rm(job.inputPath, { force: true }).catch(() => {});
+    if (status !== "completed") await DISCARD_OUTPUT[job.kind]?.(job);
+
+    try {
+        await query(
+            `UPDATE transcode_jobs
+             SET status = ?, result = ?, error = ?, finished_at = NOW(), run_after = NULL,
+                 progress = IF(? = 'completed', 100, progress), output_prefix = NULL
+             WHERE id = ?`,
+            [status, result && JSON.stringify(result), error?.slice(0, 1000) ?? null, status, job.id]
+        );
+        await publishStatus(job.id);
+    } catch (err) {
+        console.error(`Failed to record transcode job ${job.id} as ${status}:`, err.message);
+    }
+};
+
+/**
+ * Sends a failed job back to the queue after TRANSCODE_RETRY_DELAY_SECONDS,
+ * doubled for each attempt already made.
+ */
+const retryJob = async (job, message) => {
+    const delay = TRANSCODE_RETRY_DELAY_SECONDS * 2 ** (job.attempts - 1);
+    await query(
+        `UPDATE transcode_jobs
+         SET status = 'queued', stage = NULL, progress = 0, error = ?,
+             run_after = DATE_ADD(NOW(), INTERVAL ? SECOND)
+         WHERE id = ?`,
+        [message.slice(0, 1000), delay, job.id]
+    );
+    console.warn(`⚠️  Transcode job ${job.id} failed (attempt ${job.attempts}/${job.maxAttempts}), retrying in ${delay}s: ${message}`);
+    await publishStatus(job.id);
+};
+
+const runJob = async (job, controller) => {
+    const { signal } = controller;
+    let stage = null;
+    let lastWrite = 0;
+
+    // Broadcast every update; save stage changes and one update per interval
+    const onProgress = (nextStage, percent) => {
+        events.emit(`job:${job.id}`, { type: "progress", stage: nextStage, percent });
+        const now = Date.now();
+        if (nextStage === stage && now - lastWrite < PROGRESS_WRITE_INTERVAL_MS) return;
+        stage = nextStage;
+        lastWrite = now;
+        query(`UPDATE transcode_jobs SET stage = ?, progress = ? WHERE id = ? AND status = 'running'`, [
+            nextStage,
+            percent,
+            job.id,
+        ]).catch((error) => console.error(`Failed to save progress of transcode job ${job.id}:`, error.message));
+    };
+
+    await publishStatus(job.id);
+
+    try {
+        try {
+            await fsp.access(job.inputPath);
+        } catch {
+            throw jobError("The source file is missing from the work directory", "INPUT_MISSING");
+        }
+
+        const result = await HANDLERS[job.kind](job, { signal, onProgress });
+        await finishJob(job, "completed", { result });
+        console.log(`✅ Transcode job ${job.id} (${job.kind}) completed`);
+    } catch (error) {
+        if (signal.aborted) {
+            await finishJob(job, "cancelled", { error: "Cancelled" });
+            console.log(`🛑 Transcode job ${job.id} cancelled`);
+        } else if (error.code !== "INPUT_MISSING" && job.attempts < job.maxAttempts) {
+            await retryJob(job, error.message || "Transcode failed").catch(async (err) => {
+                console.error(`Failed to requeue transcode job ${job.id}:`, err.message);
+                await finishJob(job, "failed", { error: error.message });
+            });
+        } else {
+            console.error(`❌ Transcode job ${job.id} failed:`, error);
+            await finishJob(job, "failed", { error: error.message || "Transcode failed" });
+        }
+    }
+};
+
+/**
+ * Claims the oldest runnable queued job for this process, or returns null.
+ */
+const claimNextJob = async () => {
+    const [next] = await query(
+        `SELECT id FROM transcode_jobs
+         WHERE status = 'queued' AND (run_after IS NULL OR run_after <= NOW())
+         ORDER BY id
+         LIMIT 1`
+    );
+    if (!next) return null;
+
+    const claimed = await query(
+        `UPDATE transcode_jobs
+         SET status = 'running', attempts = attempts + 1, stage = NULL, progress = 0,
+             started_at = NOW(), run_after = NULL
+         WHERE id = ? AND status = 'queued'`,
+        [next.id]
+    );
+    if (claimed.affectedRows === 0) return null;
+
+    const [row] = await query(
+        `SELECT id, kind, input_path, params, actor, attempts, max_attempts FROM transcode_jobs WHERE id = ?`,
+        [next.id]
+    );
+    return {
+        id: row.id,
+        kind: row.kind,
+        inputPath: row.input_path,
+        params: parseJson(row.params) ?? {},
+        actor: parseJson(row.actor),
+        attempts: row.attempts,
+        maxAttempts: row.max_attempts,
+    };
+};
+
+/**
+ * Starts queued jobs until TRANSCODE_CONCURRENCY are running. Never throws.
+ */
+const pumpQueue = async () => {
+    if (pumping) return;
+    pumping = true;
+
+    try {
+        while (running.size < TRANSCODE_CONCURRENCY) {
+            const job = await claimNextJob();
+            if (!job) break;
+
+            const controller = new AbortController();
+            const done = runJob(job, controller).finally(() => {
+                running.delete(job.id);
+                setImmediate(pumpQueue);
+            });
+            running.set(job.id, { controller, done });
+        }
+    } catch (error) {
+        console.error("Transcode queue poll failed:", error.message);
+    } finally {
+        pumping = false;
+    }
+};
+
+// ─── Cancel ──────────────────────────────────────────────────────────────────
+
+/**
+ * Cancels a queued or running job. A running job's FFmpeg is killed and the
+ * call resolves once the worker has stopped. Either way, output already
+ * uploaded to S3 (a video's <category>/<slug>/ folder) is deleted.
+ *
+ * Error codes: JOB_NOT_FOUND, JOB_FINISHED (already completed / failed /
+ * cancelled — `err.job` is the job).
+ *
+ * @param {number} id
+ * @param {Object} [actor] from auditActor(req)
+ * @returns {Promise<ReturnType<typeof formatJob>>}
+ */
+export const cancelTranscodeJob = async (id, actor) => {
+    const job = await getTranscodeJob(id);
+    if (!job) throw jobError("Job not found", "JOB_NOT_FOUND");
+
+    const active = running.get(job.id);
+    if (active) {
+        active.controller.abort(jobError("Cancelled", "JOB_CANCELLED"));
+        await active.done;
+    } else {
+        const [row] = await query(`SELECT input_path FROM transcode_jobs WHERE id = ?`, [job.id]);
+        const cancelled = await query(
+            `UPDATE transcode_jobs
+             SET status = 'cancelled', error = 'Cancelled', finished_at = NOW(), run_after = NULL
+             WHERE id = ? AND status = 'queued'`,
+            [job.id]
+        );
+        if (cancelled.affectedRows > 0) {
+            await fsp.rm(row.input_path, { force: true }).catch(() => {});
+            await DISCARD_OUTPUT[job.kind]?.(job); // a queued retry may have uploaded part of it
+            await query(`UPDATE transcode_jobs SET output_prefix = NULL WHERE id = ?`, [job.id]);
+            await publishStatus(job.id);
+        }
+    }
+
+    const after = await getTranscodeJob(job.id);
+    if (after.status !== "cancelled") {
+        const err = jobError(`Job is already ${after.status}`, "JOB_FINISHED");
+        err.job = after;
+        throw err;
+    }
+
+    await recordAudit({
+        actor,
+        action: "transcode_job.cancel",
+        entityType: AUDIT_ENTITIES.TRANSCODE_JOB,
+        entityId: job.id,
+        before: { status: job.status, stage: job.stage, progress: job.progress },
+        after: { status: after.status },
+    });
+
+    return after;
+};
+
+// ─── Startup ─────────────────────────────────────────────────────────────────
+
+/**
+ * Recovers jobs left running by a crash or restart (requeued, or failed when
+ * out of attempts), then runs the queue and polls it every few seconds for
+ * retries. Call once from server.js.
+ *
+ * Sources live on this server's disk, so run a single API server per
+ * transcode_jobs table.
+ */
+export const startTranscodeWorkers = async () => {
+    try {
+        await fsp.mkdir(TRANSCODE_WORK_DIR, { recursive: true });
+
+        // Folders still held by finished jobs (a release that failed to save)
+        await query(
+            `UPDATE transcode_jobs SET output_prefix = NULL
+             WHERE output_prefix IS NOT NULL AND status IN (?)`,
+            [TERMINAL_STATUSES]
+        );
+
+        const interrupted = await query(
+            `SELECT id, kind, input_path, params, attempts, max_attempts FROM transcode_jobs WHERE status = 'running'`
+        );
+        for (const row of interrupted) {
+            if (row.attempts >= row.max_attempts) {
+                const job = { id: row.id, kind: row.kind, inputPath: row.input_path, params: parseJson(row.params) ?? {} };
+                await finishJob(job, "failed", {
+                    error: "Interrupted by a server restart",
+                });
+            } else {
+                await query(
+                    `UPDATE transcode_jobs
+                     SET status = 'queued', stage = NULL, progress = 0, error = 'Interrupted by a server restart'
+                     WHERE id = ? AND status = 'running'`,
+                    [row.id]
+                );
+            }
+        }
+        if (interrupted.length > 0) {
+            console.warn(`⚠️  Recovered ${interrupted.length} transcode job(s) interrupted by a restart`);
+        }
+    } catch (error) {
+        console.error("Transcode job recovery failed:", error.message);
+    }
+
+    setInterval(pumpQueue, POLL_INTERVAL_MS).unref();
+    console.log(`🎬 Transcode workers started (concurrency ${TRANSCODE_CONCURRENCY})`);
+    await pumpQueue();
+};
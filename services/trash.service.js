@@ -0,0 +1,196 @@
+// services/trash.service.js
+import { query } from "../config/db.config.js";
+import { TRASH_RETENTION_DAYS, TRASH_SWEEP_INTERVAL_MINUTES } from "../config/image.config.js";
+import { deleteMultipleImagesFromS3 } from "./image.service.js";
+import { recordAudit, actorLabel, AUDIT_ENTITIES } from "./audit.service.js";
+
+// Keys handed to one hard-delete call (bounds the IN (...) lists)
+const PURGE_BATCH_SIZE = 100;
+
+// Images hard-deleted per sweep run; the rest wait for the next run
+const SWEEP_LIMIT = 500;
+
+// ─── List ────────────────────────────────────────────────────────────────────
+
+/**
+ * Lists soft-deleted images, most recently deleted first.
+ * `purgeAt` is when the retention sweep will hard-delete the image (null when
+ * the sweep is disabled).
+ *
+ * @param {{ category?: string, limit?: number, offset?: number }} param
+ *        category is a canonical slug (see resolveCategory)
+ */
+export const listTrash = async ({ category, limit = 25, offset = 0 } = {}) => {
+    const parsedLimit = parseInt(limit, 10);
+    const parsedOffset = parseInt(offset, 10);
+
+    const where = `WHERE is_active = 0 ${category ? "AND category = ?" : ""}`;
+    const params = category ? [category] : [];
+
+    const [{ total }] = await query(`SELECT COUNT(*) AS total FROM images ${where}`, params);
+
+    // LIMIT / OFFSET interpolated as validated integers (see getImagesFromFolder)
+    const rows = await query(
+        `SELECT id, s3_key AS \`key\`, s3_url AS url, thumbnail_url AS thumbnailUrl, category,
+                original_filename, file_size AS size, title, deleted_at AS deletedAt,
+                ${TRASH_RETENTION_DAYS > 0 ? `DATE_ADD(deleted_at, INTERVAL ${TRASH_RETENTION_DAYS} DAY)` : "NULL"} AS purgeAt
+         FROM images
+         ${where}
+         ORDER BY deleted_at DESC, id DESC
+         LIMIT ${parsedLimit} OFFSET ${parsedOffset}`,
+        params
+    );
+
+    return {
+        images: rows,
+        retentionDays: TRASH_RETENTION_DAYS,
+        pagination: {
+            total,
+            limit: parsedLimit,
+            offset: parsedOffset,
+            currentPage: Math.floor(parsedOffset / parsedLimit) + 1,
+            totalPages: Math.ceil(total / parsedLimit),
+            hasMore: parsedOffset + parsedLimit < total,
+        },
+    };
+};
+
+// ─── Restore ─────────────────────────────────────────────────────────────────
+
+/**
+ * Moves images out of the trash. Ids that aren't in the trash are returned in
+ * `notFound` and otherwise ignored.
+ *
+ * @param {{ ids: number[], actor?: Object }} param
+ * @returns {Promise<{ restored: number[], notFound: number[] }>}
+ */
+export const restoreImages = async ({ ids, actor }) => {
+    const rows = await query(
+        `SELECT id, s3_key, category, deleted_at FROM images WHERE id IN (?) AND is_active = 0`,
+        [ids]
+    );
+    const restored = rows.map((row) => row.id);
+    const notFound = ids.filter((id) => !restored.includes(id));
+    if (restored.length === 0) return { restored, notFound };
+
+    await query(`UPDATE images SET is_active = TRUE, deleted_at = NULL WHERE id IN (?)`, [restored]);
+
+    await query(
+        `INSERT INTO image_activity_log (image_id, action, user_id) VALUES ?`,
+        [restored.map((id) => [id, "RESTORE", actorLabel(actor)])]
+    );
+    for (const row of rows) {
+        await recordAudit({
+            actor,
+            action: "image.restore",
+            entityType: AUDIT_ENTITIES.IMAGE,
+            entityId: row.id,
+            before: { ...row, is_active: 0 },
+            after: { ...row, is_active: 1, deleted_at: null },
+        });
+    }
+
+    return { restored, notFound };
+};
+
+// ─── Purge ───────────────────────────────────────────────────────────────────
+
+/**
+ * Hard-deletes trashed rows through deleteMultipleImagesFromS3 (originals,
+ * thumbnails, renditions, renders and DB rows), one category and batch at a time.
+ * `purged` counts only images whose objects were all deleted.
+ */
+const hardDeleteRows = async (rows, actor) => {
+    const byCategory = new Map();
+    for (const row of rows) {
+        if (!byCategory.has(row.category)) byCategory.set(row.category, []);
+        byCategory.get(row.category).push(row.s3_key);
+    }
+
+    let purged = 0;
+    const errors = [];
+
+    for (const [category, keys] of byCategory) {
+        for (let i = 0; i < keys.length; i += PURGE_BATCH_SIZE) {
+            const batch = keys.slice(i, i + PURGE_BATCH_SIZE);
+            try {
+                const result = await deleteMultipleImagesFromS3({ keys: batch, category, hardDelete: true, actor });
+                purged += result.purgedIds.length;
+                errors.push(...result.errors.map((e) => ({ key: e.Key, error: e.Message || e.Code })));
+            } catch (error) {
+                console.error(`Trash purge failed for ${batch.length} image(s) in ${category}:`, error);
+                errors.push(...batch.map((key) => ({ key, error: error.message })));
+            }
+        }
+    }
+
+    return { purged, errors };
+};
+
+/**
+ * Permanently deletes trashed images. Pass `ids` to purge those (ids not in
+ * the trash are ignored), or `all: true` to empty the trash.
+ *
+ * `errors` lists S3 objects that could not be removed; their images stay in
+ * the trash so a later purge or the retention sweep retries them.
+ *
+ * @param {{ ids?: number[], all?: boolean, actor?: Object }} param
+ * @returns {Promise<{ purged: number, errors: { key: string, error: string }[] }>}
+ */
+export const purgeTrash = async ({ ids, all = false, actor }) => {
+    const rows = all
+        ? await query(`SELECT id, s3_key, category FROM images WHERE is_active = 0`)
+        : await query(`SELECT id, s3_key, category FROM images WHERE is_active = 0 AND id IN (?)`, [ids]);
+
+    return hardDeleteRows(rows, actor);
+};
+
+// ─── Retention sweep ─────────────────────────────────────────────────────────
+
+let sweeping = false;
+
+/**
+ * Hard-deletes up to SWEEP_LIMIT images that have been in the trash longer
+ * than TRASH_RETENTION_DAYS. Logged and audited as the "system" actor.
+ * Never throws; overlapping runs are skipped.
+ */
+export const sweepExpiredTrash = async () => {
+    if (sweeping || TRASH_RETENTION_DAYS === 0) return { purged: 0, errors: [] };
+    sweeping = true;
+
+    try {
+        const rows = await query(
+            `SELECT id, s3_key, category FROM images
+             WHERE is_active = 0 AND deleted_at < DATE_SUB(NOW(), INTERVAL ? DAY)
+             ORDER BY deleted_at
+             LIMIT ${SWEEP_LIMIT}`,
+            [TRASH_RETENTION_DAYS]
+        );
+        if (rows.length === 0) return { purged: 0, errors: [] };
+
+        const result = await hardDeleteRows(rows, null);
+        console.log(`🗑️  Trash sweep purged ${result.purged} image(s) older than ${TRASH_RETENTION_DAYS} days`);
+        if (result.errors.length > 0) {
+            console.warn(`⚠️  Trash sweep could not delete ${result.errors.length} S3 object(s)`);
+        }
+        return result;
+    } catch (error) {
+        console.error("Trash sweep failed:", error.message);
+        return { purged: 0, errors: [] };
+    } finally {
+        sweeping = false;
+    }
+};
+
+/**
+ * Schedules sweepExpiredTrash every TRASH_SWEEP_INTERVAL_MINUTES (first run
+ * one minute after startup). Call once from server.js.
+ */
+export const startTrashSweep = () => {
+    if (TRASH_RETENTION_DAYS === 0) {
+        console.log("🗑️  Trash retention sweep disabled (TRASH_RETENTION_DAYS=0)");
+        return;
+    }
+    setTimeout(sweepExpiredTrash, 60 * 1000).unref();
+    setInterval(sweepExpiredTrash, TRASH_SWEEP_INTERVAL_MINUTES * 60 * 1000).unref();
+};
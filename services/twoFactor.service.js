@@ -0,0 +1,218 @@
+// services/twoFactor.service.js
+import { createHash, randomBytes } from "crypto";
+import db from "../config/db.config.js";
+import {
+    base32Encode,
+    generateTotpSecret,
+    buildOtpauthUri,
+    verifyTotp,
+} from "../utils/totp.utils.js";
+import { encryptSecret, decryptSecret } from "../utils/crypto.utils.js";
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || "Luminav Films";
+const RECOVERY_CODE_COUNT = 10;
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+const twoFactorError = (code, message) => {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+};
+
+/** Recovery codes are compared case-insensitively and without the dash. */
+const normalizeRecoveryCode = (code) => String(code ?? "").toLowerCase().replace(/[^a-z0-9]/g, "");
+
+const hashRecoveryCode = (code) =>
+    createHash("sha256").update(normalizeRecoveryCode(code)).digest("hex");
+
+/** e.g. "k7f2m-9qx4t" — 10 base32 chars (50 bits), easy to read off paper */
+const generateRecoveryCode = () => {
+    const raw = base32Encode(randomBytes(7)).toLowerCase().slice(0, 10);
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+};
+
+/**
+ * Replaces an admin's recovery codes with a fresh set.
+ * Returns the plain codes — the only time they are ever visible.
+ */
+const replaceRecoveryCodes = async (adminId) => {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+
+    await db.query(`DELETE FROM admin_recovery_codes WHERE admin_id = ?`, [adminId]);
+    await db.query(
+        `INSERT INTO admin_recovery_codes (admin_id, code_hash) VALUES ?`,
+        [codes.map((code) => [adminId, hashRecoveryCode(code)])]
+    );
+
+    return codes;
+};
+
+const getTotpRow = async (adminId) => {
+    const [rows] = await db.query(
+        `SELECT id, email, totp_secret, totp_pending_secret, totp_enabled_at, totp_last_step
+         FROM admins WHERE id = ? LIMIT 1`,
+        [adminId]
+    );
+    return rows[0];
+};
+
+// ─── Status ──────────────────────────────────────────────────────────────────
+
+/**
+ * @param {number} adminId
+ * @returns {Promise<{ enabled: boolean, enabledAt: Date|null, recoveryCodesRemaining: number }>}
+ */
+export const getTwoFactorStatus = async (adminId) => {
+    const row = await getTotpRow(adminId);
+
+    const [[{ remaining }]] = await db.query(
+        `SELECT COUNT(*) AS remaining FROM admin_recovery_codes WHERE admin_id = ? AND used_at IS NULL`,
+        [adminId]
+    );
+
+    return {
+        enabled: Boolean(row?.totp_enabled_at),
+        enabledAt: row?.totp_enabled_at ?? null,
+        recoveryCodesRemaining: Number(remaining),
+    };
+};
+
+// ─── Enrollment ──────────────────────────────────────────────────────────────
+
+/**
+ * Step 1: generates a pending secret. 2FA is NOT active until the admin proves
+ * they scanned it by calling confirmEnrollment with a valid code.
+ *
+ * Throws `code: "ALREADY_ENABLED"` if 2FA is already on.
+ *
+ * @param {{ id: number, email: string }} admin
+ * @returns {Promise<{ secret: string, otpauthUri: string }>}
+ */
+export const beginEnrollment = async (admin) => {
+    const row = await getTotpRow(admin.id);
+    if (row?.totp_enabled_at) {
+        throw twoFactorError("ALREADY_ENABLED", "Two-factor authentication is already enabled.");
+    }
+
+    const secret = generateTotpSecret();
+
+    await db.query(`UPDATE admins SET totp_pending_secret = ? WHERE id = ?`, [
+        encryptSecret(secret),
+        admin.id,
+    ]);
+
+    return {
+        secret,
+        otpauthUri: buildOtpauthUri({ secret, account: admin.email, issuer: TOTP_ISSUER }),
+    };
+};
+
+/**
+ * Step 2: activates 2FA if `code` matches the pending secret, and issues
+ * recovery codes.
+ *
+ * Throws `code: "NOT_PENDING"` (no setup in progress) or `code: "INVALID_CODE"`.
+ *
+ * @param {number} adminId
+ * @param {string} code
+ * @returns {Promise<{ recoveryCodes: string[] }>}
+ */
+export const confirmEnrollment = async (adminId, code) => {
+    const row = await getTotpRow(adminId);
+    if (row?.totp_enabled_at) {
+        throw twoFactorError("ALREADY_ENABLED", "Two-factor authentication is already enabled.");
+    }
+    if (!row?.totp_pending_secret) {
+        throw twoFactorError("NOT_PENDING", "Start two-factor setup first.");
+    }
+
+    const step = verifyTotp(decryptSecret(row.totp_pending_secret), code);
+    if (step === null) {
+        throw twoFactorError("INVALID_CODE", "Invalid authentication code.");
+    }
+
+    await db.query(
+        `UPDATE admins
+         SET totp_secret = totp_pending_secret, totp_pending_secret = NULL,
+             totp_enabled_at = NOW(), totp_last_step = ?
+         WHERE id = ?`,
+        [step, adminId]
+    );
+
+    return { recoveryCodes: await replaceRecoveryCodes(adminId) };
+};
+
+/**
+ * Turns 2FA off and deletes all recovery codes.
+ * Returns true if 2FA was enabled (or pending) before.
+ *
+ * @param {number} adminId
+ */
+export const disableTwoFactor = async (adminId) => {
+    const [result] = await db.query(
+        `UPDATE admins
+         SET totp_secret = NULL, totp_pending_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL
+         WHERE id = ? AND (totp_enabled_at IS NOT NULL OR totp_pending_secret IS NOT NULL)`,
+        [adminId]
+    );
+    await db.query(`DELETE FROM admin_recovery_codes WHERE admin_id = ?`, [adminId]);
+
+    return result.affectedRows > 0;
+};
+
+/**
+ * Issues a new set of recovery codes, invalidating the old ones.
+ * Throws `code: "NOT_ENABLED"` when 2FA is off.
+ *
+ * @param {number} adminId
+ * @returns {Promise<{ recoveryCodes: string[] }>}
+ */
+export const regenerateRecoveryCodes = async (adminId) => {
+    const row = await getTotpRow(adminId);
+    if (!row?.totp_enabled_at) {
+        throw twoFactorError("NOT_ENABLED", "Two-factor authentication is not enabled.");
+    }
+    return { recoveryCodes: await replaceRecoveryCodes(adminId) };
+};
+
+// ─── Verification ────────────────────────────────────────────────────────────
+
+/**
+ * Checks the second factor — either a TOTP `code` or a one-time `recoveryCode`.
+ *
+ * TOTP codes are single-use: the matching time step is recorded with a
+ * conditional UPDATE, so the same code (or an older one) can't be replayed.
+ * Recovery codes are consumed the same way.
+ *
+ * @param {number} adminId
+ * @param {{ code?: string, recoveryCode?: string }} param
+ * @returns {Promise<{ ok: boolean, method?: "totp"|"recovery_code" }>}
+ */
+export const verifySecondFactor = async (adminId, { code, recoveryCode }) => {
+    const row = await getTotpRow(adminId);
+    if (!row?.totp_enabled_at || !row.totp_secret) return { ok: false };
+
+    if (code) {
+        const step = verifyTotp(decryptSecret(row.totp_secret), code);
+        if (step === null) return { ok: false };
+
+        const [result] = await db.query(
+            `UPDATE admins SET totp_last_step = ?
+             WHERE id = ? AND (totp_last_step IS NULL OR totp_last_step < ?)`,
+            [step, adminId, step]
+        );
+        return result.affectedRows === 1 ? { ok: true, method: "totp" } : { ok: false };
+    }
+
+    if (recoveryCode) {
+        const [result] = await db.query(
+            `UPDATE admin_recovery_codes SET used_at = NOW()
+             WHERE admin_id = ? AND code_hash = ? AND used_at IS NULL`,
+            [adminId, hashRecoveryCode(recoveryCode)]
+        );
+        return result.affectedRows === 1 ? { ok: true, method: "recovery_code" } : { ok: false };
+    }
+
+    return { ok: false };
+};
@@ -1,94 +1,453 @@
 import ffmpeg from 'fluent-ffmpeg';
+import sharp from 'sharp';
 import { Upload } from '@aws-sdk/lib-storage';
-import { s3Client, BUCKET_NAME } from '../config/s3.config.js';
-import { createReadStream, readdirSync, unlinkSync, mkdirSync, existsSync } from 'fs';
+import { s3Client, BUCKET_NAME, publicBucketUrl } from '../config/s3.config.js';
+import { createReadStream, readdirSync, unlinkSync, mkdirSync, existsSync, promises as fsp } from 'fs';
 import { join } from 'path';
 import { tmpdir } from 'os';
 import { randomUUID } from 'crypto';
+import {
+    HLS_LADDER,
+    HLS_SEGMENT_SECONDS,
+    HLS_MASTER_PLAYLIST,
+    HLS_UPLOAD_CONCURRENCY,
+    POSTER_POSITIONS,
+    POSTER_BLACK_THRESHOLD,
+    POSTER_RETRY_STEP_SECONDS,
+    POSTER_MAX_TRIES,
+    POSTER_WIDTH,
+    POSTER_QUALITY,
+    PREVIEW_INTERVAL_SECONDS,
+    PREVIEW_TILE_WIDTH,
+    PREVIEW_COLUMNS,
+    PREVIEW_ROWS,
+    PREVIEW_TRACK,
+} from '../config/video.config.js';
+import { mapWithConcurrency } from '../utils/concurrency.utils.js';
+
+// ─── Ladder ──────────────────────────────────────────────────────────────────
+
+const even = (n) => Math.max(2, Math.round(n / 2) * 2);
+
+/**
+ * Reads the displayed size of a video (width / height swapped for sources
+ * rotated 90°, e.g. phone footage), its duration and whether it has an audio
+ * track.
+ *
+ * @param {string} inputPath
+ * @returns {Promise<{ width: number, height: number, duration: number, hasAudio: boolean }>}
+ */
+const probeVideo = (inputPath) => new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(inputPath, (err, data) => {
+        if (err) return reject(err);
+
+        const video = data.streams.find((stream) => stream.codec_type === 'video');
+        if (!video?.width || !video?.height) return reject(new Error('No video stream found'));
+
+        const rotation = Number(
+            video.tags?.rotate ??
+            video.side_data_list?.find((side) => side.rotation !== undefined)?.rotation ??
+            0
+        );
+        const sideways = Math.abs(rotation) % 180 === 90;
+
+        resolve({
+            width: sideways ? video.height : video.width,
+            height: sideways ? video.width : video.height,
+            duration: Number(data.format?.duration ?? video.duration) || 0,
+            hasAudio: data.streams.some((stream) => stream.codec_type === 'audio'),
+        });
+    });
+});
+
+/**
+ * Picks the HLS_LADDER rungs for a source and sizes each one: the source
+ * scaled down to fit the rung's box (shortSide × shortSide·16/9, turned to
+ * match the source's orientation), aspect ratio kept, even dimensions as
+ * H.264 requires. Rungs the source would have to be enlarged for are
+ * dropped, so a 1920×804 scope film still gets 1080p; a source smaller than
+ * every rung gets a single rendition at its own size.
+ *
+ * @param {{ width: number, height: number }} source  displayed size
+ * @returns {{ name, shortSide, videoBitrate, maxrate, audioBitrate, width, height }[]}
+ */
+export const pickHlsLadder = ({ width, height }) => {
+    const sourceLong = Math.max(width, height);
+    const sourceShort = Math.min(width, height);
+    const sized = (rung, scale) => ({ ...rung, width: even(width * scale), height: even(height * scale) });
+
+    const rungs = HLS_LADDER
+        .map((rung) => ({
+            rung,
+            scale: Math.min((rung.shortSide * 16) / 9 / sourceLong, rung.shortSide / sourceShort),
+        }))
+        .filter(({ scale }) => scale <= 1)
+        .map(({ rung, scale }) => sized(rung, scale));
+
+    if (rungs.length > 0) return rungs;
+
+    const smallest = HLS_LADDER[HLS_LADDER.length - 1];
+    return [sized({ ...smallest, name: `${even(sourceShort)}p`, shortSide: even(sourceShort) }, 1)];
+};
+
+/**
+ * Master playlist listing each rendition's variant playlist with its peak
+ * BANDWIDTH (bits/s, video maxrate + audio) and RESOLUTION, highest first.
+ */
+export const buildMasterPlaylist = (renditions, { hasAudio = true } = {}) => [
+    '#EXTM3U',
+    '#EXT-X-VERSION:3',
+    ...renditions.flatMap((rendition) => {
+        const audio = hasAudio ? rendition.audioBitrate : 0;
+        return [
+            `#EXT-X-STREAM-INF:BANDWIDTH=${(rendition.maxrate + audio) * 1000},` +
+                `AVERAGE-BANDWIDTH=${(rendition.videoBitrate + audio) * 1000},` +
+                `RESOLUTION=${rendition.width}x${rendition.height}`,
+            `${rendition.name}.m3u8`,
+        ];
+    }),
+    '',
+].join('\n');
+
+/**
+ * Encodes one rendition to `<name>.m3u8` + `<name>_000.ts`... in outputDir.
+ * Keyframes are forced every HLS_SEGMENT_SECONDS so segments line up across
+ * renditions. Aborting `signal` kills FFmpeg and rejects with the abort reason.
+ */
+const encodeRendition = (inputPath, outputDir, rendition, onProgress, signal) => new Promise((resolve, reject) => {
+    const command = ffmpeg(inputPath)
+        .outputOptions([
+            '-map 0:v:0',             // first video track
+            '-map 0:a:0?',            // first audio track, if any
+            '-codec:v libx264',       // H.264 video
+            '-profile:v main',
+            `-vf scale=${rendition.width}:${rendition.height}`,
+            `-b:v ${rendition.videoBitrate}k`,
+            `-maxrate ${rendition.maxrate}k`,
+            `-bufsize ${rendition.videoBitrate * 2}k`,
+            `-force_key_frames expr:gte(t,n_forced*${HLS_SEGMENT_SECONDS})`,
+            '-sc_threshold 0',        // no extra keyframes on scene cuts
+            '-codec:a aac',           // AAC audio
+            `-b:a ${rendition.audioBitrate}k`,
+            '-ac 2',
+            `-hls_time ${HLS_SEGMENT_SECONDS}`,
+            '-hls_playlist_type vod', // VOD playlist (not live)
+            '-hls_segment_type mpegts',
+            '-hls_segment_filename',
+            join(outputDir, `${rendition.name}_%03d.ts`), // 720p_000.ts, 720p_001.ts ...
+            '-start_number 0',
+        ])
+        .output(join(outputDir, `${rendition.name}.m3u8`))
+        .on('progress', (progress) => {
+            if (onProgress && progress.percent) onProgress(progress.percent);
+        })
+        .on('end', () => {
+            signal?.removeEventListener('abort', abort);
+            resolve();
+        })
+        .on('error', (err) => {
+            signal?.removeEventListener('abort', abort);
+            reject(signal?.aborted ? signal.reason : err);
+        });
+
+    const abort = () => command.kill('SIGKILL');
+    signal?.addEventListener('abort', abort, { once: true });
+    command.run();
+});
+
+// ─── Posters ─────────────────────────────────────────────────────────────────
+
+/**
+ * Grabs the frame at `seconds` as a PNG file (rotation applied by FFmpeg).
+ */
+const extractFrame = (inputPath, seconds, outputPath) => new Promise((resolve, reject) => {
+    ffmpeg(inputPath)
+        .seekInput(seconds)
+        .outputOptions(['-frames:v 1', '-an'])
+        .output(outputPath)
+        .on('end', resolve)
+        .on('error', reject)
+        .run();
+});
+
+const isBlackFrame = async (path) => {
+    const { channels } = await sharp(path).stats();
+    const rgb = channels.slice(0, 3);
+    return rgb.reduce((sum, channel) => sum + channel.mean, 0) / rgb.length < POSTER_BLACK_THRESHOLD;
+};
+
+/**
+ * Extracts a candidate poster at each of POSTER_POSITIONS, skipping black
+ * frames (each position is retried a little later, then dropped), and encodes
+ * them as `poster_01.jpg`... in outputDir.
+ *
+ * Never throws — a video without posters is still a video.
+ *
+ * @param {(percent: number) => void} [onProgress] - after each position
+ * @returns {Promise<{ filename: string, timestamp: number, width: number, height: number }[]>}
+ */
+const extractPosters = async (inputPath, outputDir, duration, signal, onProgress) => {
+    const posters = [];
+    if (!duration) return posters;
+
+    try {
+        for (const [index, position] of POSTER_POSITIONS.entries()) {
+            onProgress?.(Math.round((index / POSTER_POSITIONS.length) * 100));
+            for (let attempt = 0; attempt < POSTER_MAX_TRIES; attempt++) {
+                signal?.throwIfAborted();
+
+                const timestamp = Math.round((duration * position + attempt * POSTER_RETRY_STEP_SECONDS) * 100) / 100;
+                if (timestamp >= duration) break;
+
+                const framePath = join(outputDir, 'frame.png');
+                await extractFrame(inputPath, timestamp, framePath);
+                if (await isBlackFrame(framePath)) continue;
+
+                const filename = `poster_${String(posters.length + 1).padStart(2, '0')}.jpg`;
+                const { width, height } = await sharp(framePath)
+                    .resize({ width: POSTER_WIDTH, withoutEnlargement: true })
+                    .jpeg({ quality: POSTER_QUALITY, mozjpeg: true })
+                    .toFile(join(outputDir, filename));
+
+                posters.push({ filename, timestamp, width, height });
+                break;
+            }
+        }
+    } catch (error) {
+        if (signal?.aborted) throw signal.reason;
+        console.error('Poster extraction failed:', error.message);
+    } finally {
+        await fsp.rm(join(outputDir, 'frame.png'), { force: true });
+    }
+
+    return posters;
+};
+
+// ─── Seek-bar previews ───────────────────────────────────────────────────────
+
+const vttTime = (seconds) => {
+    const ms = Math.round(seconds * 1000);
+    const pad = (n, width = 2) => String(n).padStart(width, '0');
+    return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:` +
+        `${pad(Math.floor(ms / 1000) % 60)}.${pad(ms % 1000, 3)}`;
+};
+
+const spriteName = (index) => `sprite_${String(index).padStart(3, '0')}.jpg`;
 
 /**
- * Converts an MP4 buffer to HLS chunks using FFmpeg,
- * uploads all files to S3, and cleans up temp files.
+ * WebVTT thumbnail track: one cue per PREVIEW_INTERVAL_SECONDS of `duration`,
+ * pointing at its tile in the sprite sheets (`sprite_000.jpg#xywh=x,y,w,h`,
+ * relative to the track), tiles filled row by row.
  *
- * @param {Buffer} fileBuffer   - raw video file buffer from multer
+ * @param {{ duration: number, tileWidth: number, tileHeight: number }} param
+ */
+export const buildThumbnailTrack = ({ duration, tileWidth, tileHeight }) => {
+    const perSheet = PREVIEW_COLUMNS * PREVIEW_ROWS;
+    const count = Math.ceil(duration / PREVIEW_INTERVAL_SECONDS);
+
+    const cues = Array.from({ length: count }, (_, i) => {
+        const tile = i % perSheet;
+        const x = (tile % PREVIEW_COLUMNS) * tileWidth;
+        const y = Math.floor(tile / PREVIEW_COLUMNS) * tileHeight;
+        const start = i * PREVIEW_INTERVAL_SECONDS;
+        const end = Math.min(start + PREVIEW_INTERVAL_SECONDS, duration);
+        return `${vttTime(start)} --> ${vttTime(end)}\n` +
+            `${spriteName(Math.floor(i / perSheet))}#xywh=${x},${y},${tileWidth},${tileHeight}`;
+    });
+
+    return ['WEBVTT', ...cues, ''].join('\n\n');
+};
+
+/**
+ * Renders the seek-bar sprite sheets (sprite_000.jpg...) and PREVIEW_TRACK
+ * into outputDir in one FFmpeg pass. Returns false (logged, not thrown) when
+ * they could not be made — the video plays fine without them.
+ *
+ * @param {{ width: number, height: number, duration: number }} source  from probeVideo
+ */
+const generatePreviewSprites = async (inputPath, outputDir, source, signal) => {
+    if (!source.duration) return false;
+
+    const tileWidth = PREVIEW_TILE_WIDTH;
+    const tileHeight = even((PREVIEW_TILE_WIDTH * source.height) / source.width);
+
+    try {
+        await new Promise((resolve, reject) => {
+            const command = ffmpeg(inputPath)
+                .outputOptions([
+                    '-an',
+                    `-vf fps=1/${PREVIEW_INTERVAL_SECONDS},scale=${tileWidth}:${tileHeight},` +
+                        `tile=${PREVIEW_COLUMNS}x${PREVIEW_ROWS}`,
+                    '-q:v 5',
+                    '-start_number 0',
+                ])
+                .output(join(outputDir, 'sprite_%03d.jpg'))
+                .on('end', () => {
+                    signal?.removeEventListener('abort', abort);
+                    resolve();
+                })
+                .on('error', (err) => {
+                    signal?.removeEventListener('abort', abort);
+                    reject(err);
+                });
+
+            const abort = () => command.kill('SIGKILL');
+            signal?.addEventListener('abort', abort, { once: true });
+            command.run();
+        });
+
+        await fsp.writeFile(
+            join(outputDir, PREVIEW_TRACK),
+            buildThumbnailTrack({ duration: source.duration, tileWidth, tileHeight })
+        );
+        return true;
+    } catch (error) {
+        if (signal?.aborted) throw signal.reason;
+        console.error('Preview sprite generation failed:', error.message);
+        await fsp.rm(outputDir, { recursive: true, force: true });
+        await fsp.mkdir(outputDir, { recursive: true });
+        return false;
+    }
+};
+
+// ─── Convert + upload ────────────────────────────────────────────────────────
+
+/**
+ * Converts a video on disk (a multer upload streamed to a temp file, or a
+ * presigned upload pulled from staging) to HLS using FFmpeg, uploads all
+ * files to S3, and cleans up temp files. The video is never loaded into
+ * memory; the input file is left for the caller to remove.
+ *
+ * Encodes every rung of pickHlsLadder one after another (progress covers the
+ * whole ladder) and uploads `<name>.m3u8` / `<name>_NNN.ts` per rendition plus
+ * HLS_MASTER_PLAYLIST, which `playlistUrl` points at. Candidate poster
+ * frames (see extractPosters) go under `posters/`, and the seek-bar sprite
+ * sheets with their PREVIEW_TRACK (`previewTrackUrl`, null if they failed)
+ * under `preview/`.
+ *
+ * @param {string} inputPath    - path of the source video
  * @param {string} category     - e.g. "ad_films" | "short_films"
  * @param {string} slug         - folder-safe title slug
- * @param {Function} onProgress - optional callback(percent)
+ * @param {Function} onProgress - optional callback(percent, stage); stage is
+ *   "converting", "posters", "previews" or "uploading", each running 0 → 100
+ * @param {{ signal?: AbortSignal }} [options] - abort to kill FFmpeg and stop
+ *   before the next step (the background job queue's cancel)
+ * @returns {Promise<{ s3Prefix: string, fileCount: number, playlistUrl: string,
+ *   renditions: { name: string, width: number, height: number, bandwidth: number }[],
+ *   posters: { key: string, url: string, timestamp: number, width: number, height: number }[],
+ *   previewTrackUrl: string|null }>}
  */
-export const convertAndUpload = async (fileBuffer, category, slug, onProgress) => {
-    // ── 1. Write buffer to a temp input file ─────────────────────────────
+export const convertFileAndUpload = async (inputPath, category, slug, onProgress, { signal } = {}) => {
     const tempDir = join(tmpdir(), `luminav_${randomUUID()}`);
-    const inputPath = join(tempDir, 'input.mp4');
     const outputDir = join(tempDir, 'hls');
+    const postersDir = join(tempDir, 'posters');
+    const previewDir = join(tempDir, 'preview');
 
-    mkdirSync(tempDir, { recursive: true });
     mkdirSync(outputDir, { recursive: true });
+    mkdirSync(postersDir, { recursive: true });
+    mkdirSync(previewDir, { recursive: true });
 
-    await import('fs').then(fs => fs.promises.writeFile(inputPath, fileBuffer));
-
-    // ── 2. Run FFmpeg → HLS with ~1MB chunks ─────────────────────────────
-    await new Promise((resolve, reject) => {
-        ffmpeg(inputPath)
-            .outputOptions([
-                '-codec:v libx264',       // H.264 video
-                '-codec:a aac',           // AAC audio
-                '-b:v 1500k',             // 1.5Mbps video bitrate
-                '-b:a 128k',              // 128kbps audio
-                '-vf scale=1280:720',     // 720p output
-                '-hls_time 4',            // ~4s per segment → ~1MB at 1.5Mbps
-                '-hls_playlist_type vod', // VOD playlist (not live)
-                '-hls_segment_type mpegts',
-                '-hls_segment_filename',
-                join(outputDir, 'shot_%03d.ts'), // shot_001.ts, shot_002.ts ...
-                '-start_number 0',
-            ])
-            .output(join(outputDir, 'output.m3u8'))
-            .on('progress', (progress) => {
-                if (onProgress && progress.percent) {
-                    onProgress(Math.round(progress.percent));
-                }
-            })
-            .on('end', resolve)
-            .on('error', reject)
-            .run();
-    });
+    const report = (stage, percent) => onProgress?.(percent, stage);
+
+    try {
+        // ── 1. Pick the ladder for this source ───────────────────────────
+        const source = await probeVideo(inputPath);
+        const renditions = pickHlsLadder(source);
+        console.log(
+            `🎞️  ${source.width}x${source.height} → ${renditions.map((r) => `${r.width}x${r.height}`).join(', ')}`
+        );
+
+        // ── 2. Run FFmpeg → HLS once per rendition ───────────────────────
+        for (const [index, rendition] of renditions.entries()) {
+            signal?.throwIfAborted();
+            await encodeRendition(inputPath, outputDir, rendition, (percent) => {
+                report('converting', Math.round(((index + percent / 100) / renditions.length) * 100));
+            }, signal);
+        }
+
+        await fsp.writeFile(
+            join(outputDir, HLS_MASTER_PLAYLIST),
+            buildMasterPlaylist(renditions, { hasAudio: source.hasAudio })
+        );
 
-    // ── 3. Upload all files in outputDir to S3 ────────────────────────────
-    const files = readdirSync(outputDir);
-    const s3Prefix = `${category}/${slug}`;
+        // ── 3. Candidate posters + seek-bar sprites ──────────────────────
+        report('posters', 0);
+        const posters = await extractPosters(
+            inputPath, postersDir, source.duration, signal, (percent) => report('posters', percent)
+        );
+        report('posters', 100);
 
-    console.log(`📦 Uploading ${files.length} files to S3 at ${s3Prefix}/`);
+        report('previews', 0);
+        const hasPreview = await generatePreviewSprites(inputPath, previewDir, source, signal);
+        report('previews', 100);
 
-    await Promise.all(
-        files.map(async (filename) => {
-            const filePath = join(outputDir, filename);
-            const contentType = filename.endsWith('.m3u8')
-                ? 'application/vnd.apple.mpegurl'
-                : 'video/mp2t';
+        // ── 4. Upload outputDir, the posters and the previews to S3 ──────
+        signal?.throwIfAborted();
+        const files = readdirSync(outputDir);
+        const s3Prefix = `${category}/${slug}`;
+        const uploads = [
+            ...files.map((filename) => ({
+                path: join(outputDir, filename),
+                key: `${s3Prefix}/${filename}`,
+                contentType: filename.endsWith('.m3u8') ? 'application/vnd.apple.mpegurl' : 'video/mp2t',
+            })),
+            ...posters.map(({ filename }) => ({
+                path: join(postersDir, filename),
+                key: `${s3Prefix}/posters/${filename}`,
+                contentType: 'image/jpeg',
+            })),
+            ...readdirSync(previewDir).map((filename) => ({
+                path: join(previewDir, filename),
+                key: `${s3Prefix}/preview/${filename}`,
+                contentType: filename.endsWith('.vtt') ? 'text/vtt' : 'image/jpeg',
+            })),
+        ];
+
+        console.log(`📦 Uploading ${uploads.length} files to S3 at ${s3Prefix}/`);
+        let uploaded = 0;
+        report('uploading', 0);
+
+        await mapWithConcurrency(uploads, HLS_UPLOAD_CONCURRENCY, async ({ path, key, contentType }) => {
+            signal?.throwIfAborted();
 
             const upload = new Upload({
                 client: s3Client,
                 params: {
                     Bucket: BUCKET_NAME,
-                    Key: `${s3Prefix}/${filename}`,
-                    Body: createReadStream(filePath),
+                    Key: key,
+                    Body: createReadStream(path),
                     ContentType: contentType,
                     ContentDisposition: 'inline',
                 },
             });
 
             await upload.done();
-            console.log(`  ✅ Uploaded: ${filename}`);
-        })
-    );
-
-    // ── 4. Clean up temp files ────────────────────────────────────────────
-    await import('fs').then(fs => fs.promises.rm(tempDir, { recursive: true, force: true }));
-    console.log(`🧹 Temp files cleaned up`);
-
-    return {
-        s3Prefix,
-        fileCount: files.length,
-        playlistUrl: `https://${BUCKET_NAME}.s3.${process.env.AWS_REGION}.amazonaws.com/${s3Prefix}/output.m3u8`,
-    };
-};
\ No newline at end of file
+            console.log(`  ✅ Uploaded: ${key}`);
+            report('uploading', Math.round((++uploaded / uploads.length) * 100));
+        });
+
+        return {
+            s3Prefix,
+            fileCount: files.length,
+            playlistUrl: `${publicBucketUrl()}/${s3Prefix}/${HLS_MASTER_PLAYLIST}`,
+            renditions: renditions.map(({ name, width, height, maxrate, audioBitrate }) => ({
+                name,
+                width,
+                height,
+                bandwidth: (maxrate + (source.hasAudio ? audioBitrate : 0)) * 1000,
+            })),
+            posters: posters.map(({ filename, timestamp, width, height }) => ({
+                key: `${s3Prefix}/posters/${filename}`,
+                url: `${publicBucketUrl()}/${s3Prefix}/posters/${filename}`,
+                timestamp,
+                width,
+                height,
+            })),
+            previewTrackUrl: hasPreview ? `${publicBucketUrl()}/${s3Prefix}/preview/${PREVIEW_TRACK}` : null,
+        };
+    } finally {
+        // ── 5. Clean up temp files ───────────────────────────────────────
+        await fsp.rm(tempDir, { recursive: true, force: true });
+        console.log(`🧹 Temp files cleaned up`);
+    }
+};
@@ -1,39 +1,79 @@
 // video.service.js
 import db from "../config/db.config.js";
-import { s3Client, BUCKET_NAME } from "../config/s3.config.js";
-import { GetObjectCommand } from "@aws-sdk/client-s3";
+import { s3Client, BUCKET_NAME, publicBucketUrl } from "../config/s3.config.js";
+import { GetObjectCommand, ListObjectsV2Command, DeleteObjectsCommand } from "@aws-sdk/client-s3";
 import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
+import { recordAudit, AUDIT_ENTITIES } from "./audit.service.js";
+import { HLS_MASTER_PLAYLIST } from "../config/video.config.js";
 
 
 const REGION = process.env.AWS_REGION || "ap-south-1";
 const SIGNED_URL_EXPIRY = 60 * 10; // 10 minutes
 
+// Video categories become an S3 prefix segment
+const VIDEO_CATEGORY_RE = /^[A-Za-z0-9_-]{1,64}$/;
+
 // ─── Helpers ─────────────────────────────────────────────────────────────────
 
 /**
  * Converts a raw title string into a folder-safe S3 prefix segment.
  * e.g. "My Cool Film!" → "my_cool_film"
+ * Transcodes upload to <category>/<slug>/, so this is the one place it is derived.
  */
-const toSafeSlug = (title) =>
+export const toSafeSlug = (title) =>
     title
         .trim()
         .toLowerCase()
         .replace(/\s+/g, "_")
         .replace(/[^a-z0-9_]/g, "");
 
+const isBlankString = (value) => typeof value !== "string" || !value.trim();
+
+/**
+ * Checks the fields of a new video upload before it is queued for
+ * conversion, for the multipart and the staged upload alike: the category
+ * must be a safe S3 prefix segment and the title must leave a non-empty slug.
+ * Returns { fields } (title trimmed) or { error }.
+ *
+ * @param {Object} body
+ * @returns {{ fields?: { category, title, description, thumbnailOne?, thumbnailTwo? }, error?: string }}
+ */
+export const validateVideoFields = (body) => {
+    const missing = ["category", "title", "description"].filter((field) => isBlankString(body[field]));
+    if (missing.length > 0) return { error: `Missing fields: ${missing.join(", ")}` };
+    if (!VIDEO_CATEGORY_RE.test(body.category)) {
+        return { error: "category may only contain letters, digits, hyphens and underscores" };
+    }
+    if (!/[A-Za-z0-9]/.test(body.title)) return { error: "title must contain a letter or digit" };
+
+    const notStrings = ["thumbnailOne", "thumbnailTwo"]
+        .filter((field) => body[field] != null && typeof body[field] !== "string");
+    if (notStrings.length > 0) return { error: `${notStrings.join(", ")} must be strings` };
+
+    const { category, title, description, thumbnailOne, thumbnailTwo } = body;
+    return { fields: { category, title: title.trim(), description, thumbnailOne, thumbnailTwo } };
+};
+
 /**
- * Builds the HLS playlist URL for a given category + title.
- * Uses the correct virtual-hosted regional endpoint format.
+ * Builds the HLS master playlist URL for a given category + title.
+ * Uses the correct virtual-hosted regional endpoint format (or S3_PUBLIC_URL / S3_ENDPOINT).
+ * Videos converted before the bitrate ladder keep their stored output.m3u8 URL.
  */
 const buildVideoUrl = (category, title) => {
     const slug = toSafeSlug(title);
-    return `https://${BUCKET_NAME}.s3.${REGION}.amazonaws.com/${category}/${slug}/output.m3u8`;
+    return `${publicBucketUrl(BUCKET_NAME, REGION)}/${category}/${slug}/${HLS_MASTER_PLAYLIST}`;
 };
 
 // ─── Video CRUD ───────────────────────────────────────────────────────────────
 
 /**
  * Inserts video metadata into the DB and returns the full record.
+ * `actor` (from auditActor(req)) is recorded in the audit log.
+ *
+ * `posters` (from convertFileAndUpload) are saved as the video's poster
+ * candidates, in the same transaction as the video; blank thumbnails default
+ * to the first two. `previewTrackUrl` is the seek-bar thumbnail track, when
+ * one was generated.
  */
 export const createVideoService = async ({
     category,
@@ -41,25 +81,71 @@ export const createVideoService = async ({
     description,
     thumbnailOne,
     thumbnailTwo,
+    posters = [],
+    previewTrackUrl = null,
+    actor,
 }) => {
     const videoUrl = buildVideoUrl(category, title);
+    thumbnailOne = thumbnailOne || posters[0]?.url || "";
+    thumbnailTwo = thumbnailTwo || posters[1]?.url || "";
 
-    const [result] = await db.execute(
-        `INSERT INTO videos
-            (category, title, description, thumbnail_one, thumbnail_two, video_url)
-         VALUES (?, ?, ?, ?, ?, ?)`,
-        [category, title, description, thumbnailOne, thumbnailTwo, videoUrl]
-    );
+    const connection = await db.getConnection();
+    let videoId;
+    try {
+        await connection.beginTransaction();
 
-    return {
-        id: result.insertId,
+        const [result] = await connection.execute(
+            `INSERT INTO videos
+                (category, title, description, thumbnail_one, thumbnail_two, video_url, preview_track_url)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [category, title, description, thumbnailOne, thumbnailTwo, videoUrl, previewTrackUrl]
+        );
+        videoId = result.insertId;
+
+        if (posters.length > 0) {
+            await connection.query(
+                `INSERT INTO video_posters (video_id, position, s3_key, url, timestamp_seconds, width, height)
+                 VALUES ?`,
+                [posters.map((poster, index) => [
+                    videoId,
+                    index + 1,
+                    poster.key,
+                    poster.url,
+                    poster.timestamp,
+                    poster.width,
+                    poster.height,
+                ])]
+            );
+        }
+
+        await connection.commit();
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+
+    const video = {
+        id: videoId,
         category,
         title,
         description,
         thumbnailOne,
         thumbnailTwo,
         videoUrl,
+        previewTrackUrl,
     };
+
+    await recordAudit({
+        actor,
+        action: "video.create",
+        entityType: AUDIT_ENTITIES.VIDEO,
+        entityId: video.id,
+        after: video,
+    });
+
+    return video;
 };
 
 /**
@@ -85,12 +171,13 @@ export const getAllVideos = async () => {
 };
 
 /**
- * Returns a single video by ID, or null if not found.
+ * Returns a single video by ID, or null if not found. `previewTrackUrl` is
+ * the WebVTT seek-bar thumbnail track (null for videos converted before it).
  */
 export const getVideoById = async (videoId) => {
     const [rows] = await db.query(
         `SELECT id, category, title, description,
-                thumbnail_one, thumbnail_two, video_url, created_at
+                thumbnail_one, thumbnail_two, video_url, preview_track_url, created_at
          FROM videos
          WHERE id = ?`,
         [videoId]
@@ -106,6 +193,7 @@ export const getVideoById = async (videoId) => {
         description: row.description,
         thumbnails: [row.thumbnail_one, row.thumbnail_two],
         videoUrl: row.video_url,
+        previewTrackUrl: row.preview_track_url,
         createdAt: row.created_at,
     };
 };
@@ -113,15 +201,150 @@ export const getVideoById = async (videoId) => {
 /**
  * Hard-deletes a video record by ID.
  * Returns the deleted record summary, or null if the ID didn't exist.
+ *
+ * @param {number} videoId
+ * @param {Object} [actor]  from auditActor(req)
  */
-export const deleteVideoById = async (videoId) => {
+export const deleteVideoById = async (videoId, actor) => {
+    const before = await getVideoById(videoId);
     const [result] = await db.query("DELETE FROM videos WHERE id = ?", [videoId]);
 
     if (result.affectedRows === 0) return null;
+    await db.query("DELETE FROM video_posters WHERE video_id = ?", [videoId]);
+
+    await recordAudit({
+        actor,
+        action: "video.delete",
+        entityType: AUDIT_ENTITIES.VIDEO,
+        entityId: videoId,
+        before,
+    });
 
     return { id: videoId };
 };
 
+/**
+ * Deletes every S3 object in a video's folder (<category>/<slug>/) — the
+ * partial output of a transcode that was cancelled or gave up. Skipped when
+ * a saved video still plays from that folder. Logged, not thrown.
+ *
+ * @param {string} category
+ * @param {string} title
+ */
+export const deleteVideoFolder = async (category, title) => {
+    const prefix = `${category}/${toSafeSlug(title)}/`;
+    try {
+        const [[inUse]] = await db.query(
+            `SELECT id FROM videos WHERE video_url LIKE ? LIMIT 1`,
+            [`%/${prefix.replace(/[\\%_]/g, "\\$&")}%`]
+        );
+        if (inUse) {
+            console.warn(`Keeping ${prefix}: video ${inUse.id} plays from it`);
+            return;
+        }
+
+        let deleted = 0;
+        let ContinuationToken;
+        do {
+            const page = await s3Client.send(new ListObjectsV2Command({
+                Bucket: BUCKET_NAME,
+                Prefix: prefix,
+                ContinuationToken,
+            }));
+            const objects = (page.Contents ?? []).map(({ Key }) => ({ Key }));
+            if (objects.length > 0) {
+                await s3Client.send(new DeleteObjectsCommand({
+                    Bucket: BUCKET_NAME,
+                    Delete: { Objects: objects, Quiet: true },
+                }));
+                deleted += objects.length;
+            }
+            ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+        } while (ContinuationToken);
+
+        if (deleted > 0) console.log(`🧹 Deleted ${deleted} object(s) under ${prefix}`);
+    } catch (error) {
+        console.error(`Failed to delete ${prefix}:`, error.message);
+    }
+};
+
+// ─── Posters ──────────────────────────────────────────────────────────────────
+
+/**
+ * Lists a video's candidate posters in timeline order, each with the
+ * thumbnail slot (1 / 2) it currently fills, or null if the video doesn't
+ * exist. Videos uploaded before poster extraction have none.
+ *
+ * @param {number} videoId
+ * @returns {Promise<{ id, position, url, timestamp, width, height, slot: 1|2|null }[]|null>}
+ */
+export const getVideoPosters = async (videoId) => {
+    const [[video]] = await db.query(
+        `SELECT thumbnail_one, thumbnail_two FROM videos WHERE id = ?`,
+        [videoId]
+    );
+    if (!video) return null;
+
+    const [rows] = await db.query(
+        `SELECT id, position, url, timestamp_seconds, width, height
+         FROM video_posters
+         WHERE video_id = ?
+         ORDER BY position`,
+        [videoId]
+    );
+
+    return rows.map((row) => ({
+        id: row.id,
+        position: row.position,
+        url: row.url,
+        timestamp: Number(row.timestamp_seconds),
+        width: row.width,
+        height: row.height,
+        slot: row.url === video.thumbnail_one ? 1 : row.url === video.thumbnail_two ? 2 : null,
+    }));
+};
+
+/**
+ * Makes one of a video's candidate posters its thumbnail in `slot`
+ * (1 → thumbnail_one, the poster; 2 → thumbnail_two). Returns the updated
+ * video, or null if the video doesn't exist. Throws `code: "POSTER_NOT_FOUND"`
+ * for a poster of another video.
+ *
+ * @param {number} videoId
+ * @param {number} posterId
+ * @param {1|2} slot
+ * @param {Object} [actor]  from auditActor(req)
+ */
+export const setVideoPoster = async (videoId, posterId, slot, actor) => {
+    const before = await getVideoById(videoId);
+    if (!before) return null;
+
+    const [[poster]] = await db.query(
+        `SELECT url FROM video_posters WHERE id = ? AND video_id = ?`,
+        [posterId, videoId]
+    );
+    if (!poster) {
+        const err = new Error("Poster not found for this video");
+        err.code = "POSTER_NOT_FOUND";
+        throw err;
+    }
+
+    const column = slot === 2 ? "thumbnail_two" : "thumbnail_one";
+    await db.query(`UPDATE videos SET ${column} = ? WHERE id = ?`, [poster.url, videoId]);
+
+    const after = await getVideoById(videoId);
+    await recordAudit({
+        actor,
+        action: "video.poster",
+        entityType: AUDIT_ENTITIES.VIDEO,
+        entityId: videoId,
+        before: { thumbnails: before.thumbnails },
+        after: { thumbnails: after.thumbnails, posterId, slot },
+    });
+
+    return after;
+};
+
 // ─── Streaming / Signed URL ───────────────────────────────────────────────────
 
 /**
@@ -0,0 +1,43 @@
+// test/csv.utils.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { toCsv } from "../utils/csv.utils.js";
+
+const COLUMNS = [
+    { key: "id", header: "ID" },
+    { key: "value", header: "Value" },
+];
+
+const cell = (value) => toCsv([{ key: "value", header: "v" }], [{ value }]).split("\r\n")[1];
+
+test("toCsv writes a header and CRLF-terminated rows", () => {
+    assert.equal(
+        toCsv(COLUMNS, [{ id: 1, value: "a" }, { id: 2, value: "b" }]),
+        "ID,Value\r\n1,a\r\n2,b\r\n"
+    );
+    assert.equal(toCsv(COLUMNS, []), "ID,Value\r\n");
+});
+
+test("toCsv quotes commas, quotes and line breaks", () => {
+    assert.equal(cell("a,b"), '"a,b"');
+    assert.equal(cell('say "hi"'), '"say ""hi"""');
+    assert.equal(toCsv([{ key: "value", header: "v" }], [{ value: "line\nbreak" }]), 'v\r\n"line\nbreak"\r\n');
+});
+
+test("toCsv neutralises spreadsheet formulas", () => {
+    assert.equal(cell("=SUM(A1:A2)"), "'=SUM(A1:A2)");
+    assert.equal(cell("+1"), "'+1");
+    assert.equal(cell("-1"), "'-1");
+    assert.equal(cell("@cmd"), "'@cmd");
+    assert.equal(cell("\tx"), "'\tx");
+    assert.equal(cell("=HYPERLINK(\"x\",\"y\")"), `"'=HYPERLINK(""x"",""y"")"`);
+    assert.equal(cell("a=b"), "a=b");
+});
+
+test("toCsv formats empty values, dates and objects", () => {
+    assert.equal(cell(null), "");
+    assert.equal(cell(undefined), "");
+    assert.equal(cell(0), "0");
+    assert.equal(cell(new Date("2026-01-02T03:04:05.000Z")), "2026-01-02T03:04:05.000Z");
+    assert.equal(cell({ a: 1 }), '"{""a"":1}"');
+});
@@ -0,0 +1,118 @@
+// test/lockout.service.test.js
+// Runs against the in-memory fallback: the DB points at a closed port, so
+// every MySQL call fails straight away.
+import { test, before, beforeEach, after } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.DB_HOST = "127.0.0.1";
+process.env.DB_PORT = "1";
+
+let lockout;
+let db;
+let run = 0;
+let email;
+let ip;
+
+before(async () => {
+    console.warn = () => {}; // fallback and lockout notices
+    lockout = await import("../services/lockout.service.js");
+    db = (await import("../config/db.config.js")).default;
+});
+
+after(() => db.end()); // the pool's idle timer would keep the process alive
+
+// Fresh identifiers per test so counters don't carry over
+beforeEach(() => {
+    run++;
+    email = `admin${run}@example.com`;
+    ip = `10.0.0.${run}`;
+});
+
+const fail = async (times, who = { email, ip }) => {
+    for (let i = 0; i < times; i++) {
+        assert.equal((await lockout.beginLoginAttempt(who)).allowed, true);
+        await lockout.recordLoginFailure(who);
+    }
+};
+
+test("the first three failures cost nothing, then the wait doubles", async () => {
+    await fail(3);
+    assert.deepEqual(await lockout.beginLoginAttempt({ email, ip }), { allowed: true, retryAfter: 0 });
+
+    await lockout.recordLoginFailure({ email, ip }); // 4th failure → 1s
+    assert.deepEqual(await lockout.beginLoginAttempt({ email, ip }), { allowed: false, retryAfter: 1 });
+});
+
+test("a refused attempt does not count as a failure", async () => {
+    await fail(4);
+    for (let i = 0; i < 5; i++) {
+        assert.equal((await lockout.beginLoginAttempt({ email, ip })).allowed, false);
+    }
+    // Still 4 failures: a different IP for the same email only waits the 1s backoff
+    assert.deepEqual(await lockout.beginLoginAttempt({ email, ip: "192.0.2.1" }), { allowed: false, retryAfter: 1 });
+});
+
+test("parallel attempts can't get past the email threshold", async () => {
+    const results = await Promise.all(
+        Array.from({ length: 25 }, () => lockout.beginLoginAttempt({ email, ip }))
+    );
+    const allowed = results.filter((result) => result.allowed);
+    assert.equal(allowed.length, 10);
+
+    await Promise.all(allowed.map(() => lockout.recordLoginFailure({ email, ip })));
+    const after = await lockout.beginLoginAttempt({ email, ip: "192.0.2.2" });
+    assert.equal(after.allowed, false);
+    assert.ok(after.retryAfter > 60, `locked, not backing off (${after.retryAfter}s)`);
+});
+
+test("a success clears the email but only hands back the IP's attempt", async () => {
+    await fail(3);
+    assert.equal((await lockout.beginLoginAttempt({ email, ip })).allowed, true);
+    await lockout.recordLoginSuccess({ email, ip });
+
+    // Email is clean: three more free failures from another IP
+    await fail(3, { email, ip: "192.0.2.3" });
+    assert.equal((await lockout.beginLoginAttempt({ email, ip: "192.0.2.3" })).allowed, true);
+
+    // The IP kept its three failures: one more starts the backoff
+    await lockout.recordLoginFailure({ email: `other${run}@example.com`, ip });
+    await fail(1, { email: `other${run}@example.com`, ip });
+    assert.equal((await lockout.beginLoginAttempt({ email: `third${run}@example.com`, ip })).allowed, false);
+});
+
+test("releaseLoginAttempt hands back an attempt that wasn't a failure", async () => {
+    for (let i = 0; i < 12; i++) {
+        assert.equal((await lockout.beginLoginAttempt({ email, ip })).allowed, true);
+        await lockout.releaseLoginAttempt({ email, ip });
+    }
+});
+
+test("clearLockout lifts a lock and email identifiers ignore case", async () => {
+    // In parallel, so the backoff between failures doesn't get in the way
+    const attempts = await Promise.all(Array.from({ length: 10 }, () => lockout.beginLoginAttempt({ email, ip })));
+    assert.ok(attempts.every((attempt) => attempt.allowed));
+    await Promise.all(attempts.map(() => lockout.recordLoginFailure({ email, ip })));
+    assert.equal((await lockout.beginLoginAttempt({ email: email.toUpperCase(), ip: "192.0.2.4" })).allowed, false);
+
+    await lockout.clearLockout(lockout.LOCKOUT_SCOPES.EMAIL, ` ${email.toUpperCase()} `);
+    assert.equal((await lockout.beginLoginAttempt({ email, ip: "192.0.2.4" })).allowed, true);
+});
+
+test("forgot-password requests are capped per email, even in parallel", async () => {
+    const results = await Promise.all(
+        Array.from({ length: 12 }, (_, i) => lockout.consumeResetRequest({ email, ip: `198.51.100.${i}` }))
+    );
+    assert.equal(results.filter((result) => result.allowed).length, 5);
+
+    const refused = results.find((result) => !result.allowed);
+    assert.ok(refused.retryAfter > 3500 && refused.retryAfter <= 3600);
+});
+
+test("forgot-password requests are capped per IP", async () => {
+    const results = [];
+    for (let i = 0; i < 21; i++) {
+        results.push(await lockout.consumeResetRequest({ email: `user${i}-${run}@example.com`, ip }));
+    }
+    assert.equal(results.filter((result) => result.allowed).length, 20);
+    assert.equal(results.at(-1).allowed, false);
+});
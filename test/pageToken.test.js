@@ -0,0 +1,43 @@
+// test/pageToken.test.js
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import db from "../config/db.config.js";
+import { encodePageToken, decodePageToken } from "../services/image.service.js";
+
+after(() => db.end()); // the pool's idle timer would keep the process alive
+
+const encode = (key) => Buffer.from(JSON.stringify(key)).toString("base64url");
+
+test("page tokens round-trip the listing's sort key", () => {
+    const lastModified = new Date("2026-03-04T05:06:07.089Z");
+    const token = encodePageToken({ pinned: true, sortOrder: 3, lastModified, id: 42 });
+
+    assert.match(token, /^[A-Za-z0-9_-]+$/);
+    assert.deepEqual(decodePageToken(token), { pinned: 1, sortOrder: 3, createdAt: lastModified, id: 42 });
+});
+
+test("page tokens keep a missing sort order as null", () => {
+    const token = encodePageToken({ pinned: 0, sortOrder: null, lastModified: "2026-01-01T00:00:00Z", id: 7 });
+    assert.deepEqual(decodePageToken(token), {
+        pinned: 0,
+        sortOrder: null,
+        createdAt: new Date("2026-01-01T00:00:00Z"),
+        id: 7,
+    });
+});
+
+test("decodePageToken rejects anything it did not encode", () => {
+    const invalid = [
+        "",
+        "not a token",
+        encode({ id: 1 }),
+        encode([1, 2, 3]),
+        encode([2, null, 0, 1]),
+        encode([1, 1.5, 0, 1]),
+        encode([1, null, "0", 1]),
+        encode([1, null, 0, 1, 5]),
+    ];
+    for (const token of invalid) {
+        assert.throws(() => decodePageToken(token), { code: "INVALID_TOKEN" }, token);
+    }
+});
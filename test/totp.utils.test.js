@@ -0,0 +1,62 @@
+// test/totp.utils.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+    base32Encode,
+    base32Decode,
+    generateTotp,
+    verifyTotp,
+    currentTotpStep,
+    buildOtpauthUri,
+} from "../utils/totp.utils.js";
+
+// RFC 6238 Appendix B, SHA-1 seed "12345678901234567890". The RFC lists
+// 8-digit codes; a 6-digit code is their last six digits.
+const RFC_SECRET = base32Encode(Buffer.from("12345678901234567890", "ascii"));
+const RFC_VECTORS = [
+    [59, "287082"],
+    [1111111109, "081804"],
+    [1111111111, "050471"],
+    [1234567890, "005924"],
+    [2000000000, "279037"],
+    [20000000000, "353130"],
+];
+
+test("base32 round-trips bytes and matches RFC 4648", () => {
+    assert.equal(base32Encode(Buffer.from("foobar")), "MZXW6YTBOI");
+    assert.equal(RFC_SECRET, "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ");
+    assert.equal(base32Decode("mzxw 6ytb oi==").toString(), "foobar");
+    assert.throws(() => base32Decode("MZXW1"), /Invalid base32/);
+});
+
+test("generateTotp matches the RFC 6238 test vectors", () => {
+    for (const [seconds, code] of RFC_VECTORS) {
+        assert.equal(generateTotp(RFC_SECRET, currentTotpStep(seconds * 1000)), code, `T = ${seconds}`);
+    }
+});
+
+test("verifyTotp accepts codes within the window and returns their step", () => {
+    const now = 1111111111 * 1000;
+    const step = currentTotpStep(now);
+
+    assert.equal(verifyTotp(RFC_SECRET, "050471", { now }), step);
+    assert.equal(verifyTotp(RFC_SECRET, "050 471", { now }), step);
+    assert.equal(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, step - 1), { now }), step - 1);
+    assert.equal(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, step + 2), { now }), null);
+    assert.equal(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, step + 2), { now, window: 2 }), step + 2);
+});
+
+test("verifyTotp rejects malformed codes", () => {
+    const now = 59 * 1000;
+    for (const code of ["", "28708", "2870822", "abcdef", null, undefined]) {
+        assert.equal(verifyTotp(RFC_SECRET, code, { now }), null, String(code));
+    }
+});
+
+test("buildOtpauthUri encodes the label and parameters", () => {
+    const uri = buildOtpauthUri({ secret: "ABC", account: "a@b.io", issuer: "Luminav Films" });
+    assert.equal(
+        uri,
+        "otpauth://totp/Luminav%20Films%3Aa%40b.io?secret=ABC&issuer=Luminav%20Films&algorithm=SHA1&digits=6&period=30"
+    );
+});
@@ -0,0 +1,73 @@
+// test/upload.service.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { pickHlsLadder, buildThumbnailTrack } from "../services/upload.service.js";
+import { PREVIEW_INTERVAL_SECONDS, PREVIEW_COLUMNS, PREVIEW_ROWS } from "../config/video.config.js";
+
+const sizes = (renditions) => renditions.map(({ name, width, height }) => [name, width, height]);
+
+test("pickHlsLadder keeps every rung a 1080p source can fill", () => {
+    assert.deepEqual(sizes(pickHlsLadder({ width: 1920, height: 1080 })), [
+        ["1080p", 1920, 1080],
+        ["720p", 1280, 720],
+        ["480p", 854, 480],
+        ["360p", 640, 360],
+    ]);
+});
+
+test("pickHlsLadder fits wide and portrait sources in each rung's box", () => {
+    assert.deepEqual(sizes(pickHlsLadder({ width: 1920, height: 804 })), [
+        ["1080p", 1920, 804],
+        ["720p", 1280, 536],
+        ["480p", 854, 358],
+        ["360p", 640, 268],
+    ]);
+    assert.deepEqual(sizes(pickHlsLadder({ width: 1080, height: 1920 }))[0], ["1080p", 1080, 1920]);
+});
+
+test("pickHlsLadder never enlarges and keeps dimensions even", () => {
+    const renditions = pickHlsLadder({ width: 1279, height: 719 });
+    assert.deepEqual(renditions.map((r) => r.name), ["480p", "360p"]);
+    for (const { width, height } of renditions) {
+        assert.equal(width % 2, 0);
+        assert.equal(height % 2, 0);
+    }
+});
+
+test("pickHlsLadder gives a tiny source one rendition at its own size", () => {
+    const [only, ...rest] = pickHlsLadder({ width: 320, height: 240 });
+    assert.equal(rest.length, 0);
+    assert.deepEqual([only.name, only.width, only.height], ["240p", 320, 240]);
+});
+
+test("buildThumbnailTrack writes one cue per interval, the last one cut at the duration", () => {
+    const duration = PREVIEW_INTERVAL_SECONDS * 2 + 2;
+    const track = buildThumbnailTrack({ duration, tileWidth: 160, tileHeight: 90 });
+    const [header, ...cues] = track.trimEnd().split("\n\n");
+
+    assert.equal(header, "WEBVTT");
+    assert.equal(cues.length, 3);
+    assert.match(cues[0], /^00:00:00\.000 --> 00:00:0\d\.000\nsprite_000\.jpg#xywh=0,0,160,90$/);
+    assert.match(cues[1], /#xywh=160,0,160,90$/);
+    assert.match(cues[2], new RegExp(`--> 00:00:${String(duration).padStart(2, "0")}\\.000\\n`));
+});
+
+test("buildThumbnailTrack fills sheets row by row, then moves to the next sheet", () => {
+    const perSheet = PREVIEW_COLUMNS * PREVIEW_ROWS;
+    const track = buildThumbnailTrack({
+        duration: PREVIEW_INTERVAL_SECONDS * (perSheet + 1),
+        tileWidth: 10,
+        tileHeight: 5,
+    });
+    const cues = track.trimEnd().split("\n\n").slice(1);
+
+    assert.equal(cues.length, perSheet + 1);
+    assert.match(cues[PREVIEW_COLUMNS], /sprite_000\.jpg#xywh=0,5,10,5$/);
+    assert.match(cues[perSheet - 1], new RegExp(`sprite_000\\.jpg#xywh=${(PREVIEW_COLUMNS - 1) * 10},${(PREVIEW_ROWS - 1) * 5},10,5$`));
+    assert.match(cues[perSheet], /sprite_001\.jpg#xywh=0,0,10,5$/);
+});
+
+test("buildThumbnailTrack formats hours", () => {
+    const track = buildThumbnailTrack({ duration: 3600 + PREVIEW_INTERVAL_SECONDS, tileWidth: 1, tileHeight: 1 });
+    assert.match(track, /01:00:00\.000 --> 01:00:0\d\.000/);
+});
@@ -0,0 +1,35 @@
+// utils/concurrency.utils.js
+// Bounded-concurrency helpers for CPU / network heavy batch work.
+
+/**
+ * Runs `fn(item, index)` over `items` with at most `limit` calls in flight,
+ * starting items in order. Resolves to the results in input order.
+ *
+ * Rejects with the first error thrown by `fn` (items already started keep
+ * running) — make `fn` catch its own errors to process every item.
+ * `shouldStop()`, when given, is checked before starting each item; items
+ * never started resolve to undefined.
+ *
+ * @template T, R
+ * @param {T[]} items
+ * @param {number} limit
+ * @param {(item: T, index: number) => Promise<R>} fn
+ * @param {{ shouldStop?: () => boolean }} [options]
+ * @returns {Promise<(R|undefined)[]>}
+ */
+export const mapWithConcurrency = async (items, limit, fn, { shouldStop } = {}) => {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < items.length) {
+            if (shouldStop?.()) return;
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+
+    const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+    await Promise.all(workers);
+    return results;
+};
@@ -0,0 +1,57 @@
+// utils/crypto.utils.js
+// Symmetric encryption for small secrets stored in MySQL (e.g. TOTP seeds),
+// so a leaked DB dump alone can't be used to generate valid codes.
+import { createCipheriv, createDecipheriv, createHash, randomBytes } from "crypto";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const ALGORITHM = "aes-256-gcm";
+const VERSION = "v1";
+
+/**
+ * 32-byte key derived from SECRETS_ENCRYPTION_KEY (falls back to JWT_SECRET).
+ * Resolved lazily so importing this module never throws.
+ */
+const getKey = () => {
+    const material = process.env.SECRETS_ENCRYPTION_KEY || process.env.JWT_SECRET;
+    if (!material) throw new Error("SECRETS_ENCRYPTION_KEY (or JWT_SECRET) is not configured.");
+    return createHash("sha256").update(material).digest();
+};
+
+/**
+ * Encrypts a UTF-8 string. Output: "v1:<iv>:<authTag>:<ciphertext>" (base64url parts).
+ *
+ * @param {string} plaintext
+ * @returns {string}
+ */
+export const encryptSecret = (plaintext) => {
+    const iv = randomBytes(12);
+    const cipher = createCipheriv(ALGORITHM, getKey(), iv);
+    const ciphertext = Buffer.concat([cipher.update(plaintext, "utf8"), cipher.final()]);
+
+    return [VERSION, iv, cipher.getAuthTag(), ciphertext]
+        .map((part) => (typeof part === "string" ? part : part.toString("base64url")))
+        .join(":");
+};
+
+/**
+ * Reverses encryptSecret. Throws if the value was tampered with or the key changed.
+ *
+ * @param {string} payload
+ * @returns {string}
+ */
+export const decryptSecret = (payload) => {
+    const [version, iv, authTag, ciphertext] = String(payload).split(":");
+    if (version !== VERSION || !iv || !authTag || !ciphertext) {
+        throw new Error("Unrecognised encrypted secret format.");
+    }
+
+    const decipher = createDecipheriv(ALGORITHM, getKey(), Buffer.from(iv, "base64url"));
+    decipher.setAuthTag(Buffer.from(authTag, "base64url"));
+
+    return Buffer.concat([
+        decipher.update(Buffer.from(ciphertext, "base64url")),
+        decipher.final(),
+    ]).toString("utf8");
+};
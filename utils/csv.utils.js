@@ -0,0 +1,37 @@
+// utils/csv.utils.js
+// Minimal RFC 4180 CSV writer for admin exports.
+
+/**
+ * Quotes a value when needed and neutralises spreadsheet formulas
+ * (cells starting with = + - @ are prefixed with ').
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+const escapeCell = (value) => {
+    if (value === null || value === undefined) return "";
+
+    let text;
+    if (value instanceof Date) text = value.toISOString();
+    else if (typeof value === "object") text = JSON.stringify(value);
+    else text = String(value);
+
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialises rows to CSV text with a header line.
+ *
+ * @param {{ key: string, header: string }[]} columns
+ * @param {Object[]} rows
+ * @returns {string}
+ */
+export const toCsv = (columns, rows) => {
+    const lines = [columns.map((c) => escapeCell(c.header)).join(",")];
+    for (const row of rows) {
+        lines.push(columns.map((c) => escapeCell(row[c.key])).join(","));
+    }
+    return lines.join("\r\n") + "\r\n";
+};